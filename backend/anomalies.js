@@ -0,0 +1,127 @@
+// ============================================
+// ANOMALY DETECTION
+// ============================================
+
+// How far (in σ, or the robust equivalent) a sample must deviate to be flagged
+const SENSITIVITY_THRESHOLDS = { low: 4, medium: 3, high: 2 };
+
+// Samples on each side that make up a sample's rolling window and its
+// spike neighbourhood
+const ROLLING_HALF_WINDOW = 25;
+const SPIKE_NEIGHBORS = 2;
+
+// Scale a median (or mean) absolute deviation to σ for normally distributed data
+const MAD_TO_SIGMA = 1.4826;
+const MEAN_AD_TO_SIGMA = 1.2533;
+
+// Only the strongest anomalies of a curve are returned
+const MAX_ANOMALIES = 100;
+
+// Accepts 'low' | 'medium' | 'high' or a threshold in σ; null when invalid
+function resolveThreshold(sensitivity) {
+  if (typeof sensitivity === 'string' && Object.hasOwn(SENSITIVITY_THRESHOLDS, sensitivity.toLowerCase())) {
+    return SENSITIVITY_THRESHOLDS[sensitivity.toLowerCase()];
+  }
+  const threshold = Number(sensitivity);
+  return sensitivity !== '' && Number.isFinite(threshold) && threshold > 0 ? threshold : null;
+}
+
+function median(values) {
+  const sorted = Float64Array.from(values).sort();
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// z-score of each sample against the mean and σ of the samples around it
+// (itself excluded, so a single outlier cannot hide itself), using prefix sums
+function rollingZScores(values) {
+  const sums = new Float64Array(values.length + 1);
+  const squares = new Float64Array(values.length + 1);
+  values.forEach((value, i) => {
+    sums[i + 1] = sums[i] + value;
+    squares[i + 1] = squares[i] + value * value;
+  });
+
+  return values.map((value, i) => {
+    const start = Math.max(0, i - ROLLING_HALF_WINDOW);
+    const end = Math.min(values.length, i + ROLLING_HALF_WINDOW + 1);
+    const count = end - start - 1;
+    if (count < 2) return 0;
+
+    const mean = (sums[end] - sums[start] - value) / count;
+    const variance = (squares[end] - squares[start] - value * value) / count - mean * mean;
+    return variance > 0 ? (value - mean) / Math.sqrt(variance) : 0;
+  });
+}
+
+// σ estimated from absolute deviations. Falls back to their mean when more
+// than half of them are zero (a flat curve with a few readings off it).
+function robustSigma(absoluteDeviations) {
+  const mad = median(absoluteDeviations);
+  if (mad > 0) return MAD_TO_SIGMA * mad;
+  const total = absoluteDeviations.reduce((sum, d) => sum + d, 0);
+  return MEAN_AD_TO_SIGMA * (total / absoluteDeviations.length);
+}
+
+// Robust z-score against the curve's median and median absolute deviation
+function madScores(values) {
+  const center = median(values);
+  const sigma = robustSigma(values.map(value => Math.abs(value - center)));
+  return values.map(value => (sigma > 0 ? (value - center) / sigma : 0));
+}
+
+// Departure of each sample from the median of its neighbours, scaled by how
+// far samples typically sit from their neighbours along this curve
+function spikeScores(values) {
+  const departures = values.map((value, i) => {
+    const neighbors = [];
+    for (let j = Math.max(0, i - SPIKE_NEIGHBORS); j <= Math.min(values.length - 1, i + SPIKE_NEIGHBORS); j++) {
+      if (j !== i) neighbors.push(values[j]);
+    }
+    return neighbors.length > 0 ? value - median(neighbors) : 0;
+  });
+
+  const sigma = robustSigma(departures.map(Math.abs));
+  return departures.map(departure => (sigma > 0 ? departure / sigma : 0));
+}
+
+const METHODS = {
+  'rolling-zscore': rollingZScores,
+  mad: madScores,
+  spike: spikeScores
+};
+
+// Flags samples ([{ depth, value }] in depth order, no missing readings) that
+// deviate by at least threshold under any method. A sample flagged by several
+// methods is reported once, under the method that rates it most extreme.
+// Returns { anomalies: [{ depth, value, deviation, method }], total }, the
+// strongest first.
+function detectAnomalies(samples, { threshold = SENSITIVITY_THRESHOLDS.medium } = {}) {
+  if (samples.length < 3) return { anomalies: [], total: 0 };
+
+  const values = samples.map(s => s.value);
+  const flagged = new Map();
+
+  Object.entries(METHODS).forEach(([method, score]) => {
+    score(values).forEach((deviation, i) => {
+      if (Math.abs(deviation) < threshold) return;
+      const current = flagged.get(i);
+      if (!current || Math.abs(deviation) > Math.abs(current.deviation)) {
+        flagged.set(i, { depth: samples[i].depth, value: samples[i].value, deviation, method });
+      }
+    });
+  });
+
+  const anomalies = [...flagged.values()]
+    .sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation))
+    .slice(0, MAX_ANOMALIES)
+    .map(anomaly => ({ ...anomaly, deviation: parseFloat(anomaly.deviation.toFixed(2)) }));
+
+  return { anomalies, total: flagged.size };
+}
+
+module.exports = {
+  SENSITIVITY_THRESHOLDS,
+  resolveThreshold,
+  detectAnomalies
+};
@@ -0,0 +1,228 @@
+// Synthetic curves: a regression from other logs, trained on depths where the
+// target curve was measured (in this well or others) and applied where it is
+// missing. Two in-process models: multiple linear regression and k-nearest
+// neighbours on standardized inputs.
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for an unknown method, unusable inputs or too little training data
+class PredictionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PredictionError';
+  }
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const METHODS = ['linear', 'knn'];
+const DEFAULT_NEIGHBOURS = 10;
+const MAX_NEIGHBOURS = 50;
+// Every HOLDOUT_EVERY-th training depth is kept back to measure the model on
+// depths it did not see
+const HOLDOUT_EVERY = 5;
+// Training depths a k-NN model searches, evenly spaced, so predicting a long
+// log stays fast
+const MAX_KNN_TRAINING = 3000;
+// Depths the training and validation scores are computed on, at most
+const MAX_SCORED = 5000;
+// Ridge term keeping the normal equations solvable with collinear inputs
+const RIDGE = 1e-6;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function evenSample(items, max) {
+  if (items.length <= max) return items;
+  const step = items.length / max;
+  return Array.from({ length: max }, (_, i) => items[Math.floor(i * step)]);
+}
+
+// ============================================
+// MODELS
+// ============================================
+
+// Solves A·x = b by Gaussian elimination with partial pivoting
+function solve(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    if (Math.abs(m[col][col]) < 1e-12) throw new PredictionError('Input curves are too strongly related to fit a linear model');
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+// Least squares on standardized inputs: target = intercept + Σ w·z
+function fitLinear(points, targets) {
+  const size = points[0].length + 1;
+  const XtX = Array.from({ length: size }, () => new Array(size).fill(0));
+  const Xty = new Array(size).fill(0);
+  points.forEach((point, i) => {
+    const x = [1, ...point];
+    for (let a = 0; a < size; a++) {
+      Xty[a] += x[a] * targets[i];
+      for (let b = 0; b < size; b++) XtX[a][b] += x[a] * x[b];
+    }
+  });
+  for (let a = 1; a < size; a++) XtX[a][a] += RIDGE * points.length;
+
+  const [intercept, ...weights] = solve(XtX, Xty);
+  return { intercept, weights, predict: (point) => point.reduce((sum, z, j) => sum + weights[j] * z, intercept) };
+}
+
+// Inverse-distance weighted mean of the k nearest training depths
+function fitKNN(points, targets, k) {
+  const sample = evenSample(points.map((point, i) => [point, targets[i]]), MAX_KNN_TRAINING);
+  const neighbours = Math.min(k, sample.length);
+  return {
+    predict: (point) => {
+      const nearest = [];
+      sample.forEach(([other, target]) => {
+        let distance = 0;
+        for (let j = 0; j < point.length; j++) distance += (point[j] - other[j]) ** 2;
+        if (nearest.length === neighbours && distance >= nearest[neighbours - 1].distance) return;
+        let at = nearest.length;
+        while (at > 0 && nearest[at - 1].distance > distance) at--;
+        nearest.splice(at, 0, { distance, target });
+        if (nearest.length > neighbours) nearest.pop();
+      });
+      let weightSum = 0;
+      let sum = 0;
+      for (const { distance, target } of nearest) {
+        const weight = 1 / (Math.sqrt(distance) + 1e-6);
+        weightSum += weight;
+        sum += weight * target;
+      }
+      return sum / weightSum;
+    }
+  };
+}
+
+// ============================================
+// TRAINING AND PREDICTION
+// ============================================
+
+function percentile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const round = (value) => parseFloat(value.toFixed(4));
+
+// R², RMSE and a summary of the residuals (actual − predicted)
+function scoreFit(actual, predicted) {
+  const mean = actual.reduce((sum, value) => sum + value, 0) / actual.length;
+  const residuals = actual.map((value, i) => value - predicted[i]);
+  const squared = residuals.reduce((sum, r) => sum + r * r, 0);
+  const total = actual.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  const sorted = Float64Array.from(residuals).sort();
+  const residualMean = residuals.reduce((sum, r) => sum + r, 0) / residuals.length;
+  return {
+    samples: actual.length,
+    r2: total > 0 ? round(1 - squared / total) : null,
+    rmse: round(Math.sqrt(squared / actual.length)),
+    residuals: {
+      mean: round(residualMean),
+      std: round(Math.sqrt(residuals.reduce((sum, r) => sum + (r - residualMean) ** 2, 0) / residuals.length)),
+      p10: round(percentile(sorted, 0.1)),
+      p50: round(percentile(sorted, 0.5)),
+      p90: round(percentile(sorted, 0.9))
+    }
+  };
+}
+
+// Trains a predictor of target from features on rows ([{ depth, CURVE: value,
+// ... }], from one or more wells) that have all of them. options:
+//   method      'linear' (default) or 'knn'
+//   neighbours  k for k-NN (default 10)
+// Returns { model, training, validation }: training scores the model on the
+// depths it was fitted to, validation on every fifth depth held back from a
+// second fit, and the returned model is fitted to all of them.
+function trainPredictor(rows, target, features, { method = 'linear', neighbours = DEFAULT_NEIGHBOURS } = {}) {
+  if (!METHODS.includes(method)) throw new PredictionError(`Method must be one of ${METHODS.join(', ')}`);
+  if (features.length === 0) throw new PredictionError('Select at least one input curve');
+  if (features.includes(target)) throw new PredictionError(`${target} cannot be both the target and an input`);
+  const k = Number(neighbours);
+  if (method === 'knn' && (!Number.isInteger(k) || k < 1 || k > MAX_NEIGHBOURS)) {
+    throw new PredictionError(`neighbours must be a whole number from 1 to ${MAX_NEIGHBOURS}`);
+  }
+
+  const complete = rows.filter(row => isNumber(row[target]) && features.every(curve => isNumber(row[curve])));
+  const minRows = Math.max(20, (features.length + 1) * 5);
+  if (complete.length < minRows) {
+    throw new PredictionError(`Only ${complete.length} training depths have ${target} and all inputs; at least ${minRows} are needed`);
+  }
+
+  const means = features.map(curve => complete.reduce((sum, row) => sum + row[curve], 0) / complete.length);
+  const stds = features.map((curve, j) => Math.sqrt(
+    complete.reduce((sum, row) => sum + (row[curve] - means[j]) ** 2, 0) / complete.length) || 1);
+  const standardize = (row) => features.map((curve, j) => (row[curve] - means[j]) / stds[j]);
+  const points = complete.map(standardize);
+  const targets = complete.map(row => row[target]);
+  const fit = (subset) => (method === 'knn'
+    ? fitKNN(subset.map(i => points[i]), subset.map(i => targets[i]), k)
+    : fitLinear(subset.map(i => points[i]), subset.map(i => targets[i])));
+
+  const all = points.map((_, i) => i);
+  const held = all.filter(i => i % HOLDOUT_EVERY === HOLDOUT_EVERY - 1);
+  const kept = all.filter(i => i % HOLDOUT_EVERY !== HOLDOUT_EVERY - 1);
+  const partial = fit(kept);
+  const score = (model, indices) => {
+    const scored = evenSample(indices, MAX_SCORED);
+    return scoreFit(scored.map(i => targets[i]), scored.map(i => model.predict(points[i])));
+  };
+  const validation = score(partial, held);
+
+  // k-NN finds most training depths among their own neighbours, so its
+  // training score is optimistic; validation is the one to compare
+  const fitted = fit(all);
+  const training = score(fitted, all);
+
+  const model = { method, target, features, means, stds, predictor: fitted };
+  if (method === 'knn') model.neighbours = k;
+  if (method === 'linear') {
+    // Coefficients in the input curves' own units
+    const weights = fitted.weights.map((w, j) => w / stds[j]);
+    model.coefficients = {
+      intercept: round(fitted.intercept - weights.reduce((sum, w, j) => sum + w * means[j], 0)),
+      ...Object.fromEntries(features.map((curve, j) => [curve, round(weights[j])]))
+    };
+  }
+  return { model, training, validation };
+}
+
+// Predicted target at one depth ({ CURVE: value, ... }), or null when an
+// input is missing
+function predictValue(model, sample) {
+  if (!model.features.every(curve => isNumber(sample[curve]))) return null;
+  const point = model.features.map((curve, j) => (sample[curve] - model.means[j]) / model.stds[j]);
+  const value = model.predictor.predict(point);
+  return Number.isFinite(value) ? value : null;
+}
+
+module.exports = {
+  PredictionError,
+  METHODS,
+  trainPredictor,
+  predictValue
+};
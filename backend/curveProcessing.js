@@ -0,0 +1,288 @@
+// Curve cleaning filters: median despiking, moving-average / Gaussian /
+// Savitzky-Golay smoothing, clipping, and resampling to a uniform depth step.
+// Filters work in samples along the curve and never reach across missing
+// readings: each unbroken run of readings is filtered on its own.
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for an unknown filter or an unusable parameter
+class ProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProcessingError';
+  }
+}
+
+// ============================================
+// PARAMETERS
+// ============================================
+
+const MAD_TO_SIGMA = 1.4826;
+const MAX_WINDOW = 201;
+// Resampling may not produce more depths than this
+const MAX_RESAMPLED_ROWS = 2000000;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// A missing parameter takes the fallback as it is, so an unbounded default
+// such as clip's -Infinity stands for "no bound"
+function numberParameter(params, key, fallback, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  const raw = params[key];
+  if (raw === undefined || raw === null || raw === '') {
+    if (fallback === undefined) throw new ProcessingError(`${key} is required`);
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new ProcessingError(`${key} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// An odd window length, in samples
+function windowParameter(params, fallback) {
+  const window = numberParameter(params, 'window', fallback, { min: 3, max: MAX_WINDOW, integer: true });
+  if (window % 2 === 0) throw new ProcessingError('window must be odd');
+  return window;
+}
+
+// Checks a filter step ({ filter, ...parameters }) and returns it with its
+// defaults filled in
+function normalizeStep(step) {
+  const params = step || {};
+  switch (params.filter) {
+    case 'despike':
+      return { filter: 'despike', window: windowParameter(params, 5), threshold: numberParameter(params, 'threshold', 3, { min: 0.5 }) };
+    case 'moving-average':
+      return { filter: 'moving-average', window: windowParameter(params, 5) };
+    case 'gaussian':
+      return { filter: 'gaussian', sigma: numberParameter(params, 'sigma', 2, { min: 0.1, max: MAX_WINDOW / 6 }) };
+    case 'savitzky-golay': {
+      const window = windowParameter(params, 7);
+      const order = numberParameter(params, 'order', 2, { min: 0, max: 6, integer: true });
+      if (order >= window) throw new ProcessingError('order must be less than window');
+      return { filter: 'savitzky-golay', window, order };
+    }
+    case 'clip': {
+      const min = numberParameter(params, 'min', -Infinity);
+      const max = numberParameter(params, 'max', Infinity);
+      if (min === -Infinity && max === Infinity) throw new ProcessingError('clip needs min and/or max');
+      if (min > max) throw new ProcessingError('clip min must not exceed max');
+      const mode = params.mode || 'clamp';
+      if (!['clamp', 'null'].includes(mode)) throw new ProcessingError("clip mode must be 'clamp' or 'null'");
+      return { filter: 'clip', min: Number.isFinite(min) ? min : null, max: Number.isFinite(max) ? max : null, mode };
+    }
+    case 'resample': {
+      const step = numberParameter(params, 'step', undefined, { min: 1e-6 });
+      const method = params.method || 'linear';
+      if (!['linear', 'nearest'].includes(method)) throw new ProcessingError("resample method must be 'linear' or 'nearest'");
+      return { filter: 'resample', step, method };
+    }
+    default:
+      throw new ProcessingError(`Unknown filter ${params.filter}; use one of ${Object.keys(FILTERS).join(', ')}, resample`);
+  }
+}
+
+// Checks a filter pipeline: at least one step, resampling only as the last
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) throw new ProcessingError('steps must list at least one filter');
+  const normalized = steps.map(normalizeStep);
+  if (normalized.slice(0, -1).some(step => step.filter === 'resample')) {
+    throw new ProcessingError('resample must be the last step');
+  }
+  return normalized;
+}
+
+// ============================================
+// FILTERS
+// ============================================
+
+function median(values) {
+  if (values.length === 0) return NaN;
+  const sorted = Float64Array.from(values).sort();
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Applies a weighted window: weights(offset) for offsets -half..half, renormalized
+// where the window runs off either end of the run
+function convolve(run, half, weight) {
+  return run.map((_, i) => {
+    let sum = 0;
+    let total = 0;
+    for (let k = Math.max(0, i - half); k <= Math.min(run.length - 1, i + half); k++) {
+      const w = weight(k - i);
+      sum += w * run[k];
+      total += w;
+    }
+    return sum / total;
+  });
+}
+
+// Solves A·x = b by Gaussian elimination with partial pivoting
+function solve(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+// Weights that give a polynomial fit's value at offset `at` from the samples at
+// offsets from..to: the Savitzky-Golay coefficients for that position
+function polynomialWeights(from, to, order, at) {
+  const offsets = [];
+  for (let k = from; k <= to; k++) offsets.push(k);
+  const terms = Math.min(order, offsets.length - 1) + 1;
+  const XtX = Array.from({ length: terms }, (_, a) =>
+    Array.from({ length: terms }, (_, b) => offsets.reduce((sum, x) => sum + x ** (a + b), 0)));
+  // c·(powers of x) is the weight of the sample at x in the fitted value at `at`
+  const basis = Array.from({ length: terms }, (_, a) => at ** a);
+  const c = solve(XtX, basis);
+  return offsets.map(x => c.reduce((sum, coefficient, a) => sum + coefficient * x ** a, 0));
+}
+
+const FILTERS = {
+  // Readings further than threshold robust σ from their window's median are
+  // replaced by that median
+  despike: (run, { window, threshold }) => {
+    const half = (window - 1) / 2;
+    const medians = run.map((_, i) => median(run.slice(Math.max(0, i - half), i + half + 1)));
+    const residuals = run.map((value, i) => Math.abs(value - medians[i]));
+    // Each window's middle reading is often its own median; those zeros would
+    // understate the noise
+    const sigma = MAD_TO_SIGMA * median(residuals.filter(r => r > 0));
+    if (!(sigma > 0)) return run;
+    return run.map((value, i) => (residuals[i] > threshold * sigma ? medians[i] : value));
+  },
+
+  'moving-average': (run, { window }) => convolve(run, (window - 1) / 2, () => 1),
+
+  gaussian: (run, { sigma }) => convolve(run, Math.ceil(3 * sigma), (offset) => Math.exp(-(offset * offset) / (2 * sigma * sigma))),
+
+  // Local polynomial fits; near the ends of a run the window is shifted
+  // inwards rather than shrunk
+  'savitzky-golay': (run, { window, order }) => {
+    const half = (window - 1) / 2;
+    if (run.length < window) return run;
+    const centre = polynomialWeights(-half, half, order, 0);
+    const edges = new Map();
+    return run.map((_, i) => {
+      const start = Math.min(Math.max(0, i - half), run.length - window);
+      let weights = centre;
+      if (start !== i - half) {
+        const key = i - start;
+        if (!edges.has(key)) edges.set(key, polynomialWeights(-key, window - 1 - key, order, 0));
+        weights = edges.get(key);
+      }
+      return weights.reduce((sum, w, k) => sum + w * run[start + k], 0);
+    });
+  },
+
+  clip: (run, { min, max, mode }) => run.map(value => {
+    const outside = (min !== null && value < min) || (max !== null && value > max);
+    if (!outside) return value;
+    if (mode === 'null') return null;
+    return min !== null && value < min ? min : max;
+  })
+};
+
+// Runs one filter over every unbroken run of readings of values (null when
+// missing). Returns { values, changed } with changed the readings it altered.
+function applyFilter(values, step) {
+  const result = values.slice();
+  let changed = 0;
+  let start = 0;
+  while (start < values.length) {
+    if (!isNumber(values[start])) {
+      start++;
+      continue;
+    }
+    let end = start;
+    while (end < values.length && isNumber(values[end])) end++;
+    const filtered = FILTERS[step.filter](values.slice(start, end), step);
+    filtered.forEach((value, k) => {
+      if (value !== values[start + k]) changed++;
+      result[start + k] = value;
+    });
+    start = end;
+  }
+  return { values: result, changed };
+}
+
+// ============================================
+// RESAMPLING
+// ============================================
+
+// Depths of a uniform grid with the given step covering [minDepth, maxDepth],
+// aligned on multiples of the step so resampled curves share a grid
+function resampleGrid(minDepth, maxDepth, step) {
+  const first = Math.ceil(minDepth / step - 1e-9);
+  const last = Math.floor(maxDepth / step + 1e-9);
+  const count = last - first + 1;
+  if (count > MAX_RESAMPLED_ROWS) throw new ProcessingError(`Step ${step} would make ${count} depths; use a larger step`);
+  return Array.from({ length: Math.max(0, count) }, (_, i) => parseFloat(((first + i) * step).toFixed(10)));
+}
+
+// Interpolator of a curve given at depths (any order): value(depth) is linear
+// (or nearest) between the readings either side, and null where either is
+// missing or the depth lies outside the samples
+function createInterpolator(depths, values, method) {
+  const order = depths.map((_, i) => i).sort((a, b) => depths[a] - depths[b]);
+  const xs = order.map(i => depths[i]);
+  const ys = order.map(i => values[i]);
+  return (depth) => {
+    if (xs.length === 0 || depth < xs[0] || depth > xs[xs.length - 1]) return null;
+    let low = 0;
+    let high = xs.length - 1;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (xs[middle] <= depth) low = middle;
+      else high = middle;
+    }
+    if (xs[low] === depth) return isNumber(ys[low]) ? ys[low] : null;
+    if (xs[high] === depth) return isNumber(ys[high]) ? ys[high] : null;
+    if (!isNumber(ys[low]) || !isNumber(ys[high])) return null;
+    if (method === 'nearest') return depth - xs[low] <= xs[high] - depth ? ys[low] : ys[high];
+    return ys[low] + ((ys[high] - ys[low]) * (depth - xs[low])) / (xs[high] - xs[low]);
+  };
+}
+
+// Runs the filter steps (normalizeSteps output) over a curve. Returns
+// { values, steps: [{ ...step, changed }], resample } where resample is the
+// final resample step, if any, and values are the readings before it.
+function processCurve(values, steps) {
+  let current = values;
+  const applied = [];
+  for (const step of steps) {
+    if (step.filter === 'resample') break;
+    const result = applyFilter(current, step);
+    current = result.values;
+    applied.push({ ...step, changed: result.changed });
+  }
+  const last = steps[steps.length - 1];
+  return { values: current, steps: applied, resample: last.filter === 'resample' ? last : null };
+}
+
+module.exports = {
+  ProcessingError,
+  normalizeSteps,
+  processCurve,
+  resampleGrid,
+  createInterpolator
+};
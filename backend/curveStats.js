@@ -0,0 +1,184 @@
+// ============================================
+// CURVE STATISTICS
+// ============================================
+
+// Every histogram has the same number of equal-width bins between the
+// curve's minimum and maximum, so histograms of one curve compare directly
+const HISTOGRAM_BINS = 20;
+
+// Resolution of the quantile sketch: bins per decade of magnitude, each about
+// 1.2% wide, so a curve of any length is summarized in a few thousand bins
+const SKETCH_BINS_PER_DECADE = 200;
+
+// Approximate quantiles of a stream of numbers in bounded memory. Readings are
+// counted in logarithmic bins by magnitude (positive and negative apart, zeros
+// on their own), each bin remembering its smallest and largest reading, so a
+// quantile is exact wherever a bin holds a single distinct value and within
+// about 1% of it elsewhere.
+function createQuantileSketch() {
+  const positive = new Map();
+  const negative = new Map();
+  let zeros = 0;
+  let count = 0;
+
+  const add = (value) => {
+    count++;
+    if (value === 0) {
+      zeros++;
+      return;
+    }
+    const bins = value > 0 ? positive : negative;
+    const key = Math.floor(Math.log10(Math.abs(value)) * SKETCH_BINS_PER_DECADE);
+    const bin = bins.get(key);
+    if (bin) {
+      bin.count++;
+      if (value < bin.min) bin.min = value;
+      if (value > bin.max) bin.max = value;
+    } else {
+      bins.set(key, { count: 1, min: value, max: value });
+    }
+  };
+
+  // Bins in ascending order of value: negative ones by falling magnitude,
+  // then zeros, then positive ones by rising magnitude
+  const ordered = () => [
+    ...[...negative.entries()].sort((a, b) => b[0] - a[0]).map(([, bin]) => bin),
+    ...(zeros > 0 ? [{ count: zeros, min: 0, max: 0 }] : []),
+    ...[...positive.entries()].sort((a, b) => a[0] - b[0]).map(([, bin]) => bin)
+  ];
+
+  // Reading at each rank (0-based, ascending), taking the readings in a bin
+  // as spread evenly between its smallest and largest
+  const valuesAt = (ranks) => {
+    const bins = ordered();
+    const values = [];
+    let below = 0;
+    let b = 0;
+    for (const rank of ranks) {
+      while (below + bins[b].count <= rank) below += bins[b++].count;
+      const { count: n, min, max } = bins[b];
+      values.push(n > 1 ? min + ((max - min) * (rank - below)) / (n - 1) : min);
+    }
+    return values;
+  };
+
+  // Linear interpolation between the closest ranks, like a sorted array's
+  // percentile; ps must be ascending
+  const quantiles = (ps) => {
+    if (count === 0) return ps.map(() => null);
+    const positions = ps.map(p => (count - 1) * p);
+    const ranks = positions.flatMap(position => [Math.floor(position), Math.ceil(position)]);
+    const values = valuesAt(ranks);
+    return positions.map((position, i) => {
+      const [lower, upper] = [values[2 * i], values[2 * i + 1]];
+      return lower + (upper - lower) * (position - Math.floor(position));
+    });
+  };
+
+  // Readings at or below a value, counting a bin it falls inside by the share
+  // of the bin's range below it
+  const rank = (value) => {
+    let total = 0;
+    for (const bin of ordered()) {
+      if (bin.max <= value) total += bin.count;
+      else if (bin.min < value) total += (bin.count * (value - bin.min)) / (bin.max - bin.min);
+    }
+    return total;
+  };
+
+  return {
+    add,
+    quantile: (p) => quantiles([p])[0],
+    quantiles,
+    rank,
+    get count() {
+      return count;
+    }
+  };
+}
+
+// Equal-width histogram between min and max from a sketch of the readings
+function buildHistogram(sketch, min, max, bins) {
+  const binWidth = (max - min) / bins;
+  if (!(binWidth > 0)) {
+    const counts = new Array(bins).fill(0);
+    counts[0] = sketch.count;
+    return { min, max, binWidth, counts };
+  }
+
+  // Whole counts that add up to the number of readings: the rounded number at
+  // or below each inner bin edge, differenced
+  const edges = [0];
+  for (let i = 1; i < bins; i++) edges.push(Math.min(sketch.count, Math.round(sketch.rank(min + i * binWidth))));
+  edges.push(sketch.count);
+  const counts = [];
+  for (let i = 0; i < bins; i++) counts.push(edges[i + 1] - edges[i]);
+  return { min, max, binWidth, counts };
+}
+
+// Accumulates a curve's statistics chunk by chunk: add(values) with the
+// samples of each chunk in turn (numbers, with null for missing readings),
+// then result() returns { count, nulls, mean, std, min, max, p10, p50, p90,
+// histogram }. Memory stays bounded however long the curve is; the
+// percentiles and histogram come from a quantile sketch.
+function createStatsAccumulator({ bins = HISTOGRAM_BINS } = {}) {
+  const sketch = createQuantileSketch();
+  let samples = 0;
+  let mean = 0;
+  let squares = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  const add = (values) => {
+    samples += values.length;
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      sketch.add(value);
+      // Welford's update keeps the variance accurate over long curves
+      const delta = value - mean;
+      mean += delta / sketch.count;
+      squares += delta * (value - mean);
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  };
+
+  const result = () => {
+    const count = sketch.count;
+    const nulls = samples - count;
+    if (count === 0) {
+      return { count, nulls, mean: null, std: null, min: null, max: null, p10: null, p50: null, p90: null, histogram: null };
+    }
+    // Interpolated percentiles never leave the range of the readings
+    const [p10, p50, p90] = sketch.quantiles([0.1, 0.5, 0.9]).map(p => Math.min(max, Math.max(min, p)));
+    return {
+      count,
+      nulls,
+      mean,
+      std: Math.sqrt(squares / count),
+      min,
+      max,
+      p10,
+      p50,
+      p90,
+      histogram: buildHistogram(sketch, min, max, bins)
+    };
+  };
+
+  return { add, result };
+}
+
+// Summarizes one curve's samples held in memory; see createStatsAccumulator
+function computeCurveStats(values, options) {
+  const stats = createStatsAccumulator(options);
+  stats.add(values);
+  return stats.result();
+}
+
+module.exports = {
+  HISTOGRAM_BINS,
+  createQuantileSketch,
+  createStatsAccumulator,
+  computeCurveStats
+};
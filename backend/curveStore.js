@@ -0,0 +1,194 @@
+// Columnar curve storage. A dataset's rows are cut into chunks of
+// CHUNK_ROWS consecutive records (file order). dataset_chunks holds each
+// chunk's depths and depth range; curve_chunks holds one packed array per
+// curve and chunk. Range reads only touch the chunks whose depth range
+// overlaps the request, and listing curves never touches sample data.
+
+// ============================================
+// CHUNK ENCODING
+// ============================================
+
+const CHUNK_ROWS = 4096;
+
+// Numbers are packed as little-endian doubles, missing samples as NaN
+function encodeNumbers(values) {
+  const buffer = Buffer.alloc(values.length * 8);
+  values.forEach((value, i) => buffer.writeDoubleLE(value === null ? NaN : value, i * 8));
+  return buffer;
+}
+
+function decodeNumbers(buffer) {
+  const values = new Array(buffer.length / 8);
+  for (let i = 0; i < values.length; i++) {
+    const value = buffer.readDoubleLE(i * 8);
+    values[i] = Number.isNaN(value) ? null : value;
+  }
+  return values;
+}
+
+// Text curves (LAS 3.0 {S} formats) are stored as a JSON array
+function encodeTexts(values) {
+  return Buffer.from(JSON.stringify(values));
+}
+
+function decodeTexts(buffer) {
+  return JSON.parse(buffer.toString('utf8'));
+}
+
+function all(connection, sql, params) {
+  return new Promise((resolve, reject) => {
+    connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function run(connection, sql, params) {
+  return new Promise((resolve, reject) => {
+    connection.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+// ============================================
+// WRITING
+// ============================================
+
+// Buffers one dataset's records and writes them chunk by chunk.
+// curves: [{ id, valueType }] in the order values are pushed. push() is
+// synchronous; call write() now and then to store the chunks that have
+// filled up, and finish() once at the end. finish() resolves to the row
+// count, depth range and per-curve { samples, nulls, minDepth, maxDepth }.
+function createChunkWriter(connection, { datasetId, curves }) {
+  const ready = [];
+  const curveStats = curves.map(() => ({ samples: 0, nulls: 0, minDepth: null, maxDepth: null }));
+  let depths = [];
+  let columns = curves.map(() => []);
+  let chunkIndex = 0;
+  let rowCount = 0;
+  let minDepth = null;
+  let maxDepth = null;
+
+  const cut = () => {
+    ready.push({ chunkIndex: chunkIndex++, rowStart: rowCount - depths.length, depths, columns });
+    depths = [];
+    columns = curves.map(() => []);
+  };
+
+  const push = (depth, values) => {
+    depths.push(depth);
+    rowCount++;
+    if (minDepth === null || depth < minDepth) minDepth = depth;
+    if (maxDepth === null || depth > maxDepth) maxDepth = depth;
+
+    curves.forEach((curve, i) => {
+      const value = values[i] ?? null;
+      const stats = curveStats[i];
+      columns[i].push(value);
+      stats.samples++;
+      if (value === null) {
+        stats.nulls++;
+        return;
+      }
+      if (stats.minDepth === null || depth < stats.minDepth) stats.minDepth = depth;
+      if (stats.maxDepth === null || depth > stats.maxDepth) stats.maxDepth = depth;
+    });
+
+    if (depths.length === CHUNK_ROWS) cut();
+  };
+
+  const writeChunk = async (chunk) => {
+    await run(connection, `INSERT INTO dataset_chunks
+      (dataset_id, chunk_index, row_start, row_count, min_depth, max_depth, depths) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [datasetId, chunk.chunkIndex, chunk.rowStart, chunk.depths.length,
+        Math.min(...chunk.depths), Math.max(...chunk.depths), encodeNumbers(chunk.depths)]);
+
+    for (let i = 0; i < curves.length; i++) {
+      const data = curves[i].valueType === 'string' ? encodeTexts(chunk.columns[i]) : encodeNumbers(chunk.columns[i]);
+      await run(connection, 'INSERT INTO curve_chunks (curve_id, chunk_index, data) VALUES (?, ?, ?)',
+        [curves[i].id, chunk.chunkIndex, data]);
+    }
+  };
+
+  const write = async () => {
+    while (ready.length > 0) await writeChunk(ready.shift());
+  };
+
+  const finish = async () => {
+    if (depths.length > 0) cut();
+    await write();
+    return { rowCount, minDepth, maxDepth, curveStats };
+  };
+
+  return { push, write, finish };
+}
+
+// Stores one chunk of a numeric curve added after ingest (a derived curve).
+// values must line up with the dataset chunk's depths.
+function writeCurveChunk(connection, curveId, chunkIndex, values) {
+  return run(connection, 'INSERT INTO curve_chunks (curve_id, chunk_index, data) VALUES (?, ?, ?)',
+    [curveId, chunkIndex, encodeNumbers(values)]);
+}
+
+// ============================================
+// READING
+// ============================================
+
+// Catalog rows (curve_info) for the named curves of a dataset, in the order
+// asked for. Unknown names are left out.
+async function findCurves(connection, datasetId, names) {
+  const rows = await all(connection,
+    'SELECT id, curve_name, value_type FROM curve_info WHERE dataset_id = ? AND curve_order > 0', [datasetId]);
+  return names.map(name => rows.find(r => r.curve_name === name)).filter(Boolean);
+}
+
+// Yields the dataset chunk by chunk, in file order, as
+// { index, depths: [...], values: { GR: [...], ... } } holding only rows within
+// [minDepth, maxDepth] (both optional). Pass curves: [] to read depths alone.
+async function* iterateCurveChunks(connection, { datasetId, curves = [], minDepth = null, maxDepth = null }) {
+  const catalog = await findCurves(connection, datasetId, curves);
+  const hasRange = minDepth !== null && maxDepth !== null;
+
+  const chunks = await all(connection,
+    `SELECT chunk_index, depths FROM dataset_chunks WHERE dataset_id = ?
+     ${hasRange ? 'AND max_depth >= ? AND min_depth <= ?' : ''} ORDER BY chunk_index`,
+    hasRange ? [datasetId, minDepth, maxDepth] : [datasetId]);
+
+  for (const chunk of chunks) {
+    const depths = decodeNumbers(chunk.depths);
+    const keep = hasRange ? depths.map(d => d >= minDepth && d <= maxDepth) : null;
+
+    const values = {};
+    for (const curve of catalog) {
+      const row = await all(connection, 'SELECT data FROM curve_chunks WHERE curve_id = ? AND chunk_index = ?',
+        [curve.id, chunk.chunk_index]);
+      const decoded = row.length === 0
+        ? depths.map(() => null)
+        : curve.value_type === 'string' ? decodeTexts(row[0].data) : decodeNumbers(row[0].data);
+      values[curve.curve_name] = keep ? decoded.filter((_, i) => keep[i]) : decoded;
+    }
+
+    yield { index: chunk.chunk_index, depths: keep ? depths.filter((_, i) => keep[i]) : depths, values };
+  }
+}
+
+// Reads curves over a depth interval as depth-aligned rows in file order:
+// [{ depth, GR, RHOB, ... }]
+async function readCurveRows(connection, options) {
+  const rows = [];
+  for await (const { depths, values } of iterateCurveChunks(connection, options)) {
+    const names = Object.keys(values);
+    depths.forEach((depth, i) => {
+      const row = { depth };
+      names.forEach(name => { row[name] = values[name][i]; });
+      rows.push(row);
+    });
+  }
+  return rows;
+}
+
+module.exports = {
+  CHUNK_ROWS,
+  createChunkWriter,
+  writeCurveChunk,
+  findCurves,
+  iterateCurveChunks,
+  readCurveRows
+};
@@ -0,0 +1,231 @@
+// Depth shifting: moving a curve by a constant (bulk) or depth-varying
+// (piecewise) amount, and finding the shift that best lines a curve up with a
+// reference curve from another logging run by windowed cross-correlation.
+// A shift table is a list of control points [{ depth, shift }] on the curve's
+// own depth scale: the reading at depth d moves to d + shift(d), with shift(d)
+// linear between control points and constant beyond the first and last.
+
+const { createInterpolator } = require('./curveProcessing');
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for an unusable shift table or depth-match request
+class DepthShiftError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DepthShiftError';
+  }
+}
+
+// ============================================
+// SHIFT TABLES
+// ============================================
+
+const MAX_SHIFT = 500;
+const MAX_CONTROL_POINTS = 500;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Checks a shift table and returns its control points sorted by depth. Between
+// two points the shift may not fall faster than depth rises, or readings would
+// change order.
+function normalizeShiftTable(shifts) {
+  if (!Array.isArray(shifts) || shifts.length === 0) throw new DepthShiftError('shifts must list at least one { depth, shift }');
+  if (shifts.length > MAX_CONTROL_POINTS) throw new DepthShiftError(`A shift table holds at most ${MAX_CONTROL_POINTS} points`);
+
+  const points = shifts.map((point, i) => {
+    const depth = Number(point && point.depth);
+    const shift = Number(point && point.shift);
+    if (!Number.isFinite(depth) || !Number.isFinite(shift)) {
+      throw new DepthShiftError(`Shift ${i + 1} needs a numeric depth and shift`);
+    }
+    if (Math.abs(shift) > MAX_SHIFT) throw new DepthShiftError(`Shifts are limited to ±${MAX_SHIFT}`);
+    return { depth, shift };
+  }).sort((a, b) => a.depth - b.depth);
+
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    if (a.depth === b.depth) throw new DepthShiftError(`Depth ${a.depth} appears twice in the shift table`);
+    if (b.depth + b.shift <= a.depth + a.shift) {
+      throw new DepthShiftError(`The shifts at ${a.depth} and ${b.depth} would reverse the order of the readings between them`);
+    }
+  }
+  return points;
+}
+
+// Shift at a depth of a normalized table
+function shiftAt(points, depth) {
+  if (depth <= points[0].depth) return points[0].shift;
+  const last = points[points.length - 1];
+  if (depth >= last.depth) return last.shift;
+  let i = 1;
+  while (points[i].depth < depth) i++;
+  const [a, b] = [points[i - 1], points[i]];
+  return a.shift + ((b.shift - a.shift) * (depth - a.depth)) / (b.depth - a.depth);
+}
+
+// The curve (values at depths) moved by a normalized shift table, read back at
+// the same depths; null where no readings lie either side once shifted
+function applyShiftTable(depths, values, points) {
+  const moved = depths.map(depth => depth + shiftAt(points, depth));
+  const interpolate = createInterpolator(moved, values, 'linear');
+  return depths.map(interpolate);
+}
+
+// ============================================
+// DEPTH MATCHING
+// ============================================
+
+const DEFAULT_MAX_SHIFT = 10;
+const DEFAULT_WINDOW = 50;
+// Windows that correlate worse than this at their best shift are left out of
+// a piecewise table
+const MIN_WINDOW_CORRELATION = 0.6;
+// Paired readings a correlation needs to count
+const MIN_PAIRS = 10;
+// Grid points a match may use, at most
+const MAX_GRID = 200000;
+
+function median(values) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Pearson correlation of reference[i] with target[i - lag] for i in [from, to)
+function correlationAt(reference, target, from, to, lag) {
+  let n = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let i = Math.max(from, lag); i < Math.min(to, target.length + lag); i++) {
+    const x = reference[i];
+    const y = target[i - lag];
+    if (x === null || y === null) continue;
+    n++;
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    syy += y * y;
+    sxy += x * y;
+  }
+  if (n < MIN_PAIRS) return null;
+  const cov = sxy - (sx * sy) / n;
+  const vx = sxx - (sx * sx) / n;
+  const vy = syy - (sy * sy) / n;
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+// Best lag (in grid steps, refined between steps by a parabola through the
+// peak and its neighbours) and its correlation over [from, to)
+function bestLag(reference, target, from, to, maxLag) {
+  const scores = new Map();
+  let best = null;
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const score = correlationAt(reference, target, from, to, lag);
+    scores.set(lag, score);
+    if (score !== null && (best === null || score > scores.get(best))) best = lag;
+  }
+  if (best === null) return null;
+
+  const [left, peak, right] = [scores.get(best - 1), scores.get(best), scores.get(best + 1)];
+  let offset = 0;
+  if (isNumber(left) && isNumber(right)) {
+    const curvature = left - 2 * peak + right;
+    if (curvature < 0) offset = Math.max(-0.5, Math.min(0.5, (left - right) / (2 * curvature)));
+  }
+  return { lag: best + offset, correlation: peak };
+}
+
+const round = (value) => parseFloat(value.toFixed(4));
+
+// Finds the shift of the target curve that best matches the reference over
+// [minDepth, maxDepth]. reference and target: { depths, values }. options:
+//   maxShift  largest shift tried either way (default 10)
+//   window    length of the windows of a piecewise match (default 50)
+//   mode      'bulk' (default) or 'piecewise'
+// Returns { step, bulk: { shift, correlation }, windows: [{ top, base, shift,
+// correlation, used }], shifts, correlation: { before, after } } where shifts
+// is the suggested shift table.
+function matchDepth(reference, target, { minDepth, maxDepth, maxShift = DEFAULT_MAX_SHIFT, window = DEFAULT_WINDOW, mode = 'bulk' }) {
+  if (!['bulk', 'piecewise'].includes(mode)) throw new DepthShiftError("mode must be 'bulk' or 'piecewise'");
+  if (!(maxDepth > minDepth)) throw new DepthShiftError('maxDepth must be greater than minDepth');
+  if (!(maxShift > 0) || maxShift > MAX_SHIFT) throw new DepthShiftError(`maxShift must be above 0 and at most ${MAX_SHIFT}`);
+
+  // Both curves are read on a grid at the target's sample spacing
+  const spacing = target.depths.slice(1).map((depth, i) => Math.abs(depth - target.depths[i])).filter(d => d > 0);
+  if (spacing.length === 0) throw new DepthShiftError('The target curve has too few depths to match');
+  const step = median(spacing);
+  const start = minDepth - maxShift;
+  const size = Math.floor((maxDepth + maxShift - start) / step) + 1;
+  if (size > MAX_GRID) throw new DepthShiftError('The interval is too long for the curve\'s sample spacing; choose a shorter one');
+  const grid = Array.from({ length: size }, (_, i) => start + i * step);
+  const referenceGrid = grid.map(createInterpolator(reference.depths, reference.values, 'linear'));
+  const targetGrid = grid.map(createInterpolator(target.depths, target.values, 'linear'));
+
+  const maxLag = Math.round(maxShift / step);
+  const indexOf = (depth) => Math.round((depth - start) / step);
+  const [from, to] = [indexOf(minDepth), indexOf(maxDepth) + 1];
+
+  const bulkMatch = bestLag(referenceGrid, targetGrid, from, to, maxLag);
+  if (!bulkMatch) throw new DepthShiftError('The curves do not overlap enough in this interval to be matched');
+  const bulk = { shift: round(bulkMatch.lag * step), correlation: round(bulkMatch.correlation) };
+
+  const windows = [];
+  let shifts = [{ depth: round((minDepth + maxDepth) / 2 - bulk.shift), shift: bulk.shift }];
+  if (mode === 'piecewise') {
+    if (!(window > 0)) throw new DepthShiftError('window must be above 0');
+    const length = Math.max(MIN_PAIRS, Math.round(window / step));
+    for (let top = from; top < to; top += Math.max(1, Math.floor(length / 2))) {
+      const base = Math.min(to, top + length);
+      const match = bestLag(referenceGrid, targetGrid, top, base, maxLag);
+      if (match) {
+        windows.push({
+          top: round(grid[top]),
+          base: round(grid[base - 1]),
+          shift: round(match.lag * step),
+          correlation: round(match.correlation),
+          used: match.correlation >= MIN_WINDOW_CORRELATION
+        });
+      }
+      if (base === to) break;
+    }
+
+    // A window's shift applies at its centre, on the target's depth scale;
+    // points that would reverse the readings' order are dropped
+    const points = [];
+    for (const w of windows.filter(w => w.used)) {
+      const point = { depth: round((w.top + w.base) / 2 - w.shift), shift: w.shift };
+      const previous = points[points.length - 1];
+      if (previous && point.depth + point.shift <= previous.depth + previous.shift) {
+        w.used = false;
+        continue;
+      }
+      points.push(point);
+    }
+    if (points.length > 0) shifts = points;
+  }
+
+  const points = normalizeShiftTable(shifts);
+  const shifted = applyShiftTable(grid, targetGrid, points);
+  const after = correlationAt(referenceGrid, shifted, from, to, 0);
+  const before = correlationAt(referenceGrid, targetGrid, from, to, 0);
+  return {
+    step,
+    bulk,
+    windows,
+    shifts: points,
+    correlation: { before: before === null ? null : round(before), after: after === null ? null : round(after) }
+  };
+}
+
+module.exports = {
+  DepthShiftError,
+  normalizeShiftTable,
+  shiftAt,
+  applyShiftTable,
+  matchDepth
+};
@@ -0,0 +1,46 @@
+// ============================================
+// DECIMATION
+// ============================================
+
+// Min/max decimation of depth-aligned rows ([{ depth, GR, ... }]) over depth
+// buckets: every bucket keeps, for each curve, the rows holding its lowest and
+// highest reading, so spikes survive at any zoom level. A bucket where a
+// curve has a gap also keeps one of its null rows so the chart still breaks
+// the line there. Returns about maxPoints rows (slightly more only when gaps
+// need marking), always including the ends.
+function decimateMinMax(rows, curveNames, maxPoints) {
+  if (rows.length <= maxPoints) return rows;
+
+  const bucketCount = Math.max(1, Math.floor((maxPoints - 2) / (2 * Math.max(1, curveNames.length))));
+  const bucketSize = rows.length / bucketCount;
+  const keep = new Set([0, rows.length - 1]);
+
+  for (let bucket = 0; bucket < bucketCount; bucket++) {
+    const start = Math.floor(bucket * bucketSize);
+    const end = Math.min(rows.length, Math.floor((bucket + 1) * bucketSize));
+
+    for (const curve of curveNames) {
+      let minIndex = -1;
+      let maxIndex = -1;
+      let nullIndex = -1;
+
+      for (let i = start; i < end; i++) {
+        const value = rows[i][curve];
+        if (typeof value !== 'number') {
+          if (value === null && nullIndex < 0) nullIndex = i;
+          continue;
+        }
+        if (minIndex < 0 || value < rows[minIndex][curve]) minIndex = i;
+        if (maxIndex < 0 || value > rows[maxIndex][curve]) maxIndex = i;
+      }
+
+      [minIndex, maxIndex, nullIndex].forEach(index => { if (index >= 0) keep.add(index); });
+    }
+  }
+
+  return [...keep].sort((a, b) => a - b).map(index => rows[index]);
+}
+
+module.exports = {
+  decimateMinMax
+};
@@ -0,0 +1,72 @@
+// ============================================
+// LAS 2.0 OUTPUT
+// ============================================
+
+// ~W items that are regenerated for the exported interval rather than copied
+const REGENERATED_WELL_ITEMS = ['STRT', 'STOP', 'STEP', 'NULL'];
+
+// "MNEM.UNIT   VALUE   : DESCRIPTION", the layout parseHeaderLine reads back
+function formatHeaderLine({ mnemonic, unit, value, description }) {
+  const name = `${mnemonic}.${unit || ''}`;
+  return `${name.padEnd(16)} ${String(value ?? '').padEnd(28)} : ${description || ''}`;
+}
+
+// Numbers are written as stored, right-aligned in fixed-width columns
+function formatNumber(value) {
+  return String(parseFloat(value.toPrecision(10))).padStart(14);
+}
+
+// Builds the ~V/~W/~C(/~P) sections and the ~A column line of a LAS 2.0 file.
+// wellItems and parameters are the stored header items; curves are
+// { name, unit, apiCode, description } with the depth index first.
+function formatLASHeader({ wellItems, parameters, curves, nullValue, start, stop, step, depthUnit }) {
+  const lines = [
+    '~VERSION INFORMATION',
+    formatHeaderLine({ mnemonic: 'VERS', value: '2.0', description: 'CWLS LOG ASCII STANDARD - VERSION 2.0' }),
+    formatHeaderLine({ mnemonic: 'WRAP', value: 'NO', description: 'ONE LINE PER DEPTH STEP' }),
+    '~WELL INFORMATION',
+    formatHeaderLine({ mnemonic: 'STRT', unit: depthUnit, value: start, description: 'START DEPTH' }),
+    formatHeaderLine({ mnemonic: 'STOP', unit: depthUnit, value: stop, description: 'STOP DEPTH' }),
+    formatHeaderLine({ mnemonic: 'STEP', unit: depthUnit, value: step, description: 'STEP' }),
+    formatHeaderLine({ mnemonic: 'NULL', value: nullValue, description: 'NULL VALUE' }),
+    ...wellItems
+      .filter(item => !REGENERATED_WELL_ITEMS.includes(item.mnemonic.toUpperCase()))
+      .map(formatHeaderLine),
+    '~CURVE INFORMATION',
+    ...curves.map(curve => formatHeaderLine({
+      mnemonic: curve.name, unit: curve.unit, value: curve.apiCode, description: curve.description
+    }))
+  ];
+
+  if (parameters.length > 0) {
+    lines.push('~PARAMETER INFORMATION', ...parameters.map(formatHeaderLine));
+  }
+
+  lines.push(`~A ${curves.map(c => c.name).join(' ')}`);
+  return lines.join('\n') + '\n';
+}
+
+// One ~A line; missing samples become the NULL value
+function formatLASRow(depth, values, nullValue) {
+  return [depth, ...values].map(value => formatNumber(value === null ? nullValue : value)).join(' ') + '\n';
+}
+
+// ============================================
+// CSV OUTPUT
+// ============================================
+
+function formatCSVCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCSVRow(cells) {
+  return cells.map(formatCSVCell).join(',') + '\n';
+}
+
+module.exports = {
+  formatLASHeader,
+  formatLASRow,
+  formatCSVRow
+};
@@ -0,0 +1,329 @@
+// Unsupervised electrofacies: depths described by several curves are
+// standardized and grouped by k-means or a Gaussian mixture, with k given or
+// picked by the silhouette score (k-means) or BIC (mixture). The fitted model
+// labels any depth, so the server can store the facies as a curve.
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for an unknown method, an unusable k or too few complete depths
+class FaciesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FaciesError';
+  }
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const METHODS = ['kmeans', 'gmm'];
+const MAX_K = 10;
+// Range tried when k is 'auto'
+const AUTO_K = { min: 2, max: 8 };
+// Depths used to fit the model and to score a k; evenly spaced over the
+// interval so a long log fits in about the same time as a short one
+const FIT_SAMPLE = 5000;
+const SCORE_SAMPLE = 1000;
+const RESTARTS = 3;
+const MAX_ITERATIONS = 100;
+// Floor on a mixture component's variance, in standardized units
+const MIN_VARIANCE = 1e-3;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Mulberry32: a seeded generator so the same request gives the same facies
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Every step-th item so at most max remain
+function evenSample(items, max) {
+  if (items.length <= max) return items;
+  const step = items.length / max;
+  return Array.from({ length: max }, (_, i) => items[Math.floor(i * step)]);
+}
+
+const squaredDistance = (a, b) => {
+  let sum = 0;
+  for (let j = 0; j < a.length; j++) sum += (a[j] - b[j]) ** 2;
+  return sum;
+};
+
+function nearest(point, centroids) {
+  let best = 0;
+  let bestDistance = Infinity;
+  centroids.forEach((centroid, c) => {
+    const distance = squaredDistance(point, centroid);
+    if (distance < bestDistance) {
+      best = c;
+      bestDistance = distance;
+    }
+  });
+  return { cluster: best, distance: bestDistance };
+}
+
+// ============================================
+// K-MEANS
+// ============================================
+
+// k-means++ seeding: each next centre drawn with probability proportional to
+// the squared distance from the nearest centre already chosen
+function seedCentroids(points, k, random) {
+  const centroids = [points[Math.floor(random() * points.length)]];
+  const distances = points.map(point => squaredDistance(point, centroids[0]));
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    let target = random() * total;
+    let index = distances.findIndex(d => (target -= d) <= 0);
+    if (index < 0 || total === 0) index = Math.floor(random() * points.length);
+    centroids.push(points[index]);
+    points.forEach((point, i) => {
+      distances[i] = Math.min(distances[i], squaredDistance(point, points[index]));
+    });
+  }
+  return centroids.map(centroid => [...centroid]);
+}
+
+// Lloyd's iterations from the best of a few seedings.
+// Returns { centroids, labels, inertia }.
+function kMeans(points, k, random) {
+  let best = null;
+  for (let restart = 0; restart < RESTARTS; restart++) {
+    const centroids = seedCentroids(points, k, random);
+    const labels = new Array(points.length).fill(-1);
+    let inertia = 0;
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      let changed = false;
+      inertia = 0;
+      points.forEach((point, i) => {
+        const { cluster, distance } = nearest(point, centroids);
+        if (labels[i] !== cluster) changed = true;
+        labels[i] = cluster;
+        inertia += distance;
+      });
+      if (!changed) break;
+
+      const sums = centroids.map(centroid => new Array(centroid.length).fill(0));
+      const counts = new Array(k).fill(0);
+      points.forEach((point, i) => {
+        counts[labels[i]]++;
+        point.forEach((value, j) => { sums[labels[i]][j] += value; });
+      });
+      // An emptied cluster keeps its centre
+      sums.forEach((sum, c) => {
+        if (counts[c] > 0) centroids[c] = sum.map(value => value / counts[c]);
+      });
+    }
+
+    if (!best || inertia < best.inertia) best = { centroids, labels, inertia };
+  }
+  return best;
+}
+
+// Mean silhouette of labelled points: how much closer each point is to its own
+// cluster than to the next nearest one, from -1 to 1
+function silhouette(points, labels, k) {
+  let total = 0;
+  points.forEach((point, i) => {
+    const sums = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+    points.forEach((other, o) => {
+      if (o === i) return;
+      sums[labels[o]] += Math.sqrt(squaredDistance(point, other));
+      counts[labels[o]]++;
+    });
+    const own = labels[i];
+    if (counts[own] === 0) return;
+    const a = sums[own] / counts[own];
+    const b = Math.min(...sums.map((sum, c) => (c === own || counts[c] === 0 ? Infinity : sum / counts[c])));
+    if (Number.isFinite(b)) total += (b - a) / Math.max(a, b);
+  });
+  return total / points.length;
+}
+
+// ============================================
+// GAUSSIAN MIXTURE
+// ============================================
+
+const LOG_2PI = Math.log(2 * Math.PI);
+
+// Log density of each component at a point, weight included
+function componentLogDensities(point, { means, variances, weights }) {
+  return means.map((mean, c) => {
+    let log = Math.log(weights[c]);
+    for (let j = 0; j < point.length; j++) {
+      log -= 0.5 * (LOG_2PI + Math.log(variances[c][j]) + (point[j] - mean[j]) ** 2 / variances[c][j]);
+    }
+    return log;
+  });
+}
+
+const logSumExp = (logs) => {
+  const max = Math.max(...logs);
+  return max + Math.log(logs.reduce((sum, log) => sum + Math.exp(log - max), 0));
+};
+
+// Diagonal-covariance mixture fitted by expectation-maximization from a
+// k-means start. Returns { means, variances, weights, logLikelihood }.
+function gaussianMixture(points, k, random) {
+  const dimensions = points[0].length;
+  const start = kMeans(points, k, random);
+  const model = { means: start.centroids, variances: [], weights: [] };
+  start.centroids.forEach((_, c) => {
+    const members = points.filter((_, i) => start.labels[i] === c);
+    model.weights[c] = Math.max(members.length, 1) / points.length;
+    model.variances[c] = Array.from({ length: dimensions }, (_, j) => Math.max(MIN_VARIANCE,
+      members.reduce((sum, point) => sum + (point[j] - model.means[c][j]) ** 2, 0) / Math.max(members.length, 1)));
+  });
+
+  let logLikelihood = -Infinity;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    // E step: responsibilities of each component for each point
+    let total = 0;
+    const responsibilities = points.map(point => {
+      const logs = componentLogDensities(point, model);
+      const norm = logSumExp(logs);
+      total += norm;
+      return logs.map(log => Math.exp(log - norm));
+    });
+
+    // M step
+    for (let c = 0; c < k; c++) {
+      const weight = responsibilities.reduce((sum, r) => sum + r[c], 0);
+      if (weight < 1e-9) continue;
+      model.weights[c] = weight / points.length;
+      model.means[c] = Array.from({ length: dimensions }, (_, j) =>
+        points.reduce((sum, point, i) => sum + responsibilities[i][c] * point[j], 0) / weight);
+      model.variances[c] = Array.from({ length: dimensions }, (_, j) => Math.max(MIN_VARIANCE,
+        points.reduce((sum, point, i) => sum + responsibilities[i][c] * (point[j] - model.means[c][j]) ** 2, 0) / weight));
+    }
+
+    const converged = total - logLikelihood < 1e-4 * Math.abs(total);
+    logLikelihood = total;
+    if (converged) break;
+  }
+  return { ...model, logLikelihood };
+}
+
+// Bayesian information criterion of a diagonal mixture; lower is better
+function mixtureBIC({ logLikelihood }, k, dimensions, count) {
+  const parameters = k * 2 * dimensions + (k - 1);
+  return -2 * logLikelihood + parameters * Math.log(count);
+}
+
+// ============================================
+// FITTING
+// ============================================
+
+// Fits facies to depth rows ([{ depth, CURVE: value, ... }]) on the given
+// curves; rows missing any of them are ignored. options:
+//   method   'kmeans' (default) or 'gmm'
+//   k        number of facies, or 'auto' (default) to choose one in 2-8
+//   seed     random seed (default 1)
+// Returns a model for labelFacies() plus { k, selection: [{ k, score }],
+// metric } describing how k was chosen.
+function fitFacies(rows, curves, { method = 'kmeans', k = 'auto', seed = 1 } = {}) {
+  if (!METHODS.includes(method)) throw new FaciesError(`Method must be one of ${METHODS.join(', ')}`);
+  if (curves.length === 0) throw new FaciesError('Select at least one curve');
+  const auto = k === 'auto' || k === undefined || k === null || k === '';
+  const wanted = auto ? null : Number(k);
+  if (!auto && (!Number.isInteger(wanted) || wanted < 2 || wanted > MAX_K)) {
+    throw new FaciesError(`k must be 'auto' or a whole number from 2 to ${MAX_K}`);
+  }
+
+  const complete = rows.filter(row => curves.every(curve => isNumber(row[curve])));
+  const minRows = (auto ? AUTO_K.max : wanted) * 5;
+  if (complete.length < minRows) {
+    throw new FaciesError(`Only ${complete.length} depths have all of ${curves.join(', ')}; at least ${minRows} are needed`);
+  }
+
+  // Standardize so each curve weighs the same whatever its unit
+  const means = curves.map(curve => complete.reduce((sum, row) => sum + row[curve], 0) / complete.length);
+  const stds = curves.map((curve, j) => Math.sqrt(
+    complete.reduce((sum, row) => sum + (row[curve] - means[j]) ** 2, 0) / complete.length) || 1);
+  const standardize = (row) => curves.map((curve, j) => (row[curve] - means[j]) / stds[j]);
+  const points = evenSample(complete, FIT_SAMPLE).map(standardize);
+
+  const random = createRandom(seed);
+  const fit = (count) => (method === 'gmm' ? gaussianMixture(points, count, random) : kMeans(points, count, random));
+  const score = (model, count) => {
+    if (method === 'gmm') return mixtureBIC(model, count, curves.length, points.length);
+    const sample = evenSample(points.map((point, i) => [point, model.labels[i]]), SCORE_SAMPLE);
+    return silhouette(sample.map(([point]) => point), sample.map(([, label]) => label), count);
+  };
+
+  let chosen = { k: wanted, model: null };
+  const selection = [];
+  if (auto) {
+    for (let count = AUTO_K.min; count <= AUTO_K.max; count++) {
+      const model = fit(count);
+      const value = score(model, count);
+      selection.push({ k: count, score: parseFloat(value.toFixed(4)) });
+      const better = method === 'gmm' ? value < chosen.score : value > chosen.score;
+      if (!chosen.model || better) chosen = { k: count, model, score: value };
+    }
+  } else {
+    chosen.model = fit(wanted);
+  }
+
+  // Facies numbered 1..k in order of the first curve's centre, so reruns and
+  // nearby intervals number alike
+  const centres = method === 'gmm' ? chosen.model.means : chosen.model.centroids;
+  const order = centres.map((_, c) => c).sort((a, b) => centres[a][0] - centres[b][0]);
+  const model = {
+    method,
+    curves,
+    means,
+    stds,
+    centres: order.map(c => centres[c]),
+    variances: method === 'gmm' ? order.map(c => chosen.model.variances[c]) : null,
+    weights: method === 'gmm' ? order.map(c => chosen.model.weights[c]) : null
+  };
+  return { model, k: chosen.k, selection, metric: auto ? (method === 'gmm' ? 'bic' : 'silhouette') : null };
+}
+
+// Facies (1..k) of one depth: { CURVE: value, ... } -> number, or null when a
+// curve is missing. k-means takes the nearest centre, the mixture the most
+// probable component.
+function labelFacies(model, sample) {
+  if (!model.curves.every(curve => isNumber(sample[curve]))) return null;
+  const point = model.curves.map((curve, j) => (sample[curve] - model.means[j]) / model.stds[j]);
+  if (model.method === 'kmeans') return nearest(point, model.centres).cluster + 1;
+
+  const logs = componentLogDensities(point, { means: model.centres, variances: model.variances, weights: model.weights });
+  return logs.indexOf(Math.max(...logs)) + 1;
+}
+
+// Per-facies depth count and centre in the curves' own units
+function describeFacies(model, labels) {
+  const counts = new Array(model.centres.length).fill(0);
+  labels.forEach(label => { if (label !== null) counts[label - 1]++; });
+  const labelled = counts.reduce((sum, count) => sum + count, 0);
+  return model.centres.map((centre, c) => ({
+    facies: c + 1,
+    count: counts[c],
+    fraction: labelled > 0 ? parseFloat((counts[c] / labelled).toFixed(4)) : 0,
+    centroid: Object.fromEntries(model.curves.map((curve, j) =>
+      [curve, parseFloat((centre[j] * model.stds[j] + model.means[j]).toFixed(4))]))
+  }));
+}
+
+module.exports = {
+  FaciesError,
+  METHODS,
+  MAX_K,
+  fitFacies,
+  labelFacies,
+  describeFacies
+};
@@ -0,0 +1,390 @@
+// A small expression language for computed curves, e.g. HC1/(HC1+HC2+HC3)
+// or log10(RT). Formulas are tokenized and parsed into a tree that is
+// compiled to plain closures; nothing is ever passed to eval or Function.
+//
+//   numbers       1, 0.5, 2.5e-3        curves   GR, RHOB, [GR-1] (any name in brackets)
+//   arithmetic    + - * / % ^           compare  < <= > >= == !=
+//   logic         and or not (&& || !)  choose   cond ? a : b, if(cond, a, b)
+//   functions     see FUNCTIONS below   null     the missing value
+//
+// A missing reading makes the whole expression null unless it is handled with
+// isnull() / coalesce() or sits in a branch that is not taken. Results that
+// are not finite numbers (x/0, ln of a negative, ...) are stored as null.
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for a formula that does not parse; position is the offset of the
+// offending character in the source
+class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} at position ${position + 1}`);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+// ============================================
+// TOKENS
+// ============================================
+
+const MAX_FORMULA_LENGTH = 1000;
+const MAX_NESTING = 64;
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const SYMBOLS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '(', ')', ',', '?', ':'];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (name) {
+      const word = name[0];
+      // Own keys only, so words like constructor stay curve names
+      const lower = word.toLowerCase();
+      const keyword = Object.hasOwn(KEYWORDS, lower) ? KEYWORDS[lower] : null;
+      tokens.push(keyword ? { type: 'symbol', value: keyword, position: i } : { type: 'name', value: word, position: i });
+      i += word.length;
+      continue;
+    }
+
+    if (rest[0] === '[') {
+      const end = rest.indexOf(']');
+      if (end < 2) throw new FormulaError(end === 1 ? 'Empty curve name' : 'Unclosed [', i);
+      tokens.push({ type: 'curve', value: rest.slice(1, end).trim(), position: i });
+      i += end + 1;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(s => rest.startsWith(s));
+    if (!symbol) throw new FormulaError(`Unexpected character "${rest[0]}"`, i);
+    tokens.push({ type: 'symbol', value: symbol, position: i });
+    i += symbol.length;
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// ============================================
+// FUNCTIONS
+// ============================================
+
+// args: [min, max] argument count. Every argument must be non-null or the
+// call is null, except for the lazy / null-aware ones handled in compile().
+const FUNCTIONS = {
+  abs: { args: [1, 1], fn: Math.abs },
+  sqrt: { args: [1, 1], fn: Math.sqrt },
+  exp: { args: [1, 1], fn: Math.exp },
+  ln: { args: [1, 1], fn: Math.log },
+  log: { args: [1, 1], fn: Math.log },
+  log10: { args: [1, 1], fn: Math.log10 },
+  pow: { args: [2, 2], fn: Math.pow },
+  min: { args: [1, Infinity], fn: Math.min },
+  max: { args: [1, Infinity], fn: Math.max },
+  floor: { args: [1, 1], fn: Math.floor },
+  ceil: { args: [1, 1], fn: Math.ceil },
+  round: { args: [1, 2], fn: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits },
+  clamp: { args: [3, 3], fn: (x, low, high) => Math.min(high, Math.max(low, x)) },
+  if: { args: [3, 3] },
+  isnull: { args: [1, 1] },
+  coalesce: { args: [1, Infinity] }
+};
+
+const CONSTANTS = { pi: Math.PI, null: null };
+
+// ============================================
+// PARSER
+// ============================================
+
+// Recursive descent, lowest precedence first:
+// ternary, or, and, not, comparison, + -, * / %, unary -, ^, primary
+function parse(source) {
+  if (typeof source !== 'string') throw new FormulaError('Formula must be a string');
+  if (!source.trim()) throw new FormulaError('Formula is empty');
+  if (source.length > MAX_FORMULA_LENGTH) {
+    throw new FormulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+  }
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = (...values) => peek().type === 'symbol' && values.includes(peek().value);
+  const next = () => tokens[index++];
+  const expect = (value) => {
+    if (!isSymbol(value)) throw new FormulaError(`Expected "${value}"`, peek().position);
+    return next();
+  };
+  const nested = (parseFn) => {
+    if (++depth > MAX_NESTING) throw new FormulaError('Formula is nested too deeply', peek().position);
+    const node = parseFn();
+    depth--;
+    return node;
+  };
+
+  const binaryLevel = (operators, parseOperand) => () => {
+    let node = parseOperand();
+    while (isSymbol(...operators)) {
+      const { value: op, position } = next();
+      node = { type: 'binary', op, left: node, right: parseOperand(), position };
+    }
+    return node;
+  };
+
+  const ternary = () => nested(() => {
+    const condition = or();
+    if (!isSymbol('?')) return condition;
+    const { position } = next();
+    const then = ternary();
+    expect(':');
+    return { type: 'if', condition, then, otherwise: ternary(), position };
+  });
+
+  const unaryLevel = (operators, parseOperand) => {
+    const level = () => {
+      if (!isSymbol(...operators)) return parseOperand();
+      const { value: op, position } = next();
+      return { type: 'unary', op, operand: nested(level), position };
+    };
+    return level;
+  };
+
+  const primary = () => {
+    const token = next();
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'curve') return { type: 'curve', name: token.value, position: token.position };
+
+    if (token.type === 'symbol' && token.value === '(') {
+      const node = ternary();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'name') {
+      if (isSymbol('(')) {
+        const name = token.value.toLowerCase();
+        const definition = Object.hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+        if (!definition) throw new FormulaError(`Unknown function ${token.value}`, token.position);
+        next();
+        const args = [];
+        if (!isSymbol(')')) {
+          args.push(ternary());
+          while (isSymbol(',')) {
+            next();
+            args.push(ternary());
+          }
+        }
+        expect(')');
+        const [min, max] = definition.args;
+        if (args.length < min || args.length > max) {
+          const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+          throw new FormulaError(`${name}() takes ${expected} argument${min === 1 && max === 1 ? '' : 's'}`, token.position);
+        }
+        return { type: 'call', name, args, position: token.position };
+      }
+      const constant = token.value.toLowerCase();
+      if (Object.hasOwn(CONSTANTS, constant)) return { type: 'number', value: CONSTANTS[constant] };
+      return { type: 'curve', name: token.value, position: token.position };
+    }
+
+    if (token.type === 'end') throw new FormulaError('Formula ends unexpectedly', token.position);
+    throw new FormulaError(`Unexpected "${token.value}"`, token.position);
+  };
+
+  const power = () => {
+    const base = primary();
+    if (!isSymbol('^')) return base;
+    const { position } = next();
+    // Right-associative, and binds tighter than a leading minus: -2^2 is -4
+    return { type: 'binary', op: '^', left: base, right: nested(unary), position };
+  };
+  const unary = unaryLevel(['-', '+'], power);
+  const multiplicative = binaryLevel(['*', '/', '%'], unary);
+  const additive = binaryLevel(['+', '-'], multiplicative);
+  const comparison = binaryLevel(['<', '<=', '>', '>=', '==', '!='], additive);
+  const not = unaryLevel(['!'], comparison);
+  const and = binaryLevel(['&&'], not);
+  const or = binaryLevel(['||'], and);
+
+  const tree = ternary();
+  if (peek().type !== 'end') throw new FormulaError(`Unexpected "${peek().value}"`, peek().position);
+  return tree;
+}
+
+// ============================================
+// COMPILER
+// ============================================
+
+const OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => Math.pow(a, b),
+  '<': (a, b) => Number(a < b),
+  '<=': (a, b) => Number(a <= b),
+  '>': (a, b) => Number(a > b),
+  '>=': (a, b) => Number(a >= b),
+  '==': (a, b) => Number(a === b),
+  '!=': (a, b) => Number(a !== b)
+};
+
+const finite = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Turns a parse tree into a function of one row ({ CURVE: value }), noting
+// the curves it reads in `curves`
+function compile(node, curves) {
+  switch (node.type) {
+    case 'number':
+      return () => node.value;
+
+    case 'curve':
+      curves.add(node.name);
+      return (row) => finite(row[node.name]);
+
+    case 'unary': {
+      const operand = compile(node.operand, curves);
+      if (node.op === '!') return (row) => { const v = operand(row); return v === null ? null : Number(!v); };
+      const sign = node.op === '-' ? -1 : 1;
+      return (row) => { const v = operand(row); return v === null ? null : sign * v; };
+    }
+
+    case 'binary': {
+      const left = compile(node.left, curves);
+      const right = compile(node.right, curves);
+      // Short-circuit, so `x > 0 and ln(x) > 1` never evaluates ln(0)
+      if (node.op === '&&') return (row) => { const a = left(row); return a === null ? null : a ? right(row) && 1 : 0; };
+      if (node.op === '||') return (row) => { const a = left(row); return a === null ? null : a ? 1 : right(row) && 1; };
+      const op = OPERATORS[node.op];
+      return (row) => {
+        const a = left(row);
+        if (a === null) return null;
+        const b = right(row);
+        return b === null ? null : finite(op(a, b));
+      };
+    }
+
+    case 'if': {
+      const [condition, then, otherwise] = [node.condition, node.then, node.otherwise].map(n => compile(n, curves));
+      return (row) => {
+        const test = condition(row);
+        if (test === null) return null;
+        return test ? then(row) : otherwise(row);
+      };
+    }
+
+    case 'call': {
+      if (node.name === 'if') {
+        return compile({ type: 'if', condition: node.args[0], then: node.args[1], otherwise: node.args[2] }, curves);
+      }
+      const args = node.args.map(arg => compile(arg, curves));
+      if (node.name === 'isnull') return (row) => Number(args[0](row) === null);
+      if (node.name === 'coalesce') {
+        return (row) => {
+          for (const arg of args) {
+            const value = arg(row);
+            if (value !== null) return value;
+          }
+          return null;
+        };
+      }
+      const { fn } = FUNCTIONS[node.name];
+      return (row) => {
+        const values = [];
+        for (const arg of args) {
+          const value = arg(row);
+          if (value === null) return null;
+          values.push(value);
+        }
+        return finite(fn(...values));
+      };
+    }
+
+    default:
+      throw new FormulaError(`Unknown node ${node.type}`);
+  }
+}
+
+// Parses and compiles a formula. With `available` (the dataset's numeric
+// curve names) a reference to any other curve is an error. Returns
+// { curves: [names read], evaluate(row) -> number | null }.
+function compileFormula(source, available = null) {
+  const tree = parse(source);
+  const curves = new Set();
+  const evaluate = compile(tree, curves);
+
+  if (available) {
+    const unknown = findCurveNodes(tree).find(node => !available.includes(node.name));
+    if (unknown) throw new FormulaError(`Unknown curve ${unknown.name}`, unknown.position);
+  }
+  return { curves: [...curves], evaluate };
+}
+
+function findCurveNodes(node) {
+  if (node.type === 'curve') return [node];
+  return [node.operand, node.left, node.right, node.condition, node.then, node.otherwise, ...(node.args || [])]
+    .filter(Boolean)
+    .flatMap(findCurveNodes);
+}
+
+// ============================================
+// COMPUTED CURVES
+// ============================================
+
+const CURVE_NAME = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+// A derived-curve plan (see saveDerivedCurves in server.js) for
+// { name, formula, unit, description }, checked against the dataset's
+// numeric curves
+function planFormulaCurve({ name, formula, unit = '', description = '' }, available) {
+  if (typeof name !== 'string' || !CURVE_NAME.test(name)) {
+    throw new FormulaError('Curve name must start with a letter and use only letters, digits and _ (32 at most)');
+  }
+  const { curves, evaluate } = compileFormula(formula, available);
+
+  return {
+    inputs: curves,
+    outputs: [{
+      name,
+      unit: unit || '',
+      description: description || `= ${formula.trim()}`,
+      derivation: { method: 'formula', formula: formula.trim(), inputs: curves }
+    }],
+    compute: (values, rowCount) => {
+      const results = new Array(rowCount);
+      const row = {};
+      for (let i = 0; i < rowCount; i++) {
+        curves.forEach(curve => { row[curve] = values[curve][i]; });
+        results[i] = evaluate(row);
+      }
+      return { [name]: results };
+    }
+  };
+}
+
+module.exports = {
+  FormulaError,
+  FUNCTIONS,
+  CURVE_NAME,
+  compileFormula,
+  planFormulaCurve
+};
@@ -0,0 +1,235 @@
+// Mud gas show evaluation from the C1-C5 chromatograph curves: Haworth's
+// wetness, balance and character ratios, Pixler ratios, composition and
+// drilling-normalized total gas, a fluid class per depth and the show
+// intervals those classes form.
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised when the gas components cannot be mapped to curves
+class GasAnalysisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GasAnalysisError';
+  }
+}
+
+// ============================================
+// CURVE MAPPING
+// ============================================
+
+const COMPONENTS = ['c1', 'c2', 'c3', 'c4', 'c5'];
+
+// Mnemonics tried for each component when the request does not map it, in
+// order of preference. A list stands for curves that are summed (iC4 + nC4).
+const DEFAULT_MNEMONICS = {
+  c1: ['C1', 'HC1', 'METH', 'METHANE'],
+  c2: ['C2', 'HC2', 'ETH', 'ETHANE'],
+  c3: ['C3', 'HC3', 'PROP', 'PROPANE'],
+  c4: [['IC4', 'NC4'], 'C4', 'HC4', 'BUT', 'BUTANE'],
+  c5: [['IC5', 'NC5'], 'C5', 'HC5', 'PENT', 'PENTANE']
+};
+
+// C4 and C5 are often not logged; the ratios then treat them as zero
+const REQUIRED_COMPONENTS = ['c1', 'c2', 'c3'];
+
+// Maps each component to the curves it sums: { c1: ['HC1'], c4: ['IC4', 'NC4'], ... }.
+// requested: { c1: 'HC1', c4: ['IC4', 'NC4'], ... } overrides the defaults;
+// available: the dataset's numeric curve names. Components left unmapped are
+// omitted (an error for C1-C3).
+function resolveGasMapping(requested = {}, available) {
+  const find = (name) => available.find(curve => curve.toUpperCase() === String(name).toUpperCase());
+  const mapping = {};
+
+  COMPONENTS.forEach(component => {
+    const wanted = requested[component];
+    if (wanted !== undefined && wanted !== null && wanted !== '') {
+      const names = Array.isArray(wanted) ? wanted : [wanted];
+      const missing = names.filter(name => !find(name));
+      if (missing.length > 0) {
+        throw new GasAnalysisError(`${component.toUpperCase()} curve ${missing.join(', ')} not found`);
+      }
+      mapping[component] = names.map(find);
+      return;
+    }
+
+    for (const candidate of DEFAULT_MNEMONICS[component]) {
+      const names = (Array.isArray(candidate) ? candidate : [candidate]).map(find);
+      if (names.every(Boolean)) {
+        mapping[component] = names;
+        return;
+      }
+    }
+  });
+
+  const missing = REQUIRED_COMPONENTS.filter(component => !mapping[component]);
+  if (missing.length > 0) {
+    throw new GasAnalysisError(`No curve found for ${missing.map(c => c.toUpperCase()).join(', ')}; map them in "mapping"`);
+  }
+  return mapping;
+}
+
+// ============================================
+// RATIOS AND CLASSES
+// ============================================
+
+// Haworth et al. (1985) wetness boundaries, in %
+const WETNESS = { dryGas: 0.5, gas: 17.5, oil: 40 };
+// Balance above this means very dry, non-productive gas
+const MAX_PRODUCTIVE_BALANCE = 100;
+// Character above this points to oil with a gas-range wetness
+const OIL_CHARACTER = 0.5;
+// Pixler C1/C2 bands: oil between 2 and 15, gas between 15 and 65
+const PIXLER = { oil: 2, gas: 15, nonProductive: 65 };
+
+const CLASSES = ['gas', 'light oil', 'oil', 'non-productive'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const ratio = (a, b) => (b > 0 ? a / b : null);
+
+// Haworth's interpretation of wetness (Wh), balance (Bh) and character (Ch)
+function classify({ wetness, balance, character }) {
+  if (wetness === null || wetness < WETNESS.dryGas) return 'non-productive';
+  if (wetness >= WETNESS.oil) return 'non-productive';
+  if (wetness >= WETNESS.gas) return 'oil';
+  if (balance !== null && balance > MAX_PRODUCTIVE_BALANCE) return 'non-productive';
+  // Balance below wetness in the gas range: gas with associated oil, which
+  // character tells apart from wet gas / condensate
+  if (balance !== null && balance < wetness && character !== null && character > OIL_CHARACTER) return 'light oil';
+  return 'gas';
+}
+
+function pixlerZone(c1c2) {
+  if (c1c2 === null) return null;
+  if (c1c2 < PIXLER.oil || c1c2 > PIXLER.nonProductive) return 'non-productive';
+  return c1c2 < PIXLER.gas ? 'oil' : 'gas';
+}
+
+// Ratios of one depth. gas: { c1, ..., c5 } readings (c4, c5 may be 0).
+function gasRatios({ c1, c2, c3, c4, c5 }) {
+  const total = c1 + c2 + c3 + c4 + c5;
+  const ratios = {
+    total,
+    wetness: total > 0 ? ((c2 + c3 + c4 + c5) / total) * 100 : null,
+    balance: ratio(c1 + c2, c3 + c4 + c5),
+    character: ratio(c4 + c5, c3),
+    pixler: { c1c2: ratio(c1, c2), c1c3: ratio(c1, c3), c1c4: ratio(c1, c4), c1c5: ratio(c1, c5) },
+    composition: Object.fromEntries(COMPONENTS.map((component, i) =>
+      [component, total > 0 ? ([c1, c2, c3, c4, c5][i] / total) * 100 : null]))
+  };
+  return { ...ratios, pixlerZone: pixlerZone(ratios.pixler.c1c2) };
+}
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+function median(values) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+}
+
+const round = (value) => (value === null ? null : parseFloat(value.toFixed(2)));
+
+// Contiguous runs of the same productive class, at least minSamples long. A
+// productive run shorter than that between two runs of one class (a sample
+// or two reading lighter or heavier) is counted into the show around it.
+function findShows(samples, minSamples) {
+  const runs = [];
+  samples.forEach(sample => {
+    const fluid = sample.class === 'non-productive' ? null : sample.class;
+    const last = runs[runs.length - 1];
+    if (last && last.class === fluid) last.samples.push(sample);
+    else runs.push({ class: fluid, samples: [sample] });
+  });
+
+  for (let i = 1; i < runs.length - 1; i++) {
+    const [before, run, after] = [runs[i - 1], runs[i], runs[i + 1]];
+    if (run.class && run.samples.length < minSamples && before.class && before.class === after.class) {
+      // concat, not push(...): a run can hold more samples than a call takes arguments
+      before.samples = before.samples.concat(run.samples, after.samples);
+      runs.splice(i, 2);
+      i--;
+    }
+  }
+
+  return runs
+    .filter(run => run.class && run.samples.length >= minSamples)
+    .map(run => {
+      const mean = (key) => run.samples.reduce((sum, s) => sum + s[key], 0) / run.samples.length;
+      return {
+        top: run.samples[0].depth,
+        base: run.samples[run.samples.length - 1].depth,
+        class: run.class,
+        samples: run.samples.length,
+        meanWetness: round(mean('wetness')),
+        meanBalance: round(run.samples.every(s => s.balance !== null) ? mean('balance') : null),
+        peakGas: round(run.samples.reduce((peak, s) => Math.max(peak, s.normalizedGas), -Infinity))
+      };
+    });
+}
+
+// Evaluates depth-sorted rows ([{ depth, CURVE: value, ... }]) with a
+// resolveGasMapping() mapping. options:
+//   rop, flow     curve names; total gas is normalized to the interval's
+//                 median rate of penetration and flow rate when given
+//   minTotalGas   total gas below which a depth is background (default: twice
+//                 the median total gas of the interval)
+//   minSamples    shortest show, in samples (default 3)
+// Returns { samples: [{ depth, total, normalizedGas, wetness, balance,
+// character, pixler, pixlerZone, composition, class }], shows, background }.
+function analyzeGas(rows, mapping, { rop = null, flow = null, minTotalGas = null, minSamples = 3 } = {}) {
+  const reading = (row, component) => {
+    if (!mapping[component]) return 0;
+    let sum = 0;
+    for (const name of mapping[component]) {
+      if (!isNumber(row[name])) return null;
+      sum += Math.max(0, row[name]);
+    }
+    return sum;
+  };
+
+  const positive = (name) => rows.map(row => row[name]).filter(v => isNumber(v) && v > 0);
+  const ropReference = rop ? median(positive(rop)) : null;
+  const flowReference = flow ? median(positive(flow)) : null;
+
+  // Gas per unit of rock drilled: faster drilling or less mud flow puts more
+  // cuttings gas into each volume of mud
+  const normalize = (row, total) => {
+    let value = total;
+    if (ropReference) {
+      if (!isNumber(row[rop]) || row[rop] <= 0) return null;
+      value *= ropReference / row[rop];
+    }
+    if (flowReference) {
+      if (!isNumber(row[flow]) || row[flow] <= 0) return null;
+      value *= row[flow] / flowReference;
+    }
+    return value;
+  };
+
+  const samples = [];
+  rows.forEach(row => {
+    const gas = Object.fromEntries(COMPONENTS.map(component => [component, reading(row, component)]));
+    if (Object.values(gas).some(value => value === null)) return;
+    const ratios = gasRatios(gas);
+    samples.push({ depth: row.depth, ...ratios, normalizedGas: normalize(row, ratios.total) });
+  });
+
+  const measured = samples.filter(s => s.normalizedGas !== null).map(s => s.normalizedGas);
+  const background = minTotalGas !== null ? minTotalGas : (median(measured) || 0) * 2;
+  samples.forEach(sample => {
+    sample.class = sample.normalizedGas === null ? null
+      : sample.normalizedGas <= background ? 'non-productive' : classify(sample);
+  });
+
+  return { samples, shows: findShows(samples, minSamples), background };
+}
+
+module.exports = {
+  GasAnalysisError,
+  CLASSES,
+  resolveGasMapping,
+  analyzeGas
+};
@@ -0,0 +1,533 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for malformed input so the upload route can answer with a 400
+class LASParseError extends Error {
+  constructor(message, lineNumber) {
+    super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+    this.name = 'LASParseError';
+    this.lineNumber = lineNumber || null;
+  }
+}
+
+// ============================================
+// SECTION HELPERS
+// ============================================
+
+// LAS 2.0 sections are identified by the first letter after "~"
+const SECTION_KEYS = {
+  V: 'version',
+  W: 'well',
+  C: 'definition',
+  P: 'parameters',
+  O: 'other',
+  A: 'data'
+};
+
+// Name of the dataset that LAS 2.0 ~C/~A (and LAS 3.0 ~Log_*) sections describe
+const LOG_DATASET = 'Log';
+
+// Resolves a "~Title | Association" line into a section type and, for
+// definition/data sections, the dataset it belongs to. LAS 3.0 names its
+// sections "~Core_Definition", "~Core_Data | Core_Definition", etc.
+function parseSectionTitle(line) {
+  const title = line.slice(1).split('|')[0].trim();
+
+  const named = title.match(/^(\w+?)_(Parameter|Definition|Data)\b/i);
+  if (named) {
+    const type = named[2].toLowerCase() === 'parameter' ? 'parameters' : named[2].toLowerCase();
+    return { type, dataset: normalizeDatasetName(named[1]) };
+  }
+
+  const type = SECTION_KEYS[title.charAt(0).toUpperCase()] || null;
+  if (type === 'definition' || type === 'data') return { type, dataset: LOG_DATASET };
+  return { type, dataset: null };
+}
+
+// Sections read on request rather than stored as datasets (see readLASSection)
+const NON_DATASET_SECTIONS = ['Tops'];
+
+// Index mnemonics and units of a depth- or time-indexed LAS 3.0 section
+const INDEX_MNEMONICS = ['DEPT', 'DEPTH', 'MD', 'TVD', 'TVDSS', 'TIME', 'ETIM', 'INDEX'];
+const INDEX_UNITS = ['F', 'FT', 'FEET', 'M', 'METER', 'METERS', 'METRES', 'S', 'MS', 'MIN', 'H'];
+
+// Only sections indexed by depth (or time) become datasets: a ~Log section
+// always does, other LAS 3.0 sections when their first column is a numeric
+// index. The rest, such as ~Tops with a top name first, are skipped.
+function isIndexedSection(name, curveItems) {
+  if (name === LOG_DATASET) return true;
+  if (NON_DATASET_SECTIONS.includes(name)) return false;
+  const index = curveItems[0];
+  if (getValueType(index) === 'string') return false;
+  return INDEX_MNEMONICS.includes(index.mnemonic.toUpperCase()) || INDEX_UNITS.includes((index.unit || '').toUpperCase());
+}
+
+// "LOG", "log" and "Log" all refer to the same dataset
+function normalizeDatasetName(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+}
+
+// Parses a header line of the form "MNEM.UNIT  VALUE : DESCRIPTION".
+// The unit runs from the first dot to the first space, the description
+// starts after the last colon and everything in between is the value.
+// LAS 3.0 may append a "{format}" and a "| association" to the description.
+function parseHeaderLine(line) {
+  let format = null;
+  const formatMatch = line.match(/\{([^}]*)\}\s*(\|.*)?$/);
+  if (formatMatch) {
+    format = formatMatch[1].trim();
+    line = line.slice(0, formatMatch.index);
+  } else if (line.includes('|')) {
+    line = line.slice(0, line.lastIndexOf('|'));
+  }
+
+  const dotIndex = line.indexOf('.');
+  if (dotIndex === -1) return null;
+
+  const mnemonic = line.slice(0, dotIndex).trim();
+  if (!mnemonic) return null;
+
+  let rest = line.slice(dotIndex + 1);
+  const colonIndex = rest.lastIndexOf(':');
+  const description = colonIndex === -1 ? '' : rest.slice(colonIndex + 1).trim();
+  if (colonIndex !== -1) rest = rest.slice(0, colonIndex);
+
+  const unitMatch = rest.match(/^\S*/);
+  const unit = unitMatch[0];
+  const value = rest.slice(unit.length).trim();
+
+  const item = { mnemonic, unit, value, description };
+  if (format !== null) item.format = format;
+  return item;
+}
+
+// LAS 1.2 files keep the well name, company, etc. in the description slot
+// ("COMP.   COMPANY: ANY OIL COMPANY"), so swap them back for those files.
+function normalizeLegacyWellItem(item) {
+  if (['STRT', 'STOP', 'STEP', 'NULL'].includes(item.mnemonic.toUpperCase())) return item;
+  if (!item.description) return item;
+  return { ...item, value: item.description, description: item.value };
+}
+
+// Duplicate mnemonics get a ":2", ":3" suffix so every ~C column keeps its own curve
+function uniqueCurveNames(curveItems) {
+  const seen = {};
+  return curveItems.map(item => {
+    const name = item.mnemonic;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] === 1 ? name : `${name}:${seen[name]}`;
+  });
+}
+
+// LAS 3.0 marks string columns with an "{S}" format; everything else is numeric
+function getValueType(item) {
+  return item.format && /^S/i.test(item.format) ? 'string' : 'number';
+}
+
+// Sentinels used when a file does not declare ~W NULL
+const COMMON_NULL_VALUES = [-999.25, -999, -9999, -9999.25, -99999];
+
+function isNullSentinel(value, nullValues) {
+  return nullValues.some(nullValue => Math.abs(value - nullValue) < 1e-6);
+}
+
+function findItem(items, ...mnemonics) {
+  return items.find(item => mnemonics.includes(item.mnemonic.toUpperCase()));
+}
+
+function toNumber(value) {
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+// Pulls the commonly used ~W fields into a flat object for display
+function summarizeWellSection(wellItems) {
+  const value = (...mnemonics) => findItem(wellItems, ...mnemonics)?.value || null;
+  const start = findItem(wellItems, 'STRT');
+
+  return {
+    wellName: value('WELL'),
+    uwi: value('UWI', 'API'),
+    company: value('COMP'),
+    field: value('FLD'),
+    location: value('LOC'),
+    province: value('PROV'),
+    state: value('STAT'),
+    county: value('CNTY'),
+    country: value('CTRY'),
+    serviceCompany: value('SRVC'),
+    date: value('DATE'),
+    start: toNumber(value('STRT')),
+    stop: toNumber(value('STOP')),
+    step: toNumber(value('STEP')),
+    nullValue: toNumber(value('NULL')),
+    depthUnit: start ? start.unit : null
+  };
+}
+
+// ============================================
+// DATA LINE SPLITTING
+// ============================================
+
+// LAS 3.0 declares its delimiter in ~V DLM (SPACE, COMMA or TAB)
+function getDelimiter(versionItems) {
+  const dlm = (findItem(versionItems, 'DLM')?.value || 'SPACE').toUpperCase();
+  if (dlm.startsWith('COMMA')) return ',';
+  if (dlm.startsWith('TAB')) return '\t';
+  return null;
+}
+
+// Splits a data line on the delimiter (any whitespace when null), keeping
+// double-quoted strings such as "Upper Shale" together.
+function splitDataLine(line, delimiter) {
+  const isDelimiter = char => (delimiter === null ? /\s/.test(char) : char === delimiter);
+
+  if (!line.includes('"')) {
+    if (delimiter === null) return line.split(/\s+/).filter(v => v.length > 0);
+    return line.split(delimiter).map(v => v.trim());
+  }
+
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+  let hasToken = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      hasToken = true;
+    } else if (!inQuotes && isDelimiter(char)) {
+      if (delimiter !== null || hasToken) values.push(current.trim());
+      current = '';
+      hasToken = false;
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+  if (delimiter !== null || hasToken) values.push(current.trim());
+
+  return values;
+}
+
+// ============================================
+// LAS PARSER
+// ============================================
+
+// Line-driven LAS 2.0/3.0 reader. Feed it every line with pushLine() and
+// call finish() at the end; each depth record of a data section is handed
+// to onRecord(dataset, depth, values) as soon as it is complete.
+function createLASReader({ onRecord }) {
+  const header = { version: [], well: [], curves: [], parameters: [], other: '' };
+  const definitions = {};
+  const datasets = [];
+  const otherLines = [];
+
+  let section = { type: null, dataset: null };
+  let dataset = null;
+  let record = [];
+  let recordStartLine = null;
+  let settings = null;
+
+  // Settings that depend on ~V/~W are read once, when the first data section starts
+  const getSettings = () => {
+    if (settings) return settings;
+
+    const versionItem = findItem(header.version, 'VERS');
+    const version = versionItem ? toNumber(versionItem.value) : null;
+    if (version !== null && version < 2) {
+      header.well = header.well.map(normalizeLegacyWellItem);
+    }
+
+    // WRAP YES spreads one depth step over several lines: the depth sits
+    // alone on the first line and the curve values follow on continuation lines
+    const wrapItem = findItem(header.version, 'WRAP');
+    const declaredNull = toNumber(findItem(header.well, 'NULL')?.value);
+
+    settings = {
+      version,
+      wrapped: !!wrapItem && /^Y/i.test(wrapItem.value),
+      delimiter: getDelimiter(header.version),
+      nullValues: declaredNull !== null ? [declaredNull] : COMMON_NULL_VALUES
+    };
+    return settings;
+  };
+
+  const checkPartialRecord = () => {
+    if (record.length > 0) {
+      throw new LASParseError(
+        `wrapped record starting at line ${recordStartLine} ends after ${record.length} of ` +
+        `${dataset.columnNames.length} values`,
+        recordStartLine
+      );
+    }
+  };
+
+  const startDataset = (name, lineNumber) => {
+    const curveItems = definitions[name];
+    if (!curveItems || curveItems.length === 0) {
+      throw new LASParseError(
+        name === LOG_DATASET
+          ? 'No ~Curve section found before the data section'
+          : `No ~${name}_Definition section found before ~${name}_Data`,
+        lineNumber
+      );
+    }
+
+    if (!isIndexedSection(name, curveItems)) {
+      console.log(`Skipping ${name} section: it is not indexed by depth`);
+      return;
+    }
+
+    // The first definition entry is the depth index, the rest are curves
+    const columnNames = uniqueCurveNames(curveItems);
+    const curves = columnNames.slice(1);
+
+    const curveStats = {};
+    curves.forEach(curve => { curveStats[curve] = { samples: 0, nulls: 0 }; });
+
+    dataset = {
+      name,
+      curveItems,
+      columnNames,
+      curves,
+      valueTypes: curveItems.map(getValueType),
+      curveStats,
+      rowCount: 0,
+      dataPoints: 0,
+      nullPoints: 0,
+      depthRange: { min: Infinity, max: -Infinity }
+    };
+    datasets.push(dataset);
+    console.log(`Found ${curves.length} curves in ${name} dataset:`, curves);
+  };
+
+  const storeRecord = (values) => {
+    const { nullValues } = getSettings();
+    const depth = parseFloat(values[0]);
+    if (isNaN(depth) || isNullSentinel(depth, nullValues)) return;
+
+    dataset.depthRange.min = Math.min(dataset.depthRange.min, depth);
+    dataset.depthRange.max = Math.max(dataset.depthRange.max, depth);
+    dataset.rowCount++;
+
+    const parsed = [];
+    for (let j = 1; j < values.length; j++) {
+      const stats = dataset.curveStats[dataset.curves[j-1]];
+      const number = parseFloat(values[j]);
+      let value;
+
+      // NULL sentinels, empty strings and unreadable numbers are stored as missing samples
+      if (!isNaN(number) && isNullSentinel(number, nullValues)) {
+        value = null;
+      } else if (dataset.valueTypes[j] === 'string') {
+        value = values[j] === '' ? null : values[j];
+      } else {
+        value = isNaN(number) ? null : number;
+      }
+
+      parsed.push(value);
+      stats.samples++;
+      if (value === null) {
+        stats.nulls++;
+        dataset.nullPoints++;
+      } else {
+        dataset.dataPoints++;
+      }
+    }
+
+    onRecord(dataset, depth, parsed);
+  };
+
+  const pushDataLine = (line, lineNumber) => {
+    const { wrapped, delimiter } = getSettings();
+    const values = splitDataLine(line, delimiter);
+    const expectedValues = dataset.columnNames.length;
+
+    if (!wrapped) {
+      if (values.length !== expectedValues) {
+        throw new LASParseError(
+          `expected ${expectedValues} values (depth + ${dataset.curves.length} curves from ` +
+          `the ${dataset.name} definition), found ${values.length}`,
+          lineNumber
+        );
+      }
+      storeRecord(values);
+      return;
+    }
+
+    if (record.length === 0) recordStartLine = lineNumber;
+    record.push(...values);
+
+    if (record.length > expectedValues) {
+      throw new LASParseError(
+        `wrapped record starting at line ${recordStartLine} has ${record.length} values, ` +
+        `expected ${expectedValues} (depth + ${dataset.curves.length} curves from ~C)`,
+        lineNumber
+      );
+    }
+    if (record.length === expectedValues) {
+      storeRecord(record);
+      record = [];
+    }
+  };
+
+  const pushLine = (rawLine, lineNumber) => {
+    const line = rawLine.trim();
+
+    if (line.startsWith('~')) {
+      if (dataset) checkPartialRecord();
+      dataset = null;
+      section = parseSectionTitle(line);
+      if (section.type === 'definition') definitions[section.dataset] = [];
+      if (section.type === 'data') startDataset(section.dataset, lineNumber);
+      return;
+    }
+
+    if (!section.type) return;
+    if (section.type === 'other') {
+      otherLines.push(rawLine.trimEnd());
+      return;
+    }
+    if (line.length === 0 || line.startsWith('#')) return;
+
+    if (section.type === 'data') {
+      if (dataset) pushDataLine(line, lineNumber);
+      return;
+    }
+
+    const item = parseHeaderLine(line);
+    if (!item) return;
+    if (section.type === 'definition') {
+      definitions[section.dataset].push(item);
+    } else {
+      header[section.type].push(item);
+    }
+  };
+
+  const finish = () => {
+    if (dataset) checkPartialRecord();
+
+    header.other = otherLines.join('\n').trim();
+    getSettings();
+
+    if (datasets.length === 0) {
+      throw new LASParseError(
+        Object.keys(definitions).length === 0
+          ? 'No ~Curve section found in LAS file'
+          : 'No data section (~A or ~<name>_Data) found in LAS file'
+      );
+    }
+
+    // The ~C (or ~Log_Definition) entries are what the header reports as curves
+    header.curves = definitions[LOG_DATASET] || datasets[0].curveItems;
+
+    return { header, datasets, ...settings };
+  };
+
+  return { pushLine, finish };
+}
+
+// Streams a LAS file line by line so memory stays flat regardless of file
+// size. Complete records are buffered and handed to onBatch(records) once
+// roughly batchSize samples have accumulated; reading pauses until the
+// returned promise settles, so the consumer controls how much is in flight.
+// onProgress({ bytesRead, lineNumber }) is called after every batch.
+async function streamLASFile(filePath, { onBatch, onProgress = () => {}, batchSize = 20000 }) {
+  console.log('Reading LAS file...');
+
+  let batch = [];
+  let batchSamples = 0;
+  const reader = createLASReader({
+    onRecord: (dataset, depth, values) => {
+      batch.push({ dataset, depth, values });
+      batchSamples += values.length;
+    }
+  });
+
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  try {
+    for await (const line of lines) {
+      reader.pushLine(line, ++lineNumber);
+      if (batchSamples >= batchSize) {
+        const records = batch;
+        batch = [];
+        batchSamples = 0;
+        await onBatch(records);
+        onProgress({ bytesRead: input.bytesRead, lineNumber });
+      }
+    }
+    if (batch.length > 0) await onBatch(batch);
+    onProgress({ bytesRead: input.bytesRead, lineNumber });
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+
+  const result = reader.finish();
+  result.datasets.forEach(dataset => {
+    console.log(`${dataset.name}: parsed ${dataset.dataPoints} data points (${dataset.nullPoints} null)`);
+    console.log(`${dataset.name}: depth range ${dataset.depthRange.min} - ${dataset.depthRange.max}`);
+  });
+
+  return { ...result, nullValue: result.nullValues[0] };
+}
+
+// Reads one LAS 3.0 definition/data pair that is not depth-indexed, such as
+// ~Tops_Definition / ~Tops_Data, whose first column may be a name. Returns
+// { items: [definition items], rows: [[raw cells]] }, or null when the file
+// has no such section.
+async function readLASSection(filePath, name) {
+  const wanted = normalizeDatasetName(name);
+  const versionItems = [];
+  const items = [];
+  const rows = [];
+  let section = { type: null, dataset: null };
+  let found = false;
+
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (line.startsWith('~')) {
+        section = parseSectionTitle(line);
+        continue;
+      }
+      if (line.length === 0 || line.startsWith('#')) continue;
+
+      if (section.type === 'version') {
+        const item = parseHeaderLine(line);
+        if (item) versionItems.push(item);
+      } else if (section.dataset === wanted && section.type === 'definition') {
+        const item = parseHeaderLine(line);
+        if (item) items.push(item);
+        found = true;
+      } else if (section.dataset === wanted && section.type === 'data') {
+        rows.push(splitDataLine(line, getDelimiter(versionItems)));
+      }
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+
+  return found ? { items, rows } : null;
+}
+
+module.exports = {
+  COMMON_NULL_VALUES,
+  LASParseError,
+  createLASReader,
+  streamLASFile,
+  readLASSection,
+  parseHeaderLine,
+  summarizeWellSection
+};
@@ -0,0 +1,241 @@
+// Standard petrophysical transforms. planPetrophysics() turns a request into
+// the input curves to read, the curves to create and a function computing
+// them chunk by chunk, so the server can store the results like parsed curves.
+
+const { CURVE_NAME } = require('./formula');
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for an unknown method, a missing input curve or parameter
+class PetrophysicsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PetrophysicsError';
+  }
+}
+
+// ============================================
+// PARAMETERS
+// ============================================
+
+// Request keys, the ~P mnemonics that can supply them, and defaults where a
+// textbook value is safe (sandstone matrix, fresh mud filtrate, Archie 1/2/2)
+const PARAMETERS = {
+  a: { mnemonics: ['A', 'TORT'], fallback: 1 },
+  m: { mnemonics: ['M', 'CEMENT'], fallback: 2 },
+  n: { mnemonics: ['N', 'SATEXP'], fallback: 2 },
+  rw: { mnemonics: ['RW', 'RWA'] },
+  rsh: { mnemonics: ['RSH'] },
+  rhoMatrix: { mnemonics: ['RHOMA', 'RHOM', 'MDEN', 'DMA'], fallback: 2.65 },
+  rhoFluid: { mnemonics: ['RHOF', 'RHOFL', 'FDEN', 'DFL'], fallback: 1.0 },
+  dtMatrix: { mnemonics: ['DTMA', 'DTM'], fallback: 55.5 },
+  dtFluid: { mnemonics: ['DTF', 'DTFL'], fallback: 189 },
+  grClean: { mnemonics: ['GRCLEAN', 'GR_CLEAN', 'GRCL', 'GRMIN'] },
+  grShale: { mnemonics: ['GRSHALE', 'GR_SHALE', 'GRSH', 'GRMAX'] }
+};
+
+// Picks each parameter from the request, else the ~P section, else the
+// fallbacks given (defaults, or e.g. GR percentiles for the clean/shale lines).
+// Returns { KEY: { value, source } } for every parameter that has a value.
+function resolveParameters(requested, headerParameters = [], fallbacks = {}) {
+  if (requested !== undefined && requested !== null && (typeof requested !== 'object' || Array.isArray(requested))) {
+    throw new PetrophysicsError('parameters must be an object of parameter values');
+  }
+  const params = requested || {};
+  const resolved = {};
+  Object.entries(PARAMETERS).forEach(([key, { mnemonics, fallback }]) => {
+    const fromRequest = params[key];
+    if (fromRequest !== undefined && fromRequest !== null && fromRequest !== '') {
+      const value = Number(fromRequest);
+      if (!Number.isFinite(value)) throw new PetrophysicsError(`Parameter ${key} must be a number`);
+      resolved[key] = { value, source: 'request' };
+      return;
+    }
+
+    const item = headerParameters.find(p => mnemonics.includes(p.mnemonic.toUpperCase()) && Number.isFinite(parseFloat(p.value)));
+    if (item) {
+      resolved[key] = { value: parseFloat(item.value), source: `~P ${item.mnemonic}` };
+    } else if (fallbacks[key]) {
+      resolved[key] = fallbacks[key];
+    } else if (fallback !== undefined) {
+      resolved[key] = { value: fallback, source: 'default' };
+    }
+  });
+  return resolved;
+}
+
+function requireParameters(parameters, keys, step) {
+  const missing = keys.filter(key => !parameters[key]);
+  if (missing.length > 0) {
+    throw new PetrophysicsError(`${step} needs ${missing.join(', ')}: pass them in parameters or add them to the ~P section`);
+  }
+  return Object.fromEntries(keys.map(key => [key, parameters[key].value]));
+}
+
+// ============================================
+// TRANSFORMS
+// ============================================
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const VSHALE_METHODS = {
+  linear: (igr) => igr,
+  'larionov-tertiary': (igr) => 0.083 * (Math.pow(2, 3.7 * igr) - 1),
+  'larionov-older': (igr) => 0.33 * (Math.pow(2, 2 * igr) - 1)
+};
+
+const POROSITY_METHODS = {
+  density: { output: 'PHID', inputs: ['rhob'], parameters: ['rhoMatrix', 'rhoFluid'] },
+  'neutron-density': { output: 'PHIND', inputs: ['rhob', 'nphi'], parameters: ['rhoMatrix', 'rhoFluid'] },
+  sonic: { output: 'PHIS', inputs: ['dt'], parameters: ['dtMatrix', 'dtFluid'] }
+};
+
+const SATURATION_METHODS = {
+  archie: { parameters: ['a', 'm', 'n', 'rw'] },
+  simandoux: { parameters: ['a', 'm', 'rw', 'rsh'] }
+};
+
+function densityPorosity(rhob, { rhoMatrix, rhoFluid }) {
+  return (rhoMatrix - rhob) / (rhoMatrix - rhoFluid);
+}
+
+function porosity(method, inputs, p) {
+  if (method === 'sonic') {
+    return isNumber(inputs.dt) ? clamp((inputs.dt - p.dtMatrix) / (p.dtFluid - p.dtMatrix)) : null;
+  }
+  if (!isNumber(inputs.rhob)) return null;
+  const phid = densityPorosity(inputs.rhob, p);
+  if (method === 'density') return clamp(phid);
+  // Neutron-density: the average of the two porosities
+  return isNumber(inputs.nphi) ? clamp((phid + inputs.nphi) / 2) : null;
+}
+
+// Archie: Sw = (a·Rw / (φ^m·Rt))^(1/n). Simandoux, in its n = 2 form:
+// 1/Rt = φ^m·Sw² / (a·Rw) + Vsh·Sw / Rsh, solved for Sw.
+function waterSaturation(method, { rt, phi, vsh }, p) {
+  if (!isNumber(rt) || !isNumber(phi) || rt <= 0 || phi <= 0) return null;
+  const bulk = Math.pow(phi, p.m) / (p.a * p.rw);
+  if (method === 'archie') return clamp(Math.pow(1 / (bulk * rt), 1 / p.n));
+
+  if (!isNumber(vsh)) return null;
+  const shale = vsh / p.rsh;
+  return clamp((-shale + Math.sqrt(shale * shale + (4 * bulk) / rt)) / (2 * bulk));
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+// request: {
+//   vshale?: { method, gr, output },
+//   porosity?: { method, rhob, nphi, dt, output },
+//   saturation?: { method, rt, phi, vsh, output }
+// } with curve names for the inputs. Saturation uses the porosity and Vshale
+// computed in the same request unless phi / vsh name existing curves.
+// parameters: resolveParameters() output. Returns { inputs, outputs, compute }:
+// compute({ GR: [...], ... }, rowCount) -> { VSH: [...], ... }.
+function planPetrophysics(request, parameters) {
+  const steps = [];
+  const inputs = new Set();
+  const outputs = [];
+  const computed = {};
+  const useCurve = (name, what) => {
+    if (!name) throw new PetrophysicsError(`${what} curve is required`);
+    inputs.add(name);
+    return name;
+  };
+  // The output name asked for, else the step's default
+  const outputName = (name, fallback, what) => {
+    const output = name || fallback;
+    if (typeof output !== 'string' || !CURVE_NAME.test(output)) {
+      throw new PetrophysicsError(`${what} output name must start with a letter and use only letters, digits and _ (32 at most)`);
+    }
+    return output;
+  };
+  // An existing curve when one is named, else the one an earlier step computes
+  const useCurveOrComputed = (name, step, what) => (name || !computed[step] ? useCurve(name, what) : computed[step]);
+
+  if (request.vshale) {
+    const { method = 'linear' } = request.vshale;
+    if (!VSHALE_METHODS[method]) {
+      throw new PetrophysicsError(`Vshale method must be one of ${Object.keys(VSHALE_METHODS).join(', ')}`);
+    }
+    const gr = useCurve(request.vshale.gr, 'Vshale: a gamma ray');
+    const p = requireParameters(parameters, ['grClean', 'grShale'], 'Vshale');
+    if (p.grShale <= p.grClean) throw new PetrophysicsError('grShale must be greater than grClean');
+
+    const output = outputName(request.vshale.output, 'VSH', 'Vshale');
+    computed.vshale = output;
+    outputs.push({ name: output, unit: 'V/V', description: `Shale volume (${method}) from ${gr}`,
+      derivation: { method: `vshale-${method}`, inputs: [gr], parameters: p } });
+    steps.push(({ values, results, i }) => {
+      const value = values[gr][i];
+      results[output][i] = isNumber(value)
+        ? clamp(VSHALE_METHODS[method](clamp((value - p.grClean) / (p.grShale - p.grClean))))
+        : null;
+    });
+  }
+
+  if (request.porosity) {
+    const { method = 'density' } = request.porosity;
+    const definition = POROSITY_METHODS[method];
+    if (!definition) {
+      throw new PetrophysicsError(`Porosity method must be one of ${Object.keys(POROSITY_METHODS).join(', ')}`);
+    }
+    const curves = Object.fromEntries(definition.inputs.map(key => [key, useCurve(request.porosity[key], `Porosity: a ${key}`)]));
+    const p = requireParameters(parameters, definition.parameters, 'Porosity');
+
+    const output = outputName(request.porosity.output, definition.output, 'Porosity');
+    computed.porosity = output;
+    outputs.push({ name: output, unit: 'V/V', description: `Porosity (${method}) from ${Object.values(curves).join(', ')}`,
+      derivation: { method: `porosity-${method}`, inputs: Object.values(curves), parameters: p } });
+    steps.push(({ values, results, i }) => {
+      const sample = Object.fromEntries(Object.entries(curves).map(([key, name]) => [key, values[name][i]]));
+      results[output][i] = porosity(method, sample, p);
+    });
+  }
+
+  if (request.saturation) {
+    const { method = 'archie' } = request.saturation;
+    const definition = SATURATION_METHODS[method];
+    if (!definition) {
+      throw new PetrophysicsError(`Saturation method must be one of ${Object.keys(SATURATION_METHODS).join(', ')}`);
+    }
+    const rt = useCurve(request.saturation.rt, 'Saturation: a deep resistivity');
+    const phi = useCurveOrComputed(request.saturation.phi, 'porosity', 'Saturation: a porosity');
+    const vsh = method === 'simandoux'
+      ? useCurveOrComputed(request.saturation.vsh, 'vshale', 'Simandoux: a shale volume')
+      : null;
+    const p = requireParameters(parameters, definition.parameters, 'Saturation');
+
+    const output = outputName(request.saturation.output, 'SW', 'Saturation');
+    const sources = [rt, phi, vsh].filter(Boolean);
+    outputs.push({ name: output, unit: 'V/V', description: `Water saturation (${method}) from ${sources.join(', ')}`,
+      derivation: { method: `saturation-${method}`, inputs: sources, parameters: p } });
+    steps.push(({ values, results, i }) => {
+      const read = (name) => (Object.hasOwn(results, name) ? results[name][i] : values[name][i]);
+      results[output][i] = waterSaturation(method, { rt: read(rt), phi: read(phi), vsh: vsh && read(vsh) }, p);
+    });
+  }
+
+  if (outputs.length === 0) throw new PetrophysicsError('Request at least one of vshale, porosity or saturation');
+  const names = outputs.map(o => o.name);
+  if (new Set(names).size !== names.length) throw new PetrophysicsError('Output curve names must differ');
+
+  const compute = (values, rowCount) => {
+    const results = Object.fromEntries(names.map(name => [name, new Array(rowCount)]));
+    for (let i = 0; i < rowCount; i++) steps.forEach(step => step({ values, results, i }));
+    return results;
+  };
+
+  return { inputs: [...inputs], outputs, compute };
+}
+
+module.exports = {
+  PetrophysicsError,
+  resolveParameters,
+  planPetrophysics
+};
@@ -0,0 +1,377 @@
+// Data quality checks run on every upload: the depth index (order, duplicates,
+// sampling against the declared STEP, missing depths) and each numeric curve
+// (gaps, flatlined stretches, physically implausible values, spikes). Every
+// check lowers a 0-100 score by the share of samples it affects.
+
+const { createQuantileSketch } = require('./curveStats');
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// Score bands of the QC grade shown as a badge
+const GRADES = [
+  { grade: 'good', min: 85 },
+  { grade: 'fair', min: 60 },
+  { grade: 'poor', min: 0 }
+];
+
+// Shortest run of missing readings counted as a gap, and of identical
+// readings counted as a flatline, in samples
+const MIN_GAP_SAMPLES = 5;
+const MIN_FLAT_SAMPLES = 10;
+// A depth step this far from the expected one (as a share of it) is irregular;
+// a step of more than GAP_STEPS expected steps is a missing stretch of depths
+const STEP_TOLERANCE = 0.01;
+const GAP_STEPS = 1.5;
+// Departure from the mean of the two neighbouring readings, in robust σ of
+// such departures along the curve, beyond which a reading is a spike
+const SPIKE_THRESHOLD = 8;
+const MAD_TO_SIGMA = 1.4826;
+// Intervals and depths listed per issue; counts cover all of them
+const MAX_EXAMPLES = 20;
+
+// Plausible ranges by curve type, recognised by mnemonic. scale(unit) adapts
+// the range to the curve's unit (percent porosity, sonic per metre).
+const percentScale = (unit) => (/%|PU|PERC/i.test(unit || '') ? 100 : 1);
+const CURVE_TYPES = [
+  { type: 'gamma ray', pattern: /^(GR|SGR|CGR|GRC|HGR|ECGR|GR_\w+|GRD|GRS)$/i, min: 0, max: 1000 },
+  { type: 'bulk density', pattern: /^(RHOB|RHOZ|DEN|ZDEN|DENS|HDEN)$/i, min: 1, max: 3.2 },
+  { type: 'neutron porosity', pattern: /^(NPHI|TNPH|NPOR|CNL|CNPOR|PHIN|NPHS)$/i, min: -0.15, max: 1, scale: percentScale },
+  { type: 'porosity', pattern: /^(PHI|PHIE|PHIT|PHID|PHIS|PHIND|DPHI|SPHI)$/i, min: 0, max: 1, scale: percentScale },
+  { type: 'sonic', pattern: /^(DT|DTC|AC|DTCO|DT4P|DTP)$/i, min: 40, max: 240,
+    scale: (unit) => (/US\/M/i.test(unit || '') ? 3.28084 : 1) },
+  { type: 'shear sonic', pattern: /^(DTS|DTSM|DT4S)$/i, min: 70, max: 700,
+    scale: (unit) => (/US\/M/i.test(unit || '') ? 3.28084 : 1) },
+  { type: 'resistivity', pattern: /^(ILD|ILM|RT|RDEP|RMED|RSHA|LLD|LLS|MSFL|RXO|RXOZ|SFL|SFLU|RILD|RILM|AT\d0|AHT\d0|RES\w*)$/i,
+    min: 0.001, max: 100000, logarithmic: true },
+  { type: 'caliper', pattern: /^(CALI|CAL|HCAL|CALX|CALY|C13|C24)$/i, min: 2, max: 40 },
+  { type: 'photoelectric factor', pattern: /^(PE|PEF|PEFZ)$/i, min: 0, max: 20 },
+  { type: 'spontaneous potential', pattern: /^(SP|SSP)$/i, min: -500, max: 500 },
+  { type: 'water saturation', pattern: /^(SW|SWE|SWT|SXO)$/i, min: 0, max: 1, scale: percentScale },
+  { type: 'shale volume', pattern: /^(VSH|VSHALE|VCL|VCLAY)$/i, min: 0, max: 1, scale: percentScale }
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const round = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+function gradeFor(score) {
+  return GRADES.find(({ min }) => score >= min).grade;
+}
+
+// Score after each penalty: the affected share of samples times its weight,
+// capped so one issue cannot outweigh all others, plus a fixed cost for
+// issues that matter however few samples they touch
+function scoreFrom(penalties) {
+  const lost = penalties.reduce((sum, { fraction, weight, cap, fixed = 0 }) =>
+    sum + (fraction > 0 ? fixed + Math.min(cap, fraction * 100 * weight) : 0), 0);
+  return round(Math.max(0, 100 - lost));
+}
+
+// Curve type and plausible range for a mnemonic and unit, or null when the
+// curve type is not recognised
+function plausibleRange(name, unit) {
+  const mnemonic = String(name).split(':')[0];
+  const match = CURVE_TYPES.find(({ pattern }) => pattern.test(mnemonic));
+  if (!match) return null;
+  const factor = match.scale ? match.scale(unit) : 1;
+  return { type: match.type, min: match.min * factor, max: match.max * factor, logarithmic: Boolean(match.logarithmic) };
+}
+
+// ============================================
+// DEPTH INDEX
+// ============================================
+
+// Checks a dataset's depths in file order against the ~W STEP (0 or null
+// when the file declares none), streamed chunk by chunk in two passes: scan()
+// each chunk's depths to find the typical step, then check() them again to
+// measure every step against it. result() returns { score, grade, step, issues }.
+function createDepthCheck(declaredStep = null) {
+  const steps = createQuantileSketch();
+  let first = null;
+  let previous = null;
+  let total = 0;
+  let expected = null;
+  let direction = 1;
+
+  const reversed = { count: 0, depths: [] };
+  const duplicates = { count: 0, depths: [] };
+  const irregular = { count: 0, depths: [] };
+  const gaps = { count: 0, missing: 0, intervals: [] };
+  const note = (found, example, key = 'depths') => {
+    found.count++;
+    if (found[key].length < MAX_EXAMPLES) found[key].push(example);
+  };
+
+  const scan = (depths) => {
+    for (const depth of depths) {
+      if (first === null) first = depth;
+      if (previous !== null) {
+        total++;
+        if (depth !== previous) steps.add(Math.abs(depth - previous));
+      }
+      previous = depth;
+    }
+  };
+
+  const check = (depths) => {
+    if (expected === null) {
+      direction = Math.sign(previous - first) || 1;
+      expected = declaredStep ? Math.abs(declaredStep) : steps.quantile(0.5);
+      previous = null;
+    }
+    for (const depth of depths) {
+      if (previous !== null) {
+        const step = depth - previous;
+        if (step === 0) note(duplicates, depth);
+        else if (Math.sign(step) !== direction) note(reversed, depth);
+        else if (expected && Math.abs(step) > expected * GAP_STEPS) {
+          const missing = Math.round(Math.abs(step) / expected) - 1;
+          gaps.missing += missing;
+          note(gaps, { top: previous, base: depth, missing }, 'intervals');
+        } else if (expected && Math.abs(Math.abs(step) - expected) > expected * STEP_TOLERANCE) note(irregular, depth);
+      }
+      previous = depth;
+    }
+  };
+
+  const result = () => {
+    const issues = [];
+    const observed = steps.quantile(0.5);
+    if (total === 0) {
+      return { score: 100, grade: 'good', step: { declared: declaredStep, observed }, issues };
+    }
+
+    if (reversed.count > 0) {
+      issues.push({ type: 'non-monotonic', severity: 'error', count: reversed.count,
+        message: `Depth goes back on itself at ${reversed.count} sample(s)`, depths: reversed.depths });
+    }
+    if (duplicates.count > 0) {
+      issues.push({ type: 'duplicate-depth', severity: 'error', count: duplicates.count,
+        message: `${duplicates.count} repeated depth(s)`, depths: duplicates.depths });
+    }
+    if (declaredStep && observed && Math.abs(observed - Math.abs(declaredStep)) > Math.abs(declaredStep) * STEP_TOLERANCE) {
+      issues.push({ type: 'step-mismatch', severity: 'warning', count: 1,
+        message: `Depths are ${observed} apart, the header declares STEP ${declaredStep}` });
+    }
+    if (irregular.count > 0) {
+      issues.push({ type: 'irregular-step', severity: 'warning', count: irregular.count,
+        message: `${irregular.count} step(s) differ from ${expected}`, depths: irregular.depths });
+    }
+    if (gaps.count > 0) {
+      issues.push({ type: 'depth-gap', severity: 'warning', count: gaps.count,
+        message: `${gaps.count} break(s) in the depth sampling, about ${gaps.missing} depth(s) missing`,
+        intervals: gaps.intervals });
+    }
+
+    const score = scoreFrom([
+      { fraction: (reversed.count + duplicates.count) / total, weight: 10, cap: 30, fixed: 20 },
+      { fraction: irregular.count / total, weight: 1, cap: 25, fixed: 5 },
+      { fraction: gaps.missing / total, weight: 1, cap: 25, fixed: 5 },
+      { fraction: issues.some(issue => issue.type === 'step-mismatch') ? 1 : 0, weight: 0, cap: 0, fixed: 10 }
+    ]);
+    return { score, grade: gradeFor(score), step: { declared: declaredStep, observed }, issues };
+  };
+
+  return { scan, check, result };
+}
+
+// Checks depths held in memory; see createDepthCheck
+function checkDepthIndex(depths, declaredStep = null) {
+  const depthCheck = createDepthCheck(declaredStep);
+  depthCheck.scan(depths);
+  depthCheck.check(depths);
+  return depthCheck.result();
+}
+
+// ============================================
+// CURVES
+// ============================================
+
+// Checks one numeric curve, streamed chunk by chunk in two passes like the
+// depth index: scan(depths, values) with each chunk's depths and readings
+// (null when missing), then check(depths, values) with them again. The first
+// pass finds gaps, flatlines, implausible readings and how far readings
+// typically stand off their neighbours; the second finds the spikes that
+// stand off much further. result() returns { curve, type, range, samples,
+// valid, score, grade, issues }.
+function createCurveCheck({ name, unit }) {
+  const range = plausibleRange(name, unit);
+  // Spikes are judged on the readings in sequence, resistivities on a log scale
+  const reading = (value) => (!isNumber(value) || (range && range.logarithmic && value <= 0)
+    ? null
+    : range && range.logarithmic ? Math.log10(value) : value);
+
+  let samples = 0;
+  let valid = 0;
+  let firstIndex = -1;
+  let lastIndex = -1;
+  let previous = null;
+  let previousDepth = null;
+  let missingRun = null;
+  let flatRun = null;
+  const gaps = { count: 0, samples: 0, intervals: [] };
+  const flats = { count: 0, samples: 0, intervals: [] };
+  const outside = { count: 0, depths: [] };
+  const closeRun = (run, found, minSamples) => {
+    if (!run || run.samples < minSamples) return;
+    found.count++;
+    found.samples += run.samples;
+    if (found.intervals.length < MAX_EXAMPLES) found.intervals.push(run);
+  };
+
+  // The last three readings in sequence, each { value, depth }, and how far
+  // the middle one departs from the mean of its neighbours
+  const departures = createQuantileSketch();
+  let window = [];
+  let sigma = null;
+  const spikes = { count: 0, depths: [] };
+  const slide = (value, depth, onDeparture) => {
+    window.push({ value, depth });
+    if (window.length < 3) return;
+    if (window.length > 3) window.shift();
+    const [before, middle, after] = window;
+    onDeparture(middle.value - (before.value + after.value) / 2, before, middle, after);
+  };
+
+  const scan = (depths, values) => {
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      const depth = depths[i];
+      const index = samples++;
+
+      if (isNumber(value)) {
+        valid++;
+        if (firstIndex < 0) firstIndex = index;
+        lastIndex = index;
+        // Gaps: missing stretches between the first and last reading
+        closeRun(missingRun, gaps, MIN_GAP_SAMPLES);
+        missingRun = null;
+        if (range && (value < range.min || value > range.max)) {
+          outside.count++;
+          if (outside.depths.length < MAX_EXAMPLES) outside.depths.push(depth);
+        }
+      } else if (firstIndex >= 0) {
+        if (!missingRun) missingRun = { top: depth, base: depth, samples: 0 };
+        missingRun.base = depth;
+        missingRun.samples++;
+      }
+
+      // Flatlines: the same reading repeated, a stuck or clipped tool
+      if (isNumber(value) && value === previous) {
+        if (!flatRun) flatRun = { top: previousDepth, base: depth, samples: 1 };
+        flatRun.base = depth;
+        flatRun.samples++;
+      } else {
+        closeRun(flatRun, flats, MIN_FLAT_SAMPLES);
+        flatRun = null;
+      }
+      previous = value;
+      previousDepth = depth;
+
+      const spikeReading = reading(value);
+      if (spikeReading !== null) slide(spikeReading, depth, (departure) => departures.add(Math.abs(departure)));
+    }
+  };
+
+  const check = (depths, values) => {
+    if (sigma === null) {
+      sigma = departures.count >= 3 ? MAD_TO_SIGMA * departures.quantile(0.5) : 0;
+      window = [];
+    }
+    if (!(sigma > 0)) return;
+    for (let i = 0; i < values.length; i++) {
+      const spikeReading = reading(values[i]);
+      if (spikeReading === null) continue;
+      slide(spikeReading, depths[i], (departure, before, middle, after) => {
+        const size = Math.abs(departure);
+        if (size < SPIKE_THRESHOLD * sigma || Math.abs(after.value - before.value) >= size) return;
+        spikes.count++;
+        if (spikes.depths.length < MAX_EXAMPLES) spikes.depths.push(middle.depth);
+      });
+    }
+  };
+
+  const result = () => {
+    closeRun(flatRun, flats, MIN_FLAT_SAMPLES);
+    flatRun = null;
+    const issues = [];
+    const report = (score) => ({
+      curve: name, unit: unit || '', type: range ? range.type : null, range, samples, valid,
+      score, grade: score === null ? null : gradeFor(score), issues
+    });
+    // A curve with no readings has nothing to score; the issue says so
+    if (firstIndex < 0) {
+      issues.push({ type: 'empty', severity: 'error', count: samples, message: 'No readings' });
+      return report(null);
+    }
+
+    if (gaps.count > 0) {
+      issues.push({ type: 'gap', severity: 'warning', count: gaps.count,
+        message: `${gaps.count} gap(s), ${gaps.samples} missing sample(s)`, intervals: gaps.intervals });
+    }
+    if (flats.count > 0) {
+      issues.push({ type: 'flatline', severity: 'warning', count: flats.count,
+        message: `${flats.count} flat stretch(es), ${flats.samples} sample(s)`, intervals: flats.intervals });
+    }
+    if (outside.count > 0) {
+      issues.push({ type: 'out-of-range', severity: 'error', count: outside.count,
+        message: `${outside.count} reading(s) outside ${round(range.min, 3)}-${round(range.max, 3)} for ${range.type}`,
+        depths: outside.depths });
+    }
+    if (spikes.count > 0) {
+      issues.push({ type: 'spike', severity: 'warning', count: spikes.count,
+        message: `${spikes.count} spike(s)`, depths: spikes.depths });
+    }
+
+    const score = scoreFrom([
+      { fraction: gaps.samples / (lastIndex - firstIndex + 1), weight: 1, cap: 30 },
+      { fraction: flats.samples / valid, weight: 1, cap: 25 },
+      { fraction: outside.count / valid, weight: 2, cap: 30, fixed: 5 },
+      { fraction: spikes.count / valid, weight: 10, cap: 15 }
+    ]);
+    return report(score);
+  };
+
+  return { scan, check, result };
+}
+
+// Checks one numeric curve held in memory: its values (null when missing) at
+// the dataset's depths; see createCurveCheck
+function checkCurve(curve, depths, values) {
+  const curveCheck = createCurveCheck(curve);
+  curveCheck.scan(depths, values);
+  curveCheck.check(depths, values);
+  return curveCheck.result();
+}
+
+// Dataset score: the lower of its depth-index score and the mean score of
+// its curves weighted by their readings, as a broken depth index undermines
+// every curve on it. File score: the mean dataset score weighted by rows.
+// Empty datasets and curves with no readings are left out (their issues still
+// list them); a file with nothing to score gets a null score and grade.
+function summarizeQuality(datasets) {
+  let weighted = 0;
+  let rows = 0;
+  for (const { rows: datasetRows, depth, curves } of datasets) {
+    if (!(datasetRows > 0)) continue;
+    const scored = curves.filter(curve => curve.score !== null && curve.valid > 0);
+    const readings = scored.reduce((sum, curve) => sum + curve.valid, 0);
+    const curveScore = readings > 0 ? scored.reduce((sum, curve) => sum + curve.score * curve.valid, 0) / readings : 100;
+    weighted += Math.min(depth.score, curveScore) * datasetRows;
+    rows += datasetRows;
+  }
+  if (rows === 0) return { score: null, grade: null };
+  const score = round(weighted / rows);
+  return { score, grade: gradeFor(score) };
+}
+
+module.exports = {
+  GRADES,
+  plausibleRange,
+  createDepthCheck,
+  checkDepthIndex,
+  createCurveCheck,
+  checkCurve,
+  summarizeQuality
+};
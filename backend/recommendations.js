@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+// Recommendations come from the rules in recommendationRules.json, re-read
+// on every analysis so edits apply without a restart. A rule names curves
+// through "aliases" (e.g. gamma -> GR, SGR, ...) or directly by mnemonic,
+// where * matches any run of characters.
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised when the rules file cannot be read or a rule is malformed
+class RecommendationRulesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecommendationRulesError';
+  }
+}
+
+// ============================================
+// RULES FILE
+// ============================================
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+// Statistics a condition may compare against instead of a fixed value
+const THRESHOLD_STATS = ['mean', 'min', 'max', 'p10', 'p50', 'p90'];
+
+function validateRule(rule, index) {
+  if (!rule || typeof rule !== 'object') throw new RecommendationRulesError(`rule ${index + 1}: must be an object`);
+  const where = `rule ${rule.id || index + 1}`;
+  if (!rule.id) throw new RecommendationRulesError(`${where}: id is required`);
+  if (!Object.hasOwn(EVALUATORS, rule.type)) {
+    throw new RecommendationRulesError(`${where}: type must be one of ${Object.keys(EVALUATORS).join(', ')}`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new RecommendationRulesError(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (typeof rule.message !== 'string') throw new RecommendationRulesError(`${where}: message is required`);
+  if (rule.curves !== undefined && !(Array.isArray(rule.curves) && rule.curves.every(curve => typeof curve === 'string'))) {
+    throw new RecommendationRulesError(`${where}: curves must be a list of names`);
+  }
+
+  if (rule.type === 'interval') {
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      throw new RecommendationRulesError(`${where}: conditions are required`);
+    }
+    rule.conditions.forEach(condition => {
+      if (!condition || typeof condition.curve !== 'string' || !condition.curve || !Object.hasOwn(OPERATORS, condition.op)) {
+        throw new RecommendationRulesError(`${where}: each condition needs a curve and an op (${Object.keys(OPERATORS).join(' ')})`);
+      }
+      if (condition.stat !== undefined ? !THRESHOLD_STATS.includes(condition.stat) : typeof condition.value !== 'number') {
+        throw new RecommendationRulesError(`${where}: each condition needs a numeric value or a stat (${THRESHOLD_STATS.join(', ')})`);
+      }
+    });
+  }
+  if (rule.type === 'nullFraction' && !(rule.threshold > 0 && rule.threshold <= 1)) {
+    throw new RecommendationRulesError(`${where}: threshold must be a fraction between 0 and 1`);
+  }
+}
+
+function loadRecommendationRules(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new RecommendationRulesError(`${path.basename(filePath)}: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.rules)) {
+    throw new RecommendationRulesError(`${path.basename(filePath)}: "rules" must be a list`);
+  }
+  const aliases = config.aliases || {};
+  Object.entries(aliases).forEach(([alias, patterns]) => {
+    if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+      throw new RecommendationRulesError(`${path.basename(filePath)}: alias ${alias} must list mnemonic patterns`);
+    }
+  });
+  config.rules.forEach(validateRule);
+  return { aliases: config.aliases || {}, rules: config.rules.filter(rule => rule.enabled !== false) };
+}
+
+// ============================================
+// CURVE REFERENCES
+// ============================================
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Curves among `names` that an alias or mnemonic pattern refers to, in the
+// alias's order of preference
+function resolveReference(config, reference, names) {
+  const matched = [];
+  (Object.hasOwn(config.aliases, reference) ? config.aliases[reference] : [reference]).forEach(pattern => {
+    const regExp = patternToRegExp(pattern);
+    names.forEach(name => {
+      if (regExp.test(name) && !matched.includes(name)) matched.push(name);
+    });
+  });
+  return matched;
+}
+
+// Curves a per-curve rule checks: the ones it names, else the analyzed ones
+function ruleCurves(config, rule, context) {
+  if (!rule.curves) return context.analyzed;
+  const matched = [];
+  rule.curves.forEach(reference => {
+    resolveReference(config, reference, context.available).forEach(name => {
+      if (!matched.includes(name)) matched.push(name);
+    });
+  });
+  return matched;
+}
+
+// Every curve the rules read, so the caller can load them along with the
+// analyzed ones. `available` lists the dataset's numeric curves.
+function requiredCurves(config, available, analyzed) {
+  const context = { available, analyzed };
+  const needed = new Set(analyzed);
+  config.rules.forEach(rule => {
+    if (rule.type === 'interval') {
+      rule.conditions.forEach(condition => {
+        const [curve] = resolveReference(config, condition.curve, available);
+        if (curve) needed.add(curve);
+      });
+    } else {
+      ruleCurves(config, rule, context).forEach(curve => needed.add(curve));
+    }
+  });
+  return [...needed];
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+function recommend(rule, curves, intervals, values = {}) {
+  const fields = { curve: curves[0], curves: curves.join(', '), top: intervals[0].top, base: intervals[0].base, ...values };
+  return {
+    rule: rule.id,
+    severity: rule.severity,
+    message: rule.message.replace(/\{(\w+)\}/g, (match, key) => (fields[key] !== undefined ? fields[key] : match)),
+    evidence: { curves, intervals }
+  };
+}
+
+// The thickest runs of consecutive rows that pass `test`, at least
+// minThickness thick, returned top down as [{ top, base }]
+function findIntervals(rows, test, { minThickness = 0, maxResults = 5 } = {}) {
+  const intervals = [];
+  let top = null;
+  let base = null;
+
+  const close = () => {
+    if (top !== null && base - top >= minThickness) intervals.push({ top: round(top), base: round(base) });
+    top = null;
+  };
+
+  rows.forEach((row, i) => {
+    if (test(row, i)) {
+      if (top === null) top = row.depth;
+      base = row.depth;
+    } else {
+      close();
+    }
+  });
+  close();
+
+  return intervals
+    .sort((a, b) => (b.base - b.top) - (a.base - a.top))
+    .slice(0, maxResults)
+    .sort((a, b) => a.top - b.top);
+}
+
+const EVALUATORS = {
+  // Depth intervals where every condition holds at once
+  interval(config, rule, context) {
+    const conditions = rule.conditions.map(condition => {
+      const [curve] = resolveReference(config, condition.curve, context.available);
+      const threshold = condition.stat !== undefined ? context.stats[curve]?.[condition.stat] : condition.value;
+      return { curve, test: OPERATORS[condition.op], threshold };
+    });
+    if (conditions.some(c => !c.curve || typeof c.threshold !== 'number')) return [];
+
+    const curves = [...new Set(conditions.map(c => c.curve))];
+    return findIntervals(context.rows,
+      row => conditions.every(c => typeof row[c.curve] === 'number' && c.test(row[c.curve], c.threshold)),
+      rule
+    ).map(interval => recommend(rule, curves, [interval]));
+  },
+
+  // Runs where a curve repeats the same reading (within tolerance)
+  flatline(config, rule, context) {
+    const tolerance = rule.tolerance || 0;
+    const same = (a, b) => typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) <= tolerance;
+    const { rows } = context;
+
+    return ruleCurves(config, rule, context).flatMap(curve => findIntervals(rows,
+      (row, i) => same(row[curve], rows[i - 1]?.[curve]) || same(row[curve], rows[i + 1]?.[curve]),
+      rule
+    ).map(interval => recommend(rule, [curve], [interval])));
+  },
+
+  // Curves missing more than `threshold` of their samples
+  nullFraction(config, rule, context) {
+    const { rows } = context;
+    if (rows.length === 0) return [];
+    const interval = { top: round(rows[0].depth), base: round(rows[rows.length - 1].depth) };
+
+    return ruleCurves(config, rule, context).flatMap(curve => {
+      const stats = context.stats[curve];
+      const total = stats ? stats.count + stats.nulls : 0;
+      if (total === 0 || stats.nulls / total < rule.threshold) return [];
+      return [recommend(rule, [curve], [interval], { percent: ((stats.nulls / total) * 100).toFixed(1) })];
+    });
+  }
+};
+
+// Runs every rule over an analyzed interval. context: { analyzed, available,
+// stats: { CURVE: computeCurveStats result }, rows: depth-sorted [{ depth, CURVE, ... }] }.
+// Returns [{ rule, severity, message, evidence: { curves, intervals } }],
+// most severe first.
+function evaluateRecommendations(config, context) {
+  return config.rules
+    .flatMap(rule => EVALUATORS[rule.type](config, rule, context))
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+module.exports = {
+  RecommendationRulesError,
+  loadRecommendationRules,
+  requiredCurves,
+  evaluateRecommendations
+};
@@ -4,6 +4,29 @@ const multer = require('multer');
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { COMMON_NULL_VALUES, streamLASFile, readLASSection, summarizeWellSection } = require('./lasParser');
+const { previewTabularFile, streamTabularFile } = require('./tabularParser');
+const { formatLASHeader, formatLASRow, formatCSVRow } = require('./exportWriter');
+const { decimateMinMax } = require('./downsample');
+const { createChunkWriter, writeCurveChunk, findCurves, iterateCurveChunks, readCurveRows } = require('./curveStore');
+const { createStatsAccumulator } = require('./curveStats');
+const { SENSITIVITY_THRESHOLDS, resolveThreshold, detectAnomalies } = require('./anomalies');
+const { detectTrendSegments } = require('./trends');
+const {
+  RecommendationRulesError, loadRecommendationRules, requiredCurves, evaluateRecommendations
+} = require('./recommendations');
+const { PetrophysicsError, resolveParameters, planPetrophysics } = require('./petrophysics');
+const { FormulaError, FUNCTIONS, CURVE_NAME, compileFormula, planFormulaCurve } = require('./formula');
+const { GasAnalysisError, CLASSES: GAS_CLASSES, resolveGasMapping, analyzeGas } = require('./gasAnalysis');
+const { ZoneError, validateZone, resolveZoneBases, zonesFromTable } = require('./zones');
+const { FaciesError, fitFacies, labelFacies, describeFacies } = require('./facies');
+const { PredictionError, trainPredictor, predictValue } = require('./curvePrediction');
+const { createDepthCheck, createCurveCheck, summarizeQuality } = require('./qualityControl');
+const { ProcessingError, normalizeSteps, processCurve, resampleGrid, createInterpolator } = require('./curveProcessing');
+const { DepthShiftError, normalizeShiftTable, applyShiftTable, matchDepth } = require('./depthShift');
 
 const app = express();
 const PORT = 5001;
@@ -13,7 +36,7 @@ const PORT = 5001;
 // ============================================
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:5173', 'http://127.0.0.1:3000'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
   credentials: true
 }));
@@ -26,6 +49,7 @@ app.use(express.urlencoded({ extended: true, limit: '500mb' }));
 // ============================================
 const uploadsDir = path.join(__dirname, 'uploads');
 const databaseDir = path.join(__dirname, 'database');
+const recommendationRulesPath = path.join(__dirname, 'recommendationRules.json');
 
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 if (!fs.existsSync(databaseDir)) fs.mkdirSync(databaseDir, { recursive: true });
@@ -35,195 +59,2485 @@ if (!fs.existsSync(databaseDir)) fs.mkdirSync(databaseDir, { recursive: true });
 // ============================================
 const dbPath = path.join(databaseDir, 'well_data.db');
 const db = new sqlite3.Database(dbPath);
+db.configure('busyTimeout', 30000);
+
+// ON DELETE CASCADE only fires with foreign keys enabled, per connection
+db.run('PRAGMA foreign_keys = ON');
+
+// WAL lets the API keep reading while a large upload holds its write transaction open
+db.run('PRAGMA journal_mode = WAL');
 
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS files (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     filename TEXT NOT NULL,
     upload_date TEXT NOT NULL,
-    file_path TEXT NOT NULL
+    file_path TEXT NOT NULL,
+    content_hash TEXT,
+    well_key TEXT,
+    revision INTEGER,
+    source_format TEXT DEFAULT 'las',
+    import_options TEXT
+  )`);
+
+  // One dataset per LAS data section (~A, or ~Log_Data/~Core_Data/... in LAS 3.0)
+  db.run(`CREATE TABLE IF NOT EXISTS datasets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    dataset_order INTEGER NOT NULL,
+    row_count INTEGER,
+    min_depth REAL,
+    max_depth REAL,
+    FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+  )`);
+
+  // ~V, ~W and ~P items, one row per header line
+  db.run(`CREATE TABLE IF NOT EXISTS las_header_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_id INTEGER NOT NULL,
+    section TEXT NOT NULL,
+    item_order INTEGER NOT NULL,
+    mnemonic TEXT NOT NULL,
+    unit TEXT,
+    value TEXT,
+    description TEXT,
+    FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+  )`);
+
+  // The curves catalog: ~C entries, including the depth index at curve_order 0,
+  // with sample counts and the depth range each curve has readings over
+  db.run(`CREATE TABLE IF NOT EXISTS curve_info (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_id INTEGER NOT NULL,
+    curve_order INTEGER NOT NULL,
+    curve_name TEXT NOT NULL,
+    unit TEXT,
+    api_code TEXT,
+    description TEXT,
+    sample_count INTEGER,
+    null_count INTEGER,
+    dataset_id INTEGER,
+    value_type TEXT,
+    min_depth REAL,
+    max_depth REAL,
+    derivation TEXT,
+    FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+  )`);
+
+  // Sample storage, see curveStore.js: depths per chunk of rows, and one
+  // packed value array per curve and chunk
+  db.run(`CREATE TABLE IF NOT EXISTS dataset_chunks (
+    dataset_id INTEGER NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    row_start INTEGER NOT NULL,
+    row_count INTEGER NOT NULL,
+    min_depth REAL,
+    max_depth REAL,
+    depths BLOB NOT NULL,
+    PRIMARY KEY (dataset_id, chunk_index),
+    FOREIGN KEY (dataset_id) REFERENCES datasets (id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS curve_chunks (
+    curve_id INTEGER NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    PRIMARY KEY (curve_id, chunk_index),
+    FOREIGN KEY (curve_id) REFERENCES curve_info (id) ON DELETE CASCADE
+  )`);
+
+  // Whole-curve statistics of numeric curves, computed at ingest (curveStats.js)
+  db.run(`CREATE TABLE IF NOT EXISTS curve_stats (
+    curve_id INTEGER PRIMARY KEY,
+    value_count INTEGER NOT NULL,
+    null_count INTEGER NOT NULL,
+    mean REAL,
+    std REAL,
+    min_value REAL,
+    max_value REAL,
+    p10 REAL,
+    p50 REAL,
+    p90 REAL,
+    histogram TEXT,
+    FOREIGN KEY (curve_id) REFERENCES curve_info (id) ON DELETE CASCADE
+  )`);
+
+  // Formation tops / zones per file; a NULL base ends the zone at the next top
+  db.run(`CREATE TABLE IF NOT EXISTS zones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    top_depth REAL NOT NULL,
+    base_depth REAL,
+    color TEXT,
+    source TEXT NOT NULL DEFAULT 'manual',
+    FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+  )`);
+
+  // Latest data quality report per file (qualityControl.js), built after each ingest
+  db.run(`CREATE TABLE IF NOT EXISTS qc_reports (
+    file_id INTEGER PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    score REAL,
+    grade TEXT,
+    report TEXT NOT NULL,
+    FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
   )`);
 
-  db.run(`CREATE TABLE IF NOT EXISTS well_data (
+  // Depth shift tables (depthShift.js), each with the shifted curve version it made
+  db.run(`CREATE TABLE IF NOT EXISTS depth_shifts (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     file_id INTEGER NOT NULL,
-    depth REAL NOT NULL,
+    dataset_id INTEGER NOT NULL,
     curve_name TEXT NOT NULL,
-    value REAL NOT NULL,
+    output_name TEXT NOT NULL,
+    shifts TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    match TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE,
+    FOREIGN KEY (dataset_id) REFERENCES datasets (id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS las_other (
+    file_id INTEGER PRIMARY KEY,
+    content TEXT,
     FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
   )`);
 
-  db.run(`CREATE INDEX IF NOT EXISTS idx_well_data_file_curve ON well_data(file_id, curve_name)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_well_data_depth ON well_data(depth)`);
-  
-  console.log('Database tables created/verified');
+  db.run(`CREATE INDEX IF NOT EXISTS idx_las_header_items_file ON las_header_items(file_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_curve_info_file ON curve_info(file_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_curve_info_dataset ON curve_info(dataset_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_datasets_file ON datasets(file_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_zones_file ON zones(file_id)`);
+  
+  console.log('Database tables created/verified');
+});
+
+// Promise wrappers for routes that chain several queries. They run on the
+// shared API connection unless another one (e.g. the ingest connection) is given.
+function dbGet(sql, params = [], connection = db) {
+  return new Promise((resolve, reject) => {
+    connection.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = [], connection = db) {
+  return new Promise((resolve, reject) => {
+    connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function dbRun(sql, params = [], connection = db) {
+  return new Promise((resolve, reject) => {
+    connection.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await dbAll(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// ============================================
+// DATABASE MIGRATIONS
+// ============================================
+async function migrateDatabase() {
+  // Databases created before NULL support declared well_data.value NOT NULL
+  // and stored -999.25 sentinels as real readings. Rebuild the table with a
+  // nullable value column and turn the stored sentinels into missing samples.
+  // well_data (one row per depth and curve) only exists in databases created
+  // before columnar storage; it is converted and dropped at the end.
+  const wellDataColumns = await dbAll('PRAGMA table_info(well_data)');
+  const hasWellData = wellDataColumns.length > 0;
+  const valueColumn = wellDataColumns.find(c => c.name === 'value');
+  if (valueColumn && valueColumn.notnull) {
+    console.log('Migrating well_data to nullable values...');
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      await dbRun('ALTER TABLE well_data RENAME TO well_data_old');
+      await dbRun(`CREATE TABLE well_data (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL,
+        depth REAL NOT NULL,
+        curve_name TEXT NOT NULL,
+        value REAL,
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+      )`);
+      await dbRun(`INSERT INTO well_data (id, file_id, depth, curve_name, value)
+                   SELECT id, file_id, depth, curve_name, value FROM well_data_old`);
+      await dbRun('DROP TABLE well_data_old');
+      await dbRun(`UPDATE well_data SET value = NULL
+                   WHERE value IN (${COMMON_NULL_VALUES.join(', ')})`);
+      await dbRun(`CREATE INDEX IF NOT EXISTS idx_well_data_file_curve ON well_data(file_id, curve_name)`);
+      await dbRun(`CREATE INDEX IF NOT EXISTS idx_well_data_depth ON well_data(depth)`);
+      await dbRun('COMMIT');
+    } catch (error) {
+      await dbRun('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Quality reports used to score every file, so score and grade were NOT
+  // NULL; a file with no readings now has neither. The reports are rebuilt on
+  // request, so the table is simply recreated.
+  const qcColumns = await dbAll('PRAGMA table_info(qc_reports)');
+  if (qcColumns.some(c => c.name === 'score' && c.notnull)) {
+    console.log('Recreating qc_reports with nullable scores...');
+    await dbRun('DROP TABLE qc_reports');
+    await dbRun(`CREATE TABLE qc_reports (
+      file_id INTEGER PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      score REAL,
+      grade TEXT,
+      report TEXT NOT NULL,
+      FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+  }
+
+  await addColumnIfMissing('curve_info', 'sample_count', 'INTEGER');
+  await addColumnIfMissing('curve_info', 'null_count', 'INTEGER');
+  await addColumnIfMissing('curve_info', 'dataset_id', 'INTEGER');
+  await addColumnIfMissing('curve_info', 'value_type', 'TEXT');
+  await addColumnIfMissing('curve_info', 'min_depth', 'REAL');
+  await addColumnIfMissing('curve_info', 'max_depth', 'REAL');
+  await addColumnIfMissing('curve_info', 'derivation', 'TEXT');
+  await dbRun('CREATE INDEX IF NOT EXISTS idx_curve_info_dataset ON curve_info(dataset_id)');
+  if (hasWellData) {
+    await addColumnIfMissing('well_data', 'dataset_id', 'INTEGER');
+    await addColumnIfMissing('well_data', 'text_value', 'TEXT');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_well_data_dataset_curve ON well_data(dataset_id, curve_name)');
+  }
+  await addColumnIfMissing('files', 'content_hash', 'TEXT');
+  await addColumnIfMissing('files', 'well_key', 'TEXT');
+  await addColumnIfMissing('files', 'revision', 'INTEGER');
+  await addColumnIfMissing('files', 'source_format', "TEXT DEFAULT 'las'");
+  await addColumnIfMissing('files', 'import_options', 'TEXT');
+  await dbRun('CREATE INDEX IF NOT EXISTS idx_files_content_hash ON files(content_hash)');
+  await dbRun('CREATE INDEX IF NOT EXISTS idx_files_well_key ON files(well_key)');
+
+  // Files uploaded before LAS 3.0 support hold a single, implicit Log dataset
+  const filesWithoutDatasets = hasWellData ? await dbAll(
+    'SELECT id FROM files WHERE id NOT IN (SELECT file_id FROM datasets)'
+  ) : [];
+  for (const file of filesWithoutDatasets) {
+    console.log(`Creating Log dataset for file ${file.id}...`);
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      const range = await dbGet(`SELECT COUNT(DISTINCT depth) as rows, MIN(depth) as minD, MAX(depth) as maxD
+                                 FROM well_data WHERE file_id = ?`, [file.id]);
+      const { lastID: datasetId } = await dbRun(`INSERT INTO datasets
+        (file_id, name, dataset_order, row_count, min_depth, max_depth) VALUES (?, 'Log', 0, ?, ?, ?)`,
+        [file.id, range.rows, range.minD, range.maxD]);
+      await dbRun('UPDATE well_data SET dataset_id = ? WHERE file_id = ? AND dataset_id IS NULL', [datasetId, file.id]);
+      await dbRun('UPDATE curve_info SET dataset_id = ? WHERE file_id = ? AND dataset_id IS NULL', [datasetId, file.id]);
+      await dbRun('COMMIT');
+    } catch (error) {
+      await dbRun('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Files uploaded before duplicate detection have no hash or well identity.
+  // Revisions are numbered in upload order within each well.
+  const filesWithoutIdentity = await dbAll(
+    'SELECT id, file_path FROM files WHERE revision IS NULL ORDER BY upload_date, id'
+  );
+  for (const file of filesWithoutIdentity) {
+    const contentHash = fs.existsSync(file.file_path) ? await hashFile(file.file_path) : null;
+    const wellItems = await dbAll(`SELECT mnemonic, unit, value, description FROM las_header_items
+                                   WHERE file_id = ? AND section = 'well' ORDER BY item_order`, [file.id]);
+    const wellKey = wellKeyFromHeader(wellItems);
+    const revision = await nextRevision(wellKey, file.id);
+    await dbRun('UPDATE files SET content_hash = ?, well_key = ?, revision = ? WHERE id = ?',
+      [contentHash, wellKey, revision, file.id]);
+  }
+
+  if (hasWellData) await migrateWellDataToChunks();
+
+  // Numeric curves stored before the statistics catalog existed
+  const curvesWithoutStats = await dbAll(`SELECT c.id, c.dataset_id, c.curve_name FROM curve_info c
+    WHERE c.curve_order > 0 AND c.dataset_id IS NOT NULL AND COALESCE(c.value_type, 'number') != 'string'
+      AND c.id NOT IN (SELECT curve_id FROM curve_stats)`);
+  if (curvesWithoutStats.length > 0) {
+    console.log(`Computing statistics for ${curvesWithoutStats.length} curve(s)...`);
+    for (const curve of curvesWithoutStats) {
+      await saveCurveStats(curve.dataset_id, [{ id: curve.id, name: curve.curve_name }]);
+    }
+  }
+}
+
+// Converts the row-per-sample well_data table into columnar chunks, one
+// dataset per transaction, then drops it. Samples are read in insertion
+// order, where a record's curves follow each other, so a record ends when
+// the depth changes or a curve repeats.
+async function migrateWellDataToChunks() {
+  const datasets = await dbAll(`SELECT id, file_id FROM datasets
+                                WHERE id IN (SELECT DISTINCT dataset_id FROM well_data) ORDER BY id`);
+
+  for (const dataset of datasets) {
+    console.log(`Converting dataset ${dataset.id} to columnar storage...`);
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      // Files stored before curve definitions were kept have no catalog rows yet
+      let catalog = await dbAll(`SELECT id, curve_name, value_type FROM curve_info
+                                 WHERE dataset_id = ? AND curve_order > 0 ORDER BY curve_order`, [dataset.id]);
+      const stored = await dbAll(`SELECT curve_name, MAX(text_value IS NOT NULL) AS has_text, MIN(id) AS first_id
+                                  FROM well_data WHERE dataset_id = ? GROUP BY curve_name ORDER BY first_id`,
+        [dataset.id]);
+      if (!(await dbGet('SELECT id FROM curve_info WHERE dataset_id = ? AND curve_order = 0', [dataset.id]))) {
+        await dbRun(`INSERT INTO curve_info (file_id, dataset_id, curve_order, curve_name, description)
+                     VALUES (?, ?, 0, 'DEPT', 'Depth')`, [dataset.file_id, dataset.id]);
+      }
+      for (const curve of stored) {
+        const valueType = curve.has_text ? 'string' : 'number';
+        const known = catalog.find(c => c.curve_name === curve.curve_name);
+        if (known) {
+          if (!known.value_type) await dbRun('UPDATE curve_info SET value_type = ? WHERE id = ?', [valueType, known.id]);
+          continue;
+        }
+        await dbRun(`INSERT INTO curve_info (file_id, dataset_id, curve_order, curve_name, value_type)
+                     VALUES (?, ?, (SELECT COALESCE(MAX(curve_order), 0) + 1 FROM curve_info WHERE dataset_id = ?), ?, ?)`,
+          [dataset.file_id, dataset.id, dataset.id, curve.curve_name, valueType]);
+      }
+      catalog = await dbAll(`SELECT id, curve_name, value_type FROM curve_info
+                             WHERE dataset_id = ? AND curve_order > 0 ORDER BY curve_order`, [dataset.id]);
+
+      const column = new Map(catalog.map((c, i) => [c.curve_name, i]));
+      const writer = createChunkWriter(db, {
+        datasetId: dataset.id,
+        curves: catalog.map(c => ({ id: c.id, valueType: c.value_type }))
+      });
+
+      let record = null;
+      let lastId = 0;
+      for (;;) {
+        const samples = await dbAll(`SELECT id, depth, curve_name, value, text_value FROM well_data
+                                     WHERE dataset_id = ? AND id > ? ORDER BY id LIMIT 50000`, [dataset.id, lastId]);
+        if (samples.length === 0) break;
+
+        for (const sample of samples) {
+          const index = column.get(sample.curve_name);
+          if (!record || record.depth !== sample.depth || record.filled[index]) {
+            if (record) writer.push(record.depth, record.values);
+            record = { depth: sample.depth, values: catalog.map(() => null), filled: catalog.map(() => false) };
+          }
+          record.values[index] = sample.text_value !== null ? sample.text_value : sample.value;
+          record.filled[index] = true;
+        }
+        lastId = samples[samples.length - 1].id;
+        await writer.write();
+      }
+      if (record) writer.push(record.depth, record.values);
+
+      const { rowCount, minDepth, maxDepth, curveStats } = await writer.finish();
+      await dbRun('UPDATE datasets SET row_count = ?, min_depth = ?, max_depth = ? WHERE id = ?',
+        [rowCount, minDepth, maxDepth, dataset.id]);
+      for (let i = 0; i < catalog.length; i++) {
+        const stats = curveStats[i];
+        await dbRun('UPDATE curve_info SET sample_count = ?, null_count = ?, min_depth = ?, max_depth = ? WHERE id = ?',
+          [stats.samples, stats.nulls, stats.minDepth, stats.maxDepth, catalog[i].id]);
+      }
+      await dbRun('DELETE FROM well_data WHERE dataset_id = ?', [dataset.id]);
+      await dbRun('COMMIT');
+    } catch (error) {
+      await dbRun('ROLLBACK');
+      throw error;
+    }
+  }
+
+  await dbRun('DROP TABLE well_data');
+  console.log('Columnar storage migration complete');
+}
+
+// Names multer gives uploads (see storage below): "<timestamp>-<clean name>"
+const UPLOAD_NAME = /^\d+-[a-zA-Z0-9._-]+$/;
+
+// Removes files in uploads/ that no files row points at, e.g. copies left
+// behind by uploads that crashed mid-ingest before cleanup existed. Only
+// files named like an upload are touched, and a failure is logged rather
+// than stopping the server.
+async function cleanupOrphanedUploads() {
+  const rows = await dbAll('SELECT file_path FROM files');
+  const referenced = new Set(rows.map(r => path.resolve(r.file_path)));
+
+  let removed = 0;
+  for (const entry of fs.readdirSync(uploadsDir, { withFileTypes: true })) {
+    if (!entry.isFile() || !UPLOAD_NAME.test(entry.name)) continue;
+    const filePath = path.join(uploadsDir, entry.name);
+    if (referenced.has(path.resolve(filePath))) continue;
+    try {
+      fs.unlinkSync(filePath);
+      removed++;
+    } catch (error) {
+      console.error(`Could not remove orphaned upload ${entry.name}:`, error.message);
+    }
+  }
+  if (removed > 0) console.log(`Removed ${removed} orphaned upload(s)`);
+}
+
+// Picks the dataset a request works on: the one it names, else the file's first one
+function resolveDataset(fileId, datasetId) {
+  if (datasetId && datasetId !== 'undefined') {
+    return dbGet('SELECT * FROM datasets WHERE id = ? AND file_id = ?', [datasetId, fileId]);
+  }
+  return dbGet('SELECT * FROM datasets WHERE file_id = ? ORDER BY dataset_order LIMIT 1', [fileId]);
+}
+
+// A curve_stats row in the shape createStatsAccumulator returns
+function statsFromRow(row) {
+  return {
+    count: row.value_count,
+    nulls: row.null_count,
+    mean: row.mean,
+    std: row.std,
+    min: row.min_value,
+    max: row.max_value,
+    p10: row.p10,
+    p50: row.p50,
+    p90: row.p90,
+    histogram: row.histogram ? JSON.parse(row.histogram) : null
+  };
+}
+
+// Statistics of a numeric curve (a curve_info row) over [minDepth, maxDepth]:
+// the stored ones when the interval is absent or covers the whole dataset,
+// otherwise computed from the chunks that overlap it
+async function getCurveStats(dataset, curve, minDepth = null, maxDepth = null) {
+  const wholeDataset = minDepth === null || maxDepth === null
+    || (minDepth <= dataset.min_depth && maxDepth >= dataset.max_depth);
+  if (wholeDataset) {
+    const row = await dbGet('SELECT * FROM curve_stats WHERE curve_id = ?', [curve.id]);
+    if (row) return statsFromRow(row);
+  }
+
+  return streamCurveStats(db, {
+    datasetId: dataset.id,
+    curve: curve.curve_name,
+    minDepth: wholeDataset ? null : minDepth,
+    maxDepth: wholeDataset ? null : maxDepth
+  });
+}
+
+// Statistics of one curve accumulated chunk by chunk, so only a chunk of it
+// is held in memory at a time. options: { datasetId, curve, minDepth, maxDepth }.
+async function streamCurveStats(connection, { curve, ...options }) {
+  const stats = createStatsAccumulator();
+  for await (const { values } of iterateCurveChunks(connection, { ...options, curves: [curve] })) {
+    stats.add(values[curve]);
+  }
+  return stats.result();
+}
+
+// ============================================
+// INGEST
+// ============================================
+
+// SHA-256 of a stored upload, used to spot the same file uploaded twice
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Identifies the well a file belongs to, so new logs of the same well become
+// revisions of it: the UWI (or API number) when present, else the well name
+function wellKeyFromHeader(wellItems) {
+  const { uwi, wellName } = summarizeWellSection(wellItems);
+  if (uwi && uwi.trim()) return `UWI:${uwi.trim().toUpperCase()}`;
+  if (wellName && wellName.trim()) return `WELL:${wellName.trim().toUpperCase()}`;
+  return null;
+}
+
+// Revision number for a file joining a well's history; files with no well
+// identity stand alone
+async function nextRevision(wellKey, fileId, connection = db) {
+  if (!wellKey) return 1;
+  const row = await dbGet('SELECT MAX(revision) AS latest FROM files WHERE well_key = ? AND id != ?',
+    [wellKey, fileId], connection);
+  return (row.latest || 0) + 1;
+}
+
+// Saves the file-level ~V/~W/~P and ~O sections
+async function saveLASHeader(fileId, header, connection = db) {
+  for (const section of ['version', 'well', 'parameters']) {
+    for (let index = 0; index < header[section].length; index++) {
+      const item = header[section][index];
+      await dbRun(`INSERT INTO las_header_items
+        (file_id, section, item_order, mnemonic, unit, value, description) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [fileId, section, index, item.mnemonic, item.unit, item.value, item.description], connection);
+    }
+  }
+
+  if (header.other) {
+    await dbRun('INSERT INTO las_other (file_id, content) VALUES (?, ?)', [fileId, header.other], connection);
+  }
+}
+
+// Removes everything parsed from a file while keeping the files row itself
+async function clearFileData(fileId, connection = db) {
+  for (const table of ['curve_chunks', 'curve_stats']) {
+    await dbRun(`DELETE FROM ${table} WHERE curve_id IN (SELECT id FROM curve_info WHERE file_id = ?)`,
+      [fileId], connection);
+  }
+  await dbRun('DELETE FROM dataset_chunks WHERE dataset_id IN (SELECT id FROM datasets WHERE file_id = ?)',
+    [fileId], connection);
+  for (const table of ['depth_shifts', 'curve_info', 'datasets', 'las_header_items', 'las_other']) {
+    await dbRun(`DELETE FROM ${table} WHERE file_id = ?`, [fileId], connection);
+  }
+}
+
+// Computes and stores the statistics of stored numeric curves, reading them
+// back from their chunks one chunk at a time. curves: [{ id, name }]
+async function saveCurveStats(datasetId, curves, connection = db) {
+  for (const curve of curves) {
+    const stats = await streamCurveStats(connection, { datasetId, curve: curve.name });
+    await dbRun(`INSERT OR REPLACE INTO curve_stats
+      (curve_id, value_count, null_count, mean, std, min_value, max_value, p10, p50, p90, histogram)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [curve.id, stats.count, stats.nulls, stats.mean, stats.std, stats.min, stats.max,
+        stats.p10, stats.p50, stats.p90, stats.histogram ? JSON.stringify(stats.histogram) : null], connection);
+  }
+}
+
+// The streaming reader for a stored upload: LAS files parse themselves, CSV/TSV
+// imports need the column mapping chosen when they were imported
+function readerFor(sourceFormat, importOptions) {
+  if (sourceFormat === 'tabular') {
+    return (filePath, callbacks) => streamTabularFile(filePath, { ...importOptions, ...callbacks });
+  }
+  return streamLASFile;
+}
+
+// Streams an uploaded file into the database inside a single transaction.
+// Records are packed into columnar chunks (see curveStore.js) while the file
+// is read; dataset rows and catalog entries are created when a data section
+// first yields a record, and their counts and depth ranges are filled in at
+// the end. onProgress({ phase, rowsProcessed, bytesRead }) reports how far it got.
+// Passing an existing fileId re-parses that file in place: its old data is
+// replaced within the same transaction, so readers never see a half-built file.
+async function ingestFile(originalName, filePath, {
+  connection = db, fileId: existingFileId = null, contentHash = null,
+  sourceFormat = 'las', importOptions = null, onProgress = () => {}
+} = {}) {
+  const run = (sql, params) => dbRun(sql, params, connection);
+  const stores = new Map();
+
+  await run('BEGIN TRANSACTION');
+  try {
+    let fileId = existingFileId;
+    if (fileId) {
+      await clearFileData(fileId, connection);
+    } else {
+      ({ lastID: fileId } = await run(`INSERT INTO files
+        (filename, upload_date, file_path, content_hash, source_format, import_options) VALUES (?, ?, ?, ?, ?, ?)`,
+        [originalName, new Date().toISOString(), filePath, contentHash, sourceFormat,
+          importOptions ? JSON.stringify(importOptions) : null]));
+    }
+
+    // The dataset row, its catalog entries and a chunk writer for its samples
+    const ensureDataset = async (dataset) => {
+      if (stores.has(dataset)) return stores.get(dataset);
+
+      const { lastID: datasetId } = await run(`INSERT INTO datasets
+        (file_id, name, dataset_order) VALUES (?, ?, ?)`, [fileId, dataset.name, stores.size]);
+      const curves = [];
+      for (let index = 0; index < dataset.curveItems.length; index++) {
+        const item = dataset.curveItems[index];
+        const { lastID: curveId } = await run(`INSERT INTO curve_info
+          (file_id, dataset_id, curve_order, curve_name, unit, api_code, description, value_type)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [fileId, datasetId, index, dataset.columnNames[index], item.unit, item.value, item.description,
+            dataset.valueTypes[index]]);
+        // The depth index (order 0) lives in the chunks' depth arrays
+        if (index > 0) {
+          curves.push({ id: curveId, name: dataset.columnNames[index], valueType: dataset.valueTypes[index] });
+        }
+      }
+
+      const store = { datasetId, curves, writer: createChunkWriter(connection, { datasetId, curves }) };
+      stores.set(dataset, store);
+      return store;
+    };
+
+    let rowsProcessed = 0;
+    onProgress({ phase: 'parsing', rowsProcessed, bytesRead: 0 });
+
+    const parsedData = await readerFor(sourceFormat, importOptions)(filePath, {
+      onProgress: ({ bytesRead }) => onProgress({ phase: 'inserting', rowsProcessed, bytesRead }),
+      onBatch: async (records) => {
+        for (const { dataset, depth, values } of records) {
+          const { writer } = await ensureDataset(dataset);
+          writer.push(depth, values);
+        }
+        for (const { writer } of stores.values()) await writer.write();
+        rowsProcessed += records.length;
+      }
+    });
+
+    onProgress({ phase: 'finalizing', rowsProcessed, bytesRead: null });
+    await saveLASHeader(fileId, parsedData.header, connection);
+
+    // A re-parse keeps its place in the well's history unless the well itself changed
+    const wellKey = wellKeyFromHeader(parsedData.header.well);
+    const current = await dbGet('SELECT well_key, revision FROM files WHERE id = ?', [fileId], connection);
+    let revision = current.revision;
+    if (revision === null || current.well_key !== wellKey) {
+      revision = await nextRevision(wellKey, fileId, connection);
+      await run('UPDATE files SET well_key = ?, revision = ? WHERE id = ?', [wellKey, revision, fileId]);
+    }
+
+    const datasets = [];
+    // A section without a single row is left out unless it is all the file has
+    const hasRows = parsedData.datasets.some(dataset => dataset.rowCount > 0);
+    for (const dataset of parsedData.datasets) {
+      if (hasRows && dataset.rowCount === 0) continue;
+      const { datasetId, curves, writer } = await ensureDataset(dataset);
+      const { rowCount, minDepth, maxDepth, curveStats } = await writer.finish();
+      await run('UPDATE datasets SET row_count = ?, min_depth = ?, max_depth = ? WHERE id = ?',
+        [rowCount, minDepth, maxDepth, datasetId]);
+      for (let i = 0; i < curves.length; i++) {
+        const stats = curveStats[i];
+        await run('UPDATE curve_info SET sample_count = ?, null_count = ?, min_depth = ?, max_depth = ? WHERE id = ?',
+          [stats.samples, stats.nulls, stats.minDepth, stats.maxDepth, curves[i].id]);
+      }
+      await saveCurveStats(datasetId, curves.filter(c => c.valueType !== 'string'), connection);
+      datasets.push({
+        id: datasetId,
+        name: dataset.name,
+        curves: dataset.curves,
+        rowCount: dataset.rowCount,
+        dataPoints: dataset.dataPoints
+      });
+    }
+
+    await run('COMMIT');
+
+    return { fileId, parsedData, datasets, wellKey, revision };
+  } catch (error) {
+    await run('ROLLBACK');
+    throw error;
+  }
+}
+
+// ============================================
+// INGEST JOBS
+// ============================================
+
+// Uploads are parsed and inserted in the background, one at a time, on a
+// dedicated connection. Its open transaction is invisible to the API
+// connection (WAL), so a file only appears in /api/files once committed.
+const ingestDb = new sqlite3.Database(dbPath);
+ingestDb.configure('busyTimeout', 30000);
+ingestDb.run('PRAGMA foreign_keys = ON');
+
+const jobs = new Map();
+let ingestQueue = Promise.resolve();
+
+// Finished jobs stay queryable for an hour
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// A queued or running upload of the same content
+function findActiveUpload(contentHash) {
+  return [...jobs.values()].find(job =>
+    job.contentHash === contentHash && (job.status === 'queued' || job.status === 'running'));
+}
+
+// The response for content that is already stored or being ingested, else null
+async function findDuplicate(contentHash) {
+  const existing = await dbGet('SELECT id, filename FROM files WHERE content_hash = ?', [contentHash]);
+  const pending = existing ? null : findActiveUpload(contentHash);
+  if (!existing && !pending) return null;
+
+  return {
+    message: existing ? `This file was already uploaded as ${existing.filename}` : 'This file is already being uploaded',
+    duplicate: true,
+    fileId: existing ? existing.id : null,
+    jobId: pending ? pending.id : null,
+    filename: existing ? existing.filename : pending.filename
+  };
+}
+
+function hasActiveJob(fileId) {
+  return [...jobs.values()].some(job =>
+    String(job.fileId) === String(fileId) && (job.status === 'queued' || job.status === 'running'));
+}
+
+function updateJob(job, fields) {
+  Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+}
+
+// What GET /api/jobs/:id reports (the server-side upload path stays private)
+function describeJob(job) {
+  const { filePath, contentHash, ...publicFields } = job;
+  return publicFields;
+}
+
+// Queues an upload, or a re-parse of an existing file when fileId is given.
+// CSV/TSV imports pass sourceFormat 'tabular' and their column mapping.
+function enqueueIngestJob(filename, filePath, {
+  fileId = null, contentHash = null, sourceFormat = 'las', importOptions = null
+} = {}) {
+  const totalBytes = fs.statSync(filePath).size;
+  const job = {
+    id: crypto.randomUUID(),
+    kind: fileId ? 'reparse' : 'upload',
+    filename,
+    filePath,
+    contentHash,
+    sourceFormat,
+    importOptions,
+    status: 'queued',
+    phase: 'queued',
+    rowsProcessed: 0,
+    bytesRead: 0,
+    totalBytes,
+    percent: 0,
+    errors: [],
+    fileId,
+    result: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  jobs.set(job.id, job);
+
+  ingestQueue = ingestQueue.then(() => runIngestJob(job));
+  return job;
+}
+
+async function runIngestJob(job) {
+  updateJob(job, { status: 'running', phase: 'parsing' });
+
+  try {
+    const { fileId, parsedData, datasets, wellKey, revision } = await ingestFile(job.filename, job.filePath, {
+      connection: ingestDb,
+      fileId: job.fileId,
+      contentHash: job.contentHash,
+      sourceFormat: job.sourceFormat,
+      importOptions: job.importOptions,
+      onProgress: ({ phase, rowsProcessed, bytesRead }) => {
+        const fields = { phase, rowsProcessed };
+        if (bytesRead !== null) {
+          fields.bytesRead = bytesRead;
+          // Held below 100 until the transaction has committed
+          fields.percent = job.totalBytes ? Math.min(99, Math.round((bytesRead / job.totalBytes) * 100)) : 0;
+        }
+        updateJob(job, fields);
+      }
+    });
+    const primary = parsedData.datasets[0];
+
+    // A failed quality check never fails the upload; GET .../qc builds the
+    // report again when it is missing
+    updateJob(job, { phase: 'checking' });
+    let quality = null;
+    try {
+      const report = await saveQualityReport(fileId, ingestDb);
+      quality = { score: report.score, grade: report.grade };
+    } catch (error) {
+      console.error(`Quality check of file ${fileId} failed:`, error);
+    }
+
+    updateJob(job, {
+      status: 'completed',
+      phase: 'completed',
+      percent: 100,
+      fileId,
+      result: {
+        message: job.kind === 'reparse' ? 'Re-parse successful' : 'Upload successful',
+        fileId,
+        version: parsedData.version,
+        wellKey,
+        revision,
+        datasets,
+        curves: primary.curves,
+        depthRange: primary.depthRange,
+        dataPoints: primary.dataPoints,
+        nullPoints: primary.nullPoints,
+        quality
+      }
+    });
+    console.log(`Ingest job ${job.id} completed (file ${fileId})`);
+  } catch (error) {
+    console.error(`Ingest job ${job.id} failed:`, error);
+    // A failed re-parse leaves the stored original (and the previous data) in place
+    if (job.kind === 'upload' && fs.existsSync(job.filePath)) fs.unlinkSync(job.filePath);
+    updateJob(job, {
+      status: 'failed',
+      phase: 'failed',
+      errors: [...job.errors, { message: error.message, line: error.lineNumber || null }]
+    });
+  }
+
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+// ============================================
+// DERIVED CURVES
+// ============================================
+
+// Runs a write on the ingest connection after the queued ingests, so it never
+// interleaves with an ingest transaction. Resolves to the task's result.
+function queueIngestWrite(task) {
+  const result = ingestQueue.then(() => task(ingestDb));
+  ingestQueue = result.catch(() => {});
+  return result;
+}
+
+// Checks a derived-curve plan ({ inputs, outputs }) against the dataset: every
+// input must be a stored numeric curve, and outputs may only replace curves
+// derived earlier. Returns { status, error } for the first problem, else null.
+async function checkDerivedPlan(dataset, { inputs, outputs }) {
+  const catalog = await dbAll('SELECT curve_name, value_type, derivation FROM curve_info WHERE dataset_id = ? AND curve_order > 0',
+    [dataset.id]);
+  for (const name of inputs) {
+    const curve = catalog.find(c => c.curve_name === name);
+    if (!curve) return { status: 400, error: `Curve ${name} not found` };
+    if (curve.value_type === 'string') return { status: 400, error: `${name} is a text curve` };
+  }
+  for (const { name } of outputs) {
+    if (inputs.includes(name)) return { status: 400, error: `${name} cannot be both an input and an output` };
+    const existing = catalog.find(c => c.curve_name === name);
+    if (existing && !existing.derivation) {
+      return { status: 409, error: `${name} is a curve from the file; choose another output name` };
+    }
+  }
+  return null;
+}
+
+// Stores curves computed from others in the dataset, replacing derived curves
+// of the same names, in one transaction. plan: { inputs, outputs: [{ name,
+// unit, description, derivation }], compute(values, rowCount, depths) } where
+// compute maps one chunk of input values to { NAME: [...] }.
+// Resolves to [{ name, unit, description, samples, nulls }].
+async function saveDerivedCurves(dataset, { inputs, outputs, compute }, connection = db) {
+  const run = (sql, params) => dbRun(sql, params, connection);
+
+  await run('BEGIN TRANSACTION');
+  try {
+    const curves = [];
+    for (const output of outputs) {
+      await run('DELETE FROM curve_info WHERE dataset_id = ? AND curve_name = ?', [dataset.id, output.name]);
+      const { lastID: id } = await run(`INSERT INTO curve_info
+        (file_id, dataset_id, curve_order, curve_name, unit, description, value_type, derivation)
+        VALUES (?, ?, (SELECT COALESCE(MAX(curve_order), 0) + 1 FROM curve_info WHERE dataset_id = ?), ?, ?, ?, 'number', ?)`,
+        [dataset.file_id, dataset.id, dataset.id, output.name, output.unit, output.description,
+          JSON.stringify(output.derivation)]);
+      curves.push({ id, ...output, samples: 0, nulls: 0, minDepth: null, maxDepth: null });
+    }
+
+    for await (const { index, depths, values } of iterateCurveChunks(connection, { datasetId: dataset.id, curves: inputs })) {
+      const results = compute(values, depths.length, depths);
+      for (const curve of curves) {
+        const column = results[curve.name];
+        column.forEach((value, i) => {
+          curve.samples++;
+          if (value === null) {
+            curve.nulls++;
+            return;
+          }
+          if (curve.minDepth === null || depths[i] < curve.minDepth) curve.minDepth = depths[i];
+          if (curve.maxDepth === null || depths[i] > curve.maxDepth) curve.maxDepth = depths[i];
+        });
+        await writeCurveChunk(connection, curve.id, index, column);
+      }
+    }
+
+    for (const curve of curves) {
+      await run('UPDATE curve_info SET sample_count = ?, null_count = ?, min_depth = ?, max_depth = ? WHERE id = ?',
+        [curve.samples, curve.nulls, curve.minDepth, curve.maxDepth, curve.id]);
+    }
+    await saveCurveStats(dataset.id, curves, connection);
+    await run('COMMIT');
+
+    return curves.map(({ name, unit, description, samples, nulls }) => ({ name, unit, description, samples, nulls }));
+  } catch (error) {
+    await run('ROLLBACK');
+    throw error;
+  }
+}
+
+// ============================================
+// ZONES
+// ============================================
+
+// A file's zones ordered by top, with missing bases filled in (see zones.js):
+// [{ id, name, top, base, color, source, baseFrom }]
+async function listZones(fileId) {
+  const [rows, extent] = await Promise.all([
+    dbAll('SELECT * FROM zones WHERE file_id = ?', [fileId]),
+    dbGet('SELECT MAX(max_depth) AS max_depth FROM datasets WHERE file_id = ?', [fileId])
+  ]);
+  return resolveZoneBases(rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    top: row.top_depth,
+    base: row.base_depth,
+    color: row.color,
+    source: row.source
+  })), extent.max_depth);
+}
+
+// Stores validated zones in one transaction, first removing the file's
+// existing zones when replace is set. Routes run it through queueIngestWrite
+// so the transaction has a connection to itself.
+async function saveZones(fileId, zones, source, replace, connection = db) {
+  const run = (sql, params) => dbRun(sql, params, connection);
+
+  await run('BEGIN TRANSACTION');
+  try {
+    if (replace) await run('DELETE FROM zones WHERE file_id = ?', [fileId]);
+    for (const zone of zones) {
+      await run('INSERT INTO zones (file_id, name, top_depth, base_depth, color, source) VALUES (?, ?, ?, ?, ?, ?)',
+        [fileId, zone.name, zone.top, zone.base, zone.color, source]);
+    }
+    await run('COMMIT');
+  } catch (error) {
+    await run('ROLLBACK');
+    throw error;
+  }
+}
+
+// ============================================
+// QUALITY CONTROL
+// ============================================
+
+// Runs the checks of qualityControl.js over each dataset of a file: its depth
+// index against the ~W STEP and every numeric curve from the upload (derived
+// curves are left out), reading the dataset a chunk at a time
+async function buildQualityReport(fileId, connection = db) {
+  const wellItems = await dbAll(`SELECT mnemonic, unit, value, description FROM las_header_items
+                                 WHERE file_id = ? AND section = 'well' ORDER BY item_order`, [fileId], connection);
+  const { step } = summarizeWellSection(wellItems);
+  const datasets = await dbAll('SELECT id, name FROM datasets WHERE file_id = ? ORDER BY dataset_order',
+    [fileId], connection);
+
+  const results = [];
+  for (const dataset of datasets) {
+    const curves = await dbAll(`SELECT curve_name, unit FROM curve_info WHERE dataset_id = ? AND curve_order > 0
+                                AND COALESCE(value_type, 'number') != 'string' AND derivation IS NULL
+                                ORDER BY curve_order`, [dataset.id], connection);
+    const names = curves.map(curve => curve.curve_name);
+    const depthCheck = createDepthCheck(step);
+    const curveChecks = curves.map(curve => createCurveCheck({ name: curve.curve_name, unit: curve.unit }));
+
+    // Two passes over the chunks: the first finds the typical depth step and
+    // spread of each curve, the second measures every sample against them
+    let rows = 0;
+    for (const pass of ['scan', 'check']) {
+      for await (const { depths, values } of iterateCurveChunks(connection, { datasetId: dataset.id, curves: names })) {
+        if (pass === 'scan') rows += depths.length;
+        depthCheck[pass](depths);
+        curveChecks.forEach((check, i) => check[pass](depths, values[names[i]]));
+      }
+    }
+    results.push({
+      datasetId: dataset.id,
+      name: dataset.name,
+      rows,
+      depth: depthCheck.result(),
+      curves: curveChecks.map(check => check.result())
+    });
+  }
+
+  return { fileId: Number(fileId), createdAt: new Date().toISOString(), ...summarizeQuality(results), datasets: results };
+}
+
+async function saveQualityReport(fileId, connection = db) {
+  const report = await buildQualityReport(fileId, connection);
+  await dbRun('INSERT OR REPLACE INTO qc_reports (file_id, created_at, score, grade, report) VALUES (?, ?, ?, ?, ?)',
+    [fileId, report.createdAt, report.score, report.grade, JSON.stringify(report)], connection);
+  return report;
+}
+
+// ============================================
+// DEPTH SHIFTS
+// ============================================
+
+// A shift table as the API reports it
+function describeShiftTable(row) {
+  return {
+    id: row.id,
+    datasetId: row.dataset_id,
+    curve: row.curve_name,
+    output: row.output_name,
+    version: row.version,
+    shifts: JSON.parse(row.shifts),
+    match: row.match ? JSON.parse(row.match) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Stores the curve of a shift table ({ curve, output, shifts, version, id })
+// moved by its shifts, on the dataset's own depths, replacing an earlier
+// version of the same name. Runs on the ingest connection.
+async function saveShiftedCurve(dataset, table, connection) {
+  const rows = await readCurveRows(connection, { datasetId: dataset.id, curves: [table.curve] });
+  const shifted = applyShiftTable(rows.map(row => row.depth), rows.map(row => row[table.curve]), table.shifts);
+  const source = await dbGet('SELECT unit FROM curve_info WHERE dataset_id = ? AND curve_name = ?',
+    [dataset.id, table.curve], connection);
+  const bulk = table.shifts.length === 1;
+
+  // Chunks arrive in order, so each takes the next rowCount results
+  let offset = 0;
+  const plan = {
+    inputs: [table.curve],
+    outputs: [{
+      name: table.output,
+      unit: source.unit,
+      description: bulk
+        ? `${table.curve} shifted ${table.shifts[0].shift}`
+        : `${table.curve} shifted (${table.shifts.length}-point table)`,
+      derivation: {
+        method: 'depth-shift',
+        inputs: [table.curve],
+        source: { datasetId: dataset.id, dataset: dataset.name, curve: table.curve },
+        parameters: { shiftTableId: table.id, shifts: table.shifts },
+        version: table.version
+      }
+    }],
+    compute: (values, rowCount) => {
+      const column = shifted.slice(offset, offset + rowCount);
+      offset += rowCount;
+      return { [table.output]: column };
+    }
+  };
+  const [curve] = await saveDerivedCurves(dataset, plan, connection);
+  return curve;
+}
+
+// ============================================
+// TABULAR IMPORTS
+// ============================================
+
+// A CSV/TSV import happens in two steps: the file is stored and previewed,
+// then imported once the user has mapped its columns. Stored files waiting
+// for a mapping are dropped after an hour.
+const pendingImports = new Map();
+const PENDING_IMPORT_TTL_MS = 60 * 60 * 1000;
+
+function discardPendingImport(importId) {
+  const pending = pendingImports.get(importId);
+  if (!pending) return;
+  pendingImports.delete(importId);
+  clearTimeout(pending.timer);
+  if (fs.existsSync(pending.filePath)) fs.unlinkSync(pending.filePath);
+}
+
+// ============================================
+// MULTER CONFIGURATION
+// ============================================
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadsDir),
+  filename: (req, file, cb) => {
+    const cleanName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${Date.now()}-${cleanName}`);
+  }
+});
+
+function acceptExtensions(extensions, message) {
+  return (req, file, cb) => {
+    if (extensions.some(ext => file.originalname.toLowerCase().endsWith(ext))) {
+      cb(null, true);
+    } else {
+      cb(new Error(message));
+    }
+  };
+}
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 1024 * 1024 * 1024 },
+  fileFilter: acceptExtensions(['.las'], 'Only LAS files are allowed')
+});
+
+const tabularUpload = multer({
+  storage,
+  limits: { fileSize: 1024 * 1024 * 1024 },
+  fileFilter: acceptExtensions(['.csv', '.tsv', '.txt'], 'Only CSV, TSV or TXT files can be imported')
+});
+
+// ============================================
+// API ROUTES
+// ============================================
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), port: PORT });
+});
+
+// Get all files. Earlier revisions of a well are left out unless ?all=true;
+// they are listed by GET /api/files/:fileId/revisions.
+app.get('/api/files', (req, res) => {
+  const latestOnly = req.query.all !== 'true';
+  db.all(`SELECT f.id, f.filename, f.upload_date, f.revision,
+            (SELECT COUNT(*) FROM files v WHERE v.well_key = f.well_key) AS revision_count,
+            q.score AS qc_score, q.grade AS qc_grade
+          FROM files f LEFT JOIN qc_reports q ON q.file_id = f.id
+          WHERE ? = 0 OR f.well_key IS NULL
+             OR f.revision = (SELECT MAX(revision) FROM files v WHERE v.well_key = f.well_key)
+          ORDER BY f.upload_date DESC`, [latestOnly ? 1 : 0], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows || []);
+  });
+});
+
+// Version history: every uploaded revision of the file's well, newest first
+app.get('/api/files/:fileId/revisions', async (req, res) => {
+  try {
+    const file = await dbGet('SELECT id, well_key FROM files WHERE id = ?', [req.params.fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    const rows = file.well_key
+      ? await dbAll('SELECT id, filename, upload_date, revision FROM files WHERE well_key = ? ORDER BY revision DESC',
+        [file.well_key])
+      : await dbAll('SELECT id, filename, upload_date, revision FROM files WHERE id = ?', [file.id]);
+
+    res.json({
+      fileId: file.id,
+      wellKey: file.well_key,
+      revisions: rows.map((row, index) => ({
+        fileId: row.id,
+        filename: row.filename,
+        uploadDate: row.upload_date,
+        revision: row.revision,
+        isLatest: index === 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a file (display name only; the stored upload keeps its name)
+app.patch('/api/files/:fileId', async (req, res) => {
+  const filename = (req.body.filename || '').trim();
+  if (!filename) return res.status(400).json({ error: 'A new filename is required' });
+
+  try {
+    const { changes } = await dbRun('UPDATE files SET filename = ? WHERE id = ?', [filename, req.params.fileId]);
+    if (changes === 0) return res.status(404).json({ error: 'File not found' });
+    res.json({ message: 'File renamed', fileId: Number(req.params.fileId), filename });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a file, its data and the stored upload
+app.delete('/api/files/:fileId', async (req, res) => {
+  const fileId = req.params.fileId;
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const file = await dbGet('SELECT id, file_path FROM files WHERE id = ?', [fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    // Child rows go via ON DELETE CASCADE
+    await dbRun('DELETE FROM files WHERE id = ?', [fileId]);
+    if (file.file_path && fs.existsSync(file.file_path)) fs.unlinkSync(file.file_path);
+
+    res.json({ message: 'File deleted', fileId: file.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What a re-parse would delete beyond the file's own data: curves computed
+// after ingest, the shift tables behind them, and datasets holding only such
+// curves (resampled grids)
+async function listDerivedData(fileId) {
+  const curves = await dbAll(`SELECT c.curve_name, d.name as dataset_name FROM curve_info c
+                              JOIN datasets d ON d.id = c.dataset_id
+                              WHERE c.file_id = ? AND c.derivation IS NOT NULL ORDER BY d.dataset_order, c.curve_order`, [fileId]);
+  const datasets = await dbAll(`SELECT d.name FROM datasets d WHERE d.file_id = ?
+                                AND NOT EXISTS (SELECT 1 FROM curve_info c WHERE c.dataset_id = d.id
+                                                AND c.curve_order > 0 AND c.derivation IS NULL)
+                                ORDER BY d.dataset_order`, [fileId]);
+  const { count: shiftTables } = await dbGet('SELECT COUNT(*) as count FROM depth_shifts WHERE file_id = ?', [fileId]);
+  return {
+    curves: curves.map(row => ({ dataset: row.dataset_name, name: row.curve_name })),
+    datasets: datasets.map(row => row.name),
+    shiftTables
+  };
+}
+
+// Rebuild a file's data from its stored original (e.g. after parser fixes).
+// Curves computed after ingest do not survive it, so when there are any the
+// answer is 409 with { derived } listing them, until the request is repeated
+// with { discardDerived: true }.
+app.post('/api/files/:fileId/reparse', async (req, res) => {
+  const fileId = req.params.fileId;
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'A re-parse of this file is already in progress' });
+  }
+
+  try {
+    const file = await dbGet('SELECT id, filename, file_path, source_format, import_options FROM files WHERE id = ?',
+      [fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    if (!file.file_path || !fs.existsSync(file.file_path)) {
+      return res.status(410).json({ error: 'The original upload is no longer available on the server' });
+    }
+
+    const derived = await listDerivedData(file.id);
+    if ((derived.curves.length > 0 || derived.shiftTables > 0) && !(req.body && req.body.discardDerived)) {
+      return res.status(409).json({
+        error: `Re-parsing deletes ${derived.curves.length} computed curve(s) and ${derived.shiftTables} shift table(s); ` +
+          'repeat with discardDerived to go ahead',
+        derived
+      });
+    }
+
+    const job = enqueueIngestJob(file.filename, file.file_path, {
+      fileId: file.id,
+      sourceFormat: file.source_format || 'las',
+      importOptions: file.import_options ? JSON.parse(file.import_options) : null
+    });
+    res.status(202).json({ message: 'Re-parse queued', jobId: job.id, fileId: file.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get datasets (LAS data sections) for a file
+app.get('/api/files/:fileId/datasets', (req, res) => {
+  db.all(`SELECT d.id, d.name, d.row_count, d.min_depth, d.max_depth,
+            (SELECT COUNT(*) FROM curve_info c WHERE c.dataset_id = d.id AND c.curve_order > 0) as curve_count
+          FROM datasets d WHERE d.file_id = ? ORDER BY d.dataset_order`,
+    [req.params.fileId],
+    (err, rows) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json(rows.map(r => ({
+        id: r.id,
+        name: r.name,
+        rowCount: r.row_count,
+        curveCount: r.curve_count,
+        minDepth: r.min_depth,
+        maxDepth: r.max_depth
+      })));
+  });
+});
+
+// Get curves for a file (optionally ?dataset=<id>, defaults to the first dataset)
+app.get('/api/files/:fileId/curves', async (req, res) => {
+  try {
+    const dataset = await resolveDataset(req.params.fileId, req.query.dataset);
+    if (!dataset) return res.json([]);
+
+    const rows = await dbAll(`SELECT curve_name FROM curve_info
+                              WHERE dataset_id = ? AND curve_order > 0 ORDER BY curve_name`, [dataset.id]);
+    res.json(rows.map(r => r.curve_name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Statistics of one numeric curve: count, nulls, mean, std, min, max,
+// P10/P50/P90 and a histogram. Whole-curve figures come from the catalog;
+// ?minDepth=&maxDepth= computes them over that interval instead.
+app.get('/api/files/:fileId/curves/:curve/stats', async (req, res) => {
+  const hasRange = req.query.minDepth !== undefined || req.query.maxDepth !== undefined;
+  const minDepth = hasRange ? parseFloat(req.query.minDepth) : null;
+  const maxDepth = hasRange ? parseFloat(req.query.maxDepth) : null;
+  if (hasRange && (isNaN(minDepth) || isNaN(maxDepth) || minDepth > maxDepth)) {
+    return res.status(400).json({ error: 'minDepth and maxDepth must be numbers with minDepth <= maxDepth' });
+  }
+
+  try {
+    const dataset = await resolveDataset(req.params.fileId, req.query.dataset);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const [curve] = await findCurves(db, dataset.id, [req.params.curve]);
+    if (!curve) return res.status(404).json({ error: `Curve ${req.params.curve} not found` });
+    if (curve.value_type === 'string') {
+      return res.status(400).json({ error: `${curve.curve_name} is a text curve and has no statistics` });
+    }
+
+    const stats = await getCurveStats(dataset, curve, minDepth, maxDepth);
+    res.json({
+      curve: curve.curve_name,
+      datasetId: dataset.id,
+      depthRange: hasRange
+        ? { min: minDepth, max: maxDepth }
+        : { min: dataset.min_depth, max: dataset.max_depth },
+      ...stats
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compute shale volume, porosity and/or water saturation curves (see
+// petrophysics.js) and store them on the dataset like parsed curves. Body:
+// { datasetId, vshale, porosity, saturation, parameters }. Parameters not in
+// the request come from the file's ~P section; the GR clean and shale lines
+// default to the gamma ray's P10 and P90.
+app.post('/api/files/:fileId/petrophysics', async (req, res) => {
+  const fileId = req.params.fileId;
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const dataset = await resolveDataset(fileId, req.body.datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const headerParameters = await dbAll(`SELECT mnemonic, value FROM las_header_items
+                                          WHERE file_id = ? AND section = 'parameters'`, [fileId]);
+    const fallbacks = {};
+    const [gr] = req.body.vshale && req.body.vshale.gr ? await findCurves(db, dataset.id, [req.body.vshale.gr]) : [];
+    if (gr && gr.value_type !== 'string') {
+      const stats = await getCurveStats(dataset, gr);
+      if (stats.count > 0) {
+        fallbacks.grClean = { value: stats.p10, source: `${gr.curve_name} P10` };
+        fallbacks.grShale = { value: stats.p90, source: `${gr.curve_name} P90` };
+      }
+    }
+
+    const parameters = resolveParameters(req.body.parameters, headerParameters, fallbacks);
+    const plan = planPetrophysics(req.body, parameters);
+    const problem = await checkDerivedPlan(dataset, plan);
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const curves = await queueIngestWrite(connection => saveDerivedCurves(dataset, plan, connection));
+    res.status(201).json({ datasetId: dataset.id, curves, parameters });
+  } catch (error) {
+    if (error instanceof PetrophysicsError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Numeric curve names of a dataset, the ones a formula may read
+async function numericCurveNames(dataset) {
+  const rows = await dbAll(`SELECT curve_name FROM curve_info WHERE dataset_id = ? AND curve_order > 0
+                            AND (value_type IS NULL OR value_type != 'string')`, [dataset.id]);
+  return rows.map(r => r.curve_name);
+}
+
+// Check a formula (see formula.js) while it is being typed. Body: { datasetId,
+// formula, name }. Always 200: { valid, curves, functions } or { valid: false,
+// error, position } with position the offset of the problem in the formula.
+app.post('/api/files/:fileId/computed-curves/validate', async (req, res) => {
+  try {
+    const dataset = await resolveDataset(req.params.fileId, req.body.datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const available = await numericCurveNames(dataset);
+    const functions = Object.keys(FUNCTIONS);
+    try {
+      const { curves } = compileFormula(req.body.formula || '', available);
+      if (req.body.name) {
+        const problem = await checkDerivedPlan(dataset, planFormulaCurve(req.body, available));
+        if (problem) return res.json({ valid: false, error: problem.error, position: null, functions });
+      }
+      res.json({ valid: true, curves, functions });
+    } catch (error) {
+      if (!(error instanceof FormulaError)) throw error;
+      res.json({ valid: false, error: error.message, position: error.position, functions });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Store a curve computed depth by depth from a formula over other curves.
+// Body: { datasetId, name, formula, unit, description }. The formula is kept
+// in the curve's derivation; a curve computed earlier under the same name is
+// replaced.
+app.post('/api/files/:fileId/computed-curves', async (req, res) => {
+  const fileId = req.params.fileId;
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const dataset = await resolveDataset(fileId, req.body.datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const plan = planFormulaCurve(req.body, await numericCurveNames(dataset));
+    const problem = await checkDerivedPlan(dataset, plan);
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const [curve] = await queueIngestWrite(connection => saveDerivedCurves(dataset, plan, connection));
+    res.status(201).json({ datasetId: dataset.id, curve: { ...curve, formula: plan.outputs[0].derivation.formula } });
+  } catch (error) {
+    if (error instanceof FormulaError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mud gas analysis (see gasAnalysis.js) of a dataset over [minDepth, maxDepth]
+// (whole dataset when absent). options: { mapping, rop, flow, minTotalGas }.
+// Resolves to analyzeGas() output plus the mapping used.
+async function runGasAnalysis(dataset, { mapping: requested, rop = null, flow = null, minTotalGas = null,
+  minDepth = null, maxDepth = null } = {}) {
+  const available = await numericCurveNames(dataset);
+  const mapping = resolveGasMapping(requested, available);
+  for (const name of [rop, flow].filter(Boolean)) {
+    if (!available.includes(name)) throw new GasAnalysisError(`Curve ${name} not found`);
+  }
+
+  const curves = [...new Set([...Object.values(mapping).flat(), rop, flow].filter(Boolean))];
+  const rows = await readCurveRows(db, { datasetId: dataset.id, curves, minDepth, maxDepth });
+  // Rows come in file order; analyzeGas needs them by increasing depth
+  rows.sort((a, b) => a.depth - b.depth);
+  return { mapping, ...analyzeGas(rows, mapping, { rop, flow, minTotalGas }) };
+}
+
+// Gas show evaluation from C1-C5: Haworth wetness / balance / character,
+// Pixler ratios and normalized gas per depth, a class per depth (gas, light
+// oil, oil, non-productive) and the show intervals. Body: { datasetId,
+// minDepth, maxDepth, mapping: { c1: 'HC1', c4: ['IC4', 'NC4'], ... }, rop,
+// flow, minTotalGas, maxPoints }. The per-depth track is decimated to about
+// maxPoints rows (default 2000).
+app.post('/api/files/:fileId/gas-analysis', async (req, res) => {
+  const { datasetId, mapping, rop, flow } = req.body;
+  const minDepth = Number.isFinite(parseFloat(req.body.minDepth)) ? parseFloat(req.body.minDepth) : null;
+  const maxDepth = Number.isFinite(parseFloat(req.body.maxDepth)) ? parseFloat(req.body.maxDepth) : null;
+  const minTotalGas = req.body.minTotalGas !== undefined && req.body.minTotalGas !== null && req.body.minTotalGas !== ''
+    ? Number(req.body.minTotalGas)
+    : null;
+  const maxPoints = Math.max(2, parseInt(req.body.maxPoints, 10) || 2000);
+  if (Number.isNaN(minTotalGas) || (minDepth !== null && maxDepth !== null && minDepth > maxDepth)) {
+    return res.status(400).json({ error: 'minTotalGas must be a number and minDepth <= maxDepth' });
+  }
+
+  try {
+    const dataset = await resolveDataset(req.params.fileId, datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const hasRange = minDepth !== null && maxDepth !== null;
+    const result = await runGasAnalysis(dataset, {
+      mapping, rop, flow, minTotalGas, minDepth: hasRange ? minDepth : null, maxDepth: hasRange ? maxDepth : null
+    });
+
+    const summary = Object.fromEntries(GAS_CLASSES.map(name => [name, 0]));
+    result.samples.forEach(sample => { if (sample.class) summary[sample.class]++; });
+    const track = decimateMinMax(
+      result.samples.map(({ depth, wetness, balance, character, normalizedGas, class: fluid }) =>
+        ({ depth, wetness, balance, character, normalizedGas, class: fluid })),
+      ['wetness', 'balance'],
+      maxPoints
+    );
+
+    res.json({
+      datasetId: dataset.id,
+      depthRange: hasRange ? { min: minDepth, max: maxDepth } : { min: dataset.min_depth, max: dataset.max_depth },
+      mapping: result.mapping,
+      background: result.background,
+      samples: result.samples.length,
+      summary,
+      shows: result.shows,
+      track
+    });
+  } catch (error) {
+    if (error instanceof GasAnalysisError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Electrofacies (see facies.js): cluster the depths of [minDepth, maxDepth]
+// on several curves and store the facies number of each depth as a discrete
+// curve, null outside the interval. Body: { datasetId, curves, minDepth,
+// maxDepth, method: 'kmeans' | 'gmm', k: number | 'auto', output }. Returns
+// the clusters with their centres and the facies intervals.
+app.post('/api/files/:fileId/facies', async (req, res) => {
+  const fileId = req.params.fileId;
+  const { datasetId, curves, method = 'kmeans', k = 'auto', output = 'FACIES' } = req.body;
+  const minDepth = Number.isFinite(parseFloat(req.body.minDepth)) ? parseFloat(req.body.minDepth) : null;
+  const maxDepth = Number.isFinite(parseFloat(req.body.maxDepth)) ? parseFloat(req.body.maxDepth) : null;
+  if (!Array.isArray(curves) || curves.length === 0) {
+    return res.status(400).json({ error: 'curves must list at least one curve' });
+  }
+  if (!CURVE_NAME.test(output)) {
+    return res.status(400).json({ error: 'Output name must start with a letter and use only letters, digits and _ (32 at most)' });
+  }
+  if (minDepth !== null && maxDepth !== null && minDepth > maxDepth) {
+    return res.status(400).json({ error: 'minDepth must be <= maxDepth' });
+  }
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const dataset = await resolveDataset(fileId, datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const top = minDepth ?? dataset.min_depth;
+    const base = maxDepth ?? dataset.max_depth;
+    const plan = { inputs: [...new Set(curves)], outputs: [{ name: output }] };
+    const problem = await checkDerivedPlan(dataset, plan);
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const rows = await readCurveRows(db, { datasetId: dataset.id, curves: plan.inputs, minDepth: top, maxDepth: base });
+    const { model, k: chosen, selection, metric } = fitFacies(rows, plan.inputs, { method, k });
+    const labels = rows.map(row => labelFacies(model, row));
+
+    plan.outputs = [{
+      name: output,
+      unit: '',
+      description: `Electrofacies (${method}, k=${chosen}) from ${plan.inputs.join(', ')}`,
+      derivation: {
+        method: `facies-${method}`,
+        inputs: plan.inputs,
+        parameters: { k: chosen, minDepth: top, maxDepth: base },
+        discrete: true
+      }
+    }];
+    plan.compute = (values, rowCount, depths) => {
+      const column = new Array(rowCount);
+      for (let i = 0; i < rowCount; i++) {
+        const sample = Object.fromEntries(plan.inputs.map(name => [name, values[name][i]]));
+        column[i] = depths[i] >= top && depths[i] <= base ? labelFacies(model, sample) : null;
+      }
+      return { [output]: column };
+    };
+    const [curve] = await queueIngestWrite(connection => saveDerivedCurves(dataset, plan, connection));
+
+    // Runs of one facies, in file order
+    const intervals = [];
+    rows.forEach((row, i) => {
+      const last = intervals[intervals.length - 1];
+      if (labels[i] === null) return;
+      if (last && last.facies === labels[i] && last.end === i - 1) {
+        last.base = row.depth;
+        last.end = i;
+      } else {
+        intervals.push({ top: row.depth, base: row.depth, facies: labels[i], end: i });
+      }
+    });
+
+    res.status(201).json({
+      datasetId: dataset.id,
+      curve,
+      method,
+      k: chosen,
+      metric,
+      selection,
+      depthRange: { min: top, max: base },
+      clusters: describeFacies(model, labels),
+      intervals: intervals.map(({ end, ...interval }) => interval)
+    });
+  } catch (error) {
+    if (error instanceof FaciesError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Depths compared in a prediction response's crossplot
+const PREDICTION_CROSSPLOT_POINTS = 500;
+
+// Predict a curve from other logs (see curvePrediction.js) and store it as a
+// synthetic curve. The model trains on the depths of the training intervals
+// that have the target and every input; they default to this dataset, and may
+// come from other wells. Body: { datasetId, target, features, method:
+// 'linear' | 'knn', neighbours, output, mode, training: [{ fileId, datasetId,
+// minDepth, maxDepth }] }. mode 'fill' (default) keeps measured values and
+// fills the gaps; 'all' predicts every depth.
+app.post('/api/files/:fileId/curve-prediction', async (req, res) => {
+  const fileId = req.params.fileId;
+  const { datasetId, target, features, method = 'linear', neighbours, mode = 'fill' } = req.body;
+  const output = req.body.output || (target ? `${target}_SYN` : '');
+  if (!target || !Array.isArray(features) || features.length === 0) {
+    return res.status(400).json({ error: 'target and at least one input curve in features are required' });
+  }
+  if (!CURVE_NAME.test(output)) {
+    return res.status(400).json({ error: 'Output name must start with a letter and use only letters, digits and _ (32 at most)' });
+  }
+  if (!['fill', 'all'].includes(mode)) return res.status(400).json({ error: "mode must be 'fill' or 'all'" });
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const dataset = await resolveDataset(fileId, datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    // The target may be absent here when the model learns it from other wells
+    const hasTarget = (await numericCurveNames(dataset)).includes(target);
+    const inputs = [...new Set(features)];
+    const plan = { inputs: hasTarget && mode === 'fill' ? [...inputs, target] : inputs, outputs: [{ name: output }] };
+    const problem = await checkDerivedPlan(dataset, plan);
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const sources = Array.isArray(req.body.training) && req.body.training.length > 0
+      ? req.body.training
+      : [{ fileId, datasetId: dataset.id }];
+    let rows = [];
+    const training = [];
+    let unit = '';
+    for (const source of sources) {
+      const sourceDataset = await resolveDataset(source.fileId, source.datasetId);
+      if (!sourceDataset) return res.status(404).json({ error: `Training dataset of file ${source.fileId} not found` });
+      const available = await numericCurveNames(sourceDataset);
+      const missing = [target, ...inputs].filter(name => !available.includes(name));
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `File ${source.fileId} has no ${missing.join(', ')} to train on` });
+      }
+
+      const minDepth = Number.isFinite(parseFloat(source.minDepth)) ? parseFloat(source.minDepth) : sourceDataset.min_depth;
+      const maxDepth = Number.isFinite(parseFloat(source.maxDepth)) ? parseFloat(source.maxDepth) : sourceDataset.max_depth;
+      // concat, not push(...): an interval can hold more rows than a call takes arguments
+      rows = rows.concat(await readCurveRows(db, { datasetId: sourceDataset.id, curves: [target, ...inputs], minDepth, maxDepth }));
+      training.push({ fileId: Number(source.fileId), datasetId: sourceDataset.id, minDepth, maxDepth });
+      if (!unit) {
+        const curve = await dbGet('SELECT unit FROM curve_info WHERE dataset_id = ? AND curve_name = ?', [sourceDataset.id, target]);
+        unit = (curve && curve.unit) || '';
+      }
+    }
+
+    const { model, training: trainingScore, validation } = trainPredictor(rows, target, inputs, { method, neighbours });
+    const parameters = { mode, training };
+    if (model.neighbours) parameters.neighbours = model.neighbours;
+    if (model.coefficients) parameters.coefficients = model.coefficients;
+
+    plan.outputs = [{
+      name: output,
+      unit,
+      description: `Synthetic ${target} (${method}) from ${inputs.join(', ')}`,
+      derivation: {
+        method: `prediction-${method}`,
+        inputs: plan.inputs,
+        parameters,
+        synthetic: true,
+        training: { r2: trainingScore.r2, rmse: trainingScore.rmse },
+        validation: { r2: validation.r2, rmse: validation.rmse }
+      }
+    }];
+    plan.compute = (values, rowCount) => {
+      const column = new Array(rowCount);
+      for (let i = 0; i < rowCount; i++) {
+        const measured = plan.inputs.includes(target) ? values[target][i] : null;
+        if (measured !== null && measured !== undefined) {
+          column[i] = measured;
+          continue;
+        }
+        column[i] = predictValue(model, Object.fromEntries(inputs.map(name => [name, values[name][i]])));
+      }
+      return { [output]: column };
+    };
+    const [curve] = await queueIngestWrite(connection => saveDerivedCurves(dataset, plan, connection));
+
+    const measured = rows.filter(row => typeof row[target] === 'number');
+    const step = Math.max(1, measured.length / PREDICTION_CROSSPLOT_POINTS);
+    const crossplot = [];
+    for (let i = 0; i < measured.length; i += step) {
+      const row = measured[Math.floor(i)];
+      const predicted = predictValue(model, row);
+      if (predicted !== null) crossplot.push({ depth: row.depth, actual: row[target], predicted });
+    }
+
+    res.status(201).json({
+      datasetId: dataset.id,
+      curve,
+      target,
+      method,
+      mode,
+      training: trainingScore,
+      validation,
+      coefficients: model.coefficients || null,
+      sources: training,
+      crossplot
+    });
+  } catch (error) {
+    if (error instanceof PredictionError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Names the dataset of a dataset's curves resampled to a grid may have:
+// "<dataset> @ <step>", or with the grid's depth range added when a dataset of
+// that name holds another grid (the source's depth range has since changed)
+function resampledDatasetNames(dataset, step, grid) {
+  const name = `${dataset.name} @ ${step}`;
+  return [name, `${name} (${grid[0]}-${grid[grid.length - 1]})`];
+}
+
+// The dataset of a dataset's curves resampled to a uniform step, or undefined
+// before any curve has been. Only a dataset whose grid spans the source's
+// whole depth range on that step qualifies.
+async function findResampledDataset(dataset, step, connection = db) {
+  const grid = resampleGrid(dataset.min_depth, dataset.max_depth, step);
+  for (const name of resampledDatasetNames(dataset, step, grid)) {
+    const row = await dbGet('SELECT * FROM datasets WHERE file_id = ? AND name = ?', [dataset.file_id, name], connection);
+    if (row && row.row_count === grid.length && row.min_depth === grid[0] && row.max_depth === grid[grid.length - 1]) {
+      return row;
+    }
+  }
+  return undefined;
+}
+
+// The dataset holding a dataset's curves resampled to a uniform step, named
+// "<dataset> @ <step>": its depth grid is written the first time a curve is
+// resampled to that step, and later curves reuse it as long as it still spans
+// the source's depths. Runs on the ingest connection. Resolves to the dataset row.
+async function ensureResampledDataset(dataset, step, connection) {
+  const run = (sql, params) => dbRun(sql, params, connection);
+  const existing = await findResampledDataset(dataset, step, connection);
+  if (existing) return existing;
+
+  const grid = resampleGrid(dataset.min_depth, dataset.max_depth, step);
+  const [baseName, rangedName] = resampledDatasetNames(dataset, step, grid);
+  const taken = await dbGet('SELECT id FROM datasets WHERE file_id = ? AND name = ?', [dataset.file_id, baseName], connection);
+  const name = taken ? rangedName : baseName;
+  const index = await dbGet(`SELECT curve_name, unit, api_code, description FROM curve_info
+                             WHERE dataset_id = ? AND curve_order = 0`, [dataset.id], connection);
+  await run('BEGIN TRANSACTION');
+  try {
+    const { lastID: datasetId } = await run(`INSERT INTO datasets (file_id, name, dataset_order)
+      VALUES (?, ?, (SELECT COALESCE(MAX(dataset_order), 0) + 1 FROM datasets WHERE file_id = ?))`,
+      [dataset.file_id, name, dataset.file_id]);
+    await run(`INSERT INTO curve_info (file_id, dataset_id, curve_order, curve_name, unit, api_code, description)
+      VALUES (?, ?, 0, ?, ?, ?, ?)`,
+      [dataset.file_id, datasetId, index ? index.curve_name : 'DEPT', index && index.unit, index && index.api_code,
+        index && index.description]);
+    const writer = createChunkWriter(connection, { datasetId, curves: [] });
+    for (const depth of grid) writer.push(depth, []);
+    const { rowCount, minDepth, maxDepth } = await writer.finish();
+    await run('UPDATE datasets SET row_count = ?, min_depth = ?, max_depth = ? WHERE id = ?',
+      [rowCount, minDepth, maxDepth, datasetId]);
+    await run('COMMIT');
+    return dbGet('SELECT * FROM datasets WHERE id = ?', [datasetId], connection);
+  } catch (error) {
+    await run('ROLLBACK');
+    throw error;
+  }
+}
+
+// The versions of a dataset curve (processed or depth-shifted), found by the
+// source recorded in their derivations
+async function curveVersions(fileId, datasetId, curve, connection = db) {
+  const rows = await dbAll(`SELECT c.curve_name, c.dataset_id, c.derivation, d.name as dataset_name
+                            FROM curve_info c JOIN datasets d ON d.id = c.dataset_id
+                            WHERE c.file_id = ? AND c.derivation IS NOT NULL ORDER BY d.dataset_order, c.curve_order`,
+  [fileId], connection);
+  return rows
+    .map(row => ({ name: row.curve_name, datasetId: row.dataset_id, dataset: row.dataset_name, derivation: JSON.parse(row.derivation) }))
+    .filter(({ derivation }) => derivation.source
+      && derivation.source.datasetId === datasetId && derivation.source.curve === curve);
+}
+
+// Number and name (<curve>_V<n> unless one is given) of a curve's next
+// version, refused with { status, error } when the name is not a valid curve
+// name or is taken in the target dataset (null when it does not exist yet): a
+// new version never replaces a curve. Runs on the ingest connection, inside
+// the write that stores the version, so concurrent requests cannot pick the
+// same number or name.
+async function claimCurveVersion(dataset, curve, requestedOutput, target, connection) {
+  const versions = await curveVersions(dataset.file_id, dataset.id, curve, connection);
+  const version = versions.reduce((max, v) => Math.max(max, v.derivation.version || 0), 0) + 1;
+  const output = requestedOutput || `${curve}_V${version}`;
+  if (!CURVE_NAME.test(output)) {
+    return { status: 400, error: 'Output name must start with a letter and use only letters, digits and _ (32 at most)' };
+  }
+  const taken = target && await dbGet('SELECT derivation FROM curve_info WHERE dataset_id = ? AND curve_name = ?',
+    [target.id, output], connection);
+  if (taken) {
+    return {
+      status: 409,
+      error: taken.derivation
+        ? `${output} already exists in ${target.name}; choose another output name`
+        : `${output} is a curve from the file; choose another output name`
+    };
+  }
+  return { version, output };
+}
+
+// Filter a curve (see curveProcessing.js) and store the result as a new version
+// of it, recording the source curve and the steps. Body: { datasetId, curve,
+// steps: [{ filter, ...parameters }], output }. The output defaults to
+// <curve>_V<n>; a final resample step stores it in the "<dataset> @ <step>"
+// dataset instead of beside the source.
+app.post('/api/files/:fileId/curve-processing', async (req, res) => {
+  const fileId = req.params.fileId;
+  const { datasetId, curve } = req.body;
+  if (!curve) return res.status(400).json({ error: 'curve is required' });
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const steps = normalizeSteps(req.body.steps);
+    const dataset = await resolveDataset(fileId, datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    if (req.body.output && !CURVE_NAME.test(req.body.output)) {
+      return res.status(400).json({ error: 'Output name must start with a letter and use only letters, digits and _ (32 at most)' });
+    }
+    const problem = await checkDerivedPlan(dataset, { inputs: [curve], outputs: [] });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const rows = await readCurveRows(db, { datasetId: dataset.id, curves: [curve] });
+    const depths = rows.map(row => row.depth);
+    const result = processCurve(rows.map(row => row[curve]), steps);
+    const source = await dbGet('SELECT unit, description FROM curve_info WHERE dataset_id = ? AND curve_name = ?',
+      [dataset.id, curve]);
+    const summary = steps.map(step => step.filter).join(', ');
+
+    const saved = await queueIngestWrite(async (connection) => {
+      const existingTarget = result.resample
+        ? await findResampledDataset(dataset, result.resample.step, connection)
+        : dataset;
+      const claim = await claimCurveVersion(dataset, curve, req.body.output, existingTarget, connection);
+      if (claim.error) return claim;
+      const { version, output } = claim;
+      const target = existingTarget || await ensureResampledDataset(dataset, result.resample.step, connection);
+
+      let inputs = [curve];
+      let compute;
+      if (result.resample) {
+        inputs = [];
+        const interpolate = createInterpolator(depths, result.values, result.resample.method);
+        compute = (values, rowCount, chunkDepths) => ({ [output]: chunkDepths.map(interpolate) });
+      } else {
+        // Chunks arrive in order, so each takes the next rowCount results
+        let offset = 0;
+        compute = (values, rowCount) => {
+          const column = result.values.slice(offset, offset + rowCount);
+          offset += rowCount;
+          return { [output]: column };
+        };
+      }
+
+      const plan = {
+        inputs,
+        outputs: [{
+          name: output,
+          unit: source.unit,
+          description: `${curve} processed (${summary})`,
+          derivation: {
+            method: 'processing',
+            inputs: [curve],
+            source: { datasetId: dataset.id, dataset: dataset.name, curve },
+            parameters: { steps },
+            version
+          }
+        }],
+        compute
+      };
+      const [stored] = await saveDerivedCurves(target, plan, connection);
+      return { target, curve: stored, version };
+    });
+    if (saved.error) return res.status(saved.status).json({ error: saved.error });
+
+    res.status(201).json({
+      datasetId: saved.target.id,
+      dataset: saved.target.name,
+      curve: saved.curve,
+      source: { datasetId: dataset.id, curve },
+      version: saved.version,
+      steps: result.steps.concat(result.resample ? [result.resample] : [])
+    });
+  } catch (error) {
+    if (error instanceof ProcessingError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the versions of a curve (?dataset=<id>&curve=<name>)
+app.get('/api/files/:fileId/curve-processing', async (req, res) => {
+  try {
+    const dataset = await resolveDataset(req.params.fileId, req.query.dataset);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    if (!req.query.curve) return res.status(400).json({ error: 'curve is required' });
+    res.json(await curveVersions(dataset.file_id, dataset.id, req.query.curve));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Find the shift that lines a curve up with a reference curve (see
+// depthShift.js) over [minDepth, maxDepth]. The reference may come from
+// another file, typically another logging run. Body: { datasetId, curve,
+// reference: { fileId, datasetId, curve }, minDepth, maxDepth, maxShift,
+// window, mode: 'bulk' | 'piecewise' }. Nothing is stored: the suggested
+// shifts are applied through POST /depth-shifts once checked.
+app.post('/api/files/:fileId/depth-match', async (req, res) => {
+  const fileId = req.params.fileId;
+  const { datasetId, curve, reference = {}, mode = 'bulk' } = req.body;
+  const minDepth = parseFloat(req.body.minDepth);
+  const maxDepth = parseFloat(req.body.maxDepth);
+  const maxShift = req.body.maxShift === undefined ? undefined : Number(req.body.maxShift);
+  const window = req.body.window === undefined ? undefined : Number(req.body.window);
+  if (!curve || !reference.curve) return res.status(400).json({ error: 'curve and reference.curve are required' });
+  if (!Number.isFinite(minDepth) || !Number.isFinite(maxDepth)) {
+    return res.status(400).json({ error: 'minDepth and maxDepth are required' });
+  }
+
+  try {
+    const dataset = await resolveDataset(fileId, datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    // Without a fileId the reference is another curve of the same dataset
+    const referenceFileId = reference.fileId || fileId;
+    const referenceDataset = await resolveDataset(referenceFileId, reference.datasetId || (reference.fileId ? null : dataset.id));
+    if (!referenceDataset) return res.status(404).json({ error: 'Reference dataset not found' });
+    if (referenceDataset.id === dataset.id && reference.curve === curve) {
+      return res.status(400).json({ error: 'Choose a reference curve other than the curve being matched' });
+    }
+    for (const [source, name] of [[dataset, curve], [referenceDataset, reference.curve]]) {
+      if (!(await numericCurveNames(source)).includes(name)) return res.status(400).json({ error: `Curve ${name} not found` });
+    }
+
+    // Readings up to maxShift beyond the interval can move into it
+    const margin = Number.isFinite(maxShift) ? Math.abs(maxShift) : 10;
+    const read = async (source, name) => {
+      const rows = await readCurveRows(db, {
+        datasetId: source.id, curves: [name], minDepth: minDepth - margin, maxDepth: maxDepth + margin
+      });
+      return { depths: rows.map(row => row.depth), values: rows.map(row => row[name]) };
+    };
+    const match = matchDepth(await read(referenceDataset, reference.curve), await read(dataset, curve),
+      { minDepth, maxDepth, maxShift, window, mode });
+
+    res.json({
+      datasetId: dataset.id,
+      curve,
+      reference: { fileId: Number(referenceFileId), datasetId: referenceDataset.id, curve: reference.curve },
+      minDepth,
+      maxDepth,
+      mode,
+      ...match
+    });
+  } catch (error) {
+    if (error instanceof DepthShiftError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List a file's shift tables
+app.get('/api/files/:fileId/depth-shifts', async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM depth_shifts WHERE file_id = ? ORDER BY id', [req.params.fileId]);
+    res.json(rows.map(describeShiftTable));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shift a curve by a shift table and store the result as a new version of it;
+// the original is left as it is. Body: { datasetId, curve, shifts: [{ depth,
+// shift }], output, match } where one point is a bulk shift, and match is the
+// depth-match result the shifts came from, if any. The output defaults to
+// <curve>_V<n>.
+app.post('/api/files/:fileId/depth-shifts', async (req, res) => {
+  const fileId = req.params.fileId;
+  const { datasetId, curve, match = null } = req.body;
+  if (!curve) return res.status(400).json({ error: 'curve is required' });
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const shifts = normalizeShiftTable(req.body.shifts);
+    const dataset = await resolveDataset(fileId, datasetId);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    if (req.body.output && !CURVE_NAME.test(req.body.output)) {
+      return res.status(400).json({ error: 'Output name must start with a letter and use only letters, digits and _ (32 at most)' });
+    }
+    const problem = await checkDerivedPlan(dataset, { inputs: [curve], outputs: [] });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const matchSummary = match && {
+      reference: match.reference,
+      minDepth: match.minDepth,
+      maxDepth: match.maxDepth,
+      mode: match.mode,
+      bulk: match.bulk,
+      correlation: match.correlation
+    };
+    const saved = await queueIngestWrite(async (connection) => {
+      const claim = await claimCurveVersion(dataset, curve, req.body.output, dataset, connection);
+      if (claim.error) {
+        const table = await dbGet('SELECT id FROM depth_shifts WHERE dataset_id = ? AND output_name = ?',
+          [dataset.id, req.body.output], connection);
+        if (!table) return claim;
+        return { status: 409, error: `${req.body.output} comes from shift table ${table.id}; edit that table instead` };
+      }
+      const { version, output } = claim;
+      const now = new Date().toISOString();
+      const { lastID: id } = await dbRun(`INSERT INTO depth_shifts
+        (file_id, dataset_id, curve_name, output_name, shifts, version, match, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [dataset.file_id, dataset.id, curve, output, JSON.stringify(shifts), version,
+          matchSummary ? JSON.stringify(matchSummary) : null, now, now], connection);
+      try {
+        const stored = await saveShiftedCurve(dataset, { id, curve, output, shifts, version }, connection);
+        return { id, curve: stored };
+      } catch (error) {
+        await dbRun('DELETE FROM depth_shifts WHERE id = ?', [id], connection);
+        throw error;
+      }
+    });
+    if (saved.error) return res.status(saved.status).json({ error: saved.error });
+
+    const row = await dbGet('SELECT * FROM depth_shifts WHERE id = ?', [saved.id]);
+    res.status(201).json({ ...describeShiftTable(row), stored: saved.curve });
+  } catch (error) {
+    if (error instanceof DepthShiftError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a shift table: { shifts } replaces its points and the shifted curve is
+// computed again under the same name and version
+app.patch('/api/files/:fileId/depth-shifts/:shiftId', async (req, res) => {
+  const fileId = req.params.fileId;
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const row = await dbGet('SELECT * FROM depth_shifts WHERE id = ? AND file_id = ?', [req.params.shiftId, fileId]);
+    if (!row) return res.status(404).json({ error: 'Shift table not found' });
+    const shifts = normalizeShiftTable(req.body.shifts);
+    const dataset = await dbGet('SELECT * FROM datasets WHERE id = ?', [row.dataset_id]);
+
+    const stored = await queueIngestWrite(async (connection) => {
+      const curve = await saveShiftedCurve(dataset,
+        { id: row.id, curve: row.curve_name, output: row.output_name, shifts, version: row.version }, connection);
+      await dbRun('UPDATE depth_shifts SET shifts = ?, updated_at = ? WHERE id = ?',
+        [JSON.stringify(shifts), new Date().toISOString(), row.id], connection);
+      return curve;
+    });
+
+    const updated = await dbGet('SELECT * FROM depth_shifts WHERE id = ?', [row.id]);
+    res.json({ ...describeShiftTable(updated), stored });
+  } catch (error) {
+    if (error instanceof DepthShiftError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a shift table together with the shifted curve it made
+app.delete('/api/files/:fileId/depth-shifts/:shiftId', async (req, res) => {
+  const fileId = req.params.fileId;
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
+
+  try {
+    const row = await dbGet('SELECT * FROM depth_shifts WHERE id = ? AND file_id = ?', [req.params.shiftId, fileId]);
+    if (!row) return res.status(404).json({ error: 'Shift table not found' });
+
+    await queueIngestWrite(async (connection) => {
+      await dbRun('BEGIN TRANSACTION', [], connection);
+      try {
+        await dbRun('DELETE FROM curve_info WHERE dataset_id = ? AND curve_name = ? AND derivation IS NOT NULL',
+          [row.dataset_id, row.output_name], connection);
+        await dbRun('DELETE FROM depth_shifts WHERE id = ?', [row.id], connection);
+        await dbRun('COMMIT', [], connection);
+      } catch (error) {
+        await dbRun('ROLLBACK', [], connection);
+        throw error;
+      }
+    });
+    res.json({ message: 'Shift table deleted', shiftId: row.id, curve: row.output_name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List a file's zones
+app.get('/api/files/:fileId/zones', async (req, res) => {
+  try {
+    const file = await dbGet('SELECT id FROM files WHERE id = ?', [req.params.fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    res.json(await listZones(file.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a zone: { name, top, base, color }; without a base it ends at the next top
+app.post('/api/files/:fileId/zones', async (req, res) => {
+  try {
+    const file = await dbGet('SELECT id FROM files WHERE id = ?', [req.params.fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    const zone = validateZone(req.body);
+    const { lastID } = await dbRun(`INSERT INTO zones (file_id, name, top_depth, base_depth, color, source)
+                                    VALUES (?, ?, ?, ?, ?, 'manual')`, [file.id, zone.name, zone.top, zone.base, zone.color]);
+    res.status(201).json((await listZones(file.id)).find(z => z.id === lastID));
+  } catch (error) {
+    if (error instanceof ZoneError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a zone; fields left out keep their values, base: null clears the base
+app.patch('/api/files/:fileId/zones/:zoneId', async (req, res) => {
+  try {
+    const row = await dbGet('SELECT * FROM zones WHERE id = ? AND file_id = ?', [req.params.zoneId, req.params.fileId]);
+    if (!row) return res.status(404).json({ error: 'Zone not found' });
+
+    const pick = (key, current) => (req.body[key] !== undefined ? req.body[key] : current);
+    const zone = validateZone({
+      name: pick('name', row.name),
+      top: pick('top', row.top_depth),
+      base: pick('base', row.base_depth),
+      color: pick('color', row.color)
+    });
+    await dbRun('UPDATE zones SET name = ?, top_depth = ?, base_depth = ?, color = ? WHERE id = ?',
+      [zone.name, zone.top, zone.base, zone.color, row.id]);
+    res.json((await listZones(row.file_id)).find(z => z.id === row.id));
+  } catch (error) {
+    if (error instanceof ZoneError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/files/:fileId/zones/:zoneId', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM zones WHERE id = ? AND file_id = ?', [req.params.zoneId, req.params.fileId]);
+    if (changes === 0) return res.status(404).json({ error: 'Zone not found' });
+    res.json({ message: 'Zone deleted', zoneId: Number(req.params.zoneId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// ============================================
-// MULTER CONFIGURATION
-// ============================================
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadsDir),
-  filename: (req, file, cb) => {
-    const cleanName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-    cb(null, `${Date.now()}-${cleanName}`);
+// Import the tops of the file's own LAS 3.0 ~Tops_Definition / ~Tops_Data
+// sections. Body: { replace } (default true) to drop the existing zones first.
+app.post('/api/files/:fileId/zones/import-las', async (req, res) => {
+  try {
+    const file = await dbGet('SELECT id, file_path, source_format FROM files WHERE id = ?', [req.params.fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    if (file.source_format === 'tabular') return res.status(400).json({ error: 'Only LAS files have a ~Tops section' });
+    if (!file.file_path || !fs.existsSync(file.file_path)) {
+      return res.status(410).json({ error: 'The original upload is no longer available on the server' });
+    }
+
+    const section = await readLASSection(file.file_path, 'Tops');
+    if (!section) return res.status(404).json({ error: 'The file has no ~Tops section' });
+    const nullValue = Number((await dbGet(`SELECT value FROM las_header_items
+                                           WHERE file_id = ? AND section = 'well' AND UPPER(mnemonic) = 'NULL'`,
+    [file.id]))?.value);
+    const zones = zonesFromTable(section.items.map(item => item.mnemonic), section.rows, {
+      nullValues: Number.isFinite(nullValue) ? [nullValue] : COMMON_NULL_VALUES
+    });
+
+    const replace = req.body.replace !== false;
+    await queueIngestWrite(connection => saveZones(file.id, zones, 'las', replace, connection));
+    res.status(201).json(await listZones(file.id));
+  } catch (error) {
+    if (error instanceof ZoneError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 1024 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (file.originalname.toLowerCase().endsWith('.las')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only LAS files are allowed'));
+// Import tops from a CSV/TSV with name, top and (optionally) base columns.
+// Form field replace=false appends to the existing zones.
+app.post('/api/files/:fileId/zones/import-csv', tabularUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const file = await dbGet('SELECT id FROM files WHERE id = ?', [req.params.fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    const table = await previewTabularFile(req.file.path, { maxRows: 10000 });
+    const zones = zonesFromTable(table.columns.map(c => c.name), table.rows, { nullValues: COMMON_NULL_VALUES });
+    const replace = req.body.replace !== 'false';
+    await queueIngestWrite(connection => saveZones(file.id, zones, 'csv', replace, connection));
+    res.status(201).json(await listZones(file.id));
+  } catch (error) {
+    if (error instanceof ZoneError || error.name === 'TabularParseError') {
+      return res.status(400).json({ error: error.message });
     }
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (req.file?.path && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
   }
 });
 
-// ============================================
-// LAS PARSER
-// ============================================
-function parseLASFile(filePath) {
-  return new Promise((resolve, reject) => {
-    try {
-      console.log('Reading LAS file...');
-      
-      const content = fs.readFileSync(filePath, 'utf8');
-      const lines = content.split('\n');
-      
-      let curves = [];
-      let data = [];
-      let inData = false;
-      let dataPointCount = 0;
-      let minDepth = Infinity;
-      let maxDepth = -Infinity;
-      
-      // Find curve names
-      for (let i = 0; i < Math.min(200, lines.length); i++) {
-        const line = lines[i].trim();
-        if (line.startsWith('~A') || line.startsWith('~ASCII')) break;
-        if (line.includes('.') && !line.startsWith('#')) {
-          const parts = line.split(/\s+/);
-          if (parts.length >= 2 && parts[0] && !parts[0].includes('DEPT')) {
-            const curveName = parts[0].replace(/[^A-Za-z0-9]/g, '');
-            if (!curves.includes(curveName)) curves.push(curveName);
-          }
-        }
-      }
-      
-      console.log(`Found ${curves.length} curves:`, curves);
-      
-      // Find data start
-      let dataStartIndex = 0;
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].trim().startsWith('~A') || lines[i].trim().startsWith('~ASCII')) {
-          dataStartIndex = i + 1;
-          break;
-        }
-      }
-      
-      // Parse data
-      for (let i = dataStartIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (line.length === 0 || line.startsWith('#')) continue;
-        
-        const values = line.split(/\s+/).filter(v => v.length > 0);
-        if (values.length > 1) {
-          const depth = parseFloat(values[0]);
-          if (!isNaN(depth)) {
-            minDepth = Math.min(minDepth, depth);
-            maxDepth = Math.max(maxDepth, depth);
-            
-            for (let j = 1; j < values.length; j++) {
-              if (curves[j-1]) {
-                const value = parseFloat(values[j]);
-                if (!isNaN(value)) {
-                  data.push({ depth, curveName: curves[j-1], value });
-                  dataPointCount++;
-                }
-              }
-            }
-          }
-        }
+// Statistics of every numeric curve (or ?curves=GR,RHOB) in each zone:
+// { datasetId, zones: [{ id, name, top, base, curves: { GR: { count, mean, ... } } }] }.
+// Histograms are left out unless ?histogram=true.
+app.get('/api/files/:fileId/zones/stats', async (req, res) => {
+  try {
+    const dataset = await resolveDataset(req.params.fileId, req.query.dataset);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const names = req.query.curves ? req.query.curves.split(',') : await numericCurveNames(dataset);
+    const curves = (await findCurves(db, dataset.id, names)).filter(c => c.value_type !== 'string');
+    const zones = await listZones(req.params.fileId);
+
+    const result = [];
+    for (const zone of zones) {
+      const stats = {};
+      for (const curve of curves) {
+        const { histogram, ...summary } = await getCurveStats(dataset, curve, zone.top, zone.base);
+        stats[curve.curve_name] = req.query.histogram === 'true' ? { ...summary, histogram } : summary;
       }
-      
-      console.log(`Parsed ${dataPointCount} data points`);
-      console.log(`Depth range: ${minDepth} - ${maxDepth}`);
-      
-      resolve({ curves, data, depthRange: { min: minDepth, max: maxDepth } });
-      
-    } catch (error) {
-      reject(error);
+      result.push({ ...zone, curves: stats });
     }
-  });
-}
+    res.json({ datasetId: dataset.id, zones: result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// ============================================
-// API ROUTES
-// ============================================
+// Data quality report of a file (see qualityControl.js): per dataset, the
+// depth index checks and a scored report per curve. Built at upload; files
+// stored before quality checks existed get theirs on first request.
+app.get('/api/files/:fileId/qc', async (req, res) => {
+  const fileId = req.params.fileId;
+  try {
+    const file = await dbGet('SELECT id FROM files WHERE id = ?', [fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString(), port: PORT });
+    const stored = await dbGet('SELECT report FROM qc_reports WHERE file_id = ?', [fileId]);
+    if (stored) return res.json(JSON.parse(stored.report));
+    if (hasActiveJob(fileId)) {
+      return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+    }
+    res.json(await queueIngestWrite(connection => saveQualityReport(fileId, connection)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Get all files
-app.get('/api/files', (req, res) => {
-  db.all('SELECT id, filename, upload_date FROM files ORDER BY upload_date DESC', (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows || []);
-  });
-});
+// Run the quality checks of a file again
+app.post('/api/files/:fileId/qc', async (req, res) => {
+  const fileId = req.params.fileId;
+  if (hasActiveJob(fileId)) {
+    return res.status(409).json({ error: 'File is being re-parsed; try again when the job finishes' });
+  }
 
-// Get curves for a file
-app.get('/api/files/:fileId/curves', (req, res) => {
-  db.all('SELECT DISTINCT curve_name FROM well_data WHERE file_id = ? ORDER BY curve_name', 
-    [req.params.fileId], 
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(rows.map(r => r.curve_name));
-  });
+  try {
+    const file = await dbGet('SELECT id FROM files WHERE id = ?', [fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    res.json(await queueIngestWrite(connection => saveQualityReport(fileId, connection)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Get depth range for a file
-app.get('/api/files/:fileId/depth-range', (req, res) => {
-  db.get('SELECT MIN(depth) as minDepth, MAX(depth) as maxDepth FROM well_data WHERE file_id = ?',
-    [req.params.fileId],
-    (err, row) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(row || { minDepth: 0, maxDepth: 0 });
-  });
+app.get('/api/files/:fileId/depth-range', async (req, res) => {
+  try {
+    const dataset = await resolveDataset(req.params.fileId, req.query.dataset);
+    if (!dataset) return res.json({ minDepth: 0, maxDepth: 0 });
+
+    res.json({ minDepth: dataset.min_depth, maxDepth: dataset.max_depth });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get parsed LAS header (well info, curve definitions, parameters)
+app.get('/api/files/:fileId/header', async (req, res) => {
+  try {
+    const fileId = req.params.fileId;
+    const file = await dbGet('SELECT id, filename FROM files WHERE id = ?', [fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    const [items, curveRows, other] = await Promise.all([
+      dbAll(`SELECT section, mnemonic, unit, value, description FROM las_header_items
+             WHERE file_id = ? ORDER BY section, item_order`, [fileId]),
+      dbAll(`SELECT c.curve_name, c.unit, c.api_code, c.description, c.sample_count, c.null_count,
+                    c.value_type, c.derivation, d.name as dataset_name
+             FROM curve_info c LEFT JOIN datasets d ON d.id = c.dataset_id
+             WHERE c.file_id = ? ORDER BY d.dataset_order, c.curve_order`, [fileId]),
+      dbGet('SELECT content FROM las_other WHERE file_id = ?', [fileId])
+    ]);
+
+    const sections = { version: [], well: [], parameters: [] };
+    items.forEach(({ section, ...item }) => {
+      if (sections[section]) sections[section].push(item);
+    });
+
+    res.json({
+      fileId: file.id,
+      filename: file.filename,
+      summary: summarizeWellSection(sections.well),
+      version: sections.version,
+      well: sections.well,
+      parameters: sections.parameters,
+      curves: curveRows.map(row => ({
+        name: row.curve_name,
+        dataset: row.dataset_name,
+        valueType: row.value_type || 'number',
+        unit: row.unit,
+        apiCode: row.api_code,
+        description: row.description,
+        samples: row.sample_count,
+        nullCount: row.null_count,
+        coverage: row.sample_count
+          ? parseFloat((((row.sample_count - row.null_count) / row.sample_count) * 100).toFixed(1))
+          : null,
+        derivation: row.derivation ? JSON.parse(row.derivation) : null
+      })),
+      other: other ? other.content : ''
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Get curve data for visualization
-app.get('/api/files/:fileId/data', (req, res) => {
+// Get curve data for visualization. With ?maxPoints=N the curves come back
+// as one depth-aligned table ({ curves, rows: [{ depth, GR, ... }], totalRows,
+// downsampled }) decimated to about N rows; without it, per-curve sample lists.
+app.get('/api/files/:fileId/data', async (req, res) => {
   const { curves, minDepth, maxDepth } = req.query;
   if (!curves) return res.status(400).json({ error: 'No curves specified' });
-  
-  const curveList = curves.split(',');
-  let query = `SELECT depth, curve_name, value FROM well_data 
-               WHERE file_id = ? AND curve_name IN (${curveList.map(() => '?').join(',')})`;
-  const params = [req.params.fileId, ...curveList];
-  
-  if (minDepth && maxDepth && minDepth !== 'undefined' && maxDepth !== 'undefined') {
-    query += ` AND depth BETWEEN ? AND ?`;
-    params.push(parseFloat(minDepth), parseFloat(maxDepth));
+
+  const maxPoints = req.query.maxPoints !== undefined ? parseInt(req.query.maxPoints, 10) : null;
+  if (maxPoints !== null && !(maxPoints >= 10)) {
+    return res.status(400).json({ error: 'maxPoints must be a number of at least 10' });
   }
-  
-  query += ` ORDER BY depth`;
-  
-  db.all(query, params, (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    const result = {};
-    rows.forEach(row => {
-      if (!result[row.curve_name]) result[row.curve_name] = [];
-      result[row.curve_name].push({ depth: row.depth, value: row.value });
+
+  try {
+    const dataset = await resolveDataset(req.params.fileId, req.query.dataset);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    const hasRange = minDepth && maxDepth && minDepth !== 'undefined' && maxDepth !== 'undefined';
+    const found = (await findCurves(db, dataset.id, curves.split(','))).map(c => c.curve_name);
+    const rows = await readCurveRows(db, {
+      datasetId: dataset.id,
+      curves: found,
+      minDepth: hasRange ? parseFloat(minDepth) : null,
+      maxDepth: hasRange ? parseFloat(maxDepth) : null
     });
+    rows.sort((a, b) => a.depth - b.depth);
+
+    if (maxPoints !== null) {
+      const decimated = decimateMinMax(rows, found, maxPoints);
+      return res.json({
+        curves: found,
+        rows: decimated,
+        totalRows: rows.length,
+        downsampled: decimated.length < rows.length
+      });
+    }
+
+    const result = {};
+    if (rows.length > 0) {
+      found.forEach(curve => {
+        result[curve] = rows.map(row => ({ depth: row.depth, value: row[curve] }));
+      });
+    }
     res.json(result);
-  });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export curves over a depth interval as a LAS 2.0 file or a wide CSV table
+app.get('/api/files/:fileId/export', async (req, res) => {
+  const format = (req.query.format || 'las').toLowerCase();
+  if (!['las', 'csv'].includes(format)) return res.status(400).json({ error: 'format must be las or csv' });
+
+  try {
+    const file = await dbGet('SELECT id, filename FROM files WHERE id = ?', [req.params.fileId]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    const dataset = await resolveDataset(file.id, req.query.dataset);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+
+    // The first definition is the depth index
+    const definitions = await dbAll(`SELECT curve_name, unit, api_code, description, value_type FROM curve_info
+                                     WHERE dataset_id = ? ORDER BY curve_order`, [dataset.id]);
+    const [depthCurve = { curve_name: 'DEPT' }, ...available] = definitions;
+
+    const requested = req.query.curves ? req.query.curves.split(',') : available.map(c => c.curve_name);
+    const unknown = requested.filter(name => !available.some(c => c.curve_name === name));
+    if (unknown.length > 0) return res.status(400).json({ error: `Unknown curves: ${unknown.join(', ')}` });
+    if (requested.length === 0) return res.status(400).json({ error: 'No curves to export' });
+
+    const curves = requested.map(name => available.find(c => c.curve_name === name));
+    if (format === 'las' && curves.some(c => c.value_type === 'string')) {
+      return res.status(400).json({ error: 'Text curves cannot be written to LAS 2.0; export them as CSV' });
+    }
+
+    const headerItems = await dbAll(`SELECT section, mnemonic, unit, value, description FROM las_header_items
+                                     WHERE file_id = ? AND section IN ('well', 'parameters') ORDER BY item_order`,
+      [file.id]);
+    const wellItems = headerItems.filter(item => item.section === 'well');
+    const summary = summarizeWellSection(wellItems);
+    const nullValue = summary.nullValue ?? COMMON_NULL_VALUES[0];
+    const depthUnit = depthCurve.unit || summary.depthUnit || '';
+
+    const { minDepth, maxDepth } = req.query;
+    const hasRange = minDepth && maxDepth && minDepth !== 'undefined' && maxDepth !== 'undefined';
+    const range = {
+      datasetId: dataset.id,
+      minDepth: hasRange ? parseFloat(minDepth) : null,
+      maxDepth: hasRange ? parseFloat(maxDepth) : null
+    };
+
+    // First pass over the depths alone: the interval and whether it is
+    // regularly sampled (LAS 2.0 writes STEP 0 otherwise)
+    const interval = { start: null, stop: null, step: null, rows: 0 };
+    for await (const { depths } of iterateCurveChunks(db, range)) {
+      for (const depth of depths) {
+        if (interval.rows === 1) interval.step = depth - interval.stop;
+        else if (interval.rows > 1 && Math.abs(depth - interval.stop - interval.step) > 1e-6) interval.step = 0;
+        if (interval.start === null) interval.start = depth;
+        interval.stop = depth;
+        interval.rows++;
+      }
+    }
+    if (interval.rows === 0) return res.status(404).json({ error: 'No samples in the selected depth range' });
+
+    const baseName = path.parse(file.filename).name;
+    res.attachment(`${baseName}.${format}`);
+    res.type(format === 'las' ? 'text/plain' : 'text/csv');
+
+    let header;
+    if (format === 'las') {
+      header = formatLASHeader({
+        wellItems,
+        parameters: headerItems.filter(item => item.section === 'parameters'),
+        curves: [depthCurve, ...curves].map(c => ({
+          name: c.curve_name, unit: c.unit, apiCode: c.api_code, description: c.description
+        })),
+        nullValue,
+        start: interval.start,
+        stop: interval.stop,
+        step: parseFloat((interval.step ?? 0).toPrecision(10)),
+        depthUnit
+      });
+    } else {
+      const label = (name, unit) => (unit ? `${name} (${unit})` : name);
+      header = formatCSVRow([label(depthCurve.curve_name, depthUnit), ...curves.map(c => label(c.curve_name, c.unit))]);
+    }
+
+    // Chunks come back in file order and are read only as fast as the client
+    // takes them; if it goes away, pipeline stops the reader
+    async function* exportText() {
+      yield header;
+      for await (const { depths, values } of iterateCurveChunks(db, { ...range, curves: requested })) {
+        let text = '';
+        depths.forEach((depth, i) => {
+          const row = requested.map(name => values[name][i]);
+          text += format === 'las' ? formatLASRow(depth, row, nullValue) : formatCSVRow([depth, ...row]);
+        });
+        yield text;
+      }
+    }
+    await pipeline(Readable.from(exportText()), res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error('Export error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Upload LAS file
@@ -232,32 +2546,22 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
     console.log('\nUploading:', req.file.originalname);
-    const parsedData = await parseLASFile(req.file.path);
-    
-    db.run('INSERT INTO files (filename, upload_date, file_path) VALUES (?, ?, ?)',
-      [req.file.originalname, new Date().toISOString(), req.file.path],
-      function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        
-        const fileId = this.lastID;
-        const stmt = db.prepare('INSERT INTO well_data (file_id, depth, curve_name, value) VALUES (?, ?, ?, ?)');
-        
-        db.serialize(() => {
-          db.run('BEGIN TRANSACTION');
-          for (const point of parsedData.data) {
-            stmt.run(fileId, point.depth, point.curveName, point.value);
-          }
-          stmt.finalize();
-          db.run('COMMIT');
-        });
-        
-        res.json({ 
-          message: 'Upload successful', 
-          fileId,
-          curves: parsedData.curves,
-          depthRange: parsedData.depthRange,
-          dataPoints: parsedData.data.length
-        });
+
+    // The same bytes uploaded again are linked to the existing file, not stored twice
+    const contentHash = await hashFile(req.file.path);
+    const duplicate = await findDuplicate(contentHash);
+    if (duplicate) {
+      fs.unlinkSync(req.file.path);
+      return res.json(duplicate);
+    }
+
+    const job = enqueueIngestJob(req.file.originalname, req.file.path, { contentHash });
+
+    // Parsing and insertion run in the background; poll GET /api/jobs/:id
+    res.status(202).json({ 
+      message: 'Upload received, ingest queued', 
+      jobId: job.id,
+      filename: job.filename
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -268,69 +2572,234 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
   }
 });
 
+// Preview a CSV/TSV file: stores it and describes its columns for mapping
+app.post('/api/import/preview', tabularUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const contentHash = await hashFile(req.file.path);
+    const duplicate = await findDuplicate(contentHash);
+    if (duplicate) {
+      fs.unlinkSync(req.file.path);
+      return res.json(duplicate);
+    }
+
+    const preview = await previewTabularFile(req.file.path);
+    const importId = crypto.randomUUID();
+    pendingImports.set(importId, {
+      filename: req.file.originalname,
+      filePath: req.file.path,
+      contentHash,
+      preview,
+      timer: setTimeout(() => discardPendingImport(importId), PENDING_IMPORT_TTL_MS).unref()
+    });
+
+    res.json({ importId, filename: req.file.originalname, ...preview });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    if (req.file?.path && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(error.name === 'TabularParseError' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Import a previewed CSV/TSV file with the chosen column mapping
+app.post('/api/import/:importId', (req, res) => {
+  const pending = pendingImports.get(req.params.importId);
+  if (!pending) return res.status(404).json({ error: 'Import not found or expired; upload the file again' });
+
+  const { depthColumn, depthUnit, curves, nullValue, wellName } = req.body;
+  const columnCount = pending.preview.columns.length;
+  const columns = [depthColumn, ...(Array.isArray(curves) ? curves.map(c => c.column) : [])];
+  if (columns.some(column => !Number.isInteger(column) || column < 0 || column >= columnCount)) {
+    return res.status(400).json({ error: `Columns must be between 0 and ${columnCount - 1}` });
+  }
+  if (!Array.isArray(curves) || curves.length === 0) {
+    return res.status(400).json({ error: 'Select at least one column to import as a curve' });
+  }
+
+  const importOptions = {
+    delimiter: pending.preview.delimiter,
+    unitsRow: pending.preview.unitsRow,
+    depthColumn,
+    depthUnit: depthUnit || '',
+    curves: curves.map(c => ({ column: c.column, name: c.name, unit: c.unit || '' })),
+    nullValue: nullValue ?? null,
+    wellName: wellName || ''
+  };
+
+  // The stored file now belongs to the ingest job
+  clearTimeout(pending.timer);
+  pendingImports.delete(req.params.importId);
+
+  const job = enqueueIngestJob(pending.filename, pending.filePath, {
+    contentHash: pending.contentHash,
+    sourceFormat: 'tabular',
+    importOptions
+  });
+  res.status(202).json({ message: 'Import queued', jobId: job.id, filename: job.filename });
+});
+
+// Cancel a previewed import
+app.delete('/api/import/:importId', (req, res) => {
+  if (!pendingImports.has(req.params.importId)) return res.status(404).json({ error: 'Import not found' });
+  discardPendingImport(req.params.importId);
+  res.json({ message: 'Import cancelled' });
+});
+
+// Ingest job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(describeJob(job));
+});
+
 // AI Interpretation
-app.post('/api/interpret', (req, res) => {
-  const { fileId, curves, minDepth, maxDepth } = req.body;
+app.post('/api/interpret', async (req, res) => {
+  const { fileId, datasetId, curves, minDepth, maxDepth, sensitivity } = req.body;
   if (!fileId || !curves?.length) {
     return res.status(400).json({ error: 'Missing required parameters' });
   }
+  const threshold = resolveThreshold(sensitivity ?? 'medium');
+  if (threshold === null) {
+    return res.status(400).json({
+      error: `sensitivity must be one of ${Object.keys(SENSITIVITY_THRESHOLDS).join(', ')} or a positive number of σ`
+    });
+  }
+
+  let dataset;
+  try {
+    dataset = await resolveDataset(fileId, datasetId);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
   
-  const placeholders = curves.map(() => '?').join(',');
-  db.all(
-    `SELECT depth, curve_name, value FROM well_data 
-     WHERE file_id = ? AND curve_name IN (${placeholders})
-     AND depth BETWEEN ? AND ? ORDER BY depth`,
-    [fileId, ...curves, parseFloat(minDepth), parseFloat(maxDepth)],
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
-      if (rows.length === 0) {
-        return res.status(404).json({ error: 'No data found' });
-      }
-      
-      const curveData = {};
-      rows.forEach(row => {
-        if (!curveData[row.curve_name]) {
-          curveData[row.curve_name] = { values: [], depths: [] };
-        }
-        curveData[row.curve_name].values.push(row.value);
-        curveData[row.curve_name].depths.push(row.depth);
-      });
-      
-      const interpretations = {};
-      const recommendations = [];
-      
-      Object.keys(curveData).forEach(curve => {
-        const { values, depths } = curveData[curve];
-        const avg = values.reduce((a, b) => a + b, 0) / values.length;
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        const stdDev = Math.sqrt(values.map(v => Math.pow(v - avg, 2)).reduce((a, b) => a + b, 0) / values.length);
-        
-        interpretations[curve] = {
-          statistics: {
-            average: avg.toFixed(2),
-            minimum: min.toFixed(2),
-            maximum: max.toFixed(2),
-            stdDeviation: stdDev.toFixed(2),
-            points: values.length
-          },
-          summary: `${curve}: ${values.length} points, avg=${avg.toFixed(2)}, range=[${min.toFixed(2)} to ${max.toFixed(2)}]`
-        };
-      });
-      
-      res.json({
-        depthRange: { min: parseFloat(minDepth), max: parseFloat(maxDepth) },
-        interpretations,
-        recommendations
-      });
+  // A bound left out is the dataset's own, so the statistics and the samples
+  // cover the same interval; whole-dataset requests are answered from the
+  // statistics catalog
+  const rangeStart = Number.isFinite(parseFloat(minDepth)) ? parseFloat(minDepth) : dataset.min_depth;
+  const rangeEnd = Number.isFinite(parseFloat(maxDepth)) ? parseFloat(maxDepth) : dataset.max_depth;
+  if (rangeStart !== null && rangeEnd !== null && rangeStart > rangeEnd) {
+    return res.status(400).json({ error: 'minDepth must not exceed maxDepth' });
+  }
+  // Recommendation rules may read curves beyond the requested ones
+  const curveStats = {};
+  let analyzed;
+  let available;
+  let rows;
+  let depthCurve;
+  // A mistake in the rules file costs the recommendations, not the interpretation
+  let rules = null;
+  let recommendationsWarning = null;
+  try {
+    rules = loadRecommendationRules(recommendationRulesPath);
+  } catch (error) {
+    if (!(error instanceof RecommendationRulesError)) return res.status(500).json({ error: error.message });
+    recommendationsWarning = `Recommendations are unavailable: ${error.message}`;
+  }
+  try {
+    analyzed = (await findCurves(db, dataset.id, curves))
+      .filter(c => c.value_type !== 'string')
+      .map(c => c.curve_name);
+    available = (await dbAll(`SELECT curve_name FROM curve_info WHERE dataset_id = ? AND curve_order > 0
+                                    AND COALESCE(value_type, 'number') != 'string' ORDER BY curve_order`,
+      [dataset.id])).map(r => r.curve_name);
+    const needed = await findCurves(db, dataset.id, rules ? requiredCurves(rules, available, analyzed) : analyzed);
+
+    for (const curve of needed) {
+      curveStats[curve.curve_name] = await getCurveStats(dataset, curve, rangeStart, rangeEnd);
+    }
+    // Anomaly and trend detection and the rules need the samples themselves, in depth order
+    rows = await readCurveRows(db, {
+      datasetId: dataset.id,
+      curves: needed.map(c => c.curve_name),
+      minDepth: rangeStart,
+      maxDepth: rangeEnd
+    });
+    rows.sort((a, b) => a.depth - b.depth);
+    depthCurve = await dbGet('SELECT unit FROM curve_info WHERE dataset_id = ? AND curve_order = 0', [dataset.id]);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!analyzed.some(curve => curveStats[curve].count + curveStats[curve].nulls > 0)) {
+    return res.status(404).json({ error: 'No data found' });
+  }
+
+  const interpretations = {};
+  const recommendations = rules ? evaluateRecommendations(rules, { analyzed, available, stats: curveStats, rows }) : [];
+
+  analyzed.forEach(curve => {
+    const stats = curveStats[curve];
+    const { count, nulls } = stats;
+    const coverage = ((count / (count + nulls)) * 100).toFixed(1);
+
+    if (count === 0) {
+      interpretations[curve] = {
+        statistics: { points: 0, nulls, coverage },
+        summary: `${curve}: no valid samples in range (${nulls} null)`
+      };
+      return;
+    }
+
+    const samples = rows
+      .filter(row => typeof row[curve] === 'number')
+      .map(row => ({ depth: row.depth, value: row[curve] }));
+    const { anomalies, total } = detectAnomalies(samples, { threshold });
+
+    interpretations[curve] = {
+      statistics: {
+        average: stats.mean.toFixed(2),
+        minimum: stats.min.toFixed(2),
+        maximum: stats.max.toFixed(2),
+        stdDeviation: stats.std.toFixed(2),
+        p10: stats.p10.toFixed(2),
+        p50: stats.p50.toFixed(2),
+        p90: stats.p90.toFixed(2),
+        points: count,
+        nulls,
+        coverage
+      },
+      anomalies,
+      anomalyCount: total,
+      trends: detectTrendSegments(samples),
+      summary: `${curve}: ${count} points (${coverage}% coverage), avg=${stats.mean.toFixed(2)}, range=[${stats.min.toFixed(2)} to ${stats.max.toFixed(2)}]`
+    };
   });
+
+  const response = {
+    depthRange: { min: rangeStart, max: rangeEnd },
+    // Trend slopes are per 100 of this unit
+    depthUnit: depthCurve?.unit || '',
+    sensitivity: threshold,
+    interpretations,
+    recommendations
+  };
+  if (recommendationsWarning) response.recommendationsWarning = recommendationsWarning;
+  res.json(response);
 });
 
 // ============================================
 // DATABASE-POWERED CHATBOT (NO EMOJIS)
 // ============================================
+
+// Readings of one curve across a dataset, without missing samples
+async function readCurveSamples(datasetId, curve) {
+  const rows = await readCurveRows(db, { datasetId, curves: [curve] });
+  return rows.filter(row => typeof row[curve] === 'number').map(row => ({ depth: row.depth, value: row[curve] }));
+}
+
+// Catalog statistics of a named curve, or null when it has no readings
+async function summarizeCurve(dataset, curveName) {
+  const [curve] = await findCurves(db, dataset.id, [curveName]);
+  if (!curve || curve.value_type === 'string') return null;
+  const stats = await getCurveStats(dataset, curve);
+  return stats.count > 0 ? { count: stats.count, avg: stats.mean, min: stats.min, max: stats.max } : null;
+}
+
 app.post('/api/chat', async (req, res) => {
-  const { message, fileId } = req.body;
+  const { message, fileId, datasetId } = req.body;
   
   console.log('Chat request:', message);
   
@@ -343,6 +2812,10 @@ app.post('/api/chat', async (req, res) => {
   try {
     const lowerMsg = message.toLowerCase();
     
+    // Questions are answered from the selected dataset (the Log data by default)
+    const dataset = await resolveDataset(fileId, datasetId);
+    const datasetKey = dataset ? dataset.id : null;
+    
     // Get file info
     const file = await new Promise((resolve) => {
       db.get('SELECT filename FROM files WHERE id = ?', [fileId], (err, row) => {
@@ -351,18 +2824,11 @@ app.post('/api/chat', async (req, res) => {
     });
     
     // Get all curves
-    const curves = await new Promise((resolve) => {
-      db.all('SELECT DISTINCT curve_name FROM well_data WHERE file_id = ?', [fileId], (err, rows) => {
-        resolve(rows.map(r => r.curve_name));
-      });
-    });
+    const curves = (await dbAll('SELECT curve_name FROM curve_info WHERE dataset_id = ? AND curve_order > 0',
+      [datasetKey])).map(r => r.curve_name);
     
     // Get depth range
-    const depthRange = await new Promise((resolve) => {
-      db.get('SELECT MIN(depth) as minD, MAX(depth) as maxD FROM well_data WHERE file_id = ?', [fileId], (err, row) => {
-        resolve(row || { minD: 0, maxD: 0 });
-      });
-    });
+    const depthRange = { minD: dataset ? dataset.min_depth : 0, maxD: dataset ? dataset.max_depth : 0 };
     
     const filename = file.filename;
     
@@ -395,21 +2861,12 @@ app.post('/api/chat', async (req, res) => {
     
     // HC5 specific
     else if (lowerMsg.includes('hc5')) {
-      const stats = await new Promise((resolve) => {
-        db.get(`SELECT 
-                  COUNT(*) as count, 
-                  AVG(value) as avg, 
-                  MIN(value) as min, 
-                  MAX(value) as max,
-                  SUM(CASE WHEN value > 1000 THEN 1 ELSE 0 END) as peaks
-                FROM well_data 
-                WHERE file_id = ? AND curve_name = 'HC5'`, 
-          [fileId], (err, row) => {
-          resolve(row);
-        });
-      });
+      const summary = curves.includes('HC5') ? await summarizeCurve(dataset, 'HC5') : null;
+      const stats = summary && summary.max > 1000
+        ? { ...summary, peaks: (await readCurveSamples(datasetKey, 'HC5')).filter(s => s.value > 1000).length }
+        : summary;
       
-      if (stats && stats.count > 0) {
+      if (stats) {
         return res.json({ 
           response: `HC5 Statistics:\n` +
             `Data Points: ${stats.count}\n` +
@@ -423,40 +2880,41 @@ app.post('/api/chat', async (req, res) => {
       }
     }
     
-    // Hydrocarbon zones
+    // Hydrocarbon zones, from the mud gas ratios
     else if (lowerMsg.includes('hydrocarbon') || lowerMsg.includes('peak') || 
              lowerMsg.includes('oil') || lowerMsg.includes('gas') || lowerMsg.includes('show')) {
-      
-      const hcCurves = curves.filter(c => 
-        c.includes('HC') || c.includes('Xylene') || c.includes('Arom') || c.includes('C5')
-      );
-      
-      if (hcCurves.length === 0) {
+      if (!dataset) {
+        return res.json({ response: "This file has no log data to evaluate for gas shows." });
+      }
+
+      let analysis;
+      try {
+        analysis = await runGasAnalysis(dataset);
+      } catch (error) {
+        if (!(error instanceof GasAnalysisError)) throw error;
         return res.json({ 
-          response: `No obvious hydrocarbon curves found. Available curves: ${curves.slice(0, 10).join(', ')}` 
+          response: `No C1-C3 gas curves found for a gas show evaluation. Available curves: ${curves.slice(0, 10).join(', ')}` 
         });
       }
       
-      const placeholders = hcCurves.map(() => '?').join(',');
-      const peaks = await new Promise((resolve) => {
-        db.all(`SELECT curve_name, depth, value FROM well_data 
-                WHERE file_id = ? AND curve_name IN (${placeholders}) 
-                ORDER BY value DESC LIMIT 5`,
-          [fileId, ...hcCurves], (err, rows) => {
-          resolve(rows || []);
-        });
-      });
-      
-      let response = `Hydrocarbon Indicators Found:\n`;
-      response += `Curves: ${hcCurves.join(', ')}\n\n`;
+      const mapped = Object.entries(analysis.mapping)
+        .map(([component, names]) => `${component.toUpperCase()}=${names.join('+')}`).join(', ');
+      let response = `Gas Show Evaluation (${mapped}):\n`;
+      response += `Background gas: ${analysis.background.toFixed(2)}\n\n`;
       
-      if (peaks.length > 0) {
-        response += `Top Peaks:\n`;
-        peaks.forEach((p, i) => {
-          response += `${i+1}. ${p.curve_name} at ${p.depth}ft: ${p.value.toFixed(2)}\n`;
+      // The thickest shows, listed top down
+      const shows = [...analysis.shows]
+        .sort((a, b) => (b.base - b.top) - (a.base - a.top))
+        .slice(0, 5)
+        .sort((a, b) => a.top - b.top);
+      if (shows.length > 0) {
+        response += `Shows (${analysis.shows.length} total):\n`;
+        shows.forEach((show, i) => {
+          response += `${i+1}. ${show.top}-${show.base}ft: ${show.class} ` +
+            `(wetness ${show.meanWetness}%, peak gas ${show.peakGas})\n`;
         });
       } else {
-        response += `No significant peaks found.`;
+        response += `No gas shows above background.`;
       }
       
       return res.json({ response });
@@ -479,15 +2937,9 @@ app.post('/api/chat', async (req, res) => {
       const mentionedCurve = curves.find(c => lowerMsg.includes(c.toLowerCase()));
       
       if (mentionedCurve) {
-        const stats = await new Promise((resolve) => {
-          db.get(`SELECT COUNT(*) as count, AVG(value) as avg, MIN(value) as min, MAX(value) as max 
-                  FROM well_data WHERE file_id = ? AND curve_name = ?`,
-            [fileId, mentionedCurve], (err, row) => {
-            resolve(row);
-          });
-        });
+        const stats = await summarizeCurve(dataset, mentionedCurve);
         
-        if (stats && stats.count > 0) {
+        if (stats) {
           return res.json({ 
             response: `${mentionedCurve} Statistics:\n` +
               `Points: ${stats.count}\n` +
@@ -515,7 +2967,10 @@ app.post('/api/chat', async (req, res) => {
 // ============================================
 // START SERVER
 // ============================================
-app.listen(PORT, () => {
+// A failed upload cleanup is logged; it does not keep the server from starting
+migrateDatabase()
+.then(() => cleanupOrphanedUploads().catch(error => console.error('Upload cleanup failed:', error.message)))
+.then(() => app.listen(PORT, () => {
   console.log('\n' + '='.repeat(50));
   console.log('SERVER STARTED SUCCESSFULLY');
   console.log('='.repeat(50));
@@ -524,4 +2979,8 @@ app.listen(PORT, () => {
   console.log(`Database: ${dbPath}`);
   console.log(`Chatbot: ACTIVE (database-powered)`);
   console.log('='.repeat(50) + '\n');
-});
\ No newline at end of file
+}))
+.catch(error => {
+  console.error('Database migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const readline = require('readline');
+const { COMMON_NULL_VALUES } = require('./lasParser');
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for malformed CSV/TSV input or an unusable column mapping
+class TabularParseError extends Error {
+  constructor(message, lineNumber) {
+    super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+    this.name = 'TabularParseError';
+    this.lineNumber = lineNumber || null;
+  }
+}
+
+// ============================================
+// ROW SPLITTING
+// ============================================
+
+const DELIMITERS = [',', '\t', ';'];
+
+// Cells that mean "no reading" in spreadsheet exports
+const NULL_TOKENS = ['', 'NA', 'N/A', 'NAN', 'NULL', '-'];
+
+// Picks the delimiter that splits the header line into the most cells
+function detectDelimiter(line) {
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = splitRow(line, delimiter).length;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Splits one row, honouring double-quoted cells and "" escapes as Excel writes them
+function splitRow(line, delimiter) {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function isNumeric(cell) {
+  return cell !== '' && !isNaN(Number(cell));
+}
+
+// "GR (API)" and "GR [API]" carry the unit in the column header
+function parseColumnHeader(cell) {
+  const match = cell.match(/^(.*?)\s*[([]([^)\]]*)[)\]]\s*$/);
+  if (match && match[1]) return { name: match[1].trim(), unit: match[2].trim() };
+  return { name: cell, unit: '' };
+}
+
+// Excel exports often put units on a second header line: no numbers there,
+// numbers on the line after it
+function isUnitsRow(cells, nextCells) {
+  return !!nextCells && !cells.some(isNumeric) && nextCells.some(isNumeric);
+}
+
+// Reads the non-blank lines at the top of a file, with their line numbers
+async function readLeadingLines(filePath, count) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const result = [];
+  let lineNumber = 0;
+
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      const text = lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line;
+      if (text.trim() === '') continue;
+      result.push({ text, lineNumber });
+      if (result.length >= count) break;
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+  return result;
+}
+
+// ============================================
+// PREVIEW
+// ============================================
+
+// Describes the columns of a CSV/TSV file from its first rows so the user
+// can choose the depth column and which columns become curves
+async function previewTabularFile(filePath, { maxRows = 10 } = {}) {
+  const leading = await readLeadingLines(filePath, maxRows + 2);
+  if (leading.length < 2) {
+    throw new TabularParseError('The file needs a header row and at least one data row');
+  }
+
+  const delimiter = detectDelimiter(leading[0].text);
+  const rows = leading.map(line => splitRow(line.text, delimiter));
+  const headerCells = rows[0];
+  if (headerCells.length < 2) {
+    throw new TabularParseError('Could not find at least two columns in the header row', leading[0].lineNumber);
+  }
+
+  const unitsRow = isUnitsRow(rows[1], rows[2]);
+  const dataRows = rows.slice(unitsRow ? 2 : 1, (unitsRow ? 2 : 1) + maxRows);
+
+  const columns = headerCells.map((cell, index) => {
+    const { name, unit } = parseColumnHeader(cell || `Column ${index + 1}`);
+    const samples = dataRows.map(row => row[index] ?? '').filter(value => !NULL_TOKENS.includes(value.toUpperCase()));
+    return {
+      index,
+      name,
+      unit: unitsRow ? (rows[1][index] || unit) : unit,
+      numeric: samples.length > 0 && samples.every(isNumeric)
+    };
+  });
+
+  const depthColumn = columns.find(c => c.numeric && /^(DEPT|DEPTH|MD|TVD)/i.test(c.name))
+    || columns.find(c => c.numeric);
+
+  return {
+    delimiter,
+    unitsRow,
+    columns,
+    rows: dataRows,
+    suggestedDepthColumn: depthColumn ? depthColumn.index : null
+  };
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Renames repeated curve names the way the LAS parser does (GR, GR:2, ...)
+function uniqueNames(names) {
+  const seen = {};
+  return names.map(name => {
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name}:${seen[name]}` : name;
+  });
+}
+
+function validateMapping({ depthColumn, curves }) {
+  if (!Number.isInteger(depthColumn) || depthColumn < 0) {
+    throw new TabularParseError('A depth column must be selected');
+  }
+  if (!Array.isArray(curves) || curves.length === 0) {
+    throw new TabularParseError('Select at least one column to import as a curve');
+  }
+  for (const curve of curves) {
+    if (!Number.isInteger(curve.column) || curve.column < 0) {
+      throw new TabularParseError('Every curve needs a column index');
+    }
+    if (curve.column === depthColumn) {
+      throw new TabularParseError('The depth column cannot also be imported as a curve');
+    }
+    if (!curve.name || !String(curve.name).trim()) {
+      throw new TabularParseError(`Column ${curve.column + 1} needs a curve name`);
+    }
+  }
+}
+
+// Streams a CSV/TSV file into the same shape streamLASFile returns: a
+// synthetic header plus one Log dataset, so ingest and every route that reads
+// the stored data treat it like a LAS file. The mapping comes from the preview:
+// { delimiter, unitsRow, depthColumn, depthUnit, curves: [{ column, name, unit }],
+//   nullValue, wellName }. Cells that are not numbers are stored as missing.
+async function streamTabularFile(filePath, {
+  delimiter = ',', unitsRow = false, depthColumn, depthUnit = '', curves, nullValue = null, wellName = '',
+  onBatch, onProgress = () => {}, batchSize = 20000
+}) {
+  validateMapping({ depthColumn, curves });
+  console.log('Reading delimited file...');
+
+  const nullValues = nullValue !== null && nullValue !== '' ? [Number(nullValue)] : COMMON_NULL_VALUES;
+  const depthName = 'DEPT';
+  const curveNames = uniqueNames([depthName, ...curves.map(c => String(c.name).trim().toUpperCase())]).slice(1);
+  const curveItems = [
+    { mnemonic: depthName, unit: depthUnit, value: '', description: 'Depth' },
+    ...curves.map((c, i) => ({
+      mnemonic: curveNames[i], unit: c.unit || '', value: '', description: `Imported from column ${c.column + 1}`
+    }))
+  ];
+
+  const curveStats = {};
+  curveNames.forEach(name => { curveStats[name] = { samples: 0, nulls: 0 }; });
+  const dataset = {
+    name: 'Log',
+    curveItems,
+    columnNames: [depthName, ...curveNames],
+    curves: curveNames,
+    valueTypes: curveItems.map(() => 'number'),
+    curveStats,
+    rowCount: 0,
+    dataPoints: 0,
+    nullPoints: 0,
+    depthRange: { min: Infinity, max: -Infinity }
+  };
+
+  const toValue = (cell) => {
+    if (cell === undefined || NULL_TOKENS.includes(cell.toUpperCase())) return null;
+    const number = Number(cell);
+    if (isNaN(number) || nullValues.includes(number)) return null;
+    return number;
+  };
+
+  let batch = [];
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  let headerLinesLeft = unitsRow ? 2 : 1;
+
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') continue;
+      if (headerLinesLeft > 0) {
+        headerLinesLeft--;
+        continue;
+      }
+
+      const cells = splitRow(line, delimiter);
+      const depth = toValue(cells[depthColumn]);
+      if (depth === null) {
+        throw new TabularParseError(
+          `depth column ${depthColumn + 1} holds "${cells[depthColumn] ?? ''}", expected a number`, lineNumber);
+      }
+
+      dataset.depthRange.min = Math.min(dataset.depthRange.min, depth);
+      dataset.depthRange.max = Math.max(dataset.depthRange.max, depth);
+      dataset.rowCount++;
+
+      const values = curves.map((curve, i) => {
+        const value = toValue(cells[curve.column]);
+        const stats = curveStats[curveNames[i]];
+        stats.samples++;
+        if (value === null) {
+          stats.nulls++;
+          dataset.nullPoints++;
+        } else {
+          dataset.dataPoints++;
+        }
+        return value;
+      });
+
+      batch.push({ dataset, depth, values });
+      if (batch.length * curves.length >= batchSize) {
+        const records = batch;
+        batch = [];
+        await onBatch(records);
+        onProgress({ bytesRead: input.bytesRead, lineNumber });
+      }
+    }
+    if (batch.length > 0) await onBatch(batch);
+    onProgress({ bytesRead: input.bytesRead, lineNumber });
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+
+  if (dataset.rowCount === 0) throw new TabularParseError('No data rows found');
+  console.log(`Log: parsed ${dataset.dataPoints} data points (${dataset.nullPoints} null)`);
+
+  const depthItem = (mnemonic, value, description) =>
+    ({ mnemonic, unit: depthUnit, value: String(value), description });
+  const well = [
+    depthItem('STRT', dataset.depthRange.min, 'START DEPTH'),
+    depthItem('STOP', dataset.depthRange.max, 'STOP DEPTH'),
+    { mnemonic: 'NULL', unit: '', value: String(nullValues[0]), description: 'NULL VALUE' }
+  ];
+  if (wellName && wellName.trim()) {
+    well.push({ mnemonic: 'WELL', unit: '', value: wellName.trim(), description: 'WELL' });
+  }
+
+  return {
+    header: {
+      version: [{ mnemonic: 'FORMAT', unit: '', value: delimiter === '\t' ? 'TSV' : 'CSV', description: 'Delimited text import' }],
+      well,
+      curves: curveItems,
+      parameters: [],
+      other: ''
+    },
+    datasets: [dataset],
+    version: null,
+    wrapped: false,
+    delimiter,
+    nullValues,
+    nullValue: nullValues[0]
+  };
+}
+
+module.exports = {
+  TabularParseError,
+  previewTabularFile,
+  streamTabularFile
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SENSITIVITY_THRESHOLDS, resolveThreshold, detectAnomalies } = require('../anomalies');
+
+// Samples every 0.5 from 1000 of value(i) plus a little repeatable noise
+function curve(count, value) {
+  let seed = 3;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  return Array.from({ length: count }, (_, i) => ({ depth: 1000 + i * 0.5, value: value(i) + noise() }));
+}
+const depthsOf = ({ anomalies }) => anomalies.map(a => a.depth).sort((a, b) => a - b);
+
+test('sensitivity is a name or a positive number of σ', () => {
+  assert.equal(resolveThreshold('medium'), SENSITIVITY_THRESHOLDS.medium);
+  assert.equal(resolveThreshold('HIGH'), 2);
+  assert.equal(resolveThreshold('2.5'), 2.5);
+  assert.equal(resolveThreshold(5), 5);
+  for (const invalid of ['extreme', 'constructor', '', 0, -1, null]) assert.equal(resolveThreshold(invalid), null, String(invalid));
+});
+
+test('a lone spike is flagged once, under the rolling z-score', () => {
+  const result = detectAnomalies(curve(300, i => 50 + (i === 150 ? 30 : 0)));
+  assert.equal(result.total, 1);
+  assert.equal(result.anomalies[0].depth, 1075);
+  assert.equal(result.anomalies[0].method, 'rolling-zscore');
+});
+
+test('a stretch too wide for a rolling window is caught by the median absolute deviation', () => {
+  const result = detectAnomalies(curve(300, i => (i < 30 ? 90 : 50)));
+  const byMAD = result.anomalies.filter(a => a.method === 'mad');
+  assert.deepEqual(depthsOf({ anomalies: byMAD }), Array.from({ length: 30 }, (_, i) => 1000 + i * 0.5));
+  // The first reading after the stretch sits below its neighbours' median
+  assert.deepEqual(result.anomalies.filter(a => a.method !== 'mad').map(a => a.depth), [1015]);
+});
+
+test('a reading off a steady trend is caught by its neighbours', () => {
+  const result = detectAnomalies(curve(300, i => i * 0.1 + (i === 150 ? 8 : 0)));
+  assert.equal(result.total, 1);
+  assert.equal(result.anomalies[0].method, 'spike');
+  assert.ok(result.anomalies[0].deviation > 0);
+});
+
+test('on a flat curve the mean absolute deviation stands in for a zero MAD', () => {
+  const samples = Array.from({ length: 300 }, (_, i) => ({ depth: 1000 + i * 0.5, value: i % 100 === 0 ? 60 : 50 }));
+  const result = detectAnomalies(samples);
+  assert.deepEqual(depthsOf(result), [1000, 1050, 1100]);
+  // σ = 1.2533 × mean |deviation| = 1.2533 × (3 × 10 / 300)
+  assert.equal(result.anomalies[0].deviation, parseFloat((10 / (1.2533 * 0.1)).toFixed(2)));
+});
+
+test('a higher threshold flags fewer readings', () => {
+  const bumps = { 75: 0.9, 150: 1.5, 225: 3 };
+  const samples = curve(300, i => 50 + (bumps[i] || 0));
+  const flagged = (threshold) => detectAnomalies(samples, { threshold });
+  assert.deepEqual([2, 3, 6, 20].map(threshold => flagged(threshold).total), [4, 2, 1, 0]);
+  assert.deepEqual(depthsOf(flagged(3)), [1075, 1112.5]);
+});
+
+test('at most 100 anomalies are listed, strongest first, and all are counted', () => {
+  const samples = curve(2000, i => (i % 10 === 0 ? 50 + i / 20 : 0));
+  const { anomalies, total } = detectAnomalies(samples);
+  assert.ok(total > 100);
+  assert.equal(anomalies.length, 100);
+  anomalies.slice(1).forEach((a, i) => assert.ok(Math.abs(a.deviation) <= Math.abs(anomalies[i].deviation)));
+});
+
+test('curves of fewer than three readings have no anomalies', () => {
+  assert.deepEqual(detectAnomalies([{ depth: 1, value: 1 }, { depth: 2, value: 100 }]), { anomalies: [], total: 0 });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PredictionError, trainPredictor, predictValue } = require('../curvePrediction');
+
+// Rows with GR and RHOB wandering independently down the log, and targets
+// computed from them
+function logRows(count, target) {
+  return Array.from({ length: count }, (_, i) => {
+    const row = { depth: 1000 + i * 0.5, GR: 60 + 40 * Math.sin(i / 7), RHOB: 2.4 + 0.2 * Math.cos(i / 11) };
+    return { ...row, DT: target(row) };
+  });
+}
+
+test('linear regression recovers known coefficients in the curves\' own units', () => {
+  const rows = logRows(500, ({ GR, RHOB }) => 200 - 50 * RHOB + 0.3 * GR);
+  const { model, training, validation } = trainPredictor(rows, 'DT', ['GR', 'RHOB']);
+
+  // The ridge term keeping the fit solvable shrinks the weights very slightly
+  const expected = { intercept: 200, GR: 0.3, RHOB: -50 };
+  Object.entries(expected).forEach(([key, value]) => assert.ok(Math.abs(model.coefficients[key] - value) < 1e-3, key));
+  assert.equal(training.samples, 500);
+  assert.equal(validation.samples, 100);
+  assert.equal(validation.r2, 1);
+  assert.ok(validation.rmse < 1e-3);
+  assert.ok(Math.abs(predictValue(model, { GR: 100, RHOB: 2 }) - 130) < 1e-3);
+});
+
+test('a depth missing an input is not predicted', () => {
+  const { model } = trainPredictor(logRows(100, ({ GR }) => GR * 2), 'DT', ['GR', 'RHOB']);
+  assert.equal(predictValue(model, { GR: 50, RHOB: null }), null);
+  assert.equal(predictValue(model, { GR: 50 }), null);
+});
+
+test('training uses only depths with the target and every input', () => {
+  const rows = logRows(100, ({ GR }) => GR);
+  rows.slice(0, 30).forEach(row => { row.DT = null; });
+  rows[50].RHOB = NaN;
+  const { training } = trainPredictor(rows, 'DT', ['GR', 'RHOB']);
+  assert.equal(training.samples, 69);
+});
+
+test('k-NN follows a relation a line cannot', () => {
+  const rows = logRows(1000, ({ GR }) => (GR > 60 ? 150 : 70));
+  const linear = trainPredictor(rows, 'DT', ['GR'], { method: 'linear' });
+  const knn = trainPredictor(rows, 'DT', ['GR'], { method: 'knn', neighbours: 5 });
+
+  assert.equal(knn.model.neighbours, 5);
+  assert.equal(knn.model.coefficients, undefined);
+  assert.ok(knn.validation.r2 > 0.95, `k-NN r2 ${knn.validation.r2}`);
+  assert.ok(knn.validation.r2 > linear.validation.r2);
+  assert.equal(Math.round(predictValue(knn.model, { GR: 95 })), 150);
+  assert.equal(Math.round(predictValue(knn.model, { GR: 25 })), 70);
+});
+
+test('scores summarize the residuals', () => {
+  const rows = logRows(200, ({ GR }) => GR).map((row, i) => ({ ...row, DT: row.DT + (i % 2 ? 1 : -1) }));
+  const { training } = trainPredictor(rows, 'DT', ['GR']);
+  assert.ok(Math.abs(training.rmse - 1) < 0.01);
+  assert.ok(Math.abs(training.residuals.mean) < 0.01);
+  assert.ok(training.residuals.p10 < 0 && training.residuals.p90 > 0);
+});
+
+test('unusable requests are PredictionErrors', () => {
+  const rows = logRows(100, ({ GR }) => GR);
+  const cases = [
+    [['GR'], { method: 'forest' }, /Method must be one of linear, knn/],
+    [[], {}, /Select at least one input curve/],
+    [['GR', 'DT'], {}, /DT cannot be both the target and an input/],
+    [['GR'], { method: 'knn', neighbours: 0 }, /neighbours must be a whole number from 1 to 50/],
+    [['GR'], { method: 'knn', neighbours: 51 }, /neighbours must be a whole number/],
+    [['GR', 'NPHI'], {}, /Only 0 training depths have DT and all inputs; at least 20 are needed/]
+  ];
+  for (const [features, options, message] of cases) {
+    assert.throws(() => trainPredictor(rows, 'DT', features, options), (error) => {
+      assert.ok(error instanceof PredictionError);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
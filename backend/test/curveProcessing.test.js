@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProcessingError, normalizeSteps, processCurve, resampleGrid, createInterpolator } = require('../curveProcessing');
+
+const run = (values, ...steps) => processCurve(values, normalizeSteps(steps));
+
+test('normalizeSteps fills in defaults', () => {
+  assert.deepEqual(normalizeSteps([{ filter: 'despike' }, { filter: 'resample', step: '0.5' }]), [
+    { filter: 'despike', window: 5, threshold: 3 },
+    { filter: 'resample', step: 0.5, method: 'linear' }
+  ]);
+});
+
+test('normalizeSteps refuses unusable pipelines', () => {
+  const cases = [
+    [[], /at least one filter/],
+    [[{ filter: 'sharpen' }], /Unknown filter sharpen/],
+    [[{ filter: 'moving-average', window: 4 }], /window must be odd/],
+    [[{ filter: 'moving-average', window: 203 }], /window must be a whole number from 3 to 201/],
+    [[{ filter: 'savitzky-golay', window: 5, order: 5 }], /order must be less than window/],
+    [[{ filter: 'clip' }], /clip needs min and\/or max/],
+    [[{ filter: 'clip', min: 5, max: 1 }], /min must not exceed max/],
+    [[{ filter: 'resample' }], /step is required/],
+    [[{ filter: 'resample', step: 1 }, { filter: 'gaussian' }], /resample must be the last step/]
+  ];
+  for (const [steps, message] of cases) {
+    assert.throws(() => normalizeSteps(steps), (error) => {
+      assert.ok(error instanceof ProcessingError);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
+
+test('filters run on each unbroken run and leave missing readings missing', () => {
+  const values = [1, 2, 3, null, null, 10, 20, 30];
+  const { values: smoothed, steps } = run(values, { filter: 'moving-average', window: 3 });
+  assert.deepEqual(smoothed, [1.5, 2, 2.5, null, null, 15, 20, 25]);
+  assert.equal(steps[0].changed, 4);
+
+  for (const filter of [{ filter: 'despike' }, { filter: 'gaussian' }, { filter: 'savitzky-golay', window: 3, order: 1 }]) {
+    const result = run(values, filter).values;
+    assert.deepEqual(result.map(v => v === null), values.map(v => v === null), filter.filter);
+  }
+});
+
+test('despike replaces a reading far from its neighbours by their median', () => {
+  const values = [10, 11, 10, 12, 11, 500, 10, 11, 12, 10, 11];
+  const { values: cleaned, steps } = run(values, { filter: 'despike' });
+  assert.equal(cleaned[5], 11);
+  assert.equal(steps[0].changed, 1);
+});
+
+test('Savitzky-Golay keeps a straight line as it is', () => {
+  const line = Array.from({ length: 12 }, (_, i) => 2 * i + 1);
+  const { values } = run(line, { filter: 'savitzky-golay', window: 5, order: 2 });
+  values.forEach((value, i) => assert.ok(Math.abs(value - line[i]) < 1e-9));
+});
+
+test('clip clamps or drops readings out of range', () => {
+  assert.deepEqual(run([-5, 50, 250], { filter: 'clip', min: 0, max: 200 }).values, [0, 50, 200]);
+  assert.deepEqual(run([-5, 50, 250], { filter: 'clip', min: 0, mode: 'null' }).values, [null, 50, 250]);
+});
+
+test('a final resample step is handed back rather than applied', () => {
+  const result = run([1, 2, 3], { filter: 'clip', max: 2 }, { filter: 'resample', step: 0.25, method: 'nearest' });
+  assert.deepEqual(result.values, [1, 2, 2]);
+  assert.deepEqual(result.resample, { filter: 'resample', step: 0.25, method: 'nearest' });
+});
+
+test('resampleGrid lies on multiples of the step within the range', () => {
+  assert.deepEqual(resampleGrid(1000.1, 1001.2, 0.5), [1000.5, 1001]);
+  assert.deepEqual(resampleGrid(0.3, 0.9, 0.1), [0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]);
+  assert.deepEqual(resampleGrid(1000.1, 1000.2, 0.5), []);
+  assert.throws(() => resampleGrid(0, 10000, 0.001), /would make 10000001 depths/);
+});
+
+test('createInterpolator reads between samples and is null across gaps and outside them', () => {
+  const linear = createInterpolator([3, 1, 2, 4], [30, 10, 20, null], 'linear');
+  assert.equal(linear(1.5), 15);
+  assert.equal(linear(2), 20);
+  assert.equal(linear(3.5), null);
+  assert.equal(linear(0.5), null);
+  assert.equal(linear(4), null);
+
+  const nearest = createInterpolator([1, 2], [10, 20], 'nearest');
+  assert.equal(nearest(1.4), 10);
+  assert.equal(nearest(1.6), 20);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DepthShiftError, normalizeShiftTable, shiftAt, applyShiftTable, matchDepth } = require('../depthShift');
+
+// A curve with features of several wavelengths, sampled every step from top
+// to base; the target reads the same formation shift deeper than it should
+const signal = (depth) => Math.sin(depth / 7) + 0.5 * Math.sin(depth / 3.1) + 0.3 * Math.cos(depth / 17);
+
+function sampleCurve(top, base, step, shift = 0) {
+  const depths = [];
+  for (let depth = top; depth <= base; depth += step) depths.push(depth);
+  return { depths, values: depths.map(depth => signal(depth + shift)) };
+}
+
+test('normalizeShiftTable sorts the points and reads numeric strings', () => {
+  assert.deepEqual(normalizeShiftTable([{ depth: 2000, shift: 3 }, { depth: '1000', shift: '-1.5' }]),
+    [{ depth: 1000, shift: -1.5 }, { depth: 2000, shift: 3 }]);
+});
+
+test('normalizeShiftTable refuses unusable tables', () => {
+  const cases = [
+    [[], /at least one/],
+    [null, /at least one/],
+    [[{ depth: 1000 }], /Shift 1 needs a numeric depth and shift/],
+    [[{ depth: 1000, shift: 501 }], /limited to ±500/],
+    [[{ depth: 1000, shift: 1 }, { depth: 1000, shift: 2 }], /Depth 1000 appears twice/],
+    [[{ depth: 1000, shift: 10 }, { depth: 1005, shift: 0 }], /would reverse the order/]
+  ];
+  for (const [shifts, message] of cases) {
+    assert.throws(() => normalizeShiftTable(shifts), (error) => {
+      assert.ok(error instanceof DepthShiftError);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
+
+test('shiftAt is linear between points and constant beyond them', () => {
+  const points = normalizeShiftTable([{ depth: 1000, shift: 2 }, { depth: 1100, shift: 4 }]);
+  assert.equal(shiftAt(points, 900), 2);
+  assert.equal(shiftAt(points, 1050), 3);
+  assert.equal(shiftAt(points, 1200), 4);
+});
+
+test('applyShiftTable moves readings and leaves depths past the data null', () => {
+  const depths = [100, 101, 102, 103];
+  const shifted = applyShiftTable(depths, [10, 20, 30, 40], normalizeShiftTable([{ depth: 100, shift: 1 }]));
+  assert.deepEqual(shifted, [null, 10, 20, 30]);
+});
+
+test('matchDepth finds a known bulk shift', () => {
+  const reference = sampleCurve(900, 1200, 0.5);
+  const target = sampleCurve(900, 1200, 0.5, 3);
+  const match = matchDepth(reference, target, { minDepth: 950, maxDepth: 1150 });
+
+  assert.equal(match.step, 0.5);
+  assert.ok(Math.abs(match.bulk.shift - 3) < 0.05, `bulk shift ${match.bulk.shift}`);
+  assert.ok(match.bulk.correlation > 0.99);
+  assert.equal(match.shifts.length, 1);
+  assert.ok(match.correlation.after > match.correlation.before);
+  assert.ok(match.correlation.after > 0.99);
+});
+
+test('a piecewise match suggests a point per well-correlated window', () => {
+  const reference = sampleCurve(900, 1200, 0.5);
+  const target = sampleCurve(900, 1200, 0.5, -2);
+  const match = matchDepth(reference, target, { minDepth: 950, maxDepth: 1150, window: 40, mode: 'piecewise' });
+
+  assert.ok(match.windows.length > 1);
+  assert.equal(match.shifts.length, match.windows.filter(w => w.used).length);
+  for (const point of match.shifts) assert.ok(Math.abs(point.shift + 2) < 0.1, `shift ${point.shift}`);
+});
+
+test('matchDepth refuses a bad mode, range or maximum shift', () => {
+  const curve = sampleCurve(900, 1200, 0.5);
+  const options = { minDepth: 950, maxDepth: 1150 };
+  assert.throws(() => matchDepth(curve, curve, { ...options, mode: 'stretch' }), /mode must be 'bulk' or 'piecewise'/);
+  assert.throws(() => matchDepth(curve, curve, { ...options, maxDepth: 950 }), /maxDepth must be greater than minDepth/);
+  assert.throws(() => matchDepth(curve, curve, { ...options, maxShift: 600 }), /maxShift must be above 0/);
+  assert.throws(() => matchDepth(curve, sampleCurve(2000, 2100, 0.5), options), /do not overlap enough/);
+});
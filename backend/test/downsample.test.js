@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decimateMinMax } = require('../downsample');
+
+const rowsFrom = (count, value) => Array.from({ length: count }, (_, i) => ({ depth: 1000 + i * 0.5, GR: value(i) }));
+
+test('rows within maxPoints come back as they are', () => {
+  const rows = rowsFrom(100, i => i);
+  assert.equal(decimateMinMax(rows, ['GR'], 100), rows);
+});
+
+test('decimation keeps the ends and each bucket\'s lowest and highest reading', () => {
+  const rows = rowsFrom(10000, i => 50 + Math.sin(i / 100));
+  rows[4321].GR = 900;
+  rows[7654].GR = -5;
+  const result = decimateMinMax(rows, ['GR'], 502);
+
+  assert.ok(result.length <= 502);
+  assert.equal(result[0], rows[0]);
+  assert.equal(result[result.length - 1], rows[rows.length - 1]);
+  assert.ok(result.includes(rows[4321]));
+  assert.ok(result.includes(rows[7654]));
+  assert.deepEqual(result.map(row => row.depth), result.map(row => row.depth).slice().sort((a, b) => a - b));
+});
+
+test('a bucket with a gap keeps a null row so the line breaks there', () => {
+  const rows = rowsFrom(10000, i => (i >= 5000 && i < 5010 ? null : i % 7));
+  const result = decimateMinMax(rows, ['GR'], 202);
+  assert.ok(result.includes(rows[5000]));
+  assert.equal(result.filter(row => row.GR === null).length, 1);
+});
+
+test('every curve gets its own extremes', () => {
+  const rows = rowsFrom(10000, () => 1).map(row => ({ ...row, RHOB: 2.4 }));
+  rows[100].GR = 99;
+  rows[9000].RHOB = 3.1;
+  const result = decimateMinMax(rows, ['GR', 'RHOB'], 402);
+  assert.ok(result.includes(rows[100]));
+  assert.ok(result.includes(rows[9000]));
+});
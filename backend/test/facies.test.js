@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FaciesError, fitFacies, labelFacies, describeFacies } = require('../facies');
+
+// Three well separated lithologies (GR, RHOB) with Gaussian scatter around
+// each, interleaved down the log
+const LITHOLOGIES = [
+  { GR: 30, RHOB: 2.65 },
+  { GR: 75, RHOB: 2.35 },
+  { GR: 120, RHOB: 2.55 }
+];
+function faciesRows(perLithology) {
+  let seed = 11;
+  const uniform = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const gaussian = () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+  const rows = [];
+  for (let i = 0; i < perLithology * LITHOLOGIES.length; i++) {
+    const { GR, RHOB } = LITHOLOGIES[i % LITHOLOGIES.length];
+    rows.push({ depth: 1000 + i * 0.5, GR: GR + 4 * gaussian(), RHOB: RHOB + 0.02 * gaussian() });
+  }
+  return rows;
+}
+
+test('k-means picks the number of lithologies by silhouette and numbers them by GR', () => {
+  const rows = faciesRows(100);
+  const { model, k, selection, metric } = fitFacies(rows, ['GR', 'RHOB']);
+  assert.equal(metric, 'silhouette');
+  assert.equal(k, 3);
+  assert.deepEqual(selection.map(s => s.k), [2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(Math.max(...selection.map(s => s.score)), selection[1].score);
+
+  LITHOLOGIES.forEach((lithology, i) => assert.equal(labelFacies(model, lithology), i + 1));
+  const labels = rows.map(row => labelFacies(model, row));
+  assert.deepEqual(labels, rows.map((_, i) => (i % 3) + 1));
+
+  const summary = describeFacies(model, [...labels, null]);
+  assert.deepEqual(summary.map(f => [f.facies, f.count, f.fraction]), [[1, 100, 0.3333], [2, 100, 0.3333], [3, 100, 0.3333]]);
+  assert.ok(Math.abs(summary[1].centroid.GR - 75) < 1.5);
+  assert.ok(Math.abs(summary[1].centroid.RHOB - 2.35) < 0.01);
+});
+
+test('a Gaussian mixture picks the number of lithologies by BIC', () => {
+  const rows = faciesRows(100);
+  const { model, k, selection, metric } = fitFacies(rows, ['GR', 'RHOB'], { method: 'gmm' });
+  assert.equal(metric, 'bic');
+  assert.equal(k, 3);
+  assert.equal(Math.min(...selection.map(s => s.score)), selection[1].score);
+  assert.equal(model.weights.length, 3);
+  LITHOLOGIES.forEach((lithology, i) => assert.equal(labelFacies(model, lithology), i + 1));
+});
+
+test('a given k is used as is, and the same seed gives the same facies', () => {
+  const rows = faciesRows(50);
+  const first = fitFacies(rows, ['GR', 'RHOB'], { k: 2, seed: 7 });
+  assert.equal(first.k, 2);
+  assert.deepEqual(first.selection, []);
+  assert.equal(first.metric, null);
+  assert.deepEqual(fitFacies(rows, ['GR', 'RHOB'], { k: '2', seed: 7 }).model, first.model);
+});
+
+test('depths missing a curve are left out of the fit and unlabelled', () => {
+  const rows = faciesRows(20);
+  rows[0].RHOB = null;
+  const { model } = fitFacies(rows, ['GR', 'RHOB'], { k: 3 });
+  assert.equal(labelFacies(model, rows[0]), null);
+  assert.equal(labelFacies(model, { GR: 30 }), null);
+});
+
+test('unusable requests are FaciesErrors', () => {
+  const rows = faciesRows(10);
+  const cases = [
+    [['GR'], { method: 'dbscan' }, /Method must be one of kmeans, gmm/],
+    [[], {}, /Select at least one curve/],
+    [['GR'], { k: 11 }, /k must be 'auto' or a whole number from 2 to 10/],
+    [['GR'], { k: 2.5 }, /k must be 'auto'/],
+    [['GR', 'NPHI'], { k: 2 }, /Only 0 depths have all of GR, NPHI; at least 10 are needed/],
+    [['GR'], {}, /at least 40 are needed/]
+  ];
+  for (const [curves, options, message] of cases) {
+    assert.throws(() => fitFacies(rows, curves, options), (error) => {
+      assert.ok(error instanceof FaciesError);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
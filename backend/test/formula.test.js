@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FormulaError, compileFormula, planFormulaCurve } = require('../formula');
+
+const evaluate = (source, row = {}) => compileFormula(source).evaluate(row);
+
+test('arithmetic follows the usual precedence', () => {
+  assert.equal(evaluate('1 + 2 * 3'), 7);
+  assert.equal(evaluate('(1 + 2) * 3'), 9);
+  assert.equal(evaluate('-2^2'), -4);
+  assert.equal(evaluate('2^3^2'), 512);
+  assert.equal(evaluate('7 % 4'), 3);
+});
+
+test('curves are read from the row, by name or in brackets', () => {
+  const { curves, evaluate: run } = compileFormula('HC1 / (HC1 + [HC-2])');
+  assert.deepEqual(curves, ['HC1', 'HC-2']);
+  assert.equal(run({ HC1: 1, 'HC-2': 3 }), 0.25);
+});
+
+test('a missing reading makes the result null unless it is handled', () => {
+  assert.equal(evaluate('GR * 2', { GR: null }), null);
+  assert.equal(evaluate('coalesce(GR, 5)', { GR: null }), 5);
+  assert.equal(evaluate('isnull(GR)', { GR: null }), 1);
+  assert.equal(evaluate('GR > 0 ? GR : 0', { GR: null }), null);
+  assert.equal(evaluate('if(X > 0, 1, GR)', { X: 1, GR: null }), 1);
+});
+
+test('results that are not finite numbers are null', () => {
+  assert.equal(evaluate('1 / 0'), null);
+  assert.equal(evaluate('ln(0 - 1)'), null);
+});
+
+test('logic short-circuits and keywords work in either case', () => {
+  assert.equal(evaluate('X > 0 and ln(X) > 1', { X: 0 }), 0);
+  assert.equal(evaluate('X > 0 OR 1', { X: 0 }), 1);
+  assert.equal(evaluate('not X', { X: 0 }), 1);
+});
+
+test('functions check their argument counts', () => {
+  assert.equal(evaluate('max(1, 5, 3)'), 5);
+  assert.equal(evaluate('round(3.14159, 2)'), 3.14);
+  assert.throws(() => evaluate('pow(2)'), /pow\(\) takes 2 arguments/);
+  assert.throws(() => evaluate('abs(1, 2)'), /abs\(\) takes 1 argument at/);
+});
+
+test('syntax errors are FormulaErrors with the position of the problem', () => {
+  const cases = [
+    ['1 +', 'Formula ends unexpectedly', 3],
+    ['1 $ 2', 'Unexpected character "$"', 2],
+    ['(1 + 2', 'Expected ")"', 6],
+    ['[GR', 'Unclosed [', 0],
+    ['1 2', 'Unexpected "2"', 2]
+  ];
+  for (const [source, message, position] of cases) {
+    assert.throws(() => compileFormula(source), (error) => {
+      assert.ok(error instanceof FormulaError, source);
+      assert.equal(error.position, position, source);
+      // Messages count positions from 1 for the reader
+      assert.equal(error.message, `${message} at position ${position + 1}`);
+      return true;
+    });
+  }
+});
+
+test('empty, overlong and non-string formulas are FormulaErrors', () => {
+  assert.throws(() => compileFormula(''), /Formula is empty/);
+  assert.throws(() => compileFormula('1+'.repeat(600) + '1'), /longer than 1000 characters/);
+  assert.throws(() => compileFormula(undefined), FormulaError);
+  assert.throws(() => compileFormula(42), /Formula must be a string/);
+});
+
+test('deep nesting is refused', () => {
+  assert.throws(() => compileFormula('('.repeat(100) + '1' + ')'.repeat(100)), /nested too deeply/);
+});
+
+test('names on Object.prototype are not functions, keywords or constants', () => {
+  assert.throws(() => compileFormula('constructor(1)'), /Unknown function constructor/);
+  assert.throws(() => compileFormula('toString(GR)'), /Unknown function toString/);
+  assert.deepEqual(compileFormula('constructor + __proto__').curves, ['constructor', '__proto__']);
+  assert.equal(evaluate('pi'), Math.PI);
+});
+
+test('unknown curves are refused when the available curves are given', () => {
+  assert.throws(() => compileFormula('GR + NPHI', ['GR']), /Unknown curve NPHI at position 6/);
+});
+
+test('planFormulaCurve checks the name and formula', () => {
+  const plan = planFormulaCurve({ name: 'GR2', formula: 'GR * 2', unit: 'API' }, ['GR']);
+  assert.deepEqual(plan.inputs, ['GR']);
+  assert.equal(plan.outputs[0].name, 'GR2');
+  assert.deepEqual(plan.compute({ GR: [1, null, 3] }, 3), { GR2: [2, null, 6] });
+
+  assert.throws(() => planFormulaCurve({ name: '2GR', formula: 'GR' }, ['GR']), FormulaError);
+  assert.throws(() => planFormulaCurve({ name: 'X' }, ['GR']), FormulaError);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GasAnalysisError, resolveGasMapping, analyzeGas } = require('../gasAnalysis');
+
+const MAPPING = { c1: ['C1'], c2: ['C2'], c3: ['C3'], c4: ['C4'], c5: ['C5'] };
+const gasRow = (depth, [c1, c2, c3, c4, c5], extra = {}) => ({ depth, C1: c1, C2: c2, C3: c3, C4: c4, C5: c5, ...extra });
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// Readings of each fluid, well above a background of about 20 units
+const BACKGROUND = [15, 1, 0.5, 0.2, 0.1];
+const GAS = [1000, 80, 40, 10, 5];
+const LIGHT_OIL = [1000, 100, 50, 20, 10];
+const OIL = [500, 100, 80, 30, 10];
+
+test('the mapping takes default mnemonics as the dataset spells them, sums iC4 and nC4, and honours the request', () => {
+  assert.deepEqual(resolveGasMapping({}, ['hc1', 'HC2', 'HC3', 'IC4', 'NC4', 'ROP']),
+    { c1: ['hc1'], c2: ['HC2'], c3: ['HC3'], c4: ['IC4', 'NC4'] });
+  assert.deepEqual(resolveGasMapping({ c1: 'METH', c5: ['ic5', 'nc5'] }, ['METH', 'C1', 'C2', 'C3', 'IC5', 'NC5']),
+    { c1: ['METH'], c2: ['C2'], c3: ['C3'], c5: ['IC5', 'NC5'] });
+});
+
+test('the mapping needs C1-C3 and curves that exist', () => {
+  assert.throws(() => resolveGasMapping({}, ['C1', 'C2']), (error) => {
+    assert.ok(error instanceof GasAnalysisError);
+    assert.match(error.message, /No curve found for C3/);
+    return true;
+  });
+  assert.throws(() => resolveGasMapping({ c2: 'ETHANE' }, ['C1', 'C2', 'C3']), /C2 curve ETHANE not found/);
+});
+
+test('Haworth and Pixler ratios of a depth', () => {
+  const { samples: [sample] } = analyzeGas([gasRow(1000, [100, 10, 5, 2, 1])], MAPPING, { minTotalGas: 0 });
+  assert.equal(sample.total, 118);
+  close(sample.wetness, (18 / 118) * 100);
+  close(sample.balance, 110 / 8);
+  close(sample.character, 0.6);
+  assert.deepEqual(sample.pixler, { c1c2: 10, c1c3: 20, c1c4: 50, c1c5: 100 });
+  assert.equal(sample.pixlerZone, 'oil');
+  close(sample.composition.c1, (100 / 118) * 100);
+  assert.equal(sample.class, 'light oil');
+});
+
+test('depths are classed by wetness, balance and character', () => {
+  const classOf = (gas) => analyzeGas([gasRow(1000, gas)], MAPPING, { minTotalGas: 0 }).samples[0].class;
+  assert.equal(classOf(GAS), 'gas');
+  assert.equal(classOf(LIGHT_OIL), 'light oil');
+  assert.equal(classOf(OIL), 'oil');
+  // Very dry gas: wetness below 0.5%
+  assert.equal(classOf([1000, 2, 1, 0, 0]), 'non-productive');
+  // Balance above 100 in the gas range
+  assert.equal(classOf([1000, 10, 2, 0, 0]), 'non-productive');
+  // Residual oil: wetness of 40% or more
+  assert.equal(classOf([100, 50, 30, 10, 5]), 'non-productive');
+});
+
+test('depths at or below background gas are non-productive and C4-C5 may be unmapped', () => {
+  const { samples, background } = analyzeGas(
+    [gasRow(1000, BACKGROUND), gasRow(1000.5, BACKGROUND), gasRow(1001, GAS)],
+    { c1: ['C1'], c2: ['C2'], c3: ['C3'] }
+  );
+  assert.equal(background, (15 + 1 + 0.5) * 2);
+  assert.deepEqual(samples.map(s => s.class), ['non-productive', 'non-productive', 'gas']);
+  assert.equal(samples[2].total, 1120);
+});
+
+test('a missing reading skips the depth', () => {
+  const { samples } = analyzeGas([gasRow(1000, [100, null, 5, 2, 1]), gasRow(1000.5, GAS)], MAPPING);
+  assert.deepEqual(samples.map(s => s.depth), [1000.5]);
+});
+
+test('total gas is normalized to the median rate of penetration and flow', () => {
+  const rows = [
+    gasRow(1000, GAS, { ROP: 10, FLOW: 500 }),
+    gasRow(1000.5, GAS, { ROP: 20, FLOW: 500 }),
+    gasRow(1001, GAS, { ROP: 40, FLOW: 1000 }),
+    gasRow(1001.5, GAS, { ROP: 0, FLOW: 500 })
+  ];
+  const { samples } = analyzeGas(rows, MAPPING, { rop: 'ROP', flow: 'FLOW' });
+  assert.deepEqual(samples.map(s => s.normalizedGas), [2270, 1135, 1135, null]);
+  assert.equal(samples[3].class, null);
+});
+
+test('shows are runs of one productive class, bridging a sample or two of another', () => {
+  const rows = [];
+  const add = (gas, count) => { for (let i = 0; i < count; i++) rows.push(gasRow(1000 + rows.length * 0.5, gas)); };
+  add(BACKGROUND, 20);
+  add(GAS, 4);
+  add(LIGHT_OIL, 1);
+  add(GAS, 4);
+  add(BACKGROUND, 20);
+  add(OIL, 5);
+  add(BACKGROUND, 20);
+  add(OIL, 2);
+  add(BACKGROUND, 5);
+
+  const { shows } = analyzeGas(rows, MAPPING);
+  assert.deepEqual(shows.map(({ top, base, class: fluid, samples }) => ({ top, base, fluid, samples })), [
+    { top: 1010, base: 1014, fluid: 'gas', samples: 9 },
+    { top: 1024.5, base: 1026.5, fluid: 'oil', samples: 5 }
+  ]);
+  assert.equal(shows[0].peakGas, 1180);
+});
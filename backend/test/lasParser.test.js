@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LASParseError, createLASReader, parseHeaderLine } = require('../lasParser');
+
+// Feeds LAS text through a reader; resolves to the reader's result with the
+// records it handed out, as [{ dataset, depth, values }]
+function readLAS(text) {
+  const records = [];
+  const reader = createLASReader({
+    onRecord: (dataset, depth, values) => records.push({ dataset: dataset.name, depth, values })
+  });
+  text.split('\n').forEach((line, i) => reader.pushLine(line, i + 1));
+  return { ...reader.finish(), records };
+}
+
+const LAS2_HEADER = `~Version
+VERS. 2.0 : CWLS LOG ASCII STANDARD
+WRAP. NO  : ONE LINE PER DEPTH STEP
+~Well
+STRT.FT 1000 : START
+STOP.FT 1001 : STOP
+STEP.FT 0.5  : STEP
+NULL.   -999.25 : NULL VALUE
+~Curve
+DEPT.FT  : Depth
+GR  .API : Gamma ray
+RHOB.G/C3 : Bulk density`;
+
+test('parseHeaderLine splits mnemonic, unit, value and description', () => {
+  assert.deepEqual(parseHeaderLine('STRT.FT   1000.5 : START DEPTH'),
+    { mnemonic: 'STRT', unit: 'FT', value: '1000.5', description: 'START DEPTH' });
+});
+
+test('LAS 2.0 records carry the NULL value as null', () => {
+  const { records, datasets } = readLAS(`${LAS2_HEADER}
+~A
+1000 50 2.3
+1000.5 -999.25 2.4
+1001 55 -999.25`);
+
+  assert.equal(datasets.length, 1);
+  assert.equal(datasets[0].name, 'Log');
+  assert.deepEqual(datasets[0].curves, ['GR', 'RHOB']);
+  assert.deepEqual(records.map(r => r.values), [[50, 2.3], [null, 2.4], [55, null]]);
+  assert.equal(datasets[0].nullPoints, 2);
+  assert.deepEqual(datasets[0].depthRange, { min: 1000, max: 1001 });
+});
+
+test('a data line with the wrong number of values is a LASParseError naming its line', () => {
+  assert.throws(() => readLAS(`${LAS2_HEADER}
+~A
+1000 50 2.3
+1000.5 51`), (error) => {
+    assert.ok(error instanceof LASParseError);
+    assert.equal(error.lineNumber, 15);
+    assert.match(error.message, /expected 3 values .* found 2/);
+    return true;
+  });
+});
+
+test('wrapped records are joined across lines', () => {
+  const { records, wrapped } = readLAS(`~Version
+VERS. 2.0 :
+WRAP. YES :
+~Well
+NULL. -999.25 :
+~Curve
+DEPT.M :
+DT  .US/M :
+RHOB.K/M3 :
+NPHI.V/V :
+~A
+910.000
+-999.25 2692.7
+0.314
+909.875
+100 2712.6 0.2886`);
+
+  assert.equal(wrapped, true);
+  assert.deepEqual(records.map(r => [r.depth, ...r.values]), [
+    [910, null, 2692.7, 0.314],
+    [909.875, 100, 2712.6, 0.2886]
+  ]);
+});
+
+test('a wrapped record cut short or overrunning is a LASParseError', () => {
+  const wrappedHeader = `~Version
+VERS. 2.0 :
+WRAP. YES :
+~Curve
+DEPT.M :
+DT  .US/M :
+RHOB.K/M3 :
+~A`;
+  assert.throws(() => readLAS(`${wrappedHeader}
+910
+100`), /ends after 2 of 3 values/);
+  assert.throws(() => readLAS(`${wrappedHeader}
+910
+100 2700 5`), /has 4 values, expected 3/);
+});
+
+test('LAS 3.0 sections become datasets, and non-indexed ones such as ~Tops are skipped', () => {
+  const { datasets, records, header } = readLAS(`~Version
+VERS. 3.0 :
+WRAP. NO :
+DLM . COMMA :
+~Well
+NULL. -999.25 :
+~Log_Definition
+DEPT .M :
+DT   .US/M : {F}
+FACIES. : Facies {S}
+~Log_Data | Log_Definition
+1500.0, 123.4, "Sandstone"
+1500.25, -999.25, "Shaly sand"
+~Core_Definition
+CORT .M :
+PERM .MD :
+~Core_Data | Core_Definition
+1500.0, 12.5
+~Tops_Definition
+TOPT .M :
+TOPN . : {S}
+~Tops_Data | Tops_Definition
+1500.0, "Upper Shale"`);
+
+  assert.deepEqual(datasets.map(d => d.name), ['Log', 'Core']);
+  assert.deepEqual(header.curves.map(c => c.mnemonic), ['DEPT', 'DT', 'FACIES']);
+  assert.deepEqual(records, [
+    { dataset: 'Log', depth: 1500, values: [123.4, 'Sandstone'] },
+    { dataset: 'Log', depth: 1500.25, values: [null, 'Shaly sand'] },
+    { dataset: 'Core', depth: 1500, values: [12.5] }
+  ]);
+});
+
+test('a data section without its definition is a LASParseError', () => {
+  assert.throws(() => readLAS(`~Version
+VERS. 3.0 :
+~Core_Data
+1500, 12`), /No ~Core_Definition section found before ~Core_Data/);
+});
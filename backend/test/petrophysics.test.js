@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PetrophysicsError, resolveParameters, planPetrophysics } = require('../petrophysics');
+
+// Runs a plan over columns of readings; returns its output columns
+function compute(request, values, parameters = {}, header = []) {
+  const plan = planPetrophysics(request, resolveParameters(parameters, header));
+  const rowCount = Object.values(values)[0].length;
+  return plan.compute(values, rowCount);
+}
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+};
+
+test('parameters come from the request, then ~P, then fallbacks, then defaults', () => {
+  const parameters = resolveParameters(
+    { rw: '0.05' },
+    [{ mnemonic: 'rhoma', value: '2.71' }, { mnemonic: 'RW', value: '0.1' }],
+    { grClean: { value: 20, source: 'GR P10' } }
+  );
+  assert.deepEqual(parameters.rw, { value: 0.05, source: 'request' });
+  assert.deepEqual(parameters.rhoMatrix, { value: 2.71, source: '~P rhoma' });
+  assert.deepEqual(parameters.grClean, { value: 20, source: 'GR P10' });
+  assert.deepEqual(parameters.m, { value: 2, source: 'default' });
+  assert.equal(parameters.rsh, undefined);
+});
+
+test('parameters must be an object of numbers', () => {
+  assert.deepEqual(resolveParameters(null).a, { value: 1, source: 'default' });
+  assert.throws(() => resolveParameters([0.05]), PetrophysicsError);
+  assert.throws(() => resolveParameters({ rw: 'salty' }), /Parameter rw must be a number/);
+});
+
+test('Vshale scales the gamma ray index between the clean and shale lines', () => {
+  const gr = [20, 70, 120, 200, null];
+  const linear = compute({ vshale: { gr: 'GR' } }, { GR: gr }, { grClean: 20, grShale: 120 });
+  assert.deepEqual(linear.VSH, [0, 0.5, 1, 1, null]);
+
+  const tertiary = compute({ vshale: { gr: 'GR', method: 'larionov-tertiary' } }, { GR: [70] }, { grClean: 20, grShale: 120 });
+  close(tertiary.VSH[0], 0.083 * (Math.pow(2, 1.85) - 1));
+  const older = compute({ vshale: { gr: 'GR', method: 'larionov-older' } }, { GR: [70] }, { grClean: 20, grShale: 120 });
+  close(older.VSH[0], 0.33);
+});
+
+test('porosity from density, neutron-density and sonic', () => {
+  const density = compute({ porosity: { rhob: 'RHOB' } }, { RHOB: [2.32, 2.65, 0.9] });
+  close(density.PHID[0], 0.2);
+  assert.deepEqual(density.PHID.slice(1), [0, 1]);
+
+  const neutronDensity = compute({ porosity: { method: 'neutron-density', rhob: 'RHOB', nphi: 'NPHI' } },
+    { RHOB: [2.32, 2.32], NPHI: [0.3, null] });
+  close(neutronDensity.PHIND[0], 0.25);
+  assert.equal(neutronDensity.PHIND[1], null);
+
+  const sonic = compute({ porosity: { method: 'sonic', dt: 'DT' } }, { DT: [100] });
+  close(sonic.PHIS[0], 44.5 / 133.5);
+});
+
+test('Archie saturation from the porosity computed in the same request', () => {
+  const result = compute(
+    { porosity: { rhob: 'RHOB' }, saturation: { rt: 'RT', output: 'SWA' } },
+    { RHOB: [2.32, 2.32, 2.32], RT: [5, 0.5, null] },
+    { rw: 0.05 }
+  );
+  close(result.SWA[0], 0.5);
+  assert.equal(result.SWA[1], 1);
+  assert.equal(result.SWA[2], null);
+});
+
+test('Simandoux matches Archie without shale and solves its equation with it', () => {
+  const p = { rw: 0.05, rsh: 2 };
+  const clean = compute({ saturation: { method: 'simandoux', rt: 'RT', phi: 'PHI', vsh: 'VSH' } },
+    { RT: [5], PHI: [0.2], VSH: [0] }, p);
+  close(clean.SW[0], 0.5);
+
+  const shaly = compute({ saturation: { method: 'simandoux', rt: 'RT', phi: 'PHI', vsh: 'VSH' } },
+    { RT: [5], PHI: [0.2], VSH: [0.3] }, p);
+  const sw = shaly.SW[0];
+  assert.ok(sw < 0.5);
+  close((0.2 ** 2 * sw * sw) / 0.05 + (0.3 * sw) / 2, 1 / 5);
+});
+
+test('unusable requests are PetrophysicsErrors', () => {
+  const cases = [
+    [{}, {}, /at least one of vshale, porosity or saturation/],
+    [{ vshale: { gr: 'GR', method: 'steiber' } }, {}, /Vshale method must be one of/],
+    [{ vshale: { gr: 'GR' } }, { grClean: 100, grShale: 50 }, /grShale must be greater than grClean/],
+    [{ vshale: {} }, { grClean: 20, grShale: 120 }, /a gamma ray curve is required/],
+    [{ saturation: { rt: 'RT', phi: 'PHI' } }, {}, /Saturation needs rw/],
+    [{ porosity: { rhob: 'RHOB', output: '9PHI' } }, {}, /Porosity output name must start with a letter/],
+    [{ porosity: { rhob: 'RHOB', output: 'X' }, vshale: { gr: 'GR', output: 'X' } }, { grClean: 20, grShale: 120 },
+      /Output curve names must differ/]
+  ];
+  for (const [request, parameters, message] of cases) {
+    assert.throws(() => planPetrophysics(request, resolveParameters(parameters)), (error) => {
+      assert.ok(error instanceof PetrophysicsError);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
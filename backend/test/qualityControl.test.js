@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  plausibleRange, createDepthCheck, checkDepthIndex, createCurveCheck, checkCurve, summarizeQuality
+} = require('../qualityControl');
+const { computeCurveStats, createQuantileSketch } = require('../curveStats');
+
+// Depths every 0.5 from 1000, and a gamma ray that wanders smoothly with a
+// little repeatable noise
+const depthsFrom = (count, step = 0.5) => Array.from({ length: count }, (_, i) => 1000 + i * step);
+function gammaRay(count) {
+  let seed = 7;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  return Array.from({ length: count }, (_, i) => 60 + 20 * Math.sin(i / 15) + noise());
+}
+const issueTypes = (report) => report.issues.map(issue => issue.type);
+
+test('a clean depth index scores 100 and reports its step', () => {
+  const report = checkDepthIndex(depthsFrom(200), 0.5);
+  assert.equal(report.score, 100);
+  assert.equal(report.grade, 'good');
+  assert.deepEqual(report.step, { declared: 0.5, observed: 0.5 });
+  assert.deepEqual(report.issues, []);
+});
+
+test('the depth index check finds repeats, reversals, gaps and odd steps', () => {
+  const depths = depthsFrom(200);
+  const index = [
+    ...depths.slice(0, 50), 1024.5, ...depths.slice(50, 100), 1049.25, ...depths.slice(100, 150),
+    1075.2, ...depths.slice(151, 180), ...depths.slice(185)
+  ];
+  const report = checkDepthIndex(index, 0.5);
+
+  assert.deepEqual(issueTypes(report), ['non-monotonic', 'duplicate-depth', 'irregular-step', 'depth-gap']);
+  const byType = Object.fromEntries(report.issues.map(issue => [issue.type, issue]));
+  assert.deepEqual(byType['duplicate-depth'].depths, [1024.5]);
+  assert.deepEqual(byType['non-monotonic'].depths, [1049.25]);
+  assert.deepEqual(byType['irregular-step'].depths, [1050, 1075.2, 1075.5]);
+  assert.deepEqual(byType['depth-gap'].intervals, [{ top: 1089.5, base: 1092.5, missing: 5 }]);
+  assert.ok(report.score < 85);
+});
+
+test('a declared STEP the depths do not follow is a step mismatch', () => {
+  const report = checkDepthIndex(depthsFrom(200, 0.25), 0.5);
+  assert.deepEqual(issueTypes(report), ['step-mismatch', 'irregular-step']);
+  assert.equal(report.step.observed, 0.25);
+  assert.equal(report.issues[1].count, 199);
+});
+
+test('a clean curve has no issues', () => {
+  const report = checkCurve({ name: 'GR', unit: 'API' }, depthsFrom(400), gammaRay(400));
+  assert.equal(report.type, 'gamma ray');
+  assert.equal(report.valid, 400);
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.score, 100);
+});
+
+test('the curve check finds gaps, flatlines, implausible readings and spikes', () => {
+  const values = gammaRay(400);
+  for (let i = 40; i < 50; i++) values[i] = null;
+  for (let i = 100; i < 120; i++) values[i] = 75;
+  values[200] = 1500;
+  values[300] += 60;
+  const report = checkCurve({ name: 'GR', unit: 'API' }, depthsFrom(400), values);
+
+  assert.deepEqual(issueTypes(report), ['gap', 'flatline', 'out-of-range', 'spike']);
+  const byType = Object.fromEntries(report.issues.map(issue => [issue.type, issue]));
+  assert.deepEqual(byType.gap.intervals, [{ top: 1020, base: 1024.5, samples: 10 }]);
+  assert.deepEqual(byType.flatline.intervals, [{ top: 1050, base: 1059.5, samples: 20 }]);
+  assert.deepEqual(byType['out-of-range'].depths, [1100]);
+  assert.deepEqual(byType.spike.depths, [1100, 1150]);
+  assert.ok(report.score < 100);
+});
+
+test('a curve without readings is listed as empty and left unscored', () => {
+  const report = checkCurve({ name: 'GR', unit: 'API' }, depthsFrom(10), new Array(10).fill(null));
+  assert.equal(report.score, null);
+  assert.equal(report.grade, null);
+  assert.deepEqual(issueTypes(report), ['empty']);
+});
+
+test('checking in chunks gives the same report as checking at once', () => {
+  const depths = depthsFrom(1000);
+  depths[400] = depths[399];
+  const values = gammaRay(1000);
+  for (let i = 500; i < 520; i++) values[i] = null;
+  values[700] += 80;
+
+  const depthCheck = createDepthCheck(0.5);
+  const curveCheck = createCurveCheck({ name: 'GR', unit: 'API' });
+  for (const pass of ['scan', 'check']) {
+    for (let start = 0; start < depths.length; start += 64) {
+      depthCheck[pass](depths.slice(start, start + 64));
+      curveCheck[pass](depths.slice(start, start + 64), values.slice(start, start + 64));
+    }
+  }
+  assert.deepEqual(depthCheck.result(), checkDepthIndex(depths, 0.5));
+  assert.deepEqual(curveCheck.result(), checkCurve({ name: 'GR', unit: 'API' }, depths, values));
+});
+
+test('plausible ranges follow the curve unit', () => {
+  assert.equal(plausibleRange('NPHI', 'PU').max, 100);
+  assert.equal(plausibleRange('NPHI:2', 'V/V').max, 1);
+  assert.equal(plausibleRange('XYZ', ''), null);
+});
+
+test('summarizeQuality weights curves by readings and datasets by rows', () => {
+  const curve = (score, valid) => ({ score, valid });
+  const summary = summarizeQuality([
+    { rows: 300, depth: { score: 100 }, curves: [curve(90, 100), curve(60, 50), curve(null, 0)] },
+    { rows: 100, depth: { score: 70 }, curves: [curve(100, 100)] },
+    { rows: 0, depth: { score: 100 }, curves: [] }
+  ]);
+  assert.deepEqual(summary, { score: 77.5, grade: 'fair' });
+  assert.deepEqual(summarizeQuality([{ rows: 0, depth: { score: 100 }, curves: [] }]), { score: null, grade: null });
+});
+
+test('sketch quantiles and statistics stay close to the exact values', () => {
+  const values = gammaRay(5000);
+  const sorted = values.slice().sort((a, b) => a - b);
+  const sketch = createQuantileSketch();
+  values.forEach(sketch.add);
+  for (const p of [0.1, 0.5, 0.9]) {
+    const exact = sorted[Math.round((sorted.length - 1) * p)];
+    assert.ok(Math.abs(sketch.quantile(p) - exact) / exact < 0.01, `p${p * 100}`);
+  }
+
+  const stats = computeCurveStats([...values, null, null]);
+  assert.equal(stats.count, 5000);
+  assert.equal(stats.nulls, 2);
+  assert.equal(stats.min, sorted[0]);
+  assert.equal(stats.max, sorted[sorted.length - 1]);
+  assert.equal(stats.histogram.counts.reduce((sum, n) => sum + n, 0), 5000);
+  assert.deepEqual(computeCurveStats([1, 1, 1]).p50, 1);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  RecommendationRulesError, loadRecommendationRules, requiredCurves, evaluateRecommendations
+} = require('../recommendations');
+
+// Writes a rules file to a temporary directory and loads it
+function loadRules(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  const file = path.join(dir, 'rules.json');
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  try {
+    return loadRecommendationRules(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const ALIASES = { gamma: ['GR', 'SGR'], resistivity: ['ILD', 'RES*'] };
+const rule = (fields) => ({ id: 'r', severity: 'info', message: 'm', ...fields });
+// Depths every 0.5 from 1000 with readings from each curve's column
+const rowsOf = (columns) => columns[Object.keys(columns)[0]].map((_, i) =>
+  ({ depth: 1000 + i * 0.5, ...Object.fromEntries(Object.entries(columns).map(([curve, values]) => [curve, values[i]])) }));
+
+test('the shipped rules file is valid', () => {
+  const config = loadRecommendationRules(path.join(__dirname, '..', 'recommendationRules.json'));
+  assert.ok(config.rules.length > 0);
+});
+
+test('disabled rules are dropped on loading', () => {
+  const config = loadRules({ rules: [rule({ id: 'a', type: 'flatline' }), rule({ id: 'b', type: 'flatline', enabled: false })] });
+  assert.deepEqual(config.rules.map(r => r.id), ['a']);
+  assert.deepEqual(config.aliases, {});
+});
+
+test('a malformed rules file is a RecommendationRulesError naming the problem', () => {
+  const cases = [
+    ['{ rules: [', /rules\.json: .*JSON/],
+    [{ rule: [] }, /"rules" must be a list/],
+    [{ rules: [null] }, /rule 1: must be an object/],
+    [{ rules: [rule({ id: undefined, type: 'flatline' })] }, /rule 1: id is required/],
+    [{ rules: [rule({ type: 'constructor' })] }, /rule r: type must be one of interval, flatline, nullFraction/],
+    [{ rules: [rule({ type: 'flatline', severity: 'fatal' })] }, /severity must be one of critical, warning, info/],
+    [{ rules: [rule({ type: 'flatline', curves: 'GR' })] }, /curves must be a list of names/],
+    [{ rules: [rule({ type: 'interval', conditions: [] })] }, /conditions are required/],
+    [{ rules: [rule({ type: 'interval', conditions: [{ curve: 'GR', op: '=>', value: 1 }] })] }, /needs a curve and an op/],
+    [{ rules: [rule({ type: 'interval', conditions: [{ curve: 'GR', op: '>', stat: 'mode' }] })] }, /numeric value or a stat/],
+    [{ rules: [rule({ type: 'nullFraction', threshold: 5 })] }, /threshold must be a fraction/],
+    [{ aliases: { gamma: 'GR' }, rules: [] }, /alias gamma must list mnemonic patterns/]
+  ];
+  for (const [config, message] of cases) {
+    assert.throws(() => loadRules(config), (error) => {
+      assert.ok(error instanceof RecommendationRulesError, String(message));
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
+
+test('rules name curves by alias, in the alias\'s order, or by mnemonic pattern', () => {
+  const config = {
+    aliases: ALIASES,
+    rules: [
+      rule({ type: 'interval', conditions: [{ curve: 'gamma', op: '>', value: 1 }, { curve: 'resistivity', op: '<', value: 1 }] }),
+      rule({ type: 'flatline', curves: ['dt*'] })
+    ]
+  };
+  const available = ['res_deep', 'SGR', 'GR', 'DTC', 'DTS', 'NPHI'];
+  assert.deepEqual(requiredCurves(config, available, ['NPHI']), ['NPHI', 'GR', 'res_deep', 'DTC', 'DTS']);
+  assert.deepEqual(requiredCurves({ aliases: {}, rules: [rule({ type: 'flatline', curves: ['toString'] })] }, available, []), []);
+});
+
+test('an interval rule reports the thickest runs where every condition holds', () => {
+  const config = {
+    aliases: ALIASES,
+    rules: [rule({
+      type: 'interval',
+      message: '{curve} high from {top} to {base}',
+      minThickness: 1,
+      conditions: [{ curve: 'gamma', op: '>', stat: 'p90' }, { curve: 'ILD', op: '<=', value: 2 }]
+    })]
+  };
+  const rows = rowsOf({
+    GR: [10, 90, 95, 99, 92, 10, 91, 10, 95, 96, 97, 98],
+    ILD: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 5, 1]
+  });
+  const [recommendation, ...rest] = evaluateRecommendations(config,
+    { analyzed: ['GR'], available: ['GR', 'ILD'], stats: { GR: { p90: 80 } }, rows });
+
+  assert.equal(rest.length, 0);
+  assert.equal(recommendation.message, 'GR high from 1000.5 to 1002');
+  assert.deepEqual(recommendation.evidence, { curves: ['GR', 'ILD'], intervals: [{ top: 1000.5, base: 1002 }] });
+});
+
+test('a rule whose curves or statistics are missing is skipped', () => {
+  const config = { aliases: {}, rules: [rule({ type: 'interval', conditions: [{ curve: 'GR', op: '>', stat: 'p90' }] })] };
+  const rows = rowsOf({ GR: [1, 2, 3] });
+  assert.deepEqual(evaluateRecommendations(config, { analyzed: ['GR'], available: ['GR'], stats: {}, rows }), []);
+  assert.deepEqual(evaluateRecommendations(config, { analyzed: [], available: [], stats: {}, rows }), []);
+});
+
+test('flatline and null-fraction rules check each curve, most severe first', () => {
+  const config = {
+    aliases: {},
+    rules: [
+      rule({ id: 'flat', type: 'flatline', severity: 'info', tolerance: 0.01, minThickness: 1, message: '{curve} flat' }),
+      rule({ id: 'nulls', type: 'nullFraction', severity: 'critical', threshold: 0.2, message: '{curve} {percent}% missing' })
+    ]
+  };
+  const rows = rowsOf({ GR: [5, 50, 50.005, 49.995, 50, 7, 8], RHOB: [2.1, 2.2, 2.3, 2.4, 2.5, 2.6, 2.7] });
+  const stats = { GR: { count: 7, nulls: 0 }, RHOB: { count: 7, nulls: 3 } };
+  const result = evaluateRecommendations(config, { analyzed: ['GR', 'RHOB'], available: ['GR', 'RHOB'], stats, rows });
+
+  assert.deepEqual(result.map(r => [r.rule, r.severity, r.message]), [
+    ['nulls', 'critical', 'RHOB 30.0% missing'],
+    ['flat', 'info', 'GR flat']
+  ]);
+  assert.deepEqual(result[1].evidence.intervals, [{ top: 1000.5, base: 1002 }]);
+  assert.deepEqual(result[0].evidence.intervals, [{ top: 1000, base: 1003 }]);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectTrendSegments } = require('../trends');
+
+// Samples every step from 1000 of value(i, depth) plus repeatable noise
+// between -0.5 and 0.5 times noiseScale
+function curve(count, value, { step = 0.5, noiseScale = 1 } = {}) {
+  let seed = 5;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  return Array.from({ length: count }, (_, i) => {
+    const depth = 1000 + i * step;
+    return { depth, value: value(i, depth) + noise() * noiseScale };
+  });
+}
+const shape = (segments) => segments.map(({ startDepth, endDepth, direction }) => [startDepth, endDepth, direction]);
+
+test('a straight line is one segment with its slope per 100 depth units', () => {
+  const segments = detectTrendSegments(curve(200, (i, depth) => 0.5 * depth, { noiseScale: 0.1 }));
+  assert.equal(segments.length, 1);
+  assert.deepEqual(shape(segments), [[1000, 1099.5, 'increasing']]);
+  assert.ok(Math.abs(segments[0].slopePer100 - 50) < 0.1);
+  assert.equal(segments[0].points, 200);
+});
+
+test('noise alone, or a step well inside it, does not pay the change-point penalty', () => {
+  const noise = detectTrendSegments(curve(400, () => 50));
+  assert.deepEqual(shape(noise), [[1000, 1199.5, 'stable']]);
+  assert.equal(detectTrendSegments(curve(400, i => 50 + (i >= 200 ? 0.05 : 0))).length, 1);
+});
+
+test('a single spike cannot open a segment of its own', () => {
+  assert.equal(detectTrendSegments(curve(400, i => 50 + (i === 200 ? 100 : 0))).length, 1);
+});
+
+test('a clear change of trend or level splits the curve where it happens', () => {
+  const valley = detectTrendSegments(curve(400, i => Math.abs(i - 200) * 0.2));
+  assert.deepEqual(valley.map(s => s.direction), ['decreasing', 'increasing']);
+  assert.ok(Math.abs(valley[1].startDepth - 1100) <= 1, `split at ${valley[1].startDepth}`);
+  assert.ok(Math.abs(valley[0].slopePer100 + 40) < 0.5);
+
+  const step = detectTrendSegments(curve(400, i => 50 + (i >= 200 ? 10 : 0)));
+  assert.deepEqual(shape(step), [[1000, 1099.5, 'stable'], [1100, 1199.5, 'stable']]);
+  assert.ok(Math.abs(step[1].mean - 60) < 0.1);
+});
+
+test('slopes follow the sample depths, whatever their unit', () => {
+  const [segment] = detectTrendSegments(curve(200, i => i, { step: 0.1524, noiseScale: 0.1 }));
+  assert.ok(Math.abs(segment.slopePer100 - 100 / 0.1524) < 1);
+});
+
+test('a curve is split into at most eight segments that together cover it', () => {
+  const segments = detectTrendSegments(curve(2000, i => Math.floor(i / 100) * 10));
+  assert.equal(segments.length, 8);
+  assert.equal(segments.reduce((sum, s) => sum + s.points, 0), 2000);
+  segments.slice(1).forEach((segment, i) => assert.equal(segment.startDepth, segments[i].endDepth + 0.5));
+  segments.forEach(segment => assert.ok(segment.points >= 40));
+});
+
+test('curves of fewer than three readings have no trends', () => {
+  assert.deepEqual(detectTrendSegments([{ depth: 1, value: 1 }, { depth: 2, value: 3 }]), []);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ZoneError, validateZone, resolveZoneBases, zonesFromTable } = require('../zones');
+
+test('validateZone cleans a zone and reads numeric strings', () => {
+  assert.deepEqual(validateZone({ name: '  Upper Shale ', top: '1500.5', base: 1600, color: '#1A2b3C' }),
+    { name: 'Upper Shale', top: 1500.5, base: 1600, color: '#1A2b3C' });
+  assert.deepEqual(validateZone({ name: 'Sand', top: 1600, base: '' }), { name: 'Sand', top: 1600, base: null, color: null });
+});
+
+test('validateZone refuses unusable zones', () => {
+  const cases = [
+    [{ top: 1000 }, /Zone name is required/],
+    [{ name: '   ', top: 1000 }, /Zone name is required/],
+    [{ name: 42, top: 1000 }, /Zone name is required/],
+    [{ name: 'A' }, /A: top must be a number/],
+    [{ name: 'A', top: 'deep' }, /A: top must be a number/],
+    [{ name: 'A', top: 1000, base: 'x' }, /A: base must be a number/],
+    [{ name: 'A', top: 1000, base: 1000 }, /A: base must be below the top/],
+    [{ name: 'A', top: 1000, color: 'red' }, /A: color must look like #1a2b3c/]
+  ];
+  for (const [zone, message] of cases) {
+    assert.throws(() => validateZone(zone), (error) => {
+      assert.ok(error instanceof ZoneError);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
+
+test('a missing base is the next deeper top, else the bottom of the log', () => {
+  const zones = resolveZoneBases([
+    { name: 'C', top: 1300, base: null },
+    { name: 'A', top: 1000, base: null },
+    { name: 'A2', top: 1000, base: null },
+    { name: 'B', top: 1100, base: 1150 }
+  ], 2000);
+  assert.deepEqual(zones.map(({ name, base, baseFrom }) => [name, base, baseFrom]), [
+    ['A', 1100, 'next top'],
+    ['A2', 1100, 'next top'],
+    ['B', 1150, 'zone'],
+    ['C', 2000, 'log bottom']
+  ]);
+});
+
+test('tops tables are read by column name, in any order', () => {
+  const zones = zonesFromTable(['Base_MD', 'Formation', 'Top_MD'], [
+    ['1100', 'Upper Shale', '1000'],
+    ['-999.25', 'Sand', '1100'],
+    ['', '', '']
+  ], { nullValues: [-999.25] });
+  assert.deepEqual(zones, [
+    { name: 'Upper Shale', top: 1000, base: 1100, color: null },
+    { name: 'Sand', top: 1100, base: null, color: null }
+  ]);
+});
+
+test('LAS 3.0 ~Tops mnemonics are recognised', () => {
+  assert.deepEqual(zonesFromTable(['TOPT', 'TOPN'], [['1500', 'Upper Shale']]),
+    [{ name: 'Upper Shale', top: 1500, base: null, color: null }]);
+});
+
+test('unnamed columns are read as name, then top and base', () => {
+  const zones = zonesFromTable(['a', 'b', 'c'], [['Shale', '1000', '1100'], ['Sand', '1100', '1250']]);
+  assert.deepEqual(zones.map(({ name, top, base }) => [name, top, base]), [['Shale', 1000, 1100], ['Sand', 1100, 1250]]);
+
+  // A named top column is never paired with an unnamed base
+  const named = zonesFromTable(['Name', 'Top', 'x'], [['Shale', '1000', '1100']]);
+  assert.equal(named[0].base, null);
+});
+
+test('a table without a name and a top column, or with a bad row, is a ZoneError', () => {
+  assert.throws(() => zonesFromTable(['x', 'y'], [['1', '2']]), /Could not find a name and a top depth column among: x, y/);
+  assert.throws(() => zonesFromTable(['Name', 'Top'], [['Sand', 'deep']]), (error) => {
+    assert.ok(error instanceof ZoneError);
+    assert.match(error.message, /Sand: top must be a number/);
+    return true;
+  });
+  assert.throws(() => zonesFromTable(['Name', 'Top', 'Base'], [['Sand', '1200', '1100']]), /Sand: base must be below the top/);
+});
@@ -0,0 +1,176 @@
+// ============================================
+// TREND SEGMENTS
+// ============================================
+
+// A curve is split into at most this many straight-line segments
+const MAX_SEGMENTS = 8;
+
+// Shortest segment, in samples and as a share of the interval
+const MIN_SEGMENT_POINTS = 10;
+const MIN_SEGMENT_SHARE = 0.02;
+
+// Trends are fitted to a running median over this many samples either side,
+// so single spikes (reported as anomalies) cannot open a segment of their own
+const MEDIAN_HALF_WINDOW = 2;
+
+// Segments whose fitted change end to end is below this many σ of the curve
+// are reported as stable rather than increasing or decreasing
+const STABLE_CHANGE_SIGMA = 0.25;
+
+function runningMedian(samples) {
+  return samples.map(({ depth }, i) => {
+    const window = [];
+    for (let j = Math.max(0, i - MEDIAN_HALF_WINDOW); j <= Math.min(samples.length - 1, i + MEDIAN_HALF_WINDOW); j++) {
+      window.push(samples[j].value);
+    }
+    window.sort((a, b) => a - b);
+    return { depth, value: window[Math.floor(window.length / 2)] };
+  });
+}
+
+// Prefix sums of x, y, x², xy and y², so the least-squares line of any run of
+// samples, and its residual sum of squares, cost O(1). Depths are taken
+// relative to the first one to keep the sums well conditioned.
+function buildPrefixSums(samples) {
+  const n = samples.length;
+  const sums = { x: new Float64Array(n + 1), y: new Float64Array(n + 1), xx: new Float64Array(n + 1),
+    xy: new Float64Array(n + 1), yy: new Float64Array(n + 1) };
+  const origin = samples[0].depth;
+
+  samples.forEach(({ depth, value }, i) => {
+    const x = depth - origin;
+    sums.x[i + 1] = sums.x[i] + x;
+    sums.y[i + 1] = sums.y[i] + value;
+    sums.xx[i + 1] = sums.xx[i] + x * x;
+    sums.xy[i + 1] = sums.xy[i] + x * value;
+    sums.yy[i + 1] = sums.yy[i] + value * value;
+  });
+  return sums;
+}
+
+// Line fit of samples [start, end): { slope, mean, cost } with cost the
+// residual sum of squares
+function fitLine(sums, start, end) {
+  const n = end - start;
+  const sx = sums.x[end] - sums.x[start];
+  const sy = sums.y[end] - sums.y[start];
+  const sxx = sums.xx[end] - sums.xx[start] - (sx * sx) / n;
+  const sxy = sums.xy[end] - sums.xy[start] - (sx * sy) / n;
+  const syy = sums.yy[end] - sums.yy[start] - (sy * sy) / n;
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { slope, mean: sy / n, cost: Math.max(0, syy - slope * sxy) };
+}
+
+// Best place to split [start, end) in two, as { index, gain }, or null when
+// the run is too short to split
+function bestSplit(sums, start, end, minPoints) {
+  const whole = fitLine(sums, start, end).cost;
+  let best = null;
+  for (let index = start + minPoints; index <= end - minPoints; index++) {
+    const gain = whole - fitLine(sums, start, index).cost - fitLine(sums, index, end).cost;
+    if (!best || gain > best.gain) best = { index, gain };
+  }
+  return best;
+}
+
+// Binary segmentation places early boundaries before later ones exist to
+// share the error, so each boundary is moved to its best position between its
+// neighbours, then neighbours whose split no longer pays the penalty are merged
+function tidySegments(sums, segments, minPoints, penalty) {
+  for (let i = 1; i < segments.length; i++) {
+    const split = bestSplit(sums, segments[i - 1].start, segments[i].end, minPoints);
+    if (split) {
+      segments[i - 1].end = split.index;
+      segments[i].start = split.index;
+    }
+  }
+
+  for (;;) {
+    let weakest = -1;
+    let weakestGain = penalty;
+    for (let i = 1; i < segments.length; i++) {
+      const { start } = segments[i - 1];
+      const { end } = segments[i];
+      const gain = fitLine(sums, start, end).cost
+        - fitLine(sums, start, segments[i].start).cost - fitLine(sums, segments[i].start, end).cost;
+      if (gain < weakestGain) {
+        weakest = i;
+        weakestGain = gain;
+      }
+    }
+    if (weakest < 0) return segments;
+    segments.splice(weakest - 1, 2, { start: segments[weakest - 1].start, end: segments[weakest].end });
+  }
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+// Noise variance from sample-to-sample differences, which a trend barely
+// affects (median absolute difference scaled to σ, divided by √2)
+function noiseVariance(values) {
+  const differences = Float64Array.from(values.slice(1).map((v, i) => Math.abs(v - values[i]))).sort();
+  const sigma = (1.4826 * differences[Math.floor(differences.length / 2)]) / Math.SQRT2;
+  return sigma * sigma;
+}
+
+// Splits a curve ([{ depth, value }] in depth order, no missing readings)
+// into straight-line segments by binary segmentation: the split that removes
+// the most squared error is taken first, for as long as it beats a BIC-style
+// penalty, and the boundaries are then tidied. Returns
+// [{ startDepth, endDepth, slopePer100, direction, mean, points }], where
+// slopePer100 is the change per 100 units of the log's own depth unit.
+function detectTrendSegments(rawSamples) {
+  if (rawSamples.length < 3) return [];
+
+  const values = rawSamples.map(s => s.value);
+  const samples = runningMedian(rawSamples);
+  const sums = buildPrefixSums(samples);
+  const minPoints = Math.max(MIN_SEGMENT_POINTS, Math.floor(samples.length * MIN_SEGMENT_SHARE));
+  // Noise is measured on the raw readings: smoothed ones vary too little from
+  // sample to sample to show it
+  const penalty = 3 * Math.log(samples.length) * noiseVariance(values);
+
+  const segments = [{ start: 0, end: samples.length }];
+  segments[0].split = bestSplit(sums, 0, samples.length, minPoints);
+
+  while (segments.length < MAX_SEGMENTS) {
+    let target = null;
+    segments.forEach(segment => {
+      if (segment.split && segment.split.gain > penalty && (!target || segment.split.gain > target.split.gain)) {
+        target = segment;
+      }
+    });
+    if (!target) break;
+
+    const { index } = target.split;
+    const left = { start: target.start, end: index, split: bestSplit(sums, target.start, index, minPoints) };
+    const right = { start: index, end: target.end, split: bestSplit(sums, index, target.end, minPoints) };
+    segments.splice(segments.indexOf(target), 1, left, right);
+  }
+  tidySegments(sums, segments, minPoints, penalty);
+
+  const stableChange = STABLE_CHANGE_SIGMA * standardDeviation(values);
+
+  return segments.map(({ start, end }) => {
+    const { slope, mean: segmentMean } = fitLine(sums, start, end);
+    const startDepth = samples[start].depth;
+    const endDepth = samples[end - 1].depth;
+    const change = slope * (endDepth - startDepth);
+    return {
+      startDepth,
+      endDepth,
+      slopePer100: parseFloat((slope * 100).toPrecision(4)),
+      direction: Math.abs(change) < stableChange ? 'stable' : change > 0 ? 'increasing' : 'decreasing',
+      mean: parseFloat(segmentMean.toPrecision(6)),
+      points: end - start
+    };
+  });
+}
+
+module.exports = {
+  detectTrendSegments
+};
@@ -0,0 +1,95 @@
+// Formation tops and zones. A zone is a named depth interval; a top entered
+// without a base ends where the next top starts (or at the bottom of the
+// log), so a plain list of formation tops works as a set of zones.
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Raised for a zone with a missing name or an unusable depth interval, or a
+// tops table whose columns cannot be recognised
+class ZoneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZoneError';
+  }
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const toDepth = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Checks a { name, top, base, color } from a request or an imported row.
+// base may be absent. Returns the cleaned zone.
+function validateZone({ name, top, base, color = null }) {
+  const zone = { name: typeof name === 'string' ? name.trim() : '', top: toDepth(top), base: toDepth(base), color };
+  if (!zone.name) throw new ZoneError('Zone name is required');
+  if (zone.top === null || !Number.isFinite(zone.top)) throw new ZoneError(`${zone.name}: top must be a number`);
+  if (zone.base !== null && !Number.isFinite(zone.base)) throw new ZoneError(`${zone.name}: base must be a number`);
+  if (zone.base !== null && zone.base <= zone.top) throw new ZoneError(`${zone.name}: base must be below the top`);
+  if (zone.color !== null && !/^#[0-9a-f]{6}$/i.test(zone.color)) throw new ZoneError(`${zone.name}: color must look like #1a2b3c`);
+  return zone;
+}
+
+// Orders zones by top and fills in each missing base with the next deeper
+// top, or maxDepth for the last one. zones: [{ top, base, ... }]
+function resolveZoneBases(zones, maxDepth) {
+  const sorted = [...zones].sort((a, b) => a.top - b.top);
+  return sorted.map((zone, i) => {
+    if (zone.base !== null) return { ...zone, baseFrom: 'zone' };
+    const next = sorted.slice(i + 1).find(other => other.top > zone.top);
+    return { ...zone, base: next ? next.top : maxDepth, baseFrom: next ? 'next top' : 'log bottom' };
+  });
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Column names recognised in tops tables (LAS 3.0 ~Tops mnemonics and
+// common spreadsheet headers)
+const COLUMN_PATTERNS = {
+  name: /^(TOPN|TOP_?NAME|NAME|ZONE|ZONE_?NAME|FORMATION|FM|HORIZON|SURFACE|MARKER)$/i,
+  top: /^(TOPT|TOP|TOP_?DEPTH|TOP_?MD|DEPTH|DEPT|MD)$/i,
+  base: /^(TOPB|BASE|BASE_?DEPTH|BASE_?MD|BOTTOM|BOT|BTM)$/i
+};
+
+const isNumeric = (cell) => cell !== undefined && cell !== '' && !isNaN(Number(cell));
+
+// Zones from a table of tops: column names plus rows of raw cells, as read
+// from a CSV or a LAS 3.0 ~Tops section. Columns are picked by name, else the
+// first text column is the name and the first two numeric ones top and base.
+// nullValues: cells meaning "no base". Returns validated zones.
+function zonesFromTable(columnNames, rows, { nullValues = [] } = {}) {
+  const find = (pattern) => columnNames.findIndex(name => pattern.test(String(name).trim()));
+  const numericColumns = columnNames.map((_, i) => i).filter(i => rows.length > 0 && rows.every(row => isNumeric(row[i])));
+
+  let nameColumn = find(COLUMN_PATTERNS.name);
+  if (nameColumn < 0) nameColumn = columnNames.findIndex((_, i) => !numericColumns.includes(i));
+  const namedTop = find(COLUMN_PATTERNS.top);
+  const topColumn = namedTop >= 0 ? namedTop : numericColumns.find(i => i !== nameColumn) ?? -1;
+  // Unnamed depth columns are read as top, then base
+  let baseColumn = find(COLUMN_PATTERNS.base);
+  if (baseColumn < 0 && namedTop < 0) baseColumn = numericColumns.find(i => i !== nameColumn && i !== topColumn) ?? -1;
+
+  if (nameColumn < 0 || topColumn < 0) {
+    throw new ZoneError(`Could not find a name and a top depth column among: ${columnNames.join(', ')}`);
+  }
+
+  return rows
+    .filter(row => row.some(cell => cell !== ''))
+    .map(row => {
+      const base = baseColumn >= 0 ? row[baseColumn] : null;
+      const isNull = base === null || base === '' || nullValues.some(value => Number(base) === value);
+      return validateZone({ name: row[nameColumn], top: row[topColumn], base: isNull ? null : base });
+    });
+}
+
+module.exports = {
+  ZoneError,
+  validateZone,
+  resolveZoneBases,
+  zonesFromTable
+};
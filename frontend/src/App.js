@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import {
   LineChart,
@@ -9,27 +9,93 @@ import {
   Tooltip,
   Legend,
   ResponsiveContainer,
-  Brush
+  Brush,
+  ReferenceArea
 } from 'recharts';
 import Select from 'react-select';
 import Chatbot from './Chatbot';
+import TabularImport from './TabularImport';
+import Petrophysics from './Petrophysics';
+import FormulaEditor from './FormulaEditor';
+import GasShows from './GasShows';
+import ZoneManager, { zoneColor } from './ZoneManager';
+import Facies, { faciesColor } from './Facies';
+import CurvePrediction from './CurvePrediction';
+import Processing from './Processing';
+import DepthShift from './DepthShift';
+import QualityReport, { QCBadge } from './QualityReport';
 import './App.css';
 
 // For local development
 const API_BASE_URL = 'http://localhost:5001';
 
+// Rows the chart asks for; the server decimates longer intervals to about this many
+const CHART_MAX_POINTS = 2000;
+
+// Labels for the server-side ingest phases reported by /api/jobs/:id
+const JOB_PHASE_LABELS = {
+  queued: 'Queued',
+  parsing: 'Parsing',
+  inserting: 'Parsing & inserting',
+  finalizing: 'Finalizing',
+  checking: 'Checking data quality'
+};
+
+const TREND_ARROWS = { increasing: '↗', decreasing: '↘', stable: '→' };
+
+// Row of a depth-sorted table whose depth is closest to the given one
+const nearestRow = (rows, depth) => {
+  let low = 0;
+  let high = rows.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (rows[middle].depth < depth) low = middle + 1;
+    else high = middle;
+  }
+  return low > 0 && depth - rows[low - 1].depth < rows[low].depth - depth ? rows[low - 1] : rows[low];
+};
+
 function App() {
   const [files, setFiles] = useState([]);
   const [selectedFile, setSelectedFile] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [datasets, setDatasets] = useState([]);
+  const [selectedDataset, setSelectedDataset] = useState(null);
   const [curves, setCurves] = useState([]);
   const [selectedCurves, setSelectedCurves] = useState([]);
   const [depthRange, setDepthRange] = useState({ min: 0, max: 0 });
   const [selectedDepthRange, setSelectedDepthRange] = useState({ min: 0, max: 0 });
-  const [chartData, setChartData] = useState({});
+  const [chartData, setChartData] = useState(null);
+  const [chartRange, setChartRange] = useState(null);
+  const [loadedRange, setLoadedRange] = useState(null);
+  const brushTimer = useRef(null);
+  const [wellHeader, setWellHeader] = useState(null);
   const [interpretation, setInterpretation] = useState(null);
+  const [sensitivity, setSensitivity] = useState('medium');
+  const [petroResult, setPetroResult] = useState(null);
+  const [faciesResult, setFaciesResult] = useState(null);
+  const [classifying, setClassifying] = useState(false);
+  const [prediction, setPrediction] = useState(null);
+  const [qcReport, setQcReport] = useState(null);
+  const [checkingQuality, setCheckingQuality] = useState(false);
+  const [predicting, setPredicting] = useState(false);
+  const [processingResult, setProcessingResult] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [depthShifts, setDepthShifts] = useState([]);
+  const [depthMatch, setDepthMatch] = useState(null);
+  const [shifting, setShifting] = useState(false);
+  const [computing, setComputing] = useState(false);
+  const [creatingCurve, setCreatingCurve] = useState(false);
+  const [gasAnalysis, setGasAnalysis] = useState(null);
+  const [analyzingGas, setAnalyzingGas] = useState(false);
+  const [zones, setZones] = useState([]);
+  const [selectedZone, setSelectedZone] = useState('');
+  const [savingZones, setSavingZones] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [loading, setLoading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadPhase, setUploadPhase] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
   const [error, setError] = useState('');
   const [filename, setFilename] = useState('');
   const [showChatbot, setShowChatbot] = useState(false);
@@ -51,15 +117,48 @@ function App() {
     }
   };
 
+  // Polls the ingest job until the server has committed (or rejected) the file
+  const waitForIngestJob = async (jobId) => {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const { data: job } = await axios.get(`${API_BASE_URL}/api/jobs/${jobId}`);
+
+      if (job.status === 'completed') return job.result;
+      if (job.status === 'failed') {
+        throw new Error(job.errors.map(e => e.message).join('; ') || 'Ingest failed');
+      }
+
+      const rows = job.rowsProcessed ? ` (${job.rowsProcessed.toLocaleString()} rows)` : '';
+      setUploadPhase(`${JOB_PHASE_LABELS[job.phase] || job.phase}${rows}`);
+      setUploadProgress(job.percent);
+    }
+  };
+
+  // Shows a file the server has just finished ingesting, loaded like any
+  // file picked from the list so nothing of the previous file stays on screen
+  const showIngestedFile = async (result) => {
+    fetchFiles();
+    await handleFileSelect(result.fileId);
+
+    alert(`File uploaded successfully! ${result.dataPoints} data points processed` +
+      (result.nullPoints ? `, ${result.nullPoints} missing samples.` : '.') +
+      (result.revision > 1 ? ` Saved as revision ${result.revision} of this well.` : ''));
+  };
+
   const handleFileUpload = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    if (!file.name.toLowerCase().endsWith('.las')) {
+      handleTabularPreview(file);
+      return;
+    }
 
     const formData = new FormData();
     formData.append('file', file);
 
     setUploading(true);
     setUploadProgress(0);
+    setUploadPhase('Uploading');
     setFilename(file.name);
     
     try {
@@ -72,41 +171,260 @@ function App() {
       });
       
       console.log('Upload response:', response.data);
-      
-      fetchFiles();
-      setSelectedFile(response.data.fileId);
-      setCurves(response.data.curves);
-      setDepthRange(response.data.depthRange);
-      setSelectedDepthRange(response.data.depthRange);
-      
-      setError('');
-      alert(`File uploaded successfully! ${response.data.dataPoints} data points processed.`);
+      if (response.data.duplicate && response.data.fileId) {
+        alert(response.data.message);
+        await handleFileSelect(response.data.fileId);
+        return;
+      }
+
+      setUploadProgress(0);
+      setUploadPhase(JOB_PHASE_LABELS.queued);
+      const result = await waitForIngestJob(response.data.jobId);
+      await showIngestedFile(result);
     } catch (error) {
       console.error('Upload error:', error);
       setError('Upload failed: ' + (error.response?.data?.error || error.message));
     } finally {
       setUploading(false);
+      setUploadPhase('');
+    }
+  };
+
+  // CSV/TSV files are previewed first so their columns can be mapped to curves
+  const handleTabularPreview = async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setUploading(true);
+    setUploadProgress(0);
+    setUploadPhase('Uploading');
+    setFilename(file.name);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/import/preview`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        onUploadProgress: (progressEvent) => {
+          setUploadProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+        }
+      });
+
+      if (response.data.duplicate && response.data.fileId) {
+        alert(response.data.message);
+        await handleFileSelect(response.data.fileId);
+        return;
+      }
+      setImportPreview(response.data);
+      setError('');
+    } catch (error) {
+      console.error('Import preview error:', error);
+      setError('Import failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setUploading(false);
+      setUploadPhase('');
+    }
+  };
+
+  const handleTabularImport = async (mapping) => {
+    setUploading(true);
+    setUploadProgress(0);
+    setUploadPhase(JOB_PHASE_LABELS.queued);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/import/${importPreview.importId}`, mapping);
+      setImportPreview(null);
+      const result = await waitForIngestJob(response.data.jobId);
+      await showIngestedFile(result);
+    } catch (error) {
+      console.error('Import error:', error);
+      setError('Import failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setUploading(false);
+      setUploadPhase('');
+    }
+  };
+
+  const handleCancelImport = async () => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/import/${importPreview.importId}`);
+    } catch (error) {
+      console.error('Error cancelling import:', error);
+    }
+    setImportPreview(null);
+    setFilename('');
+  };
+
+  const fetchWellHeader = async (fileId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/files/${fileId}/header`);
+      setWellHeader(response.data);
+    } catch (error) {
+      console.error('Error fetching well header:', error);
+      setWellHeader(null);
+    }
+  };
+
+  const fetchQualityReport = async (fileId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/files/${fileId}/qc`);
+      setQcReport(response.data);
+    } catch (error) {
+      console.error('Error fetching quality report:', error);
+      setQcReport(null);
+    }
+  };
+
+  const rerunQualityChecks = async () => {
+    setCheckingQuality(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/qc`);
+      setQcReport(response.data);
+      fetchFiles();
+    } catch (error) {
+      console.error('Error running quality checks:', error);
+      setError('Quality checks failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setCheckingQuality(false);
+    }
+  };
+
+  const fetchZones = async (fileId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/files/${fileId}/zones`);
+      setZones(response.data);
+    } catch (error) {
+      console.error('Error fetching zones:', error);
+      setZones([]);
+    }
+  };
+
+  const fetchDepthShifts = async (fileId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/files/${fileId}/depth-shifts`);
+      setDepthShifts(response.data);
+    } catch (error) {
+      console.error('Error fetching depth shifts:', error);
+      setDepthShifts([]);
+    }
+  };
+
+  const fetchRevisions = async (fileId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/files/${fileId}/revisions`);
+      setRevisions(response.data.revisions);
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+      setRevisions([]);
+    }
+  };
+
+  const loadDatasetCurves = async (fileId, datasetId) => {
+    const params = datasetId ? { dataset: datasetId } : {};
+    const [curvesRes, depthRes] = await Promise.all([
+      axios.get(`${API_BASE_URL}/api/files/${fileId}/curves`, { params }),
+      axios.get(`${API_BASE_URL}/api/files/${fileId}/depth-range`, { params })
+    ]);
+
+    const range = { min: depthRes.data.minDepth ?? 0, max: depthRes.data.maxDepth ?? 0 };
+    setCurves(curvesRes.data);
+    setDepthRange(range);
+    setSelectedDepthRange(range);
+    setSelectedZone('');
+  };
+
+  // Picking a zone sets the depth range to its interval; '' goes back to the whole log
+  const handleZoneSelect = (zoneId) => {
+    setSelectedZone(zoneId);
+    const zone = zones.find(z => String(z.id) === String(zoneId));
+    setSelectedDepthRange(zone ? { min: zone.top, max: zone.base } : depthRange);
+  };
+
+  // Runs a zone change, then reloads the list; resolves to true on success
+  const updateZones = async (request, failure) => {
+    setSavingZones(true);
+    setError('');
+    try {
+      await request();
+      await fetchZones(selectedFile);
+      return true;
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(`${failure}: ` + (error.response?.data?.error || error.message));
+      return false;
+    } finally {
+      setSavingZones(false);
     }
   };
 
+  const handleAddZone = (zone) => updateZones(
+    () => axios.post(`${API_BASE_URL}/api/files/${selectedFile}/zones`, zone),
+    'Adding zone failed'
+  );
+
+  const handleDeleteZone = (zone) => {
+    if (String(zone.id) === String(selectedZone)) handleZoneSelect('');
+    return updateZones(
+      () => axios.delete(`${API_BASE_URL}/api/files/${selectedFile}/zones/${zone.id}`),
+      'Deleting zone failed'
+    );
+  };
+
+  const handleImportLASTops = () => updateZones(
+    () => axios.post(`${API_BASE_URL}/api/files/${selectedFile}/zones/import-las`, { replace: true }),
+    'Importing LAS tops failed'
+  );
+
+  const handleImportCSVTops = (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return updateZones(
+      () => axios.post(`${API_BASE_URL}/api/files/${selectedFile}/zones/import-csv`, formData),
+      'Importing tops failed'
+    );
+  };
+
   const handleFileSelect = async (fileId) => {
     setSelectedFile(fileId);
+    setDatasets([]);
+    setSelectedDataset(null);
     setSelectedCurves([]);
-    setChartData({});
+    setChartData(null);
     setInterpretation(null);
+    setWellHeader(null);
+    setQcReport(null);
+    setPetroResult(null);
+    setFaciesResult(null);
+    setPrediction(null);
+    setProcessingResult(null);
+    setDepthShifts([]);
+    setDepthMatch(null);
+    setGasAnalysis(null);
+    setZones([]);
+    setSelectedZone('');
     setError('');
+    if (!fileId) {
+      setRevisions([]);
+      setCurves([]);
+      setDepthRange({ min: 0, max: 0 });
+      setSelectedDepthRange({ min: 0, max: 0 });
+      setFilename('');
+      return;
+    }
+
+    fetchWellHeader(fileId);
+    fetchRevisions(fileId);
+    fetchZones(fileId);
+    fetchQualityReport(fileId);
+    fetchDepthShifts(fileId);
 
     try {
-      const [curvesRes, depthRes] = await Promise.all([
-        axios.get(`${API_BASE_URL}/api/files/${fileId}/curves`),
-        axios.get(`${API_BASE_URL}/api/files/${fileId}/depth-range`)
-      ]);
-
-      setCurves(curvesRes.data);
-      setDepthRange(depthRes.data);
-      setSelectedDepthRange(depthRes.data);
+      const datasetsRes = await axios.get(`${API_BASE_URL}/api/files/${fileId}/datasets`);
+      const firstDataset = datasetsRes.data[0]?.id || null;
+      setDatasets(datasetsRes.data);
+      setSelectedDataset(firstDataset);
+      await loadDatasetCurves(fileId, firstDataset);
       
-      const file = files.find(f => f.id === fileId);
+      const file = files.find(f => String(f.id) === String(fileId));
       if (file) setFilename(file.filename);
     } catch (error) {
       console.error('Error loading file data:', error);
@@ -114,6 +432,98 @@ function App() {
     }
   };
 
+  const handleDatasetSelect = async (datasetId) => {
+    setSelectedDataset(datasetId);
+    setSelectedCurves([]);
+    setChartData(null);
+    setInterpretation(null);
+    setPetroResult(null);
+    setFaciesResult(null);
+    setPrediction(null);
+    setProcessingResult(null);
+    setDepthMatch(null);
+    setGasAnalysis(null);
+    setError('');
+
+    try {
+      await loadDatasetCurves(selectedFile, datasetId);
+    } catch (error) {
+      console.error('Error loading dataset:', error);
+      setError('Failed to load dataset');
+    }
+  };
+
+  const handleRenameFile = async () => {
+    const file = files.find(f => String(f.id) === String(selectedFile));
+    const newName = window.prompt('Rename file', file?.filename || '');
+    if (!newName || !newName.trim()) return;
+
+    try {
+      await axios.patch(`${API_BASE_URL}/api/files/${selectedFile}`, { filename: newName.trim() });
+      setFilename(newName.trim());
+      fetchFiles();
+      fetchWellHeader(selectedFile);
+      fetchRevisions(selectedFile);
+    } catch (error) {
+      console.error('Rename error:', error);
+      setError('Rename failed: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // The server refuses (409) while computed curves exist, listing what the
+  // re-parse would delete; resolves to null if the user keeps them
+  const requestReparse = async () => {
+    const url = `${API_BASE_URL}/api/files/${selectedFile}/reparse`;
+    try {
+      return await axios.post(url);
+    } catch (error) {
+      const derived = error.response?.status === 409 && error.response.data.derived;
+      if (!derived) throw error;
+      const lines = [
+        ...derived.curves.map(curve => `• ${curve.name} (${curve.dataset})`),
+        ...derived.datasets.map(name => `• dataset ${name}`),
+        ...(derived.shiftTables > 0 ? [`• ${derived.shiftTables} depth shift table(s)`] : [])
+      ];
+      const message = `Re-parsing rebuilds the file from its original upload and deletes every derived curve:\n\n${
+        lines.join('\n')}\n\nRe-parse anyway?`;
+      if (!window.confirm(message)) return null;
+      return axios.post(url, { discardDerived: true });
+    }
+  };
+
+  const handleReparseFile = async () => {
+    setUploading(true);
+    setUploadProgress(0);
+    setUploadPhase(JOB_PHASE_LABELS.queued);
+
+    try {
+      const response = await requestReparse();
+      if (!response) return;
+      await waitForIngestJob(response.data.jobId);
+      await handleFileSelect(selectedFile);
+    } catch (error) {
+      console.error('Re-parse error:', error);
+      setError('Re-parse failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setUploading(false);
+      setUploadPhase('');
+    }
+  };
+
+  const handleDeleteFile = async () => {
+    const file = files.find(f => String(f.id) === String(selectedFile));
+    if (!window.confirm(`Delete ${file?.filename || 'this file'} and all of its data?`)) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/files/${selectedFile}`);
+      await handleFileSelect(null);
+      fetchFiles();
+    } catch (error) {
+      console.error('Delete error:', error);
+      setError('Delete failed: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   const loadChartData = async () => {
     if (!selectedFile || selectedCurves.length === 0) {
       setError('Please select a file and at least one curve');
@@ -123,21 +533,93 @@ function App() {
     setLoading(true);
     setError('');
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/files/${selectedFile}/data`, {
+      await fetchChartData(selectedDepthRange);
+      setLoadedRange(selectedDepthRange);
+    } catch (error) {
+      console.error('Error loading chart data:', error);
+      setError('Failed to load chart data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Loads a depth-aligned, server-decimated table for the chart
+  const fetchChartData = async (range) => {
+    const response = await axios.get(`${API_BASE_URL}/api/files/${selectedFile}/data`, {
+      params: {
+        dataset: selectedDataset,
+        curves: selectedCurves.join(','),
+        minDepth: range.min,
+        maxDepth: range.max,
+        maxPoints: CHART_MAX_POINTS
+      }
+    });
+
+    console.log('Chart data received:', response.data);
+    setChartData(response.data);
+    setChartRange(range);
+  };
+
+  // Zooming with the Brush fetches full detail for the chosen interval when
+  // the current view is decimated
+  const handleBrushChange = ({ startIndex, endIndex }) => {
+    clearTimeout(brushTimer.current);
+    if (!chartData?.downsampled) return;
+
+    brushTimer.current = setTimeout(async () => {
+      const rows = chartData.rows;
+      if (startIndex === 0 && endIndex === rows.length - 1) return;
+      try {
+        await fetchChartData({ min: rows[startIndex].depth, max: rows[endIndex].depth });
+      } catch (error) {
+        console.error('Error loading zoomed data:', error);
+        setError('Failed to load chart data');
+      }
+    }, 400);
+  };
+
+  const resetZoom = async () => {
+    try {
+      await fetchChartData(loadedRange);
+    } catch (error) {
+      console.error('Error loading chart data:', error);
+      setError('Failed to load chart data');
+    }
+  };
+
+  useEffect(() => () => clearTimeout(brushTimer.current), []);
+
+  const handleExport = async (format) => {
+    if (!selectedFile || selectedCurves.length === 0) {
+      setError('Please select a file and at least one curve');
+      return;
+    }
+
+    setError('');
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/files/${selectedFile}/export`, {
         params: {
+          format,
+          dataset: selectedDataset,
           curves: selectedCurves.join(','),
           minDepth: selectedDepthRange.min,
           maxDepth: selectedDepthRange.max
-        }
+        },
+        responseType: 'blob'
       });
-      
-      console.log('Chart data received:', response.data);
-      setChartData(response.data);
+
+      const baseName = (filename || 'export').replace(/\.[^.]+$/, '');
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${baseName}_${selectedDepthRange.min}-${selectedDepthRange.max}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
     } catch (error) {
-      console.error('Error loading chart data:', error);
-      setError('Failed to load chart data');
-    } finally {
-      setLoading(false);
+      console.error('Export error:', error);
+      // Error bodies arrive as blobs too
+      const body = error.response?.data instanceof Blob ? JSON.parse(await error.response.data.text()) : null;
+      setError('Export failed: ' + (body?.error || error.message));
     }
   };
 
@@ -152,9 +634,11 @@ function App() {
     try {
       const response = await axios.post(`${API_BASE_URL}/api/interpret`, {
         fileId: selectedFile,
+        datasetId: selectedDataset,
         curves: selectedCurves,
         minDepth: selectedDepthRange.min,
-        maxDepth: selectedDepthRange.max
+        maxDepth: selectedDepthRange.max,
+        sensitivity
       });
       
       console.log('Interpretation response:', response.data);
@@ -167,23 +651,215 @@ function App() {
     }
   };
 
+  // Derived curves are stored on the dataset, so the curve list and header are
+  // reloaded to offer them for plotting
+  const refreshCurves = async () => {
+    const params = selectedDataset ? { dataset: selectedDataset } : {};
+    const curvesRes = await axios.get(`${API_BASE_URL}/api/files/${selectedFile}/curves`, { params });
+    setCurves(curvesRes.data);
+    fetchWellHeader(selectedFile);
+  };
+
+  const runPetrophysics = async (request) => {
+    setComputing(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/petrophysics`, {
+        ...request,
+        datasetId: selectedDataset
+      });
+      setPetroResult(response.data);
+      await refreshCurves();
+    } catch (error) {
+      console.error('Error computing petrophysics:', error);
+      setError('Petrophysics failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setComputing(false);
+    }
+  };
+
+  // Resolves to true once the curve is stored, so the editor can clear itself
+  const createComputedCurve = async (definition) => {
+    setCreatingCurve(true);
+    setError('');
+    try {
+      await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/computed-curves`, {
+        ...definition,
+        datasetId: selectedDataset
+      });
+      await refreshCurves();
+      return true;
+    } catch (error) {
+      console.error('Error creating computed curve:', error);
+      setError('Computed curve failed: ' + (error.response?.data?.error || error.message));
+      return false;
+    } finally {
+      setCreatingCurve(false);
+    }
+  };
+
+  const runFacies = async (request) => {
+    setClassifying(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/facies`, {
+        ...request,
+        datasetId: selectedDataset,
+        minDepth: selectedDepthRange.min,
+        maxDepth: selectedDepthRange.max
+      });
+      setFaciesResult(response.data);
+      await refreshCurves();
+    } catch (error) {
+      console.error('Error classifying facies:', error);
+      setError('Facies classification failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setClassifying(false);
+    }
+  };
+
+  const runCurvePrediction = async (request) => {
+    setPredicting(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/curve-prediction`, {
+        ...request,
+        datasetId: selectedDataset
+      });
+      setPrediction(response.data);
+      await refreshCurves();
+    } catch (error) {
+      console.error('Error predicting curve:', error);
+      setError('Curve prediction failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setPredicting(false);
+    }
+  };
+
+  // A resampled version lands in its own dataset, so the dataset list is
+  // fetched again as well
+  const runCurveProcessing = async (request) => {
+    setProcessing(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/curve-processing`, {
+        ...request,
+        datasetId: selectedDataset
+      });
+      setProcessingResult(response.data);
+      const datasetsRes = await axios.get(`${API_BASE_URL}/api/files/${selectedFile}/datasets`);
+      setDatasets(datasetsRes.data);
+      await refreshCurves();
+    } catch (error) {
+      console.error('Error processing curve:', error);
+      setError('Curve processing failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const runDepthMatch = async (request) => {
+    setShifting(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/depth-match`, {
+        ...request,
+        datasetId: selectedDataset
+      });
+      setDepthMatch(response.data);
+    } catch (error) {
+      console.error('Error matching depths:', error);
+      setError('Depth matching failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setShifting(false);
+    }
+  };
+
+  // Creates a shift table, or with an id edits one; resolves to true once the
+  // shifted curve is stored
+  const saveDepthShift = async ({ id, ...request }) => {
+    setShifting(true);
+    setError('');
+    try {
+      if (id) {
+        await axios.patch(`${API_BASE_URL}/api/files/${selectedFile}/depth-shifts/${id}`, request);
+      } else {
+        await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/depth-shifts`, { ...request, datasetId: selectedDataset });
+      }
+      await fetchDepthShifts(selectedFile);
+      await refreshCurves();
+      return true;
+    } catch (error) {
+      console.error('Error saving depth shift:', error);
+      setError('Depth shift failed: ' + (error.response?.data?.error || error.message));
+      return false;
+    } finally {
+      setShifting(false);
+    }
+  };
+
+  const deleteDepthShift = async (table) => {
+    if (!window.confirm(`Delete the shift table of ${table.curve} and its curve ${table.output}?`)) return;
+    setShifting(true);
+    setError('');
+    try {
+      await axios.delete(`${API_BASE_URL}/api/files/${selectedFile}/depth-shifts/${table.id}`);
+      setSelectedCurves(selectedCurves.filter(curve => curve !== table.output));
+      await fetchDepthShifts(selectedFile);
+      await refreshCurves();
+    } catch (error) {
+      console.error('Error deleting depth shift:', error);
+      setError('Deleting the shift table failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setShifting(false);
+    }
+  };
+
+  // Gas show evaluation over the selected depth range; mapping overrides the
+  // server's pick of C1-C5 curves
+  const runGasAnalysis = async (mapping) => {
+    setAnalyzingGas(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/files/${selectedFile}/gas-analysis`, {
+        datasetId: selectedDataset,
+        minDepth: selectedDepthRange.min,
+        maxDepth: selectedDepthRange.max,
+        mapping,
+        maxPoints: CHART_MAX_POINTS
+      });
+      setGasAnalysis(response.data);
+    } catch (error) {
+      console.error('Error running gas analysis:', error);
+      setError('Gas analysis failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setAnalyzingGas(false);
+    }
+  };
+
+  // The server already aligns rows by depth; only text values need blanking.
+  // Anomalies from the last analysis become <curve>_anomaly values on the
+  // nearest plotted row, since a decimated chart may not hold their depth.
   const prepareChartData = () => {
-    if (Object.keys(chartData).length === 0) return [];
+    if (!chartData) return [];
 
-    const depths = new Set();
-    Object.values(chartData).forEach(curveData => {
-      curveData.forEach(point => depths.add(point.depth));
+    const points = chartData.rows.map(row => {
+      const point = { depth: row.depth };
+      chartData.curves.forEach(curve => {
+        // String columns (LAS 3.0 {S} curves) have nothing to plot
+        point[curve] = typeof row[curve] === 'number' ? row[curve] : null;
+      });
+      return point;
     });
+    if (!interpretation || points.length === 0) return points;
 
-    const sortedDepths = Array.from(depths).sort((a, b) => a - b);
-    return sortedDepths.map(depth => {
-      const point = { depth };
-      Object.keys(chartData).forEach(curve => {
-        const curvePoint = chartData[curve].find(p => p.depth === depth);
-        point[curve] = curvePoint ? curvePoint.value : null;
+    chartData.curves.forEach(curve => {
+      (interpretation.interpretations[curve]?.anomalies || []).forEach(anomaly => {
+        if (anomaly.depth < points[0].depth || anomaly.depth > points[points.length - 1].depth) return;
+        nearestRow(points, anomaly.depth)[`${curve}_anomaly`] = anomaly.value;
       });
-      return point;
     });
+    return points;
   };
 
   const getCurveColor = (index) => {
@@ -191,12 +867,77 @@ function App() {
     return colors[index % colors.length];
   };
 
+  const chartPoints = prepareChartData();
+
+  // Rising and falling trend segments of the last analysis, snapped to plotted
+  // depths like the anomaly markers
+  const trendAreas = [];
+  if (interpretation && chartPoints.length > 1) {
+    const first = chartPoints[0].depth;
+    const last = chartPoints[chartPoints.length - 1].depth;
+    chartData.curves.forEach(curve => {
+      (interpretation.interpretations[curve]?.trends || []).forEach((trend, i) => {
+        if (trend.direction === 'stable' || trend.endDepth < first || trend.startDepth > last) return;
+        const x1 = nearestRow(chartPoints, trend.startDepth).depth;
+        const x2 = nearestRow(chartPoints, trend.endDepth).depth;
+        if (x1 === x2) return;
+        trendAreas.push({ key: `${curve}-${i}`, curve, x1, x2, label: `${curve} ${TREND_ARROWS[trend.direction]}` });
+      });
+    });
+  }
+
+  // Zone bands over the plotted interval, snapped to plotted depths
+  const zoneAreas = [];
+  if (chartPoints.length > 1) {
+    const first = chartPoints[0].depth;
+    const last = chartPoints[chartPoints.length - 1].depth;
+    zones.forEach((zone, index) => {
+      if (zone.base < first || zone.top > last) return;
+      const x1 = nearestRow(chartPoints, zone.top).depth;
+      const x2 = nearestRow(chartPoints, zone.base).depth;
+      if (x1 === x2) return;
+      zoneAreas.push({ key: zone.id, x1, x2, name: zone.name, color: zoneColor(zone, index) });
+    });
+  }
+
+  // Facies intervals of the last classification as blocks under the log,
+  // merged where neighbouring intervals snap to the same plotted depths
+  const faciesAreas = [];
+  if (faciesResult && chartPoints.length > 1) {
+    const first = chartPoints[0].depth;
+    const last = chartPoints[chartPoints.length - 1].depth;
+    faciesResult.intervals.forEach(interval => {
+      if (interval.base < first || interval.top > last) return;
+      const x1 = nearestRow(chartPoints, interval.top).depth;
+      const x2 = nearestRow(chartPoints, interval.base).depth;
+      const previous = faciesAreas[faciesAreas.length - 1];
+      if (previous && previous.facies === interval.facies && previous.x2 === x1) {
+        previous.x2 = x2;
+      } else if (x1 !== x2) {
+        faciesAreas.push({ x1, x2, facies: interval.facies });
+      }
+    });
+  }
+
+  // QC scores of the curves on screen, from the report of the selected dataset
+  const qcDataset = qcReport
+    ? qcReport.datasets.find(d => String(d.datasetId) === String(selectedDataset)) || qcReport.datasets[0]
+    : null;
+  // Trend slopes are per 100 units of the log's depth unit, when it has one
+  const interpretationUnit = interpretation?.depthUnit || '';
+  const curveQuality = Object.fromEntries((qcDataset?.curves || []).map(curve => [curve.curve, curve]));
+
   const curveOptions = curves.map((curve, index) => ({ 
     value: curve, 
     label: curve,
     color: getCurveColor(index)
   }));
 
+  // Earlier revisions are not in the file list, so it shows their well's latest entry
+  const listedFileId = files.some(f => String(f.id) === String(selectedFile))
+    ? selectedFile
+    : revisions.find(r => r.isLatest)?.fileId;
+
   return (
     <div className={`App ${darkMode ? 'dark-mode' : ''}`}>
       <nav className="navbar">
@@ -220,13 +961,13 @@ function App() {
             <div className="file-upload">
               <input
                 type="file"
-                accept=".las"
+                accept=".las,.csv,.tsv,.txt"
                 onChange={handleFileUpload}
                 disabled={uploading}
                 id="file-input"
               />
               <label htmlFor="file-input" className="file-label">
-                {uploading ? 'Uploading...' : 'Choose LAS File'}
+                {uploading ? 'Uploading...' : 'Choose LAS or CSV File'}
               </label>
               {filename && <span className="file-name">{filename}</span>}
             </div>
@@ -237,6 +978,7 @@ function App() {
                 </div>
               </div>
             )}
+            {uploading && uploadPhase && <div className="progress-phase">{uploadPhase}</div>}
           </div>
 
           <div className="sidebar-section">
@@ -244,17 +986,60 @@ function App() {
             <select 
               className="file-select"
               onChange={(e) => handleFileSelect(e.target.value)}
-              value={selectedFile || ''}
+              value={listedFileId || ''}
             >
               <option value="">Select a file</option>
               {files.map(file => (
                 <option key={file.id} value={file.id}>
-                  {file.filename}
+                  {file.filename}{file.revision_count > 1 ? ` (rev ${file.revision})` : ''}
+                  {file.qc_score !== null && file.qc_score !== undefined ? ` · QC ${Math.round(file.qc_score)}` : ''}
                 </option>
               ))}
             </select>
+            {revisions.length > 1 && (
+              <select
+                className="file-select revision-select"
+                onChange={(e) => handleFileSelect(e.target.value)}
+                value={selectedFile || ''}
+              >
+                {revisions.map(rev => (
+                  <option key={rev.fileId} value={rev.fileId}>
+                    Revision {rev.revision}{rev.isLatest ? ' (latest)' : ''} – {new Date(rev.uploadDate).toLocaleDateString()}
+                  </option>
+                ))}
+              </select>
+            )}
+            {qcReport && (
+              <div className="file-qc">
+                Data quality <QCBadge score={qcReport.score} grade={qcReport.grade} />
+              </div>
+            )}
+            {selectedFile && (
+              <div className="file-actions">
+                <button onClick={handleRenameFile} disabled={uploading}>Rename</button>
+                <button onClick={handleReparseFile} disabled={uploading}>Re-parse</button>
+                <button onClick={handleDeleteFile} disabled={uploading} className="danger">Delete</button>
+              </div>
+            )}
           </div>
 
+          {datasets.length > 1 && (
+            <div className="sidebar-section">
+              <h3>Dataset</h3>
+              <select
+                className="file-select"
+                onChange={(e) => handleDatasetSelect(e.target.value)}
+                value={selectedDataset || ''}
+              >
+                {datasets.map(dataset => (
+                  <option key={dataset.id} value={dataset.id}>
+                    {dataset.name} ({dataset.curveCount} curves, {dataset.rowCount} rows)
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {curves.length > 0 && (
             <>
               <div className="sidebar-section">
@@ -267,6 +1052,12 @@ function App() {
                   className="curve-select"
                   classNamePrefix="select"
                   placeholder="Select curves..."
+                  formatOptionLabel={(option, { context }) => (context === 'menu' && curveQuality[option.value] ? (
+                    <span className="curve-option">
+                      {option.label}
+                      <QCBadge score={curveQuality[option.value].score} grade={curveQuality[option.value].grade} />
+                    </span>
+                  ) : option.label)}
                   styles={{
                     multiValue: (styles, { data }) => ({
                       ...styles,
@@ -277,6 +1068,24 @@ function App() {
                 />
               </div>
 
+              {zones.length > 0 && (
+                <div className="sidebar-section">
+                  <h3>Zone</h3>
+                  <select
+                    className="file-select"
+                    value={selectedZone}
+                    onChange={(e) => handleZoneSelect(e.target.value)}
+                  >
+                    <option value="">All depths</option>
+                    {zones.map(zone => (
+                      <option key={zone.id} value={zone.id}>
+                        {zone.name} ({zone.top} - {zone.base})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div className="sidebar-section">
                 <h3>Depth Range (ft)</h3>
                 <div className="depth-inputs">
@@ -307,6 +1116,19 @@ function App() {
                 </div>
               </div>
 
+              <div className="sidebar-section">
+                <h3>Anomaly Sensitivity</h3>
+                <select
+                  className="file-select"
+                  value={sensitivity}
+                  onChange={(e) => setSensitivity(e.target.value)}
+                >
+                  <option value="low">Low (4σ)</option>
+                  <option value="medium">Medium (3σ)</option>
+                  <option value="high">High (2σ)</option>
+                </select>
+              </div>
+
               <div className="action-buttons">
                 <button 
                   className="btn btn-primary" 
@@ -323,6 +1145,31 @@ function App() {
                   {loading ? <span className="spinner"></span> : 'AI Analyze'}
                 </button>
               </div>
+              <div className="action-buttons export-buttons">
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleExport('las')}
+                  disabled={selectedCurves.length === 0}
+                >
+                  Export LAS
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleExport('csv')}
+                  disabled={selectedCurves.length === 0}
+                >
+                  Export CSV
+                </button>
+              </div>
+              <div className="action-buttons export-buttons">
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => runGasAnalysis()}
+                  disabled={analyzingGas}
+                >
+                  {analyzingGas ? <span className="spinner"></span> : 'Gas Shows'}
+                </button>
+              </div>
             </>
           )}
 
@@ -335,17 +1182,214 @@ function App() {
         </div>
 
         <div className="content">
-          {Object.keys(chartData).length > 0 && (
+          {importPreview && (
+            <TabularImport
+              key={importPreview.importId}
+              preview={importPreview}
+              importing={uploading}
+              onImport={handleTabularImport}
+              onCancel={handleCancelImport}
+            />
+          )}
+
+          {wellHeader && (
+            <div className="well-info-card">
+              <div className="chart-header">
+                <h3>Well Information</h3>
+                {wellHeader.version.length > 0 && (
+                  <span className="badge">
+                    {wellHeader.version.find(v => v.mnemonic === 'FORMAT')?.value ||
+                      `LAS ${wellHeader.version.find(v => v.mnemonic === 'VERS')?.value || '?'}`}
+                  </span>
+                )}
+              </div>
+              <div className="well-info-grid">
+                {[
+                  ['Well', wellHeader.summary.wellName],
+                  ['UWI', wellHeader.summary.uwi],
+                  ['Company', wellHeader.summary.company],
+                  ['Field', wellHeader.summary.field],
+                  ['Location', wellHeader.summary.location],
+                  ['Service Co.', wellHeader.summary.serviceCompany],
+                  ['Log Date', wellHeader.summary.date],
+                  ['Interval', wellHeader.summary.start !== null && wellHeader.summary.stop !== null
+                    ? `${wellHeader.summary.start} - ${wellHeader.summary.stop} ${wellHeader.summary.depthUnit || ''}`
+                    : null],
+                  ['Step', wellHeader.summary.step],
+                  ['Null Value', wellHeader.summary.nullValue]
+                ].map(([label, value]) => (
+                  <div key={label} className="well-info-item">
+                    <span>{label}</span>
+                    <strong>{value ?? 'N/A'}</strong>
+                  </div>
+                ))}
+              </div>
+
+              {wellHeader.curves.length > 0 && (
+                <details className="well-info-details">
+                  <summary>Curves ({wellHeader.curves.length})</summary>
+                  <table className="well-info-table">
+                    <thead>
+                      <tr>
+                        {datasets.length > 1 && <th>Dataset</th>}
+                        <th>Mnemonic</th><th>Unit</th><th>API Code</th><th>Description</th><th>Coverage</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {wellHeader.curves.map(c => (
+                        <tr key={`${c.dataset}-${c.name}`}>
+                          {datasets.length > 1 && <td>{c.dataset}</td>}
+                          <td>{c.name}</td><td>{c.unit}</td><td>{c.apiCode}</td><td>{c.description}</td>
+                          <td>
+                            {c.coverage !== null ? `${c.coverage}%` : ''}
+                            {c.nullCount > 0 && <span className="null-count"> ({c.nullCount} null)</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+
+              {wellHeader.parameters.length > 0 && (
+                <details className="well-info-details">
+                  <summary>Parameters ({wellHeader.parameters.length})</summary>
+                  <table className="well-info-table">
+                    <thead>
+                      <tr><th>Mnemonic</th><th>Unit</th><th>Value</th><th>Description</th></tr>
+                    </thead>
+                    <tbody>
+                      {wellHeader.parameters.map((p, i) => (
+                        <tr key={i}>
+                          <td>{p.mnemonic}</td><td>{p.unit}</td><td>{p.value}</td><td>{p.description}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+
+              {wellHeader.other && (
+                <details className="well-info-details">
+                  <summary>Other Information</summary>
+                  <pre className="well-info-other">{wellHeader.other}</pre>
+                </details>
+              )}
+            </div>
+          )}
+
+          {qcReport && (
+            <QualityReport
+              report={qcReport}
+              datasetId={selectedDataset}
+              running={checkingQuality}
+              onRerun={rerunQualityChecks}
+            />
+          )}
+
+          {selectedFile && curves.length > 0 && (
+            <Petrophysics
+              key={`${selectedFile}-${selectedDataset}`}
+              curves={curves}
+              computing={computing}
+              result={petroResult}
+              onCompute={runPetrophysics}
+            />
+          )}
+
+          {selectedFile && curves.length > 0 && (
+            <Facies
+              key={`${selectedFile}-${selectedDataset}`}
+              curves={curves}
+              initialCurves={selectedCurves}
+              running={classifying}
+              result={faciesResult}
+              onRun={runFacies}
+            />
+          )}
+
+          {selectedFile && curves.length > 0 && (
+            <CurvePrediction
+              key={`${selectedFile}-${selectedDataset}`}
+              curves={curves}
+              files={files}
+              fileId={selectedFile}
+              depthRange={selectedDepthRange}
+              running={predicting}
+              result={prediction}
+              onRun={runCurvePrediction}
+            />
+          )}
+
+          {selectedFile && curves.length > 0 && (
+            <Processing
+              key={`${selectedFile}-${selectedDataset}`}
+              fileId={selectedFile}
+              datasetId={selectedDataset}
+              curves={curves}
+              depthRange={selectedDepthRange}
+              running={processing}
+              result={processingResult}
+              onRun={runCurveProcessing}
+            />
+          )}
+
+          {selectedFile && curves.length > 0 && (
+            <DepthShift
+              key={`${selectedFile}-${selectedDataset}`}
+              fileId={selectedFile}
+              curves={curves}
+              files={files}
+              depthRange={selectedDepthRange}
+              shiftTables={depthShifts.filter(table => String(table.datasetId) === String(selectedDataset))}
+              match={depthMatch}
+              busy={shifting}
+              onMatch={runDepthMatch}
+              onSave={saveDepthShift}
+              onDelete={deleteDepthShift}
+            />
+          )}
+
+          {selectedFile && curves.length > 0 && (
+            <ZoneManager
+              zones={zones}
+              busy={savingZones}
+              onAdd={handleAddZone}
+              onDelete={handleDeleteZone}
+              onImportLAS={handleImportLASTops}
+              onImportCSV={handleImportCSVTops}
+            />
+          )}
+
+          {selectedFile && curves.length > 0 && (
+            <FormulaEditor
+              key={`${selectedFile}-${selectedDataset}`}
+              fileId={selectedFile}
+              datasetId={selectedDataset}
+              curves={curves}
+              creating={creatingCurve}
+              onCreate={createComputedCurve}
+            />
+          )}
+
+          {chartData && (
             <div className="chart-card">
               <div className="chart-header">
                 <h3>Well Log Visualization</h3>
-                <span className="badge">
-                  {Object.values(chartData).reduce((acc, curr) => acc + curr.length, 0)} measurements
-                </span>
+                <div className="chart-header-actions">
+                  {loadedRange && chartRange !== loadedRange && (
+                    <button className="reset-zoom" onClick={resetZoom}>Reset zoom</button>
+                  )}
+                  <span className="badge">
+                    {chartData.downsampled
+                      ? `${chartData.rows.length} of ${chartData.totalRows} depths`
+                      : `${chartData.totalRows} depths`}
+                  </span>
+                </div>
               </div>
               <div className="chart-container">
                 <ResponsiveContainer width="100%" height={500}>
-                  <LineChart data={prepareChartData()}>
+                  <LineChart key={`${chartRange?.min}-${chartRange?.max}`} data={chartPoints}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#444" />
                     <XAxis 
                       dataKey="depth" 
@@ -358,7 +1402,29 @@ function App() {
                       labelStyle={{ color: '#fff' }}
                     />
                     <Legend />
-                    <Brush dataKey="depth" height={30} stroke="#4ecdc4" />
+                    <Brush dataKey="depth" height={30} stroke="#4ecdc4" onChange={handleBrushChange} />
+                    {zoneAreas.map(area => (
+                      <ReferenceArea
+                        key={`zone-${area.key}`}
+                        x1={area.x1}
+                        x2={area.x2}
+                        fill={area.color}
+                        fillOpacity={0.12}
+                        stroke={area.color}
+                        strokeOpacity={0.4}
+                        label={{ value: area.name, position: 'insideTopLeft', fill: area.color, fontSize: 11 }}
+                      />
+                    ))}
+                    {trendAreas.map(area => (
+                      <ReferenceArea
+                        key={area.key}
+                        x1={area.x1}
+                        x2={area.x2}
+                        fill={getCurveColor(selectedCurves.indexOf(area.curve))}
+                        fillOpacity={0.08}
+                        label={{ value: area.label, position: 'insideTop', fill: '#888', fontSize: 11 }}
+                      />
+                    ))}
                     {selectedCurves.map((curve, index) => (
                       <Line
                         key={curve}
@@ -367,20 +1433,61 @@ function App() {
                         stroke={getCurveColor(index)}
                         strokeWidth={2}
                         dot={false}
+                        connectNulls={false}
                         activeDot={{ r: 6, fill: getCurveColor(index) }}
                       />
                     ))}
+                    {interpretation && chartData.curves.map(curve => (
+                      <Line
+                        key={`${curve}_anomaly`}
+                        dataKey={`${curve}_anomaly`}
+                        name={`${curve} anomaly`}
+                        stroke="none"
+                        legendType="none"
+                        isAnimationActive={false}
+                        activeDot={false}
+                        dot={{ r: 5, fill: '#ff4757', stroke: '#fff', strokeWidth: 1 }}
+                      />
+                    ))}
                   </LineChart>
                 </ResponsiveContainer>
+                {faciesAreas.length > 0 && (
+                  <ResponsiveContainer width="100%" height={48} className="facies-track">
+                    <LineChart data={chartPoints}>
+                      <XAxis dataKey="depth" hide />
+                      <YAxis domain={[0, 1]} tick={false} axisLine={false}
+                        label={{ value: 'Facies', angle: -90, position: 'insideLeft', fill: '#888', fontSize: 11 }} />
+                      {faciesAreas.map(area => (
+                        <ReferenceArea
+                          key={`facies-${area.x1}`}
+                          x1={area.x1}
+                          x2={area.x2}
+                          fill={faciesColor(area.facies)}
+                          fillOpacity={0.85}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                )}
               </div>
             </div>
           )}
 
+          {gasAnalysis && (
+            <GasShows
+              key={JSON.stringify(gasAnalysis.mapping)}
+              result={gasAnalysis}
+              curves={curves}
+              running={analyzingGas}
+              onRun={runGasAnalysis}
+            />
+          )}
+
           {interpretation && (
             <div className="interpretation-card">
               <h3>AI Insights</h3>
               <div className="depth-badge">
-                Depth: {interpretation.depthRange?.min}ft - {interpretation.depthRange?.max}ft
+                Depth: {interpretation.depthRange?.min} - {interpretation.depthRange?.max} {interpretationUnit}
               </div>
               
               <div className="insights-grid">
@@ -404,16 +1511,28 @@ function App() {
                           <span>Std Dev</span>
                           <strong>{data.statistics?.stdDeviation || 'N/A'}</strong>
                         </div>
+                        {data.statistics?.p50 && (
+                          <div className="stat-row">
+                            <span>P10/P50/P90</span>
+                            <strong>{data.statistics.p10} / {data.statistics.p50} / {data.statistics.p90}</strong>
+                          </div>
+                        )}
                         <div className="stat-row">
                           <span>Points</span>
                           <strong>{data.statistics?.points || 'N/A'}</strong>
                         </div>
+                        {data.statistics?.nulls > 0 && (
+                          <div className="stat-row">
+                            <span>Coverage</span>
+                            <strong>{data.statistics.coverage}% ({data.statistics.nulls} null)</strong>
+                          </div>
+                        )}
                       </div>
                       
                       {hasAnomalies && (
                         <div className="anomalies">
                           <div className="anomaly-count">
-                            {data.anomalies.length} anomalies detected
+                            {data.anomalyCount ?? data.anomalies.length} anomalies detected
                           </div>
                           <div className="anomaly-list">
                             {data.anomalies.slice(0, 3).map((a, i) => (
@@ -429,6 +1548,22 @@ function App() {
                           </div>
                         </div>
                       )}
+                      {data.trends?.length > 0 && (
+                        <div className="trends">
+                          <div className="trend-count">
+                            {data.trends.length === 1 ? '1 trend segment' : `${data.trends.length} trend segments`}
+                          </div>
+                          <div className="trend-list">
+                            {data.trends.map((t, i) => (
+                              <div key={i} className={`trend-item ${t.direction}`}>
+                                <span>{t.startDepth}-{t.endDepth} {interpretationUnit}</span>
+                                <span className="trend-direction">{TREND_ARROWS[t.direction]} {t.direction}</span>
+                                <span>{t.slopePer100}/100 {interpretationUnit || 'depth units'}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
                       <div className="summary">{data.summary || 'No summary available'}</div>
                     </div>
                   );
@@ -440,11 +1575,24 @@ function App() {
                   <h4>Recommendations</h4>
                   <ul>
                     {interpretation.recommendations.map((rec, i) => (
-                      <li key={i}>{rec}</li>
+                      <li key={i} className={`severity-${rec.severity}`}>
+                        <span className="severity-badge">{rec.severity}</span>
+                        {rec.message}
+                        <div className="recommendation-evidence">
+                          {rec.evidence.curves.join(', ')} ·{' '}
+                          {rec.evidence.intervals.map(interval => `${interval.top}-${interval.base}ft`).join(', ')}
+                        </div>
+                      </li>
                     ))}
                   </ul>
                 </div>
               )}
+              {interpretation.recommendationsWarning && (
+                <div className="recommendations">
+                  <h4>Recommendations</h4>
+                  <div className="recommendations-warning">{interpretation.recommendationsWarning}</div>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -452,7 +1600,7 @@ function App() {
 
       {showChatbot && (
         <div className="chatbot-wrapper">
-          <Chatbot selectedFile={selectedFile} />
+          <Chatbot selectedFile={selectedFile} selectedDataset={selectedDataset} />
         </div>
       )}
     </div>
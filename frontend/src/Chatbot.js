@@ -4,7 +4,7 @@ import './Chatbot.css';
 
 const API_BASE_URL = 'http://localhost:5001';
 
-function Chatbot({ selectedFile }) {
+function Chatbot({ selectedFile, selectedDataset }) {
   const [messages, setMessages] = useState([
     { 
       id: 1, 
@@ -44,7 +44,8 @@ function Chatbot({ selectedFile }) {
     try {
       const response = await axios.post(`${API_BASE_URL}/api/chat`, {
         message: input,
-        fileId: selectedFile
+        fileId: selectedFile,
+        datasetId: selectedDataset
       });
       
       const botMessage = { 
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import './CurvePrediction.css';
+
+// Predicts a curve from other logs: trains on depths where the target was
+// measured (this well and/or others) and stores a synthetic curve
+function CurvePrediction({ curves, files, fileId, depthRange, running, result, onRun }) {
+  const [target, setTarget] = useState(() => curves.find(c => ['DT', 'DTC', 'RHOB'].includes(c.toUpperCase())) || '');
+  const [features, setFeatures] = useState([]);
+  const [method, setMethod] = useState('linear');
+  const [neighbours, setNeighbours] = useState(10);
+  const [mode, setMode] = useState('fill');
+  const [trainOn, setTrainOn] = useState('well');
+  const [otherWells, setOtherWells] = useState([]);
+
+  const toggle = (list, setList, item) => {
+    setList(list.includes(item) ? list.filter(i => i !== item) : [...list, item]);
+  };
+
+  const handleRun = () => {
+    const training = [];
+    if (trainOn === 'well') training.push({ fileId });
+    if (trainOn === 'range') training.push({ fileId, minDepth: depthRange.min, maxDepth: depthRange.max });
+    otherWells.forEach(id => training.push({ fileId: id }));
+    onRun({ target, features, method, neighbours: Number(neighbours), mode, output: `${target}_SYN`, training });
+  };
+
+  const crossplotExtent = result && result.crossplot.length > 0
+    ? result.crossplot.reduce(([min, max], p) => [Math.min(min, p.actual, p.predicted), Math.max(max, p.actual, p.predicted)],
+      [Infinity, -Infinity])
+    : null;
+
+  return (
+    <div className="import-card prediction-card">
+      <div className="chart-header">
+        <h3>Curve Prediction</h3>
+        <span className="badge">synthetic curves</span>
+      </div>
+
+      <div className="import-options">
+        <label>
+          Target curve
+          <select value={target} onChange={(e) => {
+            setTarget(e.target.value);
+            setFeatures(features.filter(f => f !== e.target.value));
+          }}>
+            <option value="">Select curve...</option>
+            {curves.map(curve => <option key={curve} value={curve}>{curve}</option>)}
+          </select>
+        </label>
+        <label>
+          Model
+          <select value={method} onChange={(e) => setMethod(e.target.value)}>
+            <option value="linear">Multiple linear</option>
+            <option value="knn">k-nearest neighbours</option>
+          </select>
+        </label>
+        {method === 'knn' && (
+          <label>
+            Neighbours
+            <input type="number" min="1" max="50" value={neighbours} onChange={(e) => setNeighbours(e.target.value)} />
+          </label>
+        )}
+        <label>
+          Output
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="fill">Fill gaps in {target || 'target'}</option>
+            <option value="all">Predict every depth</option>
+          </select>
+        </label>
+        <label>
+          Train on this well
+          <select value={trainOn} onChange={(e) => setTrainOn(e.target.value)}>
+            <option value="well">All depths</option>
+            <option value="range">Selected depth range</option>
+            <option value="none">No (other wells only)</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="prediction-section">
+        <span>Input curves</span>
+        <div className="prediction-chips">
+          {curves.filter(curve => curve !== target).map(curve => (
+            <label key={curve} className={`prediction-chip ${features.includes(curve) ? 'active' : ''}`}>
+              <input type="checkbox" checked={features.includes(curve)} onChange={() => toggle(features, setFeatures, curve)} />
+              {curve}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {files.length > 1 && (
+        <div className="prediction-section">
+          <span>Also train on wells</span>
+          <div className="prediction-chips">
+            {files.filter(file => String(file.id) !== String(fileId)).map(file => (
+              <label key={file.id} className={`prediction-chip ${otherWells.includes(file.id) ? 'active' : ''}`}>
+                <input type="checkbox" checked={otherWells.includes(file.id)}
+                  onChange={() => toggle(otherWells, setOtherWells, file.id)} />
+                {file.filename}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="prediction-result">
+          <div className="prediction-scores">
+            <span><strong>{result.curve.name}</strong> {result.curve.samples - result.curve.nulls} values</span>
+            <span>Training R² {result.training.r2 ?? 'n/a'} · RMSE {result.training.rmse}</span>
+            <span>Validation R² {result.validation.r2 ?? 'n/a'} · RMSE {result.validation.rmse}</span>
+            <span>Validation residuals P10 / P50 / P90: {result.validation.residuals.p10} / {result.validation.residuals.p50} / {result.validation.residuals.p90}</span>
+            {result.coefficients && (
+              <span className="null-count">
+                {result.target} = {Object.entries(result.coefficients)
+                  .map(([name, value]) => (name === 'intercept' ? value : `${value}·${name}`)).join(' + ')}
+              </span>
+            )}
+          </div>
+          {crossplotExtent && (
+            <ResponsiveContainer width="100%" height={240}>
+              <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                <XAxis type="number" dataKey="actual" name="Measured" domain={crossplotExtent} stroke="#888"
+                  tickFormatter={(v) => v.toFixed(1)}
+                  label={{ value: `Measured ${result.target}`, position: 'insideBottom', offset: -10 }} />
+                <YAxis type="number" dataKey="predicted" name="Predicted" domain={crossplotExtent} stroke="#888"
+                  tickFormatter={(v) => v.toFixed(1)}
+                  label={{ value: 'Predicted', angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1a1a1a', border: '1px solid #333' }}
+                  formatter={(value) => value.toFixed(2)}
+                />
+                <ReferenceLine
+                  segment={[{ x: crossplotExtent[0], y: crossplotExtent[0] }, { x: crossplotExtent[1], y: crossplotExtent[1] }]}
+                  stroke="#888"
+                  strokeDasharray="4 4"
+                />
+                <Scatter data={result.crossplot} fill="#4ecdc4" fillOpacity={0.6} isAnimationActive={false} />
+              </ScatterChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      )}
+
+      <div className="action-buttons">
+        <button
+          className="btn btn-primary"
+          onClick={handleRun}
+          disabled={running || !target || features.length === 0 || (trainOn === 'none' && otherWells.length === 0)}
+        >
+          {running ? <span className="spinner"></span> : 'Predict curve'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CurvePrediction;
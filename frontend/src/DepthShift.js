@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './DepthShift.css';
+
+const API_BASE_URL = 'http://localhost:5001';
+
+const formatShift = (shift) => `${shift > 0 ? '+' : ''}${shift}`;
+
+const describeShifts = (shifts) => (shifts.length === 1
+  ? `bulk ${formatShift(shifts[0].shift)}`
+  : `${shifts.length} points, ${formatShift(shifts[0].shift)} to ${formatShift(shifts[shifts.length - 1].shift)}`);
+
+// Moves a curve by a bulk or piecewise shift table, saved as a new version of
+// it, and finds the shift against a reference curve (this file or another
+// logging run) by windowed cross-correlation over the selected depth range
+function DepthShift({ fileId, curves, files, depthRange, shiftTables, match, busy, onMatch, onSave, onDelete }) {
+  const [curve, setCurve] = useState(() => curves[0] || '');
+  const [referenceFile, setReferenceFile] = useState('');
+  const [referenceCurves, setReferenceCurves] = useState([]);
+  const [referenceCurve, setReferenceCurve] = useState('');
+  const [maxShift, setMaxShift] = useState(10);
+  const [mode, setMode] = useState('bulk');
+  const [windowLength, setWindowLength] = useState(50);
+  const [points, setPoints] = useState([{ depth: '', shift: '' }]);
+  const [output, setOutput] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  // Curves of the reference well; '' is this file
+  useEffect(() => {
+    if (!referenceFile) {
+      setReferenceCurves(curves);
+      return undefined;
+    }
+    let cancelled = false;
+    axios.get(`${API_BASE_URL}/api/files/${referenceFile}/curves`)
+      .then(response => {
+        if (!cancelled) setReferenceCurves(response.data);
+      })
+      .catch(error => console.error('Error loading reference curves:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [referenceFile, curves]);
+
+  // A new match result fills the editor with its suggested shifts
+  useEffect(() => {
+    if (!match) return;
+    setPoints(match.shifts.map(({ depth, shift }) => ({ depth: String(depth), shift: String(shift) })));
+    setEditing(null);
+  }, [match]);
+
+  const handleMatch = () => {
+    onMatch({
+      curve,
+      reference: { fileId: referenceFile || undefined, curve: referenceCurve },
+      minDepth: depthRange.min,
+      maxDepth: depthRange.max,
+      maxShift: Number(maxShift),
+      window: Number(windowLength),
+      mode
+    });
+  };
+
+  const updatePoint = (index, fields) => {
+    setPoints(points.map((point, i) => (i === index ? { ...point, ...fields } : point)));
+  };
+
+  const editTable = (table) => {
+    setEditing(table);
+    setCurve(table.curve);
+    setPoints(table.shifts.map(({ depth, shift }) => ({ depth: String(depth), shift: String(shift) })));
+  };
+
+  const resetEditor = () => {
+    setEditing(null);
+    setPoints([{ depth: '', shift: '' }]);
+    setOutput('');
+  };
+
+  // A bulk shift needs no depth of its own; it is anchored mid-range
+  const handleSave = async () => {
+    const shifts = points.filter(point => point.shift !== '').map(point => ({
+      depth: point.depth === '' ? (depthRange.min + depthRange.max) / 2 : Number(point.depth),
+      shift: Number(point.shift)
+    }));
+    const fromMatch = !editing && match && match.curve === curve ? match : undefined;
+    const saved = await onSave(editing
+      ? { id: editing.id, shifts }
+      : { curve, shifts, output: output.trim() || undefined, match: fromMatch });
+    if (saved) resetEditor();
+  };
+
+  const ready = points.some(point => point.shift !== '') && points.every(point => point.shift === '' || Number.isFinite(Number(point.shift)));
+
+  return (
+    <div className="import-card depth-shift-card">
+      <div className="chart-header">
+        <h3>Depth Shift</h3>
+        <span className="badge">{shiftTables.length} shift table{shiftTables.length === 1 ? '' : 's'}</span>
+      </div>
+
+      <div className="import-options">
+        <label>
+          Curve to shift
+          <select value={curve} onChange={(e) => setCurve(e.target.value)} disabled={Boolean(editing)}>
+            <option value="">Select curve...</option>
+            {curves.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          Reference well
+          <select value={referenceFile} onChange={(e) => {
+            setReferenceFile(e.target.value);
+            setReferenceCurve('');
+          }}>
+            <option value="">This file</option>
+            {files.filter(file => String(file.id) !== String(fileId)).map(file => (
+              <option key={file.id} value={file.id}>{file.filename}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Reference curve
+          <select value={referenceCurve} onChange={(e) => setReferenceCurve(e.target.value)}>
+            <option value="">Select curve...</option>
+            {referenceCurves.filter(name => referenceFile || name !== curve).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Max shift
+          <input type="number" min="0.1" value={maxShift} onChange={(e) => setMaxShift(e.target.value)} />
+        </label>
+        <label>
+          Match
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="bulk">Bulk shift</option>
+            <option value="piecewise">Piecewise (windows)</option>
+          </select>
+        </label>
+        {mode === 'piecewise' && (
+          <label>
+            Window
+            <input type="number" min="1" value={windowLength} onChange={(e) => setWindowLength(e.target.value)} />
+          </label>
+        )}
+      </div>
+
+      <div className="action-buttons">
+        <button className="btn btn-secondary" onClick={handleMatch}
+          disabled={busy || !curve || !referenceCurve || depthRange.max <= depthRange.min}>
+          Auto match {depthRange.min}–{depthRange.max}
+        </button>
+      </div>
+
+      {match && (
+        <div className="depth-shift-match">
+          <span>
+            Best bulk shift <strong>{formatShift(match.bulk.shift)}</strong> (r {match.bulk.correlation}) against{' '}
+            {match.reference.curve}; correlation {match.correlation.before ?? 'n/a'} → {match.correlation.after ?? 'n/a'} with
+            the suggested shifts
+          </span>
+          {match.windows.length > 0 && (
+            <details>
+              <summary>Windows ({match.windows.filter(w => w.used).length} of {match.windows.length} used)</summary>
+              <table className="well-info-table">
+                <thead>
+                  <tr><th>Top</th><th>Base</th><th>Shift</th><th>r</th><th></th></tr>
+                </thead>
+                <tbody>
+                  {match.windows.map(w => (
+                    <tr key={w.top} className={w.used ? '' : 'depth-shift-unused'}>
+                      <td>{w.top}</td>
+                      <td>{w.base}</td>
+                      <td>{formatShift(w.shift)}</td>
+                      <td>{w.correlation}</td>
+                      <td>{w.used ? '' : 'left out'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          )}
+        </div>
+      )}
+
+      <div className="depth-shift-editor">
+        <span>{editing ? `Editing shift table ${editing.id} (${editing.output})` : 'Shift table'}</span>
+        <table className="well-info-table">
+          <thead>
+            <tr><th>Depth</th><th>Shift</th><th></th></tr>
+          </thead>
+          <tbody>
+            {points.map((point, index) => (
+              <tr key={index}>
+                <td>
+                  <input type="number" value={point.depth} placeholder={points.length === 1 ? 'any' : ''}
+                    onChange={(e) => updatePoint(index, { depth: e.target.value })} />
+                </td>
+                <td>
+                  <input type="number" value={point.shift} onChange={(e) => updatePoint(index, { shift: e.target.value })} />
+                </td>
+                <td>
+                  {points.length > 1 && (
+                    <button className="depth-shift-delete" onClick={() => setPoints(points.filter((_, i) => i !== index))}
+                      title="Remove point">
+                      ×
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!editing && (
+          <label>
+            Output name
+            <input type="text" value={output} onChange={(e) => setOutput(e.target.value)} placeholder={`${curve || 'CURVE'}_Vn`} />
+          </label>
+        )}
+      </div>
+
+      <div className="action-buttons">
+        <button className="btn btn-secondary" onClick={() => setPoints([...points, { depth: '', shift: '' }])}>
+          Add point
+        </button>
+        <button className="btn btn-primary" onClick={handleSave} disabled={busy || !curve || !ready}>
+          {busy ? <span className="spinner"></span> : editing ? 'Update shift table' : 'Apply shift'}
+        </button>
+        {editing && <button className="btn btn-secondary" onClick={resetEditor}>Cancel</button>}
+      </div>
+
+      {shiftTables.length > 0 && (
+        <table className="well-info-table depth-shift-tables">
+          <thead>
+            <tr><th>Curve</th><th>Version</th><th>Shifts</th><th>Match</th><th></th></tr>
+          </thead>
+          <tbody>
+            {shiftTables.map(table => (
+              <tr key={table.id}>
+                <td>{table.curve}</td>
+                <td>{table.output}</td>
+                <td>{describeShifts(table.shifts)}</td>
+                <td>
+                  {table.match
+                    ? `${table.match.reference.curve} r ${table.match.correlation.before ?? 'n/a'} → ${table.match.correlation.after ?? 'n/a'}`
+                    : 'manual'}
+                </td>
+                <td>
+                  <button className="depth-shift-edit" onClick={() => editTable(table)} disabled={busy}>Edit</button>
+                  <button className="depth-shift-delete" onClick={() => onDelete(table)} disabled={busy} title="Delete shift table">
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default DepthShift;
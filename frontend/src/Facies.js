@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import './Facies.css';
+
+export const FACIES_COLORS = ['#feca57', '#4ecdc4', '#ff6b6b', '#96ceb4', '#45b7d1', '#ff9ff6', '#a29bfe', '#ffe66d', '#ff6b9d', '#00ff9d'];
+
+export const faciesColor = (facies) => FACIES_COLORS[(facies - 1) % FACIES_COLORS.length];
+
+const K_OPTIONS = [2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+// Unsupervised electrofacies over the selected depth range: pick the curves,
+// the clustering method and k, then review each facies' centre
+function Facies({ curves, initialCurves, running, result, onRun }) {
+  const [chosen, setChosen] = useState(() => initialCurves.filter(curve => curves.includes(curve)));
+  const [method, setMethod] = useState('kmeans');
+  const [k, setK] = useState('auto');
+  const [output, setOutput] = useState('FACIES');
+
+  const toggleCurve = (curve) => {
+    setChosen(chosen.includes(curve) ? chosen.filter(c => c !== curve) : [...chosen, curve]);
+  };
+
+  return (
+    <div className="import-card facies-card">
+      <div className="chart-header">
+        <h3>Electrofacies</h3>
+        {result && <span className="badge">k = {result.k}</span>}
+      </div>
+
+      <div className="facies-curves">
+        {curves.filter(curve => curve !== output).map(curve => (
+          <label key={curve} className={`facies-curve ${chosen.includes(curve) ? 'active' : ''}`}>
+            <input type="checkbox" checked={chosen.includes(curve)} onChange={() => toggleCurve(curve)} />
+            {curve}
+          </label>
+        ))}
+      </div>
+
+      <div className="import-options">
+        <label>
+          Method
+          <select value={method} onChange={(e) => setMethod(e.target.value)}>
+            <option value="kmeans">k-means</option>
+            <option value="gmm">Gaussian mixture</option>
+          </select>
+        </label>
+        <label>
+          Facies (k)
+          <select value={k} onChange={(e) => setK(e.target.value)}>
+            <option value="auto">Auto ({method === 'gmm' ? 'BIC' : 'silhouette'})</option>
+            {K_OPTIONS.map(count => <option key={count} value={count}>{count}</option>)}
+          </select>
+        </label>
+        <label>
+          Output curve
+          <input value={output} onChange={(e) => setOutput(e.target.value.toUpperCase())} />
+        </label>
+      </div>
+
+      {result && (
+        <table className="well-info-table facies-table">
+          <thead>
+            <tr>
+              <th>Facies</th>
+              <th>Depths</th>
+              {Object.keys(result.clusters[0]?.centroid || {}).map(curve => <th key={curve}>{curve}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {result.clusters.map(cluster => (
+              <tr key={cluster.facies}>
+                <td>
+                  <span className="facies-swatch" style={{ background: faciesColor(cluster.facies) }}></span>
+                  {cluster.facies}
+                </td>
+                <td>{cluster.count} <span className="null-count">({(cluster.fraction * 100).toFixed(1)}%)</span></td>
+                {Object.entries(cluster.centroid).map(([curve, value]) => <td key={curve}>{value}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="action-buttons">
+        <button
+          className="btn btn-primary"
+          onClick={() => onRun({ curves: chosen, method, k: k === 'auto' ? k : Number(k), output })}
+          disabled={running || chosen.length === 0 || !output}
+        >
+          {running ? <span className="spinner"></span> : 'Classify facies'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Facies;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './FormulaEditor.css';
+
+const API_BASE_URL = 'http://localhost:5001';
+
+// Delay after the last keystroke before the formula is checked on the server
+const VALIDATE_DELAY_MS = 400;
+
+function FormulaEditor({ fileId, datasetId, curves, creating, onCreate }) {
+  const [name, setName] = useState('');
+  const [unit, setUnit] = useState('');
+  const [formula, setFormula] = useState('');
+  const [validation, setValidation] = useState(null);
+
+  useEffect(() => {
+    if (!formula.trim()) {
+      setValidation(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post(`${API_BASE_URL}/api/files/${fileId}/computed-curves/validate`, {
+          datasetId, formula, name: name.trim() || undefined
+        });
+        if (!cancelled) setValidation(response.data);
+      } catch (error) {
+        if (!cancelled) setValidation({ valid: false, error: error.response?.data?.error || error.message, position: null });
+      }
+    }, VALIDATE_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fileId, datasetId, formula, name]);
+
+  // Names that are not plain identifiers have to be bracketed
+  const insertCurve = (curve) => {
+    const reference = /^[A-Za-z_][A-Za-z0-9_]*$/.test(curve) ? curve : `[${curve}]`;
+    setFormula(prev => (prev && !/[\s(]$/.test(prev) ? `${prev} ${reference}` : `${prev}${reference}`));
+  };
+
+  const handleSubmit = async () => {
+    const created = await onCreate({ name: name.trim(), unit: unit.trim(), formula });
+    if (created) {
+      setName('');
+      setFormula('');
+    }
+  };
+
+  return (
+    <div className="import-card formula-card">
+      <div className="chart-header">
+        <h3>Computed Curve</h3>
+        <span className="badge">Formula</span>
+      </div>
+
+      <div className="import-options">
+        <label>
+          Curve name
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g. C1_RATIO" />
+        </label>
+        <label>
+          Unit
+          <input value={unit} onChange={(e) => setUnit(e.target.value)} placeholder="Optional" />
+        </label>
+      </div>
+
+      <textarea
+        className={`formula-input ${validation && !validation.valid ? 'invalid' : ''}`}
+        value={formula}
+        onChange={(e) => setFormula(e.target.value)}
+        placeholder="e.g. HC1 / (HC1 + HC2 + HC3) or log10(RT)"
+        rows={2}
+        spellCheck={false}
+      />
+
+      {validation && !validation.valid && (
+        <div className="formula-feedback invalid">
+          {validation.position !== null && validation.position !== undefined && (
+            <pre className="formula-caret">{formula}{'\n'}{' '.repeat(validation.position)}^</pre>
+          )}
+          <span>{validation.error}</span>
+        </div>
+      )}
+      {validation && validation.valid && (
+        <div className="formula-feedback valid">
+          ✓ Valid{validation.curves.length > 0 && ` · reads ${validation.curves.join(', ')}`}
+        </div>
+      )}
+
+      <div className="formula-curves">
+        {curves.map(curve => (
+          <button key={curve} type="button" className="formula-chip" onClick={() => insertCurve(curve)}>
+            {curve}
+          </button>
+        ))}
+      </div>
+      {validation?.functions && (
+        <p className="formula-help">
+          Functions: {validation.functions.join(', ')} · operators + - * / % ^, comparisons, and/or/not, cond ? a : b
+        </p>
+      )}
+
+      <div className="action-buttons">
+        <button
+          className="btn btn-primary"
+          onClick={handleSubmit}
+          disabled={creating || !name.trim() || !validation?.valid}
+        >
+          {creating ? <span className="spinner"></span> : 'Create curve'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default FormulaEditor;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceArea
+} from 'recharts';
+import './GasShows.css';
+
+const CLASS_COLORS = {
+  gas: '#ff6b6b',
+  'light oil': '#ffd700',
+  oil: '#00ff9d',
+  'non-productive': '#666666'
+};
+
+const COMPONENTS = ['c1', 'c2', 'c3', 'c4', 'c5'];
+
+// The gas show track: Haworth wetness and balance against depth, with each
+// show interval shaded in its fluid's colour
+function GasShows({ result, curves, running, onRun }) {
+  // Curve names per component as edited; summed components are joined with +
+  const [mapping, setMapping] = useState(() => Object.fromEntries(
+    COMPONENTS.map(component => [component, (result.mapping[component] || []).join('+')])
+  ));
+
+  const handleRun = () => {
+    const requested = {};
+    Object.entries(mapping).forEach(([component, value]) => {
+      if (value) requested[component] = value.includes('+') ? value.split('+') : value;
+    });
+    onRun(requested);
+  };
+
+  return (
+    <div className="chart-card gas-card">
+      <div className="chart-header">
+        <h3>Gas Shows</h3>
+        <span className="badge">{result.shows.length} show{result.shows.length === 1 ? '' : 's'}</span>
+      </div>
+
+      <div className="gas-mapping">
+        {COMPONENTS.map(component => (
+          <label key={component}>
+            {component.toUpperCase()}
+            <select value={mapping[component]} onChange={(e) => setMapping({ ...mapping, [component]: e.target.value })}>
+              <option value="">{component === 'c4' || component === 'c5' ? 'None (0)' : 'Auto'}</option>
+              {mapping[component].includes('+') && <option value={mapping[component]}>{mapping[component]}</option>}
+              {curves.map(curve => <option key={curve} value={curve}>{curve}</option>)}
+            </select>
+          </label>
+        ))}
+        <button className="btn btn-secondary" onClick={handleRun} disabled={running}>
+          {running ? <span className="spinner"></span> : 'Re-run'}
+        </button>
+      </div>
+
+      <div className="gas-summary">
+        {Object.entries(result.summary).map(([fluid, count]) => (
+          <span key={fluid} className="gas-class" style={{ borderColor: CLASS_COLORS[fluid] }}>
+            {fluid}: {count}
+          </span>
+        ))}
+        <span className="gas-class">background ≤ {result.background.toFixed(1)}</span>
+      </div>
+
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height={260}>
+          <LineChart data={result.track}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+            <XAxis
+              dataKey="depth"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              label={{ value: 'Depth (ft)', position: 'insideBottom', offset: -5 }}
+              stroke="#888"
+            />
+            <YAxis yAxisId="wetness" domain={[0, 100]} stroke="#888"
+              label={{ value: 'Wh %', angle: -90, position: 'insideLeft' }} />
+            <YAxis yAxisId="balance" orientation="right" scale="log" domain={[0.1, 1000]} allowDataOverflow stroke="#888"
+              label={{ value: 'Bh', angle: 90, position: 'insideRight' }} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#1a1a1a', border: '1px solid #333' }}
+              labelStyle={{ color: '#fff' }}
+              formatter={(value) => (typeof value === 'number' ? value.toFixed(2) : value)}
+            />
+            <Legend />
+            {result.shows.map(show => (
+              <ReferenceArea
+                key={`${show.top}-${show.class}`}
+                yAxisId="wetness"
+                x1={show.top}
+                x2={show.base}
+                fill={CLASS_COLORS[show.class]}
+                fillOpacity={0.2}
+              />
+            ))}
+            <Line yAxisId="wetness" dataKey="wetness" name="Wetness (Wh)" stroke="#4ecdc4" dot={false} isAnimationActive={false} />
+            <Line yAxisId="balance" dataKey="balance" name="Balance (Bh)" stroke="#feca57" dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {result.shows.length > 0 && (
+        <div className="gas-shows">
+          {result.shows.map(show => (
+            <div key={`${show.top}-${show.class}`} className="gas-show">
+              <span className="gas-swatch" style={{ background: CLASS_COLORS[show.class] }}></span>
+              <strong>{show.top} - {show.base} ft</strong>
+              <span>{show.class}</span>
+              <span className="gas-show-detail">
+                Wh {show.meanWetness}% · Bh {show.meanBalance ?? 'n/a'} · peak gas {show.peakGas}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GasShows;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import './Petrophysics.css';
+
+// First curve whose mnemonic matches one of the usual names, as a default pick
+const guessCurve = (curves, names) => curves.find(c => names.includes(c.toUpperCase())) || '';
+
+const PARAMETER_FIELDS = [
+  ['a', 'a'], ['m', 'm'], ['n', 'n'], ['rw', 'Rw'], ['rsh', 'Rsh'],
+  ['rhoMatrix', 'ρ matrix'], ['rhoFluid', 'ρ fluid'], ['dtMatrix', 'Δt matrix'], ['dtFluid', 'Δt fluid'],
+  ['grClean', 'GR clean'], ['grShale', 'GR shale']
+];
+
+const POROSITY_INPUTS = {
+  density: ['rhob'],
+  'neutron-density': ['rhob', 'nphi'],
+  sonic: ['dt']
+};
+
+function Petrophysics({ curves, computing, result, onCompute }) {
+  const [steps, setSteps] = useState({ vshale: true, porosity: true, saturation: true });
+  const [vshale, setVshale] = useState({ method: 'linear', gr: guessCurve(curves, ['GR', 'SGR', 'CGR', 'GRC']) });
+  const [porosity, setPorosity] = useState({
+    method: 'density',
+    rhob: guessCurve(curves, ['RHOB', 'RHOZ', 'DEN', 'ZDEN']),
+    nphi: guessCurve(curves, ['NPHI', 'TNPH', 'NPOR', 'CNL']),
+    dt: guessCurve(curves, ['DT', 'DTC', 'AC', 'DTCO'])
+  });
+  const [saturation, setSaturation] = useState({
+    method: 'archie',
+    rt: guessCurve(curves, ['ILD', 'RT', 'RDEP', 'LLD', 'AT90', 'RES_DEEP'])
+  });
+  const [parameters, setParameters] = useState({});
+
+  const curveSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">Select curve...</option>
+      {curves.map(curve => <option key={curve} value={curve}>{curve}</option>)}
+    </select>
+  );
+
+  const toggle = (step) => (
+    <label className="petro-step">
+      <input
+        type="checkbox"
+        checked={steps[step]}
+        onChange={(e) => setSteps({ ...steps, [step]: e.target.checked })}
+      />
+      {{ vshale: 'Shale volume', porosity: 'Porosity', saturation: 'Water saturation' }[step]}
+    </label>
+  );
+
+  const handleSubmit = () => {
+    const request = { parameters };
+    if (steps.vshale) request.vshale = vshale;
+    if (steps.porosity) {
+      request.porosity = { method: porosity.method };
+      POROSITY_INPUTS[porosity.method].forEach(key => { request.porosity[key] = porosity[key]; });
+    }
+    if (steps.saturation) request.saturation = saturation;
+    onCompute(request);
+  };
+
+  return (
+    <div className="import-card petro-card">
+      <div className="chart-header">
+        <h3>Petrophysics</h3>
+        <span className="badge">Vsh · Φ · Sw</span>
+      </div>
+
+      <div className="petro-steps">
+        <div className="petro-row">
+          {toggle('vshale')}
+          <select value={vshale.method} onChange={(e) => setVshale({ ...vshale, method: e.target.value })}>
+            <option value="linear">Linear</option>
+            <option value="larionov-tertiary">Larionov (Tertiary)</option>
+            <option value="larionov-older">Larionov (older rocks)</option>
+          </select>
+          {curveSelect(vshale.gr, gr => setVshale({ ...vshale, gr }))}
+        </div>
+
+        <div className="petro-row">
+          {toggle('porosity')}
+          <select value={porosity.method} onChange={(e) => setPorosity({ ...porosity, method: e.target.value })}>
+            <option value="density">Density</option>
+            <option value="neutron-density">Neutron-density</option>
+            <option value="sonic">Sonic (Wyllie)</option>
+          </select>
+          {POROSITY_INPUTS[porosity.method].map(key => (
+            <React.Fragment key={key}>
+              {curveSelect(porosity[key], value => setPorosity({ ...porosity, [key]: value }))}
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div className="petro-row">
+          {toggle('saturation')}
+          <select value={saturation.method} onChange={(e) => setSaturation({ ...saturation, method: e.target.value })}>
+            <option value="archie">Archie</option>
+            <option value="simandoux">Simandoux</option>
+          </select>
+          {curveSelect(saturation.rt, rt => setSaturation({ ...saturation, rt }))}
+        </div>
+      </div>
+
+      <div className="import-options">
+        {PARAMETER_FIELDS.map(([key, label]) => (
+          <label key={key}>
+            {label}
+            <input
+              type="number"
+              value={parameters[key] ?? ''}
+              onChange={(e) => setParameters({ ...parameters, [key]: e.target.value })}
+              placeholder={result?.parameters[key] ? String(result.parameters[key].value) : '~P or default'}
+            />
+          </label>
+        ))}
+      </div>
+
+      {result && (
+        <div className="petro-result">
+          {result.curves.map(curve => (
+            <div key={curve.name} className="petro-curve">
+              <strong>{curve.name}</strong>
+              <span>{curve.description}</span>
+              <span className="null-count">{curve.samples - curve.nulls} values</span>
+            </div>
+          ))}
+          <div className="petro-parameters">
+            {Object.entries(result.parameters).map(([key, { value, source }]) => (
+              <span key={key}>{key} = {value} <em>({source})</em></span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="action-buttons">
+        <button
+          className="btn btn-primary"
+          onClick={handleSubmit}
+          disabled={computing || !Object.values(steps).some(Boolean)}
+        >
+          {computing ? <span className="spinner"></span> : 'Compute curves'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Petrophysics;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import './Processing.css';
+
+const API_BASE_URL = 'http://localhost:5001';
+
+// Rows per track in the raw / processed comparison
+const COMPARE_MAX_POINTS = 1000;
+
+// Parameters of each filter with their defaults, in the order they are shown
+const FILTERS = {
+  despike: { label: 'Median despike', params: { window: 5, threshold: 3 } },
+  'moving-average': { label: 'Moving average', params: { window: 5 } },
+  gaussian: { label: 'Gaussian', params: { sigma: 2 } },
+  'savitzky-golay': { label: 'Savitzky-Golay', params: { window: 7, order: 2 } },
+  clip: { label: 'Clip', params: { min: '', max: '', mode: 'clamp' } },
+  resample: { label: 'Resample', params: { step: '', method: 'linear' } }
+};
+
+const CHOICES = {
+  mode: [['clamp', 'Clamp'], ['null', 'Set null']],
+  method: [['linear', 'Linear'], ['nearest', 'Nearest']]
+};
+
+const describeStep = ({ filter, changed, ...params }) => `${FILTERS[filter]?.label || filter} (${
+  Object.entries(params).filter(([, value]) => value !== null).map(([key, value]) => `${key} ${value}`).join(', ')})`;
+
+// How a version was made: its filter steps, or the depth shifts it was moved by
+const describeVersion = ({ parameters }) => (parameters.steps
+  ? parameters.steps.map(describeStep).join(' → ')
+  : `depth shift ${parameters.shifts.map(({ depth, shift }) => `${shift} at ${depth}`).join(', ')}`);
+
+// One vertical log track of a curve
+function Track({ title, rows, curve, domain, color }) {
+  return (
+    <div className="processing-track">
+      <div className="processing-track-title">{title}</div>
+      <ResponsiveContainer width="100%" height={420}>
+        <LineChart data={rows} layout="vertical" margin={{ top: 5, right: 10, bottom: 5, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+          <XAxis type="number" domain={domain} stroke="#888" tickFormatter={(v) => v.toFixed(1)} />
+          <YAxis type="number" dataKey="depth" domain={['dataMin', 'dataMax']} reversed stroke="#888" width={60} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#1a1a1a', border: '1px solid #333' }}
+            formatter={(value) => (typeof value === 'number' ? value.toFixed(3) : value)}
+            labelFormatter={(depth) => `Depth ${depth}`}
+          />
+          <Line dataKey={curve} stroke={color} dot={false} strokeWidth={1.5} isAnimationActive={false} connectNulls={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// Cleans a curve with a chain of filters, stores the result as a new version
+// of it, and compares the raw curve with a processed version side by side
+function Processing({ fileId, datasetId, curves, depthRange, running, result, onRun }) {
+  const [curve, setCurve] = useState(() => curves[0] || '');
+  const [steps, setSteps] = useState([{ filter: 'despike', ...FILTERS.despike.params }]);
+  const [output, setOutput] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [compareWith, setCompareWith] = useState('');
+  const [comparison, setComparison] = useState(null);
+
+  // Versions of the curve, listed again whenever the curve list is refreshed
+  useEffect(() => {
+    if (!curve) {
+      setVersions([]);
+      return undefined;
+    }
+    let cancelled = false;
+    axios.get(`${API_BASE_URL}/api/files/${fileId}/curve-processing`, { params: { dataset: datasetId, curve } })
+      .then(response => {
+        if (cancelled) return;
+        setVersions(response.data);
+        setCompareWith(prev => (response.data.some(v => v.name === prev) ? prev : response.data[response.data.length - 1]?.name || ''));
+      })
+      .catch(error => console.error('Error listing curve versions:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [fileId, datasetId, curve, curves]);
+
+  useEffect(() => {
+    if (result && result.source.curve === curve) setCompareWith(result.curve.name);
+  }, [result, curve]);
+
+  const version = versions.find(v => v.name === compareWith) || null;
+
+  useEffect(() => {
+    if (!version || depthRange.max <= depthRange.min) {
+      setComparison(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const fetchTrack = async (dataset, name) => {
+      const response = await axios.get(`${API_BASE_URL}/api/files/${fileId}/data`, {
+        params: { dataset, curves: name, minDepth: depthRange.min, maxDepth: depthRange.max, maxPoints: COMPARE_MAX_POINTS }
+      });
+      return response.data.rows;
+    };
+    Promise.all([fetchTrack(datasetId, curve), fetchTrack(version.datasetId, version.name)])
+      .then(([raw, processed]) => {
+        if (cancelled) return;
+        const values = [...raw.map(row => row[curve]), ...processed.map(row => row[version.name])]
+          .filter(value => typeof value === 'number');
+        const domain = values.length > 0
+          ? [Math.min(...values), Math.max(...values)]
+          : ['auto', 'auto'];
+        setComparison({ raw, processed, domain });
+      })
+      .catch(error => console.error('Error loading curve comparison:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [fileId, datasetId, curve, version, depthRange.min, depthRange.max]);
+
+  const updateStep = (index, fields) => {
+    setSteps(steps.map((step, i) => (i === index ? { ...step, ...fields } : step)));
+  };
+
+  const changeFilter = (index, filter) => {
+    setSteps(steps.map((step, i) => (i === index ? { filter, ...FILTERS[filter].params } : step)));
+  };
+
+  const addStep = () => setSteps([...steps, { filter: 'gaussian', ...FILTERS.gaussian.params }]);
+
+  const removeStep = (index) => setSteps(steps.filter((_, i) => i !== index));
+
+  // Blank numbers are left for the server's defaults (or, for clip, no bound)
+  const handleRun = () => {
+    onRun({
+      curve,
+      output: output.trim() || undefined,
+      steps: steps.map(step => Object.fromEntries(Object.entries(step)
+        .filter(([, value]) => value !== '')
+        .map(([key, value]) => [key, key === 'filter' || CHOICES[key] ? value : Number(value)])))
+    });
+  };
+
+  const nextVersion = versions.reduce((max, v) => Math.max(max, v.derivation.version || 0), 0) + 1;
+  const resampleMisplaced = steps.slice(0, -1).some(step => step.filter === 'resample');
+
+  return (
+    <div className="import-card processing-card">
+      <div className="chart-header">
+        <h3>Curve Processing</h3>
+        <span className="badge">filters & versions</span>
+      </div>
+
+      <div className="import-options">
+        <label>
+          Curve
+          <select value={curve} onChange={(e) => setCurve(e.target.value)}>
+            <option value="">Select curve...</option>
+            {curves.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          Output name
+          <input type="text" value={output} onChange={(e) => setOutput(e.target.value)}
+            placeholder={curve ? `${curve}_V${nextVersion}` : 'CURVE_V1'} />
+        </label>
+      </div>
+
+      <div className="processing-steps">
+        {steps.map((step, index) => (
+          <div key={index} className="processing-step">
+            <span className="processing-step-number">{index + 1}</span>
+            <select value={step.filter} onChange={(e) => changeFilter(index, e.target.value)}>
+              {Object.entries(FILTERS).map(([filter, { label }]) => <option key={filter} value={filter}>{label}</option>)}
+            </select>
+            {Object.keys(FILTERS[step.filter].params).map(key => (
+              <label key={key}>
+                {key}
+                {CHOICES[key] ? (
+                  <select value={step[key]} onChange={(e) => updateStep(index, { [key]: e.target.value })}>
+                    {CHOICES[key].map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                ) : (
+                  <input type="number" value={step[key]} onChange={(e) => updateStep(index, { [key]: e.target.value })} />
+                )}
+              </label>
+            ))}
+            {steps.length > 1 && (
+              <button className="processing-remove" onClick={() => removeStep(index)} title="Remove step">×</button>
+            )}
+          </div>
+        ))}
+        {resampleMisplaced && <span className="processing-warning">Resample must be the last step</span>}
+      </div>
+
+      {result && (
+        <div className="processing-result">
+          <strong>{result.curve.name}</strong> (version {result.version}) stored in {result.dataset}:{' '}
+          {result.steps.map(step => (step.changed !== undefined
+            ? `${describeStep(step)} changed ${step.changed}`
+            : describeStep(step))).join(' → ')}
+        </div>
+      )}
+
+      <div className="action-buttons">
+        <button className="btn btn-secondary" onClick={addStep}>Add step</button>
+        <button
+          className="btn btn-primary"
+          onClick={handleRun}
+          disabled={running || !curve || steps.length === 0 || resampleMisplaced}
+        >
+          {running ? <span className="spinner"></span> : 'Process curve'}
+        </button>
+      </div>
+
+      {versions.length > 0 && (
+        <div className="processing-compare">
+          <div className="import-options">
+            <label>
+              Compare {curve} with
+              <select value={compareWith} onChange={(e) => setCompareWith(e.target.value)}>
+                {versions.map(v => (
+                  <option key={`${v.datasetId}-${v.name}`} value={v.name}>
+                    {v.name} (v{v.derivation.version}{v.dataset ? `, ${v.dataset}` : ''})
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {version && (
+            <div className="processing-note">
+              {version.name}: {describeVersion(version.derivation)}
+            </div>
+          )}
+          {comparison && (
+            <div className="processing-tracks">
+              <Track title={`${curve} (raw)`} rows={comparison.raw} curve={curve} domain={comparison.domain} color="#888" />
+              <Track title={`${version.name} (processed)`} rows={comparison.processed} curve={version.name}
+                domain={comparison.domain} color="#4ecdc4" />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Processing;
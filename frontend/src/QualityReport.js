@@ -0,0 +1,85 @@
+import React from 'react';
+import './QualityReport.css';
+
+// Small coloured score pill for a file or curve QC grade
+export function QCBadge({ score, grade, title }) {
+  if (score === null || score === undefined) return null;
+  return <span className={`qc-badge qc-${grade}`} title={title || `QC ${grade}`}>QC {Math.round(score)}</span>;
+}
+
+function IssueList({ issues }) {
+  if (issues.length === 0) return <span className="null-count">No issues</span>;
+  return (
+    <ul className="qc-issues">
+      {issues.map(issue => (
+        <li key={issue.type} className={`qc-${issue.severity}`}>
+          {issue.message}
+          {issue.intervals && (
+            <span className="null-count">
+              {' '}({issue.intervals.slice(0, 3).map(i => `${i.top}-${i.base}`).join(', ')}{issue.count > 3 ? ', …' : ''})
+            </span>
+          )}
+          {issue.depths && (
+            <span className="null-count">
+              {' '}(at {issue.depths.slice(0, 3).join(', ')}{issue.count > 3 ? ', …' : ''})
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// The data quality report of a file: depth index checks and a scored row per
+// curve for the dataset on screen
+function QualityReport({ report, datasetId, running, onRerun }) {
+  const dataset = report.datasets.find(d => String(d.datasetId) === String(datasetId)) || report.datasets[0];
+
+  return (
+    <div className="import-card qc-card">
+      <div className="chart-header">
+        <h3>Data Quality</h3>
+        <QCBadge score={report.score} grade={report.grade} />
+      </div>
+
+      {dataset && (
+        <>
+          <div className="qc-depth">
+            <strong>Depth index</strong>
+            <QCBadge score={dataset.depth.score} grade={dataset.depth.grade} />
+            <span className="null-count">
+              {dataset.rows} rows · step {dataset.depth.step.observed ?? 'n/a'}
+              {dataset.depth.step.declared ? ` (STEP ${dataset.depth.step.declared})` : ''}
+            </span>
+            <IssueList issues={dataset.depth.issues} />
+          </div>
+
+          <table className="well-info-table qc-table">
+            <thead>
+              <tr><th>Curve</th><th>Type</th><th>Score</th><th>Issues</th></tr>
+            </thead>
+            <tbody>
+              {dataset.curves.map(curve => (
+                <tr key={curve.curve}>
+                  <td>{curve.curve}</td>
+                  <td>{curve.type || <span className="null-count">unknown</span>}</td>
+                  <td><QCBadge score={curve.score} grade={curve.grade} /></td>
+                  <td><IssueList issues={curve.issues} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <div className="action-buttons">
+        <button className="btn btn-secondary" onClick={onRerun} disabled={running}>
+          {running ? <span className="spinner"></span> : 'Re-run checks'}
+        </button>
+        <span className="null-count">Checked {new Date(report.createdAt).toLocaleString()}</span>
+      </div>
+    </div>
+  );
+}
+
+export default QualityReport;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import './TabularImport.css';
+
+// Curve names become mnemonics, so "Res, deep" is offered as RES_DEEP
+const toMnemonic = (name) => name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+function TabularImport({ preview, importing, onImport, onCancel }) {
+  const [depthColumn, setDepthColumn] = useState(preview.suggestedDepthColumn ?? 0);
+  const [depthUnit, setDepthUnit] = useState(preview.columns[preview.suggestedDepthColumn ?? 0]?.unit || '');
+  const [wellName, setWellName] = useState('');
+  const [nullValue, setNullValue] = useState('');
+  const [mapping, setMapping] = useState(() => preview.columns.map(column => ({
+    include: column.numeric && column.index !== preview.suggestedDepthColumn,
+    name: toMnemonic(column.name),
+    unit: column.unit
+  })));
+
+  const updateMapping = (index, fields) => {
+    setMapping(prev => prev.map((m, i) => (i === index ? { ...m, ...fields } : m)));
+  };
+
+  const handleDepthChange = (index) => {
+    setDepthColumn(index);
+    setDepthUnit(preview.columns[index].unit || '');
+    updateMapping(index, { include: false });
+  };
+
+  const selectedCurves = mapping
+    .map((m, column) => ({ ...m, column }))
+    .filter(m => m.include && m.column !== depthColumn);
+
+  const handleSubmit = () => {
+    onImport({
+      depthColumn,
+      depthUnit,
+      wellName,
+      nullValue: nullValue === '' ? null : Number(nullValue),
+      curves: selectedCurves.map(({ column, name, unit }) => ({ column, name, unit }))
+    });
+  };
+
+  return (
+    <div className="import-card">
+      <div className="chart-header">
+        <h3>Import {preview.filename}</h3>
+        <span className="badge">{preview.delimiter === '\t' ? 'TSV' : 'CSV'} · {preview.columns.length} columns</span>
+      </div>
+
+      <div className="import-options">
+        <label>
+          Depth column
+          <select value={depthColumn} onChange={(e) => handleDepthChange(Number(e.target.value))}>
+            {preview.columns.map(column => (
+              <option key={column.index} value={column.index}>{column.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Depth unit
+          <input value={depthUnit} onChange={(e) => setDepthUnit(e.target.value)} placeholder="e.g. M or FT" />
+        </label>
+        <label>
+          Well name
+          <input value={wellName} onChange={(e) => setWellName(e.target.value)} placeholder="Optional" />
+        </label>
+        <label>
+          Null value
+          <input value={nullValue} onChange={(e) => setNullValue(e.target.value)} placeholder="-999.25" />
+        </label>
+      </div>
+
+      <div className="import-table-wrapper">
+        <table className="well-info-table import-table">
+          <thead>
+            <tr>
+              {preview.columns.map(column => (
+                <th key={column.index}>
+                  {column.index === depthColumn ? (
+                    <span className="import-depth-label">Depth</span>
+                  ) : (
+                    <label className="import-include">
+                      <input
+                        type="checkbox"
+                        checked={mapping[column.index].include}
+                        onChange={(e) => updateMapping(column.index, { include: e.target.checked })}
+                      />
+                      {column.name}
+                    </label>
+                  )}
+                </th>
+              ))}
+            </tr>
+            <tr>
+              {preview.columns.map(column => (
+                <th key={column.index}>
+                  {column.index !== depthColumn && mapping[column.index].include && (
+                    <div className="import-curve-fields">
+                      <input
+                        value={mapping[column.index].name}
+                        onChange={(e) => updateMapping(column.index, { name: e.target.value })}
+                        placeholder="Curve"
+                      />
+                      <input
+                        value={mapping[column.index].unit}
+                        onChange={(e) => updateMapping(column.index, { unit: e.target.value })}
+                        placeholder="Unit"
+                      />
+                    </div>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((row, i) => (
+              <tr key={i}>
+                {preview.columns.map(column => <td key={column.index}>{row[column.index]}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="action-buttons">
+        <button
+          className="btn btn-primary"
+          onClick={handleSubmit}
+          disabled={importing || selectedCurves.length === 0 || selectedCurves.some(c => !c.name.trim())}
+        >
+          {importing ? <span className="spinner"></span> : `Import ${selectedCurves.length} curves`}
+        </button>
+        <button className="btn btn-secondary" onClick={onCancel} disabled={importing}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TabularImport;
@@ -0,0 +1,90 @@
+import React, { useState, useRef } from 'react';
+import './ZoneManager.css';
+
+export const ZONE_COLORS = ['#4ecdc4', '#ffe66d', '#ff9ff6', '#96ceb4', '#feca57', '#45b7d1', '#ff6b9d', '#a29bfe'];
+
+export const zoneColor = (zone, index) => zone.color || ZONE_COLORS[index % ZONE_COLORS.length];
+
+// Lists a file's formation tops / zones and adds, deletes or imports them
+function ZoneManager({ zones, busy, onAdd, onDelete, onImportLAS, onImportCSV }) {
+  const [draft, setDraft] = useState({ name: '', top: '', base: '' });
+  const csvInput = useRef(null);
+
+  const handleAdd = async () => {
+    const added = await onAdd({ name: draft.name.trim(), top: draft.top, base: draft.base === '' ? null : draft.base });
+    if (added) setDraft({ name: '', top: '', base: '' });
+  };
+
+  const handleCSV = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) onImportCSV(file);
+  };
+
+  return (
+    <div className="import-card zone-card">
+      <div className="chart-header">
+        <h3>Zones</h3>
+        <span className="badge">{zones.length} zone{zones.length === 1 ? '' : 's'}</span>
+      </div>
+
+      {zones.length > 0 && (
+        <table className="well-info-table zone-table">
+          <thead>
+            <tr><th></th><th>Name</th><th>Top</th><th>Base</th><th>Source</th><th></th></tr>
+          </thead>
+          <tbody>
+            {zones.map((zone, index) => (
+              <tr key={zone.id}>
+                <td><span className="zone-swatch" style={{ background: zoneColor(zone, index) }}></span></td>
+                <td>{zone.name}</td>
+                <td>{zone.top}</td>
+                <td>
+                  {zone.base}
+                  {zone.baseFrom !== 'zone' && <span className="null-count"> ({zone.baseFrom})</span>}
+                </td>
+                <td>{zone.source}</td>
+                <td>
+                  <button className="zone-delete" onClick={() => onDelete(zone)} disabled={busy} title="Delete zone">
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="import-options">
+        <label>
+          Name
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="e.g. Upper Sand" />
+        </label>
+        <label>
+          Top
+          <input type="number" value={draft.top} onChange={(e) => setDraft({ ...draft, top: e.target.value })} />
+        </label>
+        <label>
+          Base
+          <input type="number" value={draft.base} onChange={(e) => setDraft({ ...draft, base: e.target.value })}
+            placeholder="Next top" />
+        </label>
+      </div>
+
+      <div className="action-buttons">
+        <button className="btn btn-primary" onClick={handleAdd} disabled={busy || !draft.name.trim() || draft.top === ''}>
+          Add zone
+        </button>
+        <button className="btn btn-secondary" onClick={onImportLAS} disabled={busy}>
+          Import LAS tops
+        </button>
+        <button className="btn btn-secondary" onClick={() => csvInput.current.click()} disabled={busy}>
+          Import CSV
+        </button>
+        <input ref={csvInput} type="file" accept=".csv,.tsv,.txt" onChange={handleCSV} hidden />
+      </div>
+    </div>
+  );
+}
+
+export default ZoneManager;